@@ -7,11 +7,13 @@
  * Architecture:
  * - One screen: result stage above a prompt composer, gallery rail on the right.
  * - Two modes (image / video); composer dropdowns adapt to the selected model.
- * - History-based undo/redo with File objects; compare slider; retouch; crop.
+ * - Branching version tree with File objects (undo/redo walk one branch); compare slider;
+ *   retouch; mask edit; expand;
+ *   free WebGL adjustments; crop.
  * - Authentication-gated features via Clerk; all AI calls proxied by the backend.
  */
 
-import React, { useState, useCallback, useRef, useEffect, useLayoutEffect, Suspense, lazy } from 'react';
+import React, { useState, useCallback, useMemo, useRef, useEffect, useLayoutEffect, Suspense, lazy } from 'react';
 import type { Crop, PixelCrop } from 'react-image-crop';
 import { useUser, useClerk } from '@clerk/clerk-react';
 import {
@@ -19,6 +21,10 @@ import {
   useGenerateAdjustNanoBanana2,
   useGenerateCompositeNanoBanana2,
   useGenerateTextToImage,
+  useGenerateEditNanoBananaPro,
+  useGenerateAdjustNanoBananaPro,
+  useGenerateCompositeNanoBananaPro,
+  useGenerateTextToImageNanoBananaPro,
   useGenerateEditSeeDream,
   useGenerateAdjustSeeDream,
   useGenerateCompositeSeeDream,
@@ -33,15 +39,24 @@ import {
   useGenerateTextToVideo,
   useGenerateSeedanceVideo,
   useVideoGenerationRecovery,
+  useImageGenerationRecovery,
+  readPendingImageGenerations,
+  clearPendingImageGeneration,
+  IMAGE_RECOVERY_TIMEOUT_MS,
+  type ImageGenerationResponse,
+  type PendingImageGeneration,
   type VideoGenerationResponse,
   useUsageStats
 } from './src/hooks/useImageGeneration';
+import { usePricingCatalog } from './src/hooks/usePricingCatalog';
 import Header from './components/Header';
 import Footer from './components/Footer';
 import Spinner from './components/Spinner';
 import type { SettingsState } from './components/SettingsMenu';
 import {
+  IMAGE_MODEL_CONFIGS,
   getImageCreditCost,
+  getImageMaxInputImages,
   imageProviderSupportsReferences,
   normalizeImageGenerationOptions,
   type ImageGenerationOptions,
@@ -50,11 +65,49 @@ import {
 } from './components/ImageModelControlsPanel';
 import Composer from './components/studio/Composer';
 import ResultStage from './components/studio/ResultStage';
-import GalleryRail, { type GalleryReferenceTarget } from './components/studio/GalleryRail';
-import type { StudioMode, StageTool, VideoProvider, SeedanceInputMode, VideoGenerateOptions } from './components/studio/types';
+import GalleryRail, { type GalleryReferenceTarget, type GallerySelectionTarget } from './components/studio/GalleryRail';
+import type { StudioMode, StageTool, VideoProvider, SeedanceInputMode, VideoGenerateOptions, ImageCompareModel } from './components/studio/types';
 import { getWanMaxReferenceImages, SEEDANCE_MAX_REFERENCE_IMAGES } from './components/studio/videoPricing';
-import { debouncedSaveWorkflow, saveToGallery, saveVideoToGallery, type GalleryVideoDetails } from './src/utils/workflowStorage';
+import {
+  debouncedSaveWorkflow,
+  getGalleryImage,
+  getGalleryImageId,
+  saveToGallery,
+  saveVideoToGallery,
+  type GalleryGenerationParams,
+  type GalleryImageDetails,
+  type GalleryVideoDetails,
+} from './src/utils/workflowStorage';
 import { extractLastVideoFrame } from './src/utils/videoFrameExtraction';
+import {
+  DEFAULT_EXPAND_OPTIONS,
+  buildExpandPrompt,
+  expandImageCanvas,
+  type ExpandOptions,
+} from './src/utils/canvasExpansion';
+import { bakeAdjustments, type ImageAdjustments } from './src/utils/imageAdjustments';
+import { DEFAULT_GALLERY_BUDGET_MB, setGalleryStorageBudget } from './src/utils/storageManager';
+import type { WorkspaceImportResult } from './src/utils/workspaceArchive';
+import {
+  buildCompositePrompt,
+  DEFAULT_COMPOSITE_IMAGE_ROLE,
+  type CompositeImageRole,
+  type CompositeReference,
+} from './src/utils/compositePrompt';
+import { getPromptLengthError, getPromptLimits } from './src/utils/modelConstraints';
+import {
+  addHistoryVersion,
+  createHistoryTree,
+  getHistoryNode,
+  getHistoryPath,
+  getRedoTarget,
+  getUndoTarget,
+  selectHistoryVersion,
+  type HistoryNodeParams,
+  type HistoryOperation,
+  type HistoryTree,
+  type HistoryVersionDetails,
+} from './src/utils/historyTree';
 
 /* ------------------------------------------------------------------ */
 /* Lazy-loaded chunks                                                   */
@@ -186,6 +239,84 @@ const getGenerationErrorMessage = (error: unknown, fallbackPrefix: string): stri
   return `${fallbackPrefix} ${getApiErrorMessage(error)}`;
 };
 
+// A finished batch waiting for the user to pick one variation. Model
+// comparisons label each candidate with the model that made it.
+interface ImageCandidate {
+  file: File;
+  details: HistoryVersionDetails;
+  label?: string;
+}
+
+interface ImageCandidateBatch {
+  candidates: ImageCandidate[];
+  // Text-to-image starts a new history; edits append to the current one.
+  replaceHistory: boolean;
+}
+
+// Checks a prompt as it will be sent, wrappers included, against the limits
+// the API enforces for the provider.
+function getImagePromptError(prompt: string, provider: ImageProvider): string | null {
+  const error = getPromptLengthError(prompt, getPromptLimits(provider), `${IMAGE_MODEL_CONFIGS[provider].label} prompts`);
+  return error && `${error}.`;
+}
+
+function describeImageVersion(
+  prompt: string,
+  options: ImageGenerationOptions,
+  operation: HistoryOperation,
+  params: Omit<HistoryNodeParams, 'operation'> = {},
+): HistoryVersionDetails {
+  return {
+    prompt,
+    provider: options.provider,
+    params: {
+      operation,
+      resolution: options.resolution,
+      aspectRatio: options.aspectRatio,
+      seedreamTier: options.provider === 'seedream' ? options.seedreamTier : undefined,
+      outputFormat: options.outputFormat,
+      ...params,
+    },
+  };
+}
+
+// Gallery copies record how they were made so they can be remixed later.
+// `referenceRoles` are the combine roles of the sources after the base image.
+function describeImageGeneration(
+  options: ImageGenerationOptions,
+  response: ImageGenerationResponse,
+  sourceImages: File[] = [],
+  referenceRoles: CompositeImageRole[] = [],
+): GalleryGenerationParams {
+  const sources = sourceImages.flatMap((file, index) => {
+    const id = getGalleryImageId(file);
+    return id === undefined ? [] : [{ id, role: index > 0 ? referenceRoles[index - 1] ?? null : null }];
+  });
+  return {
+    provider: options.provider,
+    resolution: options.resolution,
+    aspectRatio: options.aspectRatio,
+    seedreamTier: options.seedreamTier,
+    outputFormat: options.outputFormat,
+    sourceImageIds: sources.map(source => source.id),
+    sourceImageRoles: sources.map(source => source.role),
+    creditsSpent: response.creditsUsed === undefined
+      ? undefined
+      : Math.round((response.creditsUsed / (response.images?.length || 1)) * 100) / 100,
+  };
+}
+
+// Stage tools that send the current image to the edit or adjust endpoints.
+const IMAGE_EDITING_TOOLS: StageTool[] = ['retouch', 'mask', 'expand'];
+
+// Request the expanded ratio when the model offers it; otherwise 'auto' lets
+// the padded canvas set the shape.
+function getExpandAspectRatio(provider: ImageProvider, aspectRatio: string, fallback: string): string {
+  const ratios = IMAGE_MODEL_CONFIGS[provider].aspectRatios.map(ratio => ratio.value);
+  if (ratios.includes(aspectRatio)) return aspectRatio;
+  return ratios.includes('auto') ? 'auto' : fallback;
+}
+
 /* ------------------------------------------------------------------ */
 /* Settings persistence                                                 */
 /* ------------------------------------------------------------------ */
@@ -254,7 +385,9 @@ const DEFAULT_SETTINGS: SettingsState = {
   imageAspectRatio: '1:1',
   seedreamTier: 'lite',
   imageOutputFormat: 'png',
-  nsfwFilterEnabled: true
+  imageCount: 1,
+  nsfwFilterEnabled: true,
+  galleryStorageBudgetMb: DEFAULT_GALLERY_BUDGET_MB
 };
 
 /* ------------------------------------------------------------------ */
@@ -264,22 +397,23 @@ const App: React.FC = () => {
   const clerk = useClerk();
   const openedProfileRef = useRef(false);
   const { data: usageStats } = useUsageStats();
+  const { data: pricingCatalog } = usePricingCatalog();
   const hasPurchasedCredits = (usageStats?.totalCreditsPurchased ?? 0) > 0;
 
   /* ---------------- studio state ---------------- */
   const [studioMode, setStudioMode] = useState<StudioMode>('image');
-  const [history, setHistory] = useState<File[]>([]);
-  const [historyPrompts, setHistoryPrompts] = useState<string[]>([]);
-  const [historyIndex, setHistoryIndex] = useState<number>(-1);
+  const [historyTree, setHistoryTree] = useState<HistoryTree | null>(null);
   const [imagePrompt, setImagePrompt] = useState<string>('');
   const [videoPrompt, setVideoPrompt] = useState<string>('');
-  const [styleImage, setStyleImage] = useState<File | null>(null);
+  const [compositeReferences, setCompositeReferences] = useState<CompositeReference[]>([]);
   const [error, setError] = useState<string | null>(null);
   const [activeTool, setActiveTool] = useState<StageTool>('none');
   const [editHotspot, setEditHotspot] = useState<{ x: number; y: number } | null>(null);
   const [displayHotspot, setDisplayHotspot] = useState<{ x: number; y: number } | null>(null);
+  const [editMask, setEditMask] = useState<File | null>(null);
+  const [expandOptions, setExpandOptions] = useState<ExpandOptions>(DEFAULT_EXPAND_OPTIONS);
   const [showSignupPrompt, setShowSignupPrompt] = useState<boolean>(false);
-  const [webcamTarget, setWebcamTarget] = useState<'base' | 'style' | null>(null);
+  const [webcamTarget, setWebcamTarget] = useState<'base' | 'reference' | null>(null);
   const [galleryRefreshTrigger, setGalleryRefreshTrigger] = useState(0);
   const [isVideoEditorOpen, setIsVideoEditorOpen] = useState(false);
   const [isVideoEditorRendering, setIsVideoEditorRendering] = useState(false);
@@ -292,6 +426,10 @@ const App: React.FC = () => {
   const [aspect, setAspect] = useState<number | undefined>();
   const imgRef = useRef<HTMLImageElement>(null);
 
+  /* batch variations: shown on a contact sheet until one is picked */
+  const [imageCandidates, setImageCandidates] = useState<ImageCandidateBatch | null>(null);
+  const [candidateImageUrls, setCandidateImageUrls] = useState<string[]>([]);
+
   /* compare */
   const [isComparing, setIsComparing] = useState<boolean>(false);
   const [showSlider, setShowSlider] = useState<boolean>(false);
@@ -327,6 +465,10 @@ const App: React.FC = () => {
     }
   }, [settings]);
 
+  useEffect(() => {
+    setGalleryStorageBudget(settings.galleryStorageBudgetMb);
+  }, [settings.galleryStorageBudgetMb]);
+
   // Enforce NSFW filter for confirmed non-purchasers only. While usage stats
   // are still loading (undefined), do nothing — otherwise every page load
   // would momentarily see "no purchases" and wipe a purchaser's After Dark
@@ -349,6 +491,7 @@ const App: React.FC = () => {
       imageAspectRatio: options.aspectRatio,
       seedreamTier: options.seedreamTier,
       imageOutputFormat: options.outputFormat,
+      imageCount: options.count,
     }));
   }, []);
 
@@ -360,6 +503,7 @@ const App: React.FC = () => {
     aspectRatio: settings.imageAspectRatio,
     seedreamTier: settings.seedreamTier,
     outputFormat: settings.imageOutputFormat,
+    count: settings.imageCount,
   };
 
   /* ---------------- clerk / payment plumbing ---------------- */
@@ -420,24 +564,29 @@ const App: React.FC = () => {
 
   /* ---------------- mutations ---------------- */
   const editNB2 = useGenerateEditNanoBanana2();
+  const editNBPro = useGenerateEditNanoBananaPro();
   const editSeeDream = useGenerateEditSeeDream();
   const editWan = useGenerateEditWanImage();
 
   const adjustNB2 = useGenerateAdjustNanoBanana2();
+  const adjustNBPro = useGenerateAdjustNanoBananaPro();
   const adjustSeeDream = useGenerateAdjustSeeDream();
   const adjustWan = useGenerateAdjustWanImage();
 
   const compositeNB2 = useGenerateCompositeNanoBanana2();
+  const compositeNBPro = useGenerateCompositeNanoBananaPro();
   const compositeSeeDream = useGenerateCompositeSeeDream();
   const compositeWan = useGenerateCompositeWanImage();
 
   const textToImageNB2 = useGenerateTextToImage();
+  const textToImageNBPro = useGenerateTextToImageNanoBananaPro();
   const textToImageSeeDream = useGenerateTextToImageSeeDream();
   const textToImageWan = useGenerateTextToImageWanImage();
   const textToImageZImage = useGenerateTextToImageZImage();
 
   const editableImageMutationsByProvider = {
     nanobanana2: { edit: editNB2, adjust: adjustNB2, composite: compositeNB2 },
+    nanobananapro: { edit: editNBPro, adjust: adjustNBPro, composite: compositeNBPro },
     seedream: { edit: editSeeDream, adjust: adjustSeeDream, composite: compositeSeeDream },
     wanimage: { edit: editWan, adjust: adjustWan, composite: compositeWan },
   } satisfies Record<Exclude<ImageProvider, 'zimage'>, {
@@ -448,6 +597,7 @@ const App: React.FC = () => {
 
   const textToImageMutationsByProvider = {
     nanobanana2: textToImageNB2,
+    nanobananapro: textToImageNBPro,
     seedream: textToImageSeeDream,
     wanimage: textToImageWan,
     zimage: textToImageZImage,
@@ -466,6 +616,13 @@ const App: React.FC = () => {
   const textToVideoMutation = useGenerateTextToVideo();
   const seedanceVideoMutation = useGenerateSeedanceVideo();
   const getVideoGenerationStatus = useVideoGenerationRecovery();
+  const getImageGenerationStatus = useImageGenerationRecovery();
+
+  // Image jobs left over from the previous page load. Jobs started in this
+  // page life are awaited by their own mutation.
+  const [recoveringImageJobs, setRecoveringImageJobs] = useState<PendingImageGeneration[]>(
+    () => readPendingImageGenerations()
+  );
 
   /* ---------------- video state ---------------- */
   const [videoProvider, setVideoProvider] = useState<VideoProvider>(() => {
@@ -491,6 +648,7 @@ const App: React.FC = () => {
   const pendingVideoFilesRef = useRef<PendingVideoFiles | null>(null);
   const finalizingVideoJobsRef = useRef(new Set<string>());
   const recoveryRequestInFlightRef = useRef(false);
+  const imageRecoveryInFlightRef = useRef(false);
   const [isExtractingLastFrame, setIsExtractingLastFrame] = useState(false);
   const [referenceVideoFile, setReferenceVideoFile] = useState<File | null>(null);
   const [referenceVideoUrl, setReferenceVideoUrl] = useState<string | null>(null);
@@ -510,10 +668,10 @@ const App: React.FC = () => {
     || referenceVideoMutation.isPending
     || textToVideoMutation.isPending
     || seedanceVideoMutation.isPending;
-  const isImagePending = editNB2.isPending || editSeeDream.isPending || editWan.isPending
-    || adjustNB2.isPending || adjustSeeDream.isPending || adjustWan.isPending
-    || compositeNB2.isPending || compositeSeeDream.isPending || compositeWan.isPending
-    || textToImageNB2.isPending || textToImageSeeDream.isPending || textToImageWan.isPending
+  const isImagePending = editNB2.isPending || editNBPro.isPending || editSeeDream.isPending || editWan.isPending
+    || adjustNB2.isPending || adjustNBPro.isPending || adjustSeeDream.isPending || adjustWan.isPending
+    || compositeNB2.isPending || compositeNBPro.isPending || compositeSeeDream.isPending || compositeWan.isPending
+    || textToImageNB2.isPending || textToImageNBPro.isPending || textToImageSeeDream.isPending || textToImageWan.isPending
     || textToImageZImage.isPending;
   const isLoading = isImagePending || isVideoPending || isProcessingFile;
 
@@ -524,11 +682,15 @@ const App: React.FC = () => {
       : 'Creating…';
 
   /* ---------------- derived image state ---------------- */
-  const currentImage = history[historyIndex] ?? null;
-  const originalImage = history[0] ?? null;
-  const previousImage = historyIndex > 0 ? history[historyIndex - 1] : null;
-  const canUndo = historyIndex > 0;
-  const canRedo = historyIndex < history.length - 1;
+  const currentNode = getHistoryNode(historyTree, historyTree?.currentId);
+  const historyPath = historyTree && currentNode ? getHistoryPath(historyTree, currentNode.id) : [];
+  const currentImage = currentNode?.file ?? null;
+  const originalImage = historyPath[0]?.file ?? null;
+  const previousImage = historyPath.length > 1 ? historyPath[historyPath.length - 2].file : null;
+  const undoTargetId = getUndoTarget(historyTree);
+  const redoTargetId = getRedoTarget(historyTree);
+  const canUndo = Boolean(undoTargetId);
+  const canRedo = Boolean(redoTargetId);
 
   const [currentImageUrl, setCurrentImageUrl] = useState<string | null>(null);
   const [originalImageUrl, setOriginalImageUrl] = useState<string | null>(null);
@@ -561,24 +723,34 @@ const App: React.FC = () => {
     setPreviousImageUrl(null);
   }, [previousImage]);
 
+  useEffect(() => {
+    if (!imageCandidates) {
+      setCandidateImageUrls([]);
+      return;
+    }
+    const urls = imageCandidates.candidates.map(candidate => URL.createObjectURL(candidate.file));
+    setCandidateImageUrls(urls);
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, [imageCandidates]);
+
   // Auto-close slider when history changes
   useEffect(() => {
     setShowSlider(false);
-  }, [historyIndex]);
+  }, [currentNode?.id]);
 
-  // Recall the prompt that produced the displayed image on undo/redo
+  // Recall the prompt that produced the displayed image when switching versions
   useEffect(() => {
-    if (historyIndex >= 0) {
-      setImagePrompt(historyPrompts[historyIndex] ?? '');
+    if (currentNode) {
+      setImagePrompt(currentNode.prompt);
     }
-  }, [historyIndex, historyPrompts]);
+  }, [currentNode]);
 
   // Persist workflow locally
   useEffect(() => {
-    if (history.length > 0) {
-      debouncedSaveWorkflow(history, historyIndex, historyPrompts);
+    if (historyTree) {
+      debouncedSaveWorkflow(historyTree);
     }
-  }, [history, historyIndex, historyPrompts]);
+  }, [historyTree]);
 
   /* ---------------- video result helpers ---------------- */
   const revokeGalleryVideoObjectUrl = useCallback(() => {
@@ -730,6 +902,56 @@ const App: React.FC = () => {
     };
   }, [isLoaded, isSignedIn, pendingVideoGeneration, recoverPendingVideo]);
 
+  const recoverPendingImages = useCallback(async (jobs: PendingImageGeneration[]) => {
+    if (imageRecoveryInFlightRef.current) return;
+    imageRecoveryInFlightRef.current = true;
+
+    for (const job of jobs) {
+      try {
+        const status = await getImageGenerationStatus(job.id);
+        let settled = status.status !== 'pending';
+
+        if (status.status === 'succeeded' && status.image) {
+          const recoveredFile = await generatedImageToFile(status.image, 'recovered');
+          await saveToGallery(recoveredFile, job.prompt);
+          setGalleryRefreshTrigger(count => count + 1);
+        } else if (status.status === 'failed') {
+          setError(getGenerationErrorMessage({ data: status }, 'Failed to generate the image.'));
+        } else if (Date.now() - job.createdAt > IMAGE_RECOVERY_TIMEOUT_MS) {
+          settled = true;
+          setError('We could not recover an earlier image after 30 minutes. Please contact support so the generation and credit charge can be reviewed.');
+        }
+
+        if (settled) {
+          clearPendingImageGeneration(job.id);
+          setRecoveringImageJobs(current => current.filter(pending => pending.id !== job.id));
+        }
+      } catch {
+        // Keep the job and try again on the next check.
+      }
+    }
+    imageRecoveryInFlightRef.current = false;
+  }, [getImageGenerationStatus]);
+
+  useEffect(() => {
+    if (recoveringImageJobs.length === 0 || !isLoaded || !isSignedIn) return;
+
+    const checkNow = () => {
+      if (document.visibilityState === 'visible') {
+        void recoverPendingImages(recoveringImageJobs);
+      }
+    };
+
+    checkNow();
+    const timer = window.setInterval(checkNow, 5000);
+    document.addEventListener('visibilitychange', checkNow);
+
+    return () => {
+      window.clearInterval(timer);
+      document.removeEventListener('visibilitychange', checkNow);
+    };
+  }, [isLoaded, isSignedIn, recoveringImageJobs, recoverPendingImages]);
+
   useEffect(() => {
     return () => revokeGalleryVideoObjectUrl();
   }, [revokeGalleryVideoObjectUrl]);
@@ -747,69 +969,120 @@ const App: React.FC = () => {
     setActiveTool('none');
     setEditHotspot(null);
     setDisplayHotspot(null);
+    setEditMask(null);
     setCrop(undefined);
     setCompletedCrop(undefined);
   }, []);
 
   useEffect(() => {
-    if (!imageProviderSupportsReferences(imageGenerationOptions.provider) && activeTool === 'retouch') {
+    if (!imageProviderSupportsReferences(imageGenerationOptions.provider) && IMAGE_EDITING_TOOLS.includes(activeTool)) {
       resetImageTools();
     }
   }, [activeTool, imageGenerationOptions.provider, resetImageTools]);
 
-  const addImageToHistory = useCallback((newImageFile: File, prompt = historyPrompts[historyIndex] ?? '') => {
-    const newHistory = history.slice(0, historyIndex + 1);
-    const newHistoryPrompts = historyPrompts.slice(0, historyIndex + 1);
-    newHistory.push(newImageFile);
-    newHistoryPrompts.push(prompt);
-    setHistory(newHistory);
-    setHistoryPrompts(newHistoryPrompts);
-    setHistoryIndex(newHistory.length - 1);
+  // New versions branch off the current one; later versions stay in the tree.
+  const addImageToHistory = useCallback((
+    newImageFile: File,
+    details: HistoryVersionDetails,
+    { saveCopy = true, generation }: { saveCopy?: boolean; generation?: GalleryGenerationParams } = {}
+  ) => {
+    // Local tools keep the prompt of the version they started from.
+    const version = { ...details, prompt: details.prompt ?? currentNode?.prompt ?? '' };
+    setHistoryTree(tree => tree ? addHistoryVersion(tree, newImageFile, version) : createHistoryTree(newImageFile, version));
     setCrop(undefined);
     setCompletedCrop(undefined);
-    saveToGallery(newImageFile, prompt).then(() => setGalleryRefreshTrigger(n => n + 1));
-  }, [history, historyIndex, historyPrompts]);
+    if (saveCopy) {
+      saveToGallery(newImageFile, version.prompt, generation).then(() => setGalleryRefreshTrigger(n => n + 1));
+    }
+  }, [currentNode]);
+
+  const replaceHistoryWithImage = useCallback((newImageFile: File, details: HistoryVersionDetails) => {
+    setHistoryTree(createHistoryTree(newImageFile, details));
+    setCompositeReferences([]);
+    resetImageTools();
+  }, [resetImageTools]);
+
+  // Every variation of a batch goes to the gallery; only the picked one joins history.
+  const showImageCandidates = useCallback(async (
+    images: NonNullable<ImageGenerationResponse['images']>,
+    filenamePrefix: string,
+    details: HistoryVersionDetails,
+    generation: GalleryGenerationParams,
+    replaceHistory: boolean
+  ) => {
+    const files = await Promise.all(images.map(image => generatedImageToFile(image, filenamePrefix)));
+    Promise.all(files.map(file => saveToGallery(file, details.prompt, generation))).then(() => setGalleryRefreshTrigger(n => n + 1));
+    setImageCandidates({ candidates: files.map(file => ({ file, details })), replaceHistory });
+  }, []);
+
+  const handlePickImageCandidate = useCallback((index: number) => {
+    const picked = imageCandidates?.candidates[index];
+    if (!imageCandidates || !picked) return;
+    if (imageCandidates.replaceHistory) {
+      replaceHistoryWithImage(picked.file, picked.details);
+    } else {
+      addImageToHistory(picked.file, picked.details, { saveCopy: false });
+    }
+    setImageCandidates(null);
+  }, [imageCandidates, replaceHistoryWithImage, addImageToHistory]);
+
+  const candidateLabels = useMemo(
+    () => imageCandidates?.candidates.flatMap(candidate => candidate.label ?? []) ?? [],
+    [imageCandidates]
+  );
 
   /* ---------------- image reference handlers ---------------- */
   const handleBaseImageSelect = useCallback((file: File | null) => {
     if (file && !requireAuth()) return;
+    setImageCandidates(null);
 
     if (file) {
-      setHistory([file]);
-      setHistoryPrompts(['']);
-      setHistoryIndex(0);
+      setHistoryTree(createHistoryTree(file, { params: { operation: 'upload' } }));
       setImagePrompt('');
       saveToGallery(file).then(() => setGalleryRefreshTrigger(n => n + 1));
     } else {
-      setHistory([]);
-      setHistoryPrompts([]);
-      setHistoryIndex(-1);
-      setStyleImage(null);
+      setHistoryTree(null);
+      setCompositeReferences([]);
     }
     resetImageTools();
     setError(null);
   }, [requireAuth, resetImageTools]);
 
-  const handleStyleImageSelect = useCallback((file: File | null) => {
-    if (file && !requireAuth()) return;
-    setStyleImage(file);
-  }, [requireAuth]);
+  const handleCompositeReferencesChange = useCallback((references: CompositeReference[]) => {
+    if (references.length > compositeReferences.length && !requireAuth()) return;
+    setCompositeReferences(references);
+  }, [compositeReferences.length, requireAuth]);
+
+  // Appends images to the combine list with the default role, up to the active model's limit.
+  const addCompositeReferences = useCallback((files: File[]) => {
+    const maxReferences = Math.max(0, getImageMaxInputImages(imageGenerationOptions.provider) - 1);
+    setCompositeReferences(prev => [
+      ...prev,
+      ...files.map(file => ({ file, role: DEFAULT_COMPOSITE_IMAGE_ROLE })),
+    ].slice(0, maxReferences));
+  }, [imageGenerationOptions.provider]);
 
-  const handleOpenWebcam = useCallback((target: 'base' | 'style') => {
+  const handleOpenWebcam = useCallback((target: 'base' | 'reference') => {
     if (!requireAuth()) return;
     setWebcamTarget(target);
   }, [requireAuth]);
 
   const handleWebcamCapture = useCallback((file: File) => {
-    if (webcamTarget === 'style') {
-      setStyleImage(file);
+    if (webcamTarget === 'reference') {
+      addCompositeReferences([file]);
     } else {
       handleBaseImageSelect(file);
     }
     setWebcamTarget(null);
-  }, [webcamTarget, handleBaseImageSelect]);
+  }, [webcamTarget, handleBaseImageSelect, addCompositeReferences]);
 
   /* ---------------- image generation ---------------- */
+  // References beyond the active model's input limit stay listed but are not sent.
+  const activeCompositeReferences = useMemo(
+    () => compositeReferences.slice(0, Math.max(0, getImageMaxInputImages(imageGenerationOptions.provider) - 1)),
+    [compositeReferences, imageGenerationOptions.provider]
+  );
+
   const handleGenerateImage = useCallback(async (submittedPrompt: string) => {
     if (!requireAuth()) return;
 
@@ -823,10 +1096,12 @@ const App: React.FC = () => {
     const supportsReferences = imageProviderSupportsReferences(imageGenerationOptions.provider);
     const workflow: ImageWorkflow = supportsReferences && currentImage ? 'image-to-image' : 'text-to-image';
     const options = normalizeImageGenerationOptions(imageGenerationOptions, workflow);
-    if (options.provider === 'zimage' && (trimmedPrompt.length < 3 || trimmedPrompt.length > 1000)) {
-      setError('Z-Image prompts must be between 3 and 1000 characters.');
+    const promptError = getImagePromptError(trimmedPrompt, options.provider);
+    if (promptError) {
+      setError(promptError);
       return;
     }
+    const batchCount = options.count;
     const requestBase = {
       resolution: options.resolution,
       aspectRatio: options.aspectRatio,
@@ -836,56 +1111,110 @@ const App: React.FC = () => {
     };
 
     setError(null);
+    setImageCandidates(null);
+
+    const describeVersion = (
+      operation: HistoryOperation,
+      params: Omit<HistoryNodeParams, 'operation'> = {},
+    ) => describeImageVersion(trimmedPrompt, options, operation, params);
+    const describeGeneration = (
+      response: ImageGenerationResponse,
+      sourceImages: File[] = [],
+      referenceRoles: CompositeImageRole[] = [],
+    ) => describeImageGeneration(options, response, sourceImages, referenceRoles);
 
     try {
       if (!supportsReferences || !currentImage) {
         const response = await activeTextToImageMutation.mutateAsync({
           prompt: trimmedPrompt,
+          count: batchCount,
           ...requestBase,
         });
-        if (response.success && response.image) {
+        if (response.success && response.images && response.images.length > 1) {
+          await showImageCandidates(response.images, 'text-to-image', describeVersion('text-to-image'), describeGeneration(response), true);
+        } else if (response.success && response.image) {
           const newImageFile = await generatedImageToFile(response.image, 'text-to-image');
-          setHistory([newImageFile]);
-          setHistoryPrompts([trimmedPrompt]);
-          setHistoryIndex(0);
-          setStyleImage(null);
-          resetImageTools();
-          saveToGallery(newImageFile, trimmedPrompt).then(() => setGalleryRefreshTrigger(n => n + 1));
+          replaceHistoryWithImage(newImageFile, describeVersion('text-to-image'));
+          saveToGallery(newImageFile, trimmedPrompt, describeGeneration(response)).then(() => setGalleryRefreshTrigger(n => n + 1));
         } else {
           throw new Error(response.message || 'Failed to generate image from text');
         }
-      } else if (activeTool === 'retouch' && currentImage) {
-        if (!editHotspot) {
+      } else if ((activeTool === 'retouch' || activeTool === 'mask') && currentImage) {
+        if (activeTool === 'retouch' && !editHotspot) {
           setError('Tap a point on the image to select an area to edit.');
           return;
         }
+        if (activeTool === 'mask' && !editMask) {
+          setError('Paint the area of the image you want to edit.');
+          return;
+        }
         const response = await activeEditableImageMutations!.edit.mutateAsync({
           image: currentImage,
           prompt: trimmedPrompt,
-          x: editHotspot.x,
-          y: editHotspot.y,
+          ...(activeTool === 'mask' && editMask ? { mask: editMask } : { x: editHotspot?.x, y: editHotspot?.y }),
+          count: batchCount,
           ...requestBase,
         });
-        if (response.success && response.image) {
+        const version = describeVersion('edit', activeTool === 'mask'
+          ? { masked: true }
+          : { hotspot: editHotspot ?? undefined });
+        const generation = describeGeneration(response, [currentImage]);
+        if (response.success && response.images && response.images.length > 1) {
+          await showImageCandidates(response.images, 'edited', version, generation, false);
+          resetImageTools();
+        } else if (response.success && response.image) {
           const newImageFile = await generatedImageToFile(response.image, 'edited');
-          addImageToHistory(newImageFile, trimmedPrompt);
-          setEditHotspot(null);
-          setDisplayHotspot(null);
-          setActiveTool('none');
+          addImageToHistory(newImageFile, version, { generation });
+          resetImageTools();
         } else {
           throw new Error(response.message || 'Failed to generate image');
         }
-      } else if (currentImage && styleImage) {
+      } else if (activeTool === 'expand' && currentImage) {
+        const expandPrompt = buildExpandPrompt(trimmedPrompt);
+        const expandPromptError = getImagePromptError(expandPrompt, options.provider);
+        if (expandPromptError) {
+          setError(expandPromptError);
+          return;
+        }
+        const expandedImage = await expandImageCanvas(currentImage, expandOptions);
+        const response = await activeEditableImageMutations!.adjust.mutateAsync({
+          image: expandedImage,
+          prompt: expandPrompt,
+          count: batchCount,
+          ...requestBase,
+          aspectRatio: getExpandAspectRatio(options.provider, expandOptions.aspectRatio, options.aspectRatio),
+        });
+        const version = describeVersion('expand', { expand: expandOptions });
+        const generation = describeGeneration(response, [currentImage]);
+        if (response.success && response.images && response.images.length > 1) {
+          await showImageCandidates(response.images, 'expanded', version, generation, false);
+          resetImageTools();
+        } else if (response.success && response.image) {
+          const newImageFile = await generatedImageToFile(response.image, 'expanded');
+          addImageToHistory(newImageFile, version, { generation });
+          resetImageTools();
+        } else {
+          throw new Error(response.message || 'Failed to expand the image');
+        }
+      } else if (currentImage && activeCompositeReferences.length > 0) {
+        const compositePrompt = buildCompositePrompt(trimmedPrompt, activeCompositeReferences.map(reference => reference.role));
+        const compositePromptError = getImagePromptError(compositePrompt, options.provider);
+        if (compositePromptError) {
+          setError(compositePromptError);
+          return;
+        }
+        const compositeImages = [currentImage, ...activeCompositeReferences.map(reference => reference.file)];
         const response = await activeEditableImageMutations!.composite.mutateAsync({
-          image1: currentImage,
-          image2: styleImage,
-          prompt: trimmedPrompt,
+          images: compositeImages,
+          prompt: compositePrompt,
           ...requestBase,
         });
         if (response.success && response.image) {
           const newImageFile = await generatedImageToFile(response.image, 'composite');
-          addImageToHistory(newImageFile, trimmedPrompt);
-          setStyleImage(null);
+          addImageToHistory(newImageFile, describeVersion('composite'), {
+            generation: describeGeneration(response, compositeImages, activeCompositeReferences.map(reference => reference.role)),
+          });
+          setCompositeReferences([]);
         } else {
           throw new Error(response.message || 'Failed to combine the images');
         }
@@ -893,11 +1222,15 @@ const App: React.FC = () => {
         const response = await activeEditableImageMutations!.adjust.mutateAsync({
           image: currentImage,
           prompt: trimmedPrompt,
+          count: batchCount,
           ...requestBase,
         });
-        if (response.success && response.image) {
+        const generation = describeGeneration(response, [currentImage]);
+        if (response.success && response.images && response.images.length > 1) {
+          await showImageCandidates(response.images, 'adjusted', describeVersion('adjust'), generation, false);
+        } else if (response.success && response.image) {
           const newImageFile = await generatedImageToFile(response.image, 'adjusted');
-          addImageToHistory(newImageFile, trimmedPrompt);
+          addImageToHistory(newImageFile, describeVersion('adjust'), { generation });
         } else {
           throw new Error(response.message || 'Failed to apply the edit');
         }
@@ -907,9 +1240,85 @@ const App: React.FC = () => {
       console.error(err);
     }
   }, [
-    requireAuth, currentImage, styleImage, activeTool, editHotspot,
+    requireAuth, currentImage, activeCompositeReferences, activeTool, editHotspot, editMask, expandOptions, resetImageTools,
     imageGenerationOptions, settings.nsfwFilterEnabled, activeEditableImageMutations,
-    activeTextToImageMutation, addImageToHistory, resetImageTools,
+    activeTextToImageMutation, addImageToHistory, replaceHistoryWithImage, showImageCandidates,
+  ]);
+
+  // Sends the same prompt, and the current image when there is one, to each
+  // selected model at once. Every result is saved to the gallery and shown
+  // side by side; picking one promotes it into history.
+  const handleCompareImage = useCallback(async (submittedPrompt: string, models: ImageCompareModel[]) => {
+    if (!requireAuth()) return;
+
+    const trimmedPrompt = submittedPrompt.trim();
+    if (!trimmedPrompt) {
+      setError('Describe what you want to create.');
+      return;
+    }
+    setImagePrompt(trimmedPrompt);
+
+    const sourceImage = currentImage;
+    const workflow: ImageWorkflow = sourceImage ? 'image-to-image' : 'text-to-image';
+    const runs = models
+      .filter(model => !sourceImage || imageProviderSupportsReferences(model.options.provider))
+      .map(model => ({ label: model.label, options: normalizeImageGenerationOptions({ ...model.options, count: 1 }, workflow) }));
+    if (runs.length < 2) {
+      setError('Pick at least two models to compare.');
+      return;
+    }
+    const promptError = runs.map(run => getImagePromptError(trimmedPrompt, run.options.provider)).find(Boolean);
+    if (promptError) {
+      setError(promptError);
+      return;
+    }
+
+    setError(null);
+    setImageCandidates(null);
+
+    const results = await Promise.allSettled(runs.map(async ({ label, options }): Promise<ImageCandidate> => {
+      const request = {
+        prompt: trimmedPrompt,
+        count: 1,
+        resolution: options.resolution,
+        aspectRatio: options.aspectRatio,
+        seedreamTier: options.seedreamTier,
+        outputFormat: options.outputFormat,
+        nsfwFilterEnabled: settings.nsfwFilterEnabled,
+      };
+      const response = sourceImage && options.provider !== 'zimage'
+        ? await editableImageMutationsByProvider[options.provider].adjust.mutateAsync({ image: sourceImage, ...request })
+        : await textToImageMutationsByProvider[options.provider].mutateAsync(request);
+      if (!response.success || !response.image) {
+        throw new Error(response.message || `${label} did not return an image`);
+      }
+      const file = await generatedImageToFile(response.image, sourceImage ? 'adjusted' : 'text-to-image');
+      const generation = describeImageGeneration(options, response, sourceImage ? [sourceImage] : []);
+      await saveToGallery(file, trimmedPrompt, generation);
+      return {
+        file,
+        details: describeImageVersion(trimmedPrompt, options, sourceImage ? 'adjust' : 'text-to-image'),
+        label,
+      };
+    }));
+    setGalleryRefreshTrigger(n => n + 1);
+
+    const candidates = results.flatMap(result => result.status === 'fulfilled' ? [result.value] : []);
+    const failed = results.flatMap((result, index) => {
+      if (result.status === 'fulfilled') return [];
+      console.error(`${runs[index].label} failed during comparison:`, result.reason);
+      return [{ label: runs[index].label, reason: result.reason }];
+    });
+    if (candidates.length === 0) {
+      setError(getGenerationErrorMessage(failed[0].reason, 'Failed to compare models.'));
+      return;
+    }
+    if (failed.length > 0) {
+      setError(`${failed.map(item => item.label).join(' and ')} could not finish; showing the other results.`);
+    }
+    setImageCandidates({ candidates, replaceHistory: !sourceImage });
+  }, [
+    requireAuth, currentImage, settings.nsfwFilterEnabled, editableImageMutationsByProvider, textToImageMutationsByProvider,
   ]);
 
   /* ---------------- video generation ---------------- */
@@ -946,7 +1355,7 @@ const App: React.FC = () => {
       createdAt: Date.now(),
     };
     const wanHasReferenceVideo = Boolean(referenceVideoFile || referenceVideoUrl);
-    const wanReferenceImagesForRequest = wanReferenceImages.slice(0, wanHasReferenceVideo ? 4 : 5);
+    const wanReferenceImagesForRequest = wanReferenceImages.slice(0, getWanMaxReferenceImages(wanHasReferenceVideo));
     const usesSeedanceFrameMode = selectedSeedanceInputMode === 'frames';
     const pendingFiles: PendingVideoFiles = {
       generationId,
@@ -1208,12 +1617,11 @@ const App: React.FC = () => {
   ]);
 
   const handleNewSession = useCallback(() => {
-    setHistory([]);
-    setHistoryPrompts([]);
-    setHistoryIndex(-1);
+    setImageCandidates(null);
+    setHistoryTree(null);
     setImagePrompt('');
     setVideoPrompt('');
-    setStyleImage(null);
+    setCompositeReferences([]);
     setError(null);
     setVideoError(null);
     resetImageTools();
@@ -1234,12 +1642,13 @@ const App: React.FC = () => {
 
   /* ---------------- stage tools ---------------- */
   const handleToolChange = useCallback((tool: StageTool) => {
-    if (tool === 'retouch' && !imageProviderSupportsReferences(imageGenerationOptions.provider)) {
+    if (IMAGE_EDITING_TOOLS.includes(tool) && !imageProviderSupportsReferences(imageGenerationOptions.provider)) {
       return;
     }
     setActiveTool(tool);
     setEditHotspot(null);
     setDisplayHotspot(null);
+    setEditMask(null);
     if (tool !== 'crop') {
       setCrop(undefined);
       setCompletedCrop(undefined);
@@ -1264,6 +1673,18 @@ const App: React.FC = () => {
     setEditHotspot({ x: Math.round(offsetX * scaleX), y: Math.round(offsetY * scaleY) });
   }, [activeTool]);
 
+  const handleBakeAdjustments = useCallback(async (adjustments: ImageAdjustments) => {
+    if (!currentImage) return;
+    try {
+      const adjustedImage = await bakeAdjustments(currentImage, adjustments);
+      addImageToHistory(adjustedImage, { params: { operation: 'adjustments', adjustments } });
+      resetImageTools();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to apply the adjustments.');
+      console.error(err);
+    }
+  }, [currentImage, addImageToHistory, resetImageTools]);
+
   const handleApplyCrop = useCallback(() => {
     if (!completedCrop || !imgRef.current) {
       setError('Select an area to crop first.');
@@ -1301,34 +1722,34 @@ const App: React.FC = () => {
 
     const croppedImageUrl = canvas.toDataURL('image/png');
     const newImageFile = dataURLtoFile(croppedImageUrl, `cropped-${Date.now()}.png`);
-    addImageToHistory(newImageFile);
+    addImageToHistory(newImageFile, { params: { operation: 'crop' } });
     setActiveTool('none');
   }, [completedCrop, addImageToHistory]);
 
+  const handleSelectVersion = useCallback((id: string) => {
+    setHistoryTree(tree => tree ? selectHistoryVersion(tree, id) : tree);
+    setEditHotspot(null);
+    setDisplayHotspot(null);
+  }, []);
+
   const handleUndo = useCallback(() => {
-    if (canUndo) {
-      setHistoryIndex(historyIndex - 1);
-      setEditHotspot(null);
-      setDisplayHotspot(null);
+    if (undoTargetId) {
+      handleSelectVersion(undoTargetId);
     }
-  }, [canUndo, historyIndex]);
+  }, [undoTargetId, handleSelectVersion]);
 
   const handleRedo = useCallback(() => {
-    if (canRedo) {
-      setHistoryIndex(historyIndex + 1);
-      setEditHotspot(null);
-      setDisplayHotspot(null);
+    if (redoTargetId) {
+      handleSelectVersion(redoTargetId);
     }
-  }, [canRedo, historyIndex]);
+  }, [redoTargetId, handleSelectVersion]);
 
   const handleReset = useCallback(() => {
-    if (history.length > 0) {
-      setHistoryIndex(0);
+    if (historyPath.length > 0) {
+      handleSelectVersion(historyPath[0].id);
       setError(null);
-      setEditHotspot(null);
-      setDisplayHotspot(null);
     }
-  }, [history]);
+  }, [historyPath, handleSelectVersion]);
 
   const handleDownload = useCallback(() => {
     if (currentImage) {
@@ -1368,15 +1789,60 @@ const App: React.FC = () => {
     setIsVideoEditorOpen(false);
     setIncomingEditorVideo(null);
     setStudioMode('image');
-    setHistory([file]);
-    setHistoryPrompts([savedPrompt]);
-    setHistoryIndex(0);
+    setHistoryTree(createHistoryTree(file, { prompt: savedPrompt, params: { operation: 'upload' } }));
     setImagePrompt(savedPrompt);
-    setStyleImage(null);
+    setCompositeReferences([]);
     resetImageTools();
     setError(null);
   }, [isVideoEditorRendering, resetImageTools]);
 
+  // Imported gallery items show up after a refresh; the archived history is
+  // only opened when it would not replace work already on the stage.
+  const handleWorkspaceImported = useCallback((result: WorkspaceImportResult) => {
+    setGalleryRefreshTrigger(count => count + 1);
+    if (result.workflow && !historyTree && !isVideoEditorOpen) {
+      setStudioMode('image');
+      setHistoryTree(result.workflow);
+      resetImageTools();
+    }
+  }, [historyTree, isVideoEditorOpen, resetImageTools]);
+
+  // Restore the composer exactly as it was for this image: model settings,
+  // prompt, and the gallery images it was generated from.
+  const handleGalleryRemixImage = useCallback(async (details: GalleryImageDetails) => {
+    const { generation } = details;
+    if (!generation || isVideoEditorRendering) return;
+
+    const sources = await Promise.all(generation.sourceImageIds.map(id => getGalleryImage(id)));
+    const [baseImage = null, ...referenceImages] = sources.map(source => source?.file ?? null);
+    // Entries saved before roles were recorded fall back to the default role.
+    const referenceRoles = generation.sourceImageRoles?.slice(1) ?? [];
+
+    setIsVideoEditorOpen(false);
+    setIncomingEditorVideo(null);
+    setStudioMode('image');
+    handleImageOptionsChange({
+      provider: generation.provider,
+      resolution: generation.resolution,
+      aspectRatio: generation.aspectRatio,
+      seedreamTier: generation.seedreamTier,
+      outputFormat: generation.outputFormat,
+      count: imageGenerationOptions.count,
+    });
+    setImageCandidates(null);
+    setHistoryTree(baseImage
+      ? createHistoryTree(baseImage, { prompt: details.prompt, params: { operation: 'upload' } })
+      : null);
+    setCompositeReferences(referenceImages.flatMap((file, index) => (
+      file ? [{ file, role: referenceRoles[index] ?? DEFAULT_COMPOSITE_IMAGE_ROLE }] : []
+    )));
+    setImagePrompt(details.prompt);
+    resetImageTools();
+    setError(sources.some(source => !source)
+      ? 'Some images this was made from are no longer in your gallery. Add them again before remixing.'
+      : null);
+  }, [isVideoEditorRendering, handleImageOptionsChange, imageGenerationOptions.count, resetImageTools]);
+
   const handleGallerySelectVideo = useCallback((details: GalleryVideoDetails) => {
     const selectedProvider = details.provider ?? videoProvider;
     const referenceImages = details.referenceImages.length > 0
@@ -1444,7 +1910,7 @@ const App: React.FC = () => {
         handleGallerySelectImage(file, savedPrompt);
         return;
       }
-      setStyleImage(file);
+      addCompositeReferences([file]);
     } else if (videoProvider === 'seedance') {
       setSeedanceInputMode('references');
       setSeedanceReferenceImages(prev => [...prev, file].slice(0, SEEDANCE_MAX_REFERENCE_IMAGES));
@@ -1478,7 +1944,7 @@ const App: React.FC = () => {
     : studioMode === 'image' && imageProviderSupportsReferences(imageGenerationOptions.provider)
     ? [
         { id: 'image-base', label: 'Use as base image' },
-        ...(currentImage ? [{ id: 'image-style', label: 'Use as style reference' }] : []),
+        ...(currentImage ? [{ id: 'image-style', label: 'Add to combine' }] : []),
       ]
     : videoProvider === 'seedance'
       ? [
@@ -1500,7 +1966,7 @@ const App: React.FC = () => {
         handleBaseImageSelect(file);
         break;
       case 'image-style':
-        handleStyleImageSelect(file);
+        addCompositeReferences([file]);
         break;
       case 'wan-ref': {
         const maxImages = getWanMaxReferenceImages(Boolean(referenceVideoFile || referenceVideoUrl));
@@ -1524,7 +1990,45 @@ const App: React.FC = () => {
         setVideoError(null);
         break;
     }
-  }, [handleBaseImageSelect, handleStyleImageSelect, referenceVideoFile, referenceVideoUrl]);
+  }, [handleBaseImageSelect, addCompositeReferences, referenceVideoFile, referenceVideoUrl]);
+
+  /* Multi-select "send to" targets — each offers only the slots still free */
+  const wanMaxReferenceImages = getWanMaxReferenceImages(Boolean(referenceVideoFile || referenceVideoUrl));
+  const gallerySelectionTargets: GallerySelectionTarget[] = (isVideoEditorOpen
+    ? []
+    : studioMode === 'image' && imageProviderSupportsReferences(imageGenerationOptions.provider)
+      ? [{ id: 'image-combine', label: 'Combine in the studio', maxItems: getImageMaxInputImages(imageGenerationOptions.provider) }]
+      : videoProvider === 'seedance'
+        ? [
+            { id: 'seedance-refs', label: 'Add as reference images', maxItems: SEEDANCE_MAX_REFERENCE_IMAGES - seedanceReferenceImages.length },
+            { id: 'seedance-frames', label: 'Use as first and last frame', maxItems: 2 },
+          ]
+        : [{ id: 'wan-refs', label: 'Add as reference images', maxItems: wanMaxReferenceImages - wanReferenceImages.length }]
+  ).filter(target => target.maxItems > 0);
+
+  const handleGallerySelectionAction = useCallback((targetId: string, files: File[]) => {
+    switch (targetId) {
+      case 'image-combine':
+        handleGallerySelectImage(files[0], '');
+        setCompositeReferences(files.slice(1).map(file => ({ file, role: DEFAULT_COMPOSITE_IMAGE_ROLE })));
+        break;
+      case 'seedance-refs':
+        setSeedanceInputMode('references');
+        setSeedanceReferenceImages(prev => [...prev, ...files].slice(0, SEEDANCE_MAX_REFERENCE_IMAGES));
+        setVideoError(null);
+        break;
+      case 'seedance-frames':
+        setSeedanceInputMode('frames');
+        setSeedanceFirstFrame(files[0]);
+        setSeedanceLastFrame(files[1] ?? null);
+        setVideoError(null);
+        break;
+      case 'wan-refs':
+        setWanReferenceImages(prev => [...prev, ...files].slice(0, wanMaxReferenceImages));
+        setVideoError(null);
+        break;
+    }
+  }, [handleGallerySelectImage, wanMaxReferenceImages]);
 
   const handleGalleryVideoReferenceAction = useCallback((targetId: string, details: GalleryVideoDetails) => {
     if (targetId === 'video-editor-add') {
@@ -1539,12 +2043,16 @@ const App: React.FC = () => {
     ? 'image-to-image'
     : 'text-to-image';
   const normalizedImageOptions = normalizeImageGenerationOptions(imageGenerationOptions, imageWorkflow);
+  const isTargetedEdit = activeTool === 'retouch' || activeTool === 'mask';
+  const isCompositeImageAction = imageWorkflow === 'image-to-image' && activeCompositeReferences.length > 0 && !IMAGE_EDITING_TOOLS.includes(activeTool);
   const imageActionCreditCost = getImageCreditCost(
+    pricingCatalog,
     normalizedImageOptions.provider,
     normalizedImageOptions.resolution,
     imageWorkflow,
     normalizedImageOptions.seedreamTier,
-    currentImage && styleImage ? 2 : 0
+    isCompositeImageAction ? 1 + activeCompositeReferences.length : 0,
+    isCompositeImageAction ? 1 : normalizedImageOptions.count
   );
 
   /* ---------------- error banner ---------------- */
@@ -1632,6 +2140,8 @@ const App: React.FC = () => {
         onSettingsChange={handleSettingsChange}
         hasPurchasedCredits={hasPurchasedCredits}
         onToggleGallery={() => document.getElementById('creations-gallery')?.scrollIntoView({ behavior: 'smooth', block: 'start' })}
+        onWorkspaceImported={handleWorkspaceImported}
+        onGallerySynced={() => setGalleryRefreshTrigger(count => count + 1)}
       />
 
       <div className="relative flex flex-1 flex-col overflow-visible md:min-h-0 md:flex-row md:overflow-hidden">
@@ -1658,6 +2168,8 @@ const App: React.FC = () => {
             previousImageUrl={previousImageUrl}
             canUndo={canUndo}
             canRedo={canRedo}
+            historyTree={historyTree}
+            onSelectVersion={handleSelectVersion}
             isComparing={isComparing}
             onComparingChange={setIsComparing}
             showSlider={showSlider}
@@ -1669,6 +2181,11 @@ const App: React.FC = () => {
             onToolChange={handleToolChange}
             displayHotspot={displayHotspot}
             onImageClick={handleImageClick}
+            hasMask={Boolean(editMask)}
+            onMaskChange={setEditMask}
+            expandOptions={expandOptions}
+            onExpandOptionsChange={setExpandOptions}
+            onBakeAdjustments={handleBakeAdjustments}
             imgRef={imgRef}
             crop={crop}
             onCropChange={(c) => setCrop(c)}
@@ -1681,6 +2198,10 @@ const App: React.FC = () => {
             onRedo={handleRedo}
             onReset={handleReset}
             onDownload={handleDownload}
+            candidateImageUrls={candidateImageUrls}
+            candidateLabels={candidateLabels}
+            onPickCandidate={handlePickImageCandidate}
+            onDismissCandidates={() => setImageCandidates(null)}
             videoUrl={videoUrl}
             onVideoDownload={handleVideoDownload}
             onContinueFromLastFrame={handleContinueFromLastFrame}
@@ -1702,13 +2223,16 @@ const App: React.FC = () => {
               onImageOptionsChange={handleImageOptionsChange}
               baseImage={currentImage}
               onBaseImageSelect={handleBaseImageSelect}
-              styleImage={styleImage}
-              onStyleImageSelect={handleStyleImageSelect}
+              compositeReferences={activeCompositeReferences}
+              onCompositeReferencesChange={handleCompositeReferencesChange}
               onOpenWebcam={handleOpenWebcam}
-              retouchActive={activeTool === 'retouch'}
-              hasHotspot={Boolean(editHotspot)}
+              retouchActive={isTargetedEdit}
+              maskActive={activeTool === 'mask'}
+              expandActive={activeTool === 'expand'}
+              hasHotspot={activeTool === 'mask' ? Boolean(editMask) : Boolean(editHotspot)}
               imageCreditCost={imageActionCreditCost}
               onGenerateImage={handleGenerateImage}
+              onCompareImage={handleCompareImage}
               videoProvider={videoProvider}
               onVideoProviderChange={setVideoProvider}
               onGenerateVideo={handleGenerateVideo}
@@ -1747,11 +2271,14 @@ const App: React.FC = () => {
           onSelectVideo={isVideoEditorOpen ? handleEditorGallerySelectVideo : handleGallerySelectVideo}
           onUseImageAsReference={handleGalleryUseImageAsReference}
           onUseVideoAsReference={!isVideoEditorOpen && studioMode === 'video' ? handleGalleryUseVideoAsReference : undefined}
+          onRemixImage={handleGalleryRemixImage}
           showReferenceActions={!isVideoEditorOpen && !(studioMode === 'image' && !imageProviderSupportsReferences(imageGenerationOptions.provider))}
           imageReferenceTargets={galleryImageReferenceTargets}
           videoReferenceTargets={galleryVideoReferenceTargets}
           onImageReferenceAction={handleGalleryImageReferenceAction}
           onVideoReferenceAction={handleGalleryVideoReferenceAction}
+          imageSelectionTargets={gallerySelectionTargets}
+          onImageSelectionAction={handleGallerySelectionAction}
         />
       </div>
       </div>
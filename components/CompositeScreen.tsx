@@ -4,6 +4,7 @@
 */
 
 import React, { useState, useEffect } from 'react';
+import { usePricingCatalog } from '../src/hooks/usePricingCatalog';
 import { formatCreditLabel } from '../src/utils/creditFormatting';
 import Spinner from './Spinner';
 import { ChevronLeftIcon } from './icons';
@@ -40,7 +41,8 @@ const CompositeScreen: React.FC<CompositeScreenProps> = ({
     const [img1Url, setImg1Url] = useState<string | null>(null);
     const [img2Url, setImg2Url] = useState<string | null>(null);
     const normalizedImageOptions = normalizeImageGenerationOptions(imageOptions, 'image-to-image');
-    const activeImageCreditCost = imageCreditCost ?? getImageCreditCost(normalizedImageOptions.provider, normalizedImageOptions.resolution, 'image-to-image', normalizedImageOptions.seedreamTier, 2);
+    const { data: pricingCatalog } = usePricingCatalog();
+    const activeImageCreditCost = imageCreditCost ?? getImageCreditCost(pricingCatalog, normalizedImageOptions.provider, normalizedImageOptions.resolution, 'image-to-image', normalizedImageOptions.seedreamTier, 2);
     const imageCreditLabel = formatCreditLabel(activeImageCreditCost);
 
     useEffect(() => {
@@ -0,0 +1,209 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '@clerk/clerk-react';
+import { ApiError, useApiClient } from '../src/services/apiClient';
+import {
+  disableGallerySync,
+  enableGallerySync,
+  getGallerySyncStatus,
+  isGallerySyncUnlocked,
+  lockGallerySync,
+  syncGallery,
+  unlockGallerySync,
+  type GallerySyncStatus,
+} from '../src/utils/gallerySync';
+
+interface GallerySyncSettingsProps {
+  onGallerySynced?: () => void;
+}
+
+const MIN_PASSPHRASE_LENGTH = 10;
+
+const inputClass = 'w-full bg-gray-900 border border-gray-600 rounded-md px-2 py-1.5 text-xs text-gray-200 placeholder:text-gray-600';
+const buttonClass = 'flex-1 rounded-md border border-gray-600 bg-gray-900 px-2 py-1.5 text-xs text-gray-200 transition-colors hover:bg-gray-700 disabled:opacity-50';
+
+export const GallerySyncSettings: React.FC<GallerySyncSettingsProps> = ({ onGallerySynced }) => {
+  const { isSignedIn } = useAuth();
+  const { apiRequest } = useApiClient();
+  const [status, setStatus] = useState<GallerySyncStatus | null>(null);
+  const [unlocked, setUnlocked] = useState(isGallerySyncUnlocked());
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [confirmDisable, setConfirmDisable] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isSignedIn) return;
+    getGallerySyncStatus(apiRequest)
+      .then(setStatus)
+      .catch((error) => {
+        console.error('Failed to load cloud sync status:', error);
+        setMessage('Cloud sync is unavailable right now.');
+      });
+  }, [isSignedIn, apiRequest]);
+
+  if (!isSignedIn) {
+    return (
+      <p className="mt-1.5 text-[11px] leading-relaxed text-gray-500">
+        Sign in to sync your gallery between devices.
+      </p>
+    );
+  }
+
+  const run = async (action: () => Promise<void>) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Cloud sync failed:', error);
+      if (error instanceof ApiError) {
+        setMessage(error.data?.message || 'Cloud sync failed. Please try again.');
+      } else {
+        setMessage(error instanceof Error ? error.message : 'Cloud sync failed. Please try again.');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const performSync = async () => {
+    const result = await syncGallery(apiRequest, (done, total) => {
+      if (total > 0) setMessage(`Syncing ${done} of ${total}…`);
+    });
+    setMessage(
+      result.storageFull
+        ? `Cloud storage is full. Sent ${result.uploaded}, received ${result.downloaded}; ${result.failed} not synced.`
+        : `Up to date. Sent ${result.uploaded}, received ${result.downloaded}`
+          + (result.failed > 0 ? `; ${result.failed} will retry next time.` : '.')
+    );
+    if (result.downloaded > 0) onGallerySynced?.();
+  };
+
+  const handleSync = () => run(performSync);
+
+  const handleEnable = () => run(async () => {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setMessage(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (passphrase !== confirmPassphrase) {
+      setMessage('The passphrases do not match.');
+      return;
+    }
+    await enableGallerySync(apiRequest, passphrase);
+    setPassphrase('');
+    setConfirmPassphrase('');
+    setUnlocked(true);
+    setStatus(await getGallerySyncStatus(apiRequest));
+    await performSync();
+  });
+
+  const handleUnlock = () => run(async () => {
+    if (!status?.keyParams) return;
+    await unlockGallerySync(passphrase, status.keyParams);
+    setPassphrase('');
+    setUnlocked(true);
+    await performSync();
+  });
+
+  const handleDisable = () => run(async () => {
+    await disableGallerySync(apiRequest);
+    setConfirmDisable(false);
+    setUnlocked(false);
+    setStatus({ enabled: false, keyParams: null });
+    setMessage('Cloud sync is off and synced copies were deleted. Your local gallery is unchanged.');
+  });
+
+  return (
+    <div className="mt-2 flex flex-col gap-2">
+      {status && !status.enabled && (
+        <>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(event) => setPassphrase(event.target.value)}
+            placeholder="Choose a sync passphrase"
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={confirmPassphrase}
+            onChange={(event) => setConfirmPassphrase(event.target.value)}
+            placeholder="Repeat passphrase"
+            autoComplete="new-password"
+            className={inputClass}
+          />
+          <button onClick={handleEnable} disabled={busy || !passphrase} className={buttonClass}>
+            Turn on cloud sync
+          </button>
+        </>
+      )}
+
+      {status?.enabled && !unlocked && (
+        <div className="flex gap-2">
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(event) => setPassphrase(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter' && passphrase) handleUnlock();
+            }}
+            placeholder="Sync passphrase"
+            autoComplete="current-password"
+            className={`${inputClass} flex-[2]`}
+          />
+          <button onClick={handleUnlock} disabled={busy || !passphrase} className={buttonClass}>
+            Unlock
+          </button>
+        </div>
+      )}
+
+      {status?.enabled && unlocked && !confirmDisable && (
+        <div className="flex gap-2">
+          <button onClick={handleSync} disabled={busy} className={buttonClass}>
+            {busy ? 'Syncing…' : 'Sync now'}
+          </button>
+          <button
+            onClick={() => {
+              lockGallerySync();
+              setUnlocked(false);
+              setMessage(null);
+            }}
+            disabled={busy}
+            className={buttonClass}
+          >
+            Lock
+          </button>
+          <button onClick={() => setConfirmDisable(true)} disabled={busy} className={`${buttonClass} hover:text-red-300`}>
+            Turn off
+          </button>
+        </div>
+      )}
+
+      {confirmDisable && (
+        <div className="flex items-center justify-between gap-2 rounded-md bg-red-500/10 px-2 py-1.5">
+          <span className="text-[11px] text-gray-300">Delete all synced copies?</span>
+          <span className="flex gap-2">
+            <button onClick={() => setConfirmDisable(false)} className="text-[11px] text-gray-400 hover:text-gray-200">No</button>
+            <button onClick={handleDisable} disabled={busy} className="text-[11px] font-semibold text-red-400 hover:text-red-300">Yes</button>
+          </span>
+        </div>
+      )}
+
+      <p className="text-[11px] leading-relaxed text-gray-500">
+        {message ?? (status?.enabled
+          ? 'Items are encrypted on this device before upload. Deleting an item here does not remove it from the cloud.'
+          : 'Encrypted on this device with your passphrase; the server never sees your images. A forgotten passphrase cannot be recovered.')}
+      </p>
+    </div>
+  );
+};
+
+export default GallerySyncSettings;
@@ -7,6 +7,7 @@ import { AuthButton } from './AuthButton';
 import { UsageCounter } from './UsageCounter';
 import { GalleryIcon } from './icons';
 import type { SettingsState } from './SettingsMenu';
+import type { WorkspaceImportResult } from '../src/utils/workspaceArchive';
 
 const SettingsMenu = lazy(() => import('./SettingsMenu').then((module) => ({ default: module.SettingsMenu })));
 
@@ -16,6 +17,8 @@ interface HeaderProps {
   onSettingsChange: (settings: SettingsState) => void;
   hasPurchasedCredits: boolean;
   onToggleGallery?: () => void;
+  onWorkspaceImported?: (result: WorkspaceImportResult) => void;
+  onGallerySynced?: () => void;
 }
 
 export const SparkleIcon: React.FC<{ className?: string }> = ({ className }) => (
@@ -31,7 +34,7 @@ const SettingsIcon: React.FC<{ className?: string }> = ({ className }) => (
   </svg>
 );
 
-const Header: React.FC<HeaderProps> = ({ onShowPricing, settings, onSettingsChange, hasPurchasedCredits, onToggleGallery }) => {
+const Header: React.FC<HeaderProps> = ({ onShowPricing, settings, onSettingsChange, hasPurchasedCredits, onToggleGallery, onWorkspaceImported, onGallerySynced }) => {
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   return (
     <header className="studio-header sticky top-0 z-50 w-full shrink-0 border-b border-white/[0.06] px-4 py-2 sm:px-6 sm:py-2.5">
@@ -81,6 +84,8 @@ const Header: React.FC<HeaderProps> = ({ onShowPricing, settings, onSettingsChan
                   onSettingsChange={onSettingsChange}
                   hasPurchasedCredits={hasPurchasedCredits}
                   onShowPricing={onShowPricing}
+                  onWorkspaceImported={onWorkspaceImported}
+                  onGallerySynced={onGallerySynced}
                 />
               </Suspense>
             )}
@@ -21,7 +21,7 @@ export interface ImageDropzoneProps {
   isAuthenticated?: boolean;
   onShowSignupPrompt?: () => void;
   isGeneratingImage?: boolean;
-  imageCreditCost?: number;
+  imageCreditCost?: number | null;
   enableDocumentPaste?: boolean;
   pastePriority?: number;
 }
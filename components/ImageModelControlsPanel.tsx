@@ -4,10 +4,13 @@
  */
 
 import React from 'react';
-import { formatCreditAmount } from '../src/utils/creditFormatting';
+import { formatCreditEstimate } from '../src/utils/creditFormatting';
+import { usePricingCatalog } from '../src/hooks/usePricingCatalog';
+import { IMAGE_MODEL_CONSTRAINTS } from '../src/utils/modelConstraints';
+import { kieCreditsToVeilpixCredits, type PricingCatalog } from '../src/utils/pricingCatalog';
 import { PhotoIcon } from './icons';
 
-export type ImageProvider = 'nanobanana2' | 'seedream' | 'wanimage' | 'zimage';
+export type ImageProvider = 'nanobanana2' | 'nanobananapro' | 'seedream' | 'wanimage' | 'zimage';
 export type ImageResolution = '1K' | '2K' | '4K';
 export type ImageWorkflow = 'text-to-image' | 'image-to-image';
 export type SeedreamTier = 'lite' | 'pro';
@@ -19,6 +22,7 @@ export interface ImageGenerationOptions {
   aspectRatio: string;
   seedreamTier: SeedreamTier;
   outputFormat: ImageOutputFormat;
+  count: number;
 }
 
 interface RatioOption {
@@ -28,10 +32,15 @@ interface RatioOption {
 
 const AUTO_ASPECT_RATIO: RatioOption = { value: 'auto', label: 'Auto' };
 
+function getRatioOptions(provider: ImageProvider): RatioOption[] {
+  return IMAGE_MODEL_CONSTRAINTS[provider].aspectRatios.map((value) => (
+    value === AUTO_ASPECT_RATIO.value ? AUTO_ASPECT_RATIO : { value, label: value }
+  ));
+}
+
 interface ResolutionOption {
   value: ImageResolution;
   label: string;
-  workflows?: ImageWorkflow[];
 }
 
 interface ImageModelConfig {
@@ -43,48 +52,13 @@ interface ImageModelConfig {
   defaultResolution: ImageResolution;
   defaultAspectRatio: string;
   aspectRatios: RatioOption[];
+  // Every resolution the model has, with its display label. Which ones a
+  // workflow or Seedream tier allows comes from the model constraints.
   resolutions: ResolutionOption[];
 }
 
-const VEILPIX_CREDIT_USD = 0.0699;
-const TARGET_MARGIN = 0.12;
-const BILLABLE_USD_PER_VEILPIX_CREDIT = VEILPIX_CREDIT_USD * (1 - TARGET_MARGIN);
-const KIE_CREDIT_USD = 0.005;
-const IMAGE_MINIMUM_VEILPIX_CREDITS: Partial<Record<ImageProvider, number>> = {
-  zimage: 0.1,
-};
-
-export const IMAGE_KIE_CREDIT_PRICING: Record<ImageProvider, Partial<Record<ImageResolution, number>>> = {
-  nanobanana2: {
-    '1K': 8,
-    '2K': 12,
-    '4K': 18,
-  },
-  seedream: {
-    '1K': 7,
-    '2K': 5.5,
-    '4K': 5.5,
-  },
-  wanimage: {
-    '1K': 4.8,
-    '2K': 4.8,
-    '4K': 12,
-  },
-  zimage: {
-    '1K': 0.8,
-  },
-};
-
-export const SEEDREAM_KIE_CREDIT_PRICING: Record<SeedreamTier, Partial<Record<ImageResolution, number>>> = {
-  lite: {
-    '2K': 5.5,
-    '4K': 5.5,
-  },
-  pro: {
-    '1K': 7,
-    '2K': 14,
-  },
-};
+// Variations per generation; mirrors the backend's MAX_IMAGE_BATCH_COUNT.
+export const IMAGE_BATCH_COUNTS = [1, 2, 3, 4];
 
 export const IMAGE_MODEL_CONFIGS: Record<ImageProvider, ImageModelConfig> = {
   nanobanana2: {
@@ -95,23 +69,22 @@ export const IMAGE_MODEL_CONFIGS: Record<ImageProvider, ImageModelConfig> = {
     settingsLabel: 'Resolution',
     defaultResolution: '2K',
     defaultAspectRatio: 'auto',
-    aspectRatios: [
-      AUTO_ASPECT_RATIO,
-      { value: '1:1', label: '1:1' },
-      { value: '16:9', label: '16:9' },
-      { value: '9:16', label: '9:16' },
-      { value: '4:3', label: '4:3' },
-      { value: '3:4', label: '3:4' },
-      { value: '3:2', label: '3:2' },
-      { value: '2:3', label: '2:3' },
-      { value: '4:5', label: '4:5' },
-      { value: '5:4', label: '5:4' },
-      { value: '21:9', label: '21:9' },
-      { value: '4:1', label: '4:1' },
-      { value: '1:4', label: '1:4' },
-      { value: '8:1', label: '8:1' },
-      { value: '1:8', label: '1:8' },
+    aspectRatios: getRatioOptions('nanobanana2'),
+    resolutions: [
+      { value: '1K', label: '1K' },
+      { value: '2K', label: '2K' },
+      { value: '4K', label: '4K' },
     ],
+  },
+  nanobananapro: {
+    id: 'nanobananapro',
+    label: 'Nano Banana Pro',
+    shortLabel: 'Nano Pro',
+    sublabel: 'Gemini 3 Pro Image',
+    settingsLabel: 'Resolution',
+    defaultResolution: '2K',
+    defaultAspectRatio: '1:1',
+    aspectRatios: getRatioOptions('nanobananapro'),
     resolutions: [
       { value: '1K', label: '1K' },
       { value: '2K', label: '2K' },
@@ -126,16 +99,7 @@ export const IMAGE_MODEL_CONFIGS: Record<ImageProvider, ImageModelConfig> = {
     settingsLabel: 'Resolution',
     defaultResolution: '2K',
     defaultAspectRatio: '1:1',
-    aspectRatios: [
-      { value: '1:1', label: '1:1' },
-      { value: '16:9', label: '16:9' },
-      { value: '9:16', label: '9:16' },
-      { value: '4:3', label: '4:3' },
-      { value: '3:4', label: '3:4' },
-      { value: '3:2', label: '3:2' },
-      { value: '2:3', label: '2:3' },
-      { value: '21:9', label: '21:9' },
-    ],
+    aspectRatios: getRatioOptions('seedream'),
     resolutions: [
       { value: '1K', label: '1K' },
       { value: '2K', label: '2K' },
@@ -150,21 +114,11 @@ export const IMAGE_MODEL_CONFIGS: Record<ImageProvider, ImageModelConfig> = {
     settingsLabel: 'Resolution',
     defaultResolution: '2K',
     defaultAspectRatio: 'auto',
-    aspectRatios: [
-      AUTO_ASPECT_RATIO,
-      { value: '1:1', label: '1:1' },
-      { value: '16:9', label: '16:9' },
-      { value: '9:16', label: '9:16' },
-      { value: '4:3', label: '4:3' },
-      { value: '3:4', label: '3:4' },
-      { value: '21:9', label: '21:9' },
-      { value: '8:1', label: '8:1' },
-      { value: '1:8', label: '1:8' },
-    ],
+    aspectRatios: getRatioOptions('wanimage'),
     resolutions: [
       { value: '1K', label: '1K' },
       { value: '2K', label: '2K' },
-      { value: '4K', label: 'Pro 4K', workflows: ['text-to-image'] },
+      { value: '4K', label: 'Pro 4K' },
     ],
   },
   zimage: {
@@ -175,20 +129,14 @@ export const IMAGE_MODEL_CONFIGS: Record<ImageProvider, ImageModelConfig> = {
     settingsLabel: 'Output',
     defaultResolution: '1K',
     defaultAspectRatio: '1:1',
-    aspectRatios: [
-      { value: '1:1', label: '1:1' },
-      { value: '4:3', label: '4:3' },
-      { value: '3:4', label: '3:4' },
-      { value: '16:9', label: '16:9' },
-      { value: '9:16', label: '9:16' },
-    ],
+    aspectRatios: getRatioOptions('zimage'),
     resolutions: [
-      { value: '1K', label: 'Standard', workflows: ['text-to-image'] },
+      { value: '1K', label: 'Standard' },
     ],
   },
 };
 
-export const IMAGE_PROVIDER_OPTIONS: ImageProvider[] = ['nanobanana2', 'seedream', 'wanimage', 'zimage'];
+export const IMAGE_PROVIDER_OPTIONS: ImageProvider[] = ['nanobanana2', 'nanobananapro', 'seedream', 'wanimage', 'zimage'];
 
 export function imageProviderSupportsWorkflow(provider: ImageProvider, workflow?: ImageWorkflow): boolean {
   return provider !== 'zimage' || workflow !== 'image-to-image';
@@ -198,6 +146,10 @@ export function imageProviderSupportsReferences(provider: ImageProvider): boolea
   return provider !== 'zimage';
 }
 
+export function getImageMaxInputImages(provider: ImageProvider): number {
+  return IMAGE_MODEL_CONSTRAINTS[provider]?.maxInputImages ?? 0;
+}
+
 function isImageProvider(value: unknown): value is ImageProvider {
   return typeof value === 'string' && value in IMAGE_MODEL_CONFIGS;
 }
@@ -214,43 +166,53 @@ function isImageOutputFormat(value: unknown): value is ImageOutputFormat {
   return value === 'png' || value === 'jpeg';
 }
 
+function isImageBatchCount(value: unknown): value is number {
+  return typeof value === 'number' && IMAGE_BATCH_COUNTS.includes(value);
+}
+
 export function getImageModelResolutions(provider: ImageProvider, workflow?: ImageWorkflow, seedreamTier: SeedreamTier = 'lite'): ResolutionOption[] {
   const config = IMAGE_MODEL_CONFIGS[provider] ?? IMAGE_MODEL_CONFIGS.seedream;
+  const constraints = IMAGE_MODEL_CONSTRAINTS[config.id];
   const workflowResolutions = workflow
-    ? config.resolutions.filter((resolution) => !resolution.workflows || resolution.workflows.includes(workflow))
-    : config.resolutions;
-
-  if (provider !== 'seedream') return workflowResolutions;
-  const allowed = seedreamTier === 'pro' ? ['1K', '2K'] : ['2K', '4K'];
-  return workflowResolutions.filter((resolution) => allowed.includes(resolution.value));
+    ? constraints.resolutions[workflow]
+    : [...constraints.resolutions['text-to-image'], ...constraints.resolutions['image-to-image']];
+  const tierResolutions = constraints.tierResolutions?.[seedreamTier];
+  return config.resolutions.filter((resolution) => (
+    workflowResolutions.includes(resolution.value) && (!tierResolutions || tierResolutions.includes(resolution.value))
+  ));
 }
 
-function veilpixCreditsFromKieCredits(kieCredits: number): number {
-  const rawCredits = Math.max(0, (kieCredits * KIE_CREDIT_USD) / BILLABLE_USD_PER_VEILPIX_CREDIT);
+function veilpixCreditsFromKieCredits(catalog: PricingCatalog, kieCredits: number): number {
+  const rawCredits = kieCreditsToVeilpixCredits(catalog, kieCredits);
   if (rawCredits <= 0) return 0;
   if (rawCredits < 1) return Math.ceil(rawCredits * 100) / 100;
   return Math.ceil(rawCredits);
 }
 
-export function getImageKieCreditCost(provider: ImageProvider, resolution?: ImageResolution, workflow?: ImageWorkflow, seedreamTier: SeedreamTier = 'lite', imageCount = 0): number {
+// Estimates are null until the pricing catalog has loaded.
+export function getImageKieCreditCost(catalog: PricingCatalog | undefined, provider: ImageProvider, resolution?: ImageResolution, workflow?: ImageWorkflow, seedreamTier: SeedreamTier = 'lite', imageCount = 0): number | null {
+  if (!catalog) return null;
   const config = IMAGE_MODEL_CONFIGS[provider] ?? IMAGE_MODEL_CONFIGS.seedream;
   const availableResolutions = getImageModelResolutions(config.id, workflow, seedreamTier);
   const selectedResolution = resolution && availableResolutions.some((item) => item.value === resolution)
     ? resolution
     : availableResolutions[0]?.value ?? config.defaultResolution;
   if (config.id === 'seedream') {
-    const baseCost = SEEDREAM_KIE_CREDIT_PRICING[seedreamTier][selectedResolution] ?? 5.5;
-    const extraInputCost = workflow === 'image-to-image' ? Math.max(0, imageCount - 1) * 0.5 : 0;
+    const baseCost = catalog.image.seedreamTiers[seedreamTier][selectedResolution] ?? 0;
+    const extraInputCost = workflow === 'image-to-image'
+      ? Math.max(0, imageCount - 1) * catalog.image.seedreamExtraInputKieCredits
+      : 0;
     return baseCost + extraInputCost;
   }
-  return IMAGE_KIE_CREDIT_PRICING[config.id][selectedResolution] ?? IMAGE_KIE_CREDIT_PRICING.seedream['2K'] ?? 5.5;
+  return catalog.image.kieCredits[config.id][selectedResolution] ?? 0;
 }
 
-export function getImageCreditCost(provider: ImageProvider, resolution?: ImageResolution, workflow?: ImageWorkflow, seedreamTier: SeedreamTier = 'lite', imageCount = 0): number {
-  const calculatedCredits = veilpixCreditsFromKieCredits(
-    getImageKieCreditCost(provider, resolution, workflow, seedreamTier, imageCount)
-  );
-  return Math.max(calculatedCredits, IMAGE_MINIMUM_VEILPIX_CREDITS[provider] ?? 0);
+export function getImageCreditCost(catalog: PricingCatalog | undefined, provider: ImageProvider, resolution?: ImageResolution, workflow?: ImageWorkflow, seedreamTier: SeedreamTier = 'lite', imageCount = 0, count = 1): number | null {
+  const kieCredits = getImageKieCreditCost(catalog, provider, resolution, workflow, seedreamTier, imageCount);
+  if (!catalog || kieCredits === null) return null;
+  const calculatedCredits = veilpixCreditsFromKieCredits(catalog, kieCredits);
+  const creditsPerImage = Math.max(calculatedCredits, catalog.image.minimumCredits[provider] ?? 0);
+  return Math.round(creditsPerImage * count * 100) / 100;
 }
 
 export function normalizeImageGenerationOptions(options?: Partial<ImageGenerationOptions>, workflow?: ImageWorkflow): ImageGenerationOptions {
@@ -258,6 +220,7 @@ export function normalizeImageGenerationOptions(options?: Partial<ImageGeneratio
   const config = IMAGE_MODEL_CONFIGS[provider];
   const seedreamTier = isSeedreamTier(options?.seedreamTier) ? options.seedreamTier : 'lite';
   const outputFormat = isImageOutputFormat(options?.outputFormat) ? options.outputFormat : 'png';
+  const count = isImageBatchCount(options?.count) ? options.count : 1;
   const availableResolutions = getImageModelResolutions(provider, workflow, seedreamTier);
   const resolution = isImageResolution(options?.resolution) && availableResolutions.some((item) => item.value === options.resolution)
     ? options.resolution
@@ -272,6 +235,7 @@ export function normalizeImageGenerationOptions(options?: Partial<ImageGeneratio
     aspectRatio,
     seedreamTier,
     outputFormat,
+    count,
   };
 }
 
@@ -364,6 +328,7 @@ export const ImageModelSettings: React.FC<ImageModelSettingsProps> = ({ value, o
   const normalizedValue = normalizeImageGenerationOptions(value, workflow);
   const config = IMAGE_MODEL_CONFIGS[normalizedValue.provider];
   const availableResolutions = getImageModelResolutions(normalizedValue.provider, workflow, normalizedValue.seedreamTier);
+  const { data: pricingCatalog } = usePricingCatalog();
 
   React.useEffect(() => {
     if (
@@ -371,11 +336,12 @@ export const ImageModelSettings: React.FC<ImageModelSettingsProps> = ({ value, o
       normalizedValue.resolution !== value.resolution ||
       normalizedValue.aspectRatio !== value.aspectRatio ||
       normalizedValue.seedreamTier !== value.seedreamTier ||
-      normalizedValue.outputFormat !== value.outputFormat
+      normalizedValue.outputFormat !== value.outputFormat ||
+      normalizedValue.count !== value.count
     ) {
       onChange(normalizedValue);
     }
-  }, [normalizedValue, onChange, value.aspectRatio, value.outputFormat, value.provider, value.resolution, value.seedreamTier]);
+  }, [normalizedValue, onChange, value.aspectRatio, value.count, value.outputFormat, value.provider, value.resolution, value.seedreamTier]);
 
   const updateOption = (partial: Partial<ImageGenerationOptions>) => {
     onChange(normalizeImageGenerationOptions({ ...normalizedValue, ...partial }, workflow));
@@ -423,7 +389,7 @@ export const ImageModelSettings: React.FC<ImageModelSettingsProps> = ({ value, o
           <label className="text-sm font-semibold text-gray-300">{config.settingsLabel}</label>
           <div className={`grid gap-2 ${availableResolutions.length === 2 ? 'grid-cols-2' : 'grid-cols-3'}`}>
             {availableResolutions.map((resolution) => {
-              const creditCost = getImageCreditCost(normalizedValue.provider, resolution.value, workflow, normalizedValue.seedreamTier, imageCount);
+              const creditCost = getImageCreditCost(pricingCatalog, normalizedValue.provider, resolution.value, workflow, normalizedValue.seedreamTier, imageCount);
               return (
                 <button
                   key={resolution.value}
@@ -433,7 +399,7 @@ export const ImageModelSettings: React.FC<ImageModelSettingsProps> = ({ value, o
                   disabled={isLoading}
                 >
                   <span className="block truncate">{resolution.label}</span>
-                  <span className="block text-[10px] font-medium opacity-75">{formatCreditAmount(creditCost)} cr</span>
+                  <span className="block text-[10px] font-medium opacity-75">{formatCreditEstimate(creditCost)} cr</span>
                 </button>
               );
             })}
@@ -6,6 +6,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
 import type { ImageOutputFormat, ImageProvider, ImageResolution, SeedreamTier } from './ImageModelControlsPanel';
+import {
+  GALLERY_BUDGET_OPTIONS_MB,
+  formatStorageSize,
+  getStorageEstimate,
+  type StorageEstimateSummary,
+} from '../src/utils/storageManager';
+import { exportWorkspace, importWorkspace, type WorkspaceImportResult } from '../src/utils/workspaceArchive';
+import GallerySyncSettings from './GallerySyncSettings';
 
 export type ApiProvider = ImageProvider;
 export type Resolution = ImageResolution;
@@ -16,7 +24,9 @@ export interface SettingsState {
   imageAspectRatio: string;
   seedreamTier: SeedreamTier;
   imageOutputFormat: ImageOutputFormat;
+  imageCount: number;
   nsfwFilterEnabled: boolean;
+  galleryStorageBudgetMb: number;
 }
 
 interface SettingsMenuProps {
@@ -26,6 +36,8 @@ interface SettingsMenuProps {
   onSettingsChange: (settings: SettingsState) => void;
   hasPurchasedCredits: boolean;
   onShowPricing?: () => void;
+  onWorkspaceImported?: (result: WorkspaceImportResult) => void;
+  onGallerySynced?: () => void;
 }
 
 const SettingsIcon: React.FC<{ className?: string }> = ({ className }) => (
@@ -44,9 +56,17 @@ const MasqueradeIcon: React.FC<{ className?: string }> = ({ className }) => (
   </svg>
 );
 
-export const SettingsMenu: React.FC<SettingsMenuProps> = ({ isOpen, onClose, settings, onSettingsChange, hasPurchasedCredits, onShowPricing }) => {
+export const SettingsMenu: React.FC<SettingsMenuProps> = ({ isOpen, onClose, settings, onSettingsChange, hasPurchasedCredits, onShowPricing, onWorkspaceImported, onGallerySynced }) => {
   const menuRef = useRef<HTMLDivElement>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
   const [showAgeModal, setShowAgeModal] = useState(false);
+  const [storageEstimate, setStorageEstimate] = useState<StorageEstimateSummary | null>(null);
+  const [workspaceBusy, setWorkspaceBusy] = useState<'export' | 'import' | null>(null);
+  const [workspaceStatus, setWorkspaceStatus] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (isOpen) getStorageEstimate().then(setStorageEstimate);
+  }, [isOpen]);
 
   // Close menu when clicking outside
   useEffect(() => {
@@ -82,6 +102,49 @@ export const SettingsMenu: React.FC<SettingsMenuProps> = ({ isOpen, onClose, set
     });
   };
 
+  const handleExportWorkspace = async () => {
+    setWorkspaceBusy('export');
+    setWorkspaceStatus(null);
+    try {
+      const archive = await exportWorkspace();
+      const url = URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `veilpix-workspace-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      setWorkspaceStatus(`Exported ${formatStorageSize(archive.size)}.`);
+    } catch (error) {
+      console.error('Failed to export workspace:', error);
+      setWorkspaceStatus(error instanceof Error ? error.message : 'Export failed.');
+    } finally {
+      setWorkspaceBusy(null);
+    }
+  };
+
+  const handleImportWorkspace = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setWorkspaceBusy('import');
+    setWorkspaceStatus(null);
+    try {
+      const result = await importWorkspace(file);
+      setWorkspaceStatus(
+        `Imported ${result.imported} ${result.imported === 1 ? 'item' : 'items'}`
+        + (result.skipped > 0 ? `, skipped ${result.skipped} already here.` : '.')
+      );
+      onWorkspaceImported?.(result);
+    } catch (error) {
+      console.error('Failed to import workspace:', error);
+      setWorkspaceStatus(error instanceof Error ? error.message : 'Import failed.');
+    } finally {
+      setWorkspaceBusy(null);
+    }
+  };
+
   // Non-purchasers always see the filter as ON (After Dark OFF), regardless of stored state
   const effectiveNsfwFilterEnabled = hasPurchasedCredits ? settings.nsfwFilterEnabled : true;
 
@@ -125,6 +188,70 @@ export const SettingsMenu: React.FC<SettingsMenuProps> = ({ isOpen, onClose, set
               </div>
             </button>
           </div>
+
+          {/* Gallery storage budget */}
+          <div className="mt-4 pt-3 border-t border-gray-700">
+            <label className="flex items-center justify-between gap-3">
+              <span className="text-xs text-gray-400">Gallery storage</span>
+              <select
+                value={settings.galleryStorageBudgetMb}
+                onChange={(event) => onSettingsChange({
+                  ...settings,
+                  galleryStorageBudgetMb: Number(event.target.value)
+                })}
+                className="bg-gray-900 border border-gray-600 rounded-md px-2 py-1 text-xs text-gray-200"
+              >
+                {GALLERY_BUDGET_OPTIONS_MB.map((megabytes) => (
+                  <option key={megabytes} value={megabytes}>
+                    {formatStorageSize(megabytes * 1024 * 1024)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <p className="mt-1.5 text-[11px] leading-relaxed text-gray-500">
+              {storageEstimate
+                ? `${formatStorageSize(storageEstimate.usage)} used of ${formatStorageSize(storageEstimate.quota)} available in this browser. `
+                : ''}
+              Least recently used items are removed past the limit; pinned items are always kept.
+            </p>
+          </div>
+
+          {/* Workspace export / import */}
+          <div className="mt-4 pt-3 border-t border-gray-700">
+            <span className="text-xs text-gray-400">Workspace</span>
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={handleExportWorkspace}
+                disabled={workspaceBusy !== null}
+                className="flex-1 rounded-md border border-gray-600 bg-gray-900 px-2 py-1.5 text-xs text-gray-200 transition-colors hover:bg-gray-700 disabled:opacity-50"
+              >
+                {workspaceBusy === 'export' ? 'Exporting…' : 'Export'}
+              </button>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                disabled={workspaceBusy !== null}
+                className="flex-1 rounded-md border border-gray-600 bg-gray-900 px-2 py-1.5 text-xs text-gray-200 transition-colors hover:bg-gray-700 disabled:opacity-50"
+              >
+                {workspaceBusy === 'import' ? 'Importing…' : 'Import'}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".zip,application/zip"
+                onChange={handleImportWorkspace}
+                className="hidden"
+              />
+            </div>
+            <p className="mt-1.5 text-[11px] leading-relaxed text-gray-500">
+              {workspaceStatus ?? 'Save your gallery and current history as a zip to open in another browser. Importing skips items you already have.'}
+            </p>
+          </div>
+
+          {/* Encrypted cloud sync */}
+          <div className="mt-4 pt-3 border-t border-gray-700">
+            <span className="text-xs text-gray-400">Cloud sync</span>
+            <GallerySyncSettings onGallerySynced={onGallerySynced} />
+          </div>
         </div>
       </div>
 
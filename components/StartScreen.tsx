@@ -4,6 +4,7 @@
 */
 
 import React, { lazy, Suspense, useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
+import { usePricingCatalog } from '../src/hooks/usePricingCatalog';
 import { formatCreditLabel } from '../src/utils/creditFormatting';
 import ImageDropzone from './ImageDropzone';
 import ModeSelector, { type CreativeMode } from './ModeSelector';
@@ -93,8 +94,9 @@ const StartScreen: React.FC<StartScreenProps> = ({ onFileSelect, onCompositeSele
   const belowFoldRef = useRef<HTMLDivElement>(null);
   const activeImageWorkflow = activeMode === 'composite' ? 'image-to-image' : 'text-to-image';
   const normalizedActiveImageOptions = normalizeImageGenerationOptions(imageOptions, activeImageWorkflow);
-  const activeImageCreditCost = imageCreditCost ?? getImageCreditCost(normalizedActiveImageOptions.provider, normalizedActiveImageOptions.resolution, activeImageWorkflow, normalizedActiveImageOptions.seedreamTier, activeMode === 'composite' ? 2 : 0);
-  const sourceGenerationCreditCost = getImageCreditCost(normalizedActiveImageOptions.provider, normalizedActiveImageOptions.resolution, 'text-to-image', normalizedActiveImageOptions.seedreamTier);
+  const { data: pricingCatalog } = usePricingCatalog();
+  const activeImageCreditCost = imageCreditCost ?? getImageCreditCost(pricingCatalog, normalizedActiveImageOptions.provider, normalizedActiveImageOptions.resolution, activeImageWorkflow, normalizedActiveImageOptions.seedreamTier, activeMode === 'composite' ? 2 : 0);
+  const sourceGenerationCreditCost = getImageCreditCost(pricingCatalog, normalizedActiveImageOptions.provider, normalizedActiveImageOptions.resolution, 'text-to-image', normalizedActiveImageOptions.seedreamTier);
   const imageCreditLabel = formatCreditLabel(activeImageCreditCost);
 
   // Update composite file when prop changes
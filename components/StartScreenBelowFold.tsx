@@ -55,7 +55,7 @@ const StartScreenBelowFold: React.FC<StartScreenBelowFoldProps> = ({
             <PaletteIcon className="w-6 h-6 text-blue-400" />
           </div>
           <h3 className="text-xl font-bold text-gray-100">Text-to-Image</h3>
-          <p className="mt-2 text-gray-400">Describe a scene, style, or product concept and generate new images with Nano Banana 2, Seedream 5, and Wan image models.</p>
+          <p className="mt-2 text-gray-400">Describe a scene, style, or product concept and generate new images with Nano Banana 2, Nano Banana Pro, Seedream 5, and Wan image models.</p>
         </div>
         <div className="bg-black/20 p-6 rounded-lg border border-gray-700/50 flex flex-col items-center text-center">
           <div className="flex items-center justify-center w-12 h-12 bg-gray-700 rounded-full mb-4">
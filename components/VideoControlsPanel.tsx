@@ -5,6 +5,9 @@
 
 import React, { useEffect, useMemo, useState } from 'react';
 import { useImageImport } from '../src/hooks/useImageImport';
+import { usePricingCatalog } from '../src/hooks/usePricingCatalog';
+import { formatCreditLabel } from '../src/utils/creditFormatting';
+import { getSeedanceCreditCost, getWanCreditCost } from './studio/videoPricing';
 import { PhotoIcon, VideoIcon } from './icons';
 
 type VideoProvider = 'wan' | 'seedance';
@@ -82,58 +85,12 @@ const SEEDANCE_DURATION_LIMITS: Record<SeedanceVariant, { min: number; max: numb
   mini: { min: 4, max: 15, defaultValue: 5 },
 };
 
-const WAN_VIDEO_CREDIT_TABLE: Record<number, Record<string, number>> = {
-  5:  { '720p': 7,  '1080p': 10 },
-  10: { '720p': 13, '1080p': 19 },
-  15: { '720p': 19, '1080p': 29 },
-};
-
-const SEEDANCE_PRICING: Record<SeedanceVariant, Record<string, { noVideo: number; withVideo: number }>> = {
-  fast: {
-    '480p': { noVideo: 15.5, withVideo: 9 },
-    '720p': { noVideo: 33, withVideo: 20 },
-  },
-  mini: {
-    '480p': { noVideo: 9.5, withVideo: 6 },
-    '720p': { noVideo: 20.5, withVideo: 12.5 },
-  },
-  regular: {
-    '480p': { noVideo: 19, withVideo: 11.5 },
-    '720p': { noVideo: 41, withVideo: 25 },
-    '1080p': { noVideo: 102, withVideo: 62 },
-  },
-};
-
-const KIE_CREDIT_USD = 0.005;
-const BILLABLE_USD_PER_VEILPIX_CREDIT = 0.0699 * 0.88;
-
-function getWanCreditCost(duration: number, resolution: string): number {
-  return WAN_VIDEO_CREDIT_TABLE[duration]?.[resolution] ?? Math.ceil(duration * (resolution === '1080p' ? 2.0 : 1.4));
-}
-
 function clampSeedanceDuration(variant: SeedanceVariant, duration: number): number {
   const limits = SEEDANCE_DURATION_LIMITS[variant];
   if (!Number.isFinite(duration)) return limits.defaultValue;
   return Math.max(limits.min, Math.min(limits.max, Math.round(duration)));
 }
 
-function getSeedanceCreditCost(
-  variant: SeedanceVariant,
-  resolution: string,
-  duration: number,
-  hasVideoReference: boolean,
-  referenceVideoDuration?: number | null
-): number {
-  const pricing = SEEDANCE_PRICING[variant][resolution] ?? SEEDANCE_PRICING[variant][SEEDANCE_RESOLUTIONS[variant][0]];
-  const outputSeconds = clampSeedanceDuration(variant, duration);
-  const inputSeconds = hasVideoReference
-    ? Math.max(0, Math.min(SEEDANCE_DURATION_LIMITS[variant].max, Math.round(referenceVideoDuration ?? SEEDANCE_DURATION_LIMITS[variant].max)))
-    : 0;
-  const rate = hasVideoReference ? pricing.withVideo : pricing.noVideo;
-  const kieCredits = Math.ceil(rate * (outputSeconds + inputSeconds));
-  return Math.max(1, Math.ceil((kieCredits * KIE_CREDIT_USD) / BILLABLE_USD_PER_VEILPIX_CREDIT));
-}
-
 function getWanMaxReferenceImages(hasVideoReference: boolean): number {
   return hasVideoReference ? 4 : 5;
 }
@@ -316,14 +273,19 @@ const VideoControlsPanel: React.FC<VideoControlsPanelProps> = ({
     maxFiles: SEEDANCE_MAX_REFERENCE_IMAGES - seedanceReferenceImages.length,
   });
 
-  const wanCreditCost = useMemo(() => getWanCreditCost(wanDuration, wanResolution), [wanDuration, wanResolution]);
+  const { data: pricingCatalog } = usePricingCatalog();
+  const wanCreditCost = useMemo(
+    () => getWanCreditCost(pricingCatalog, wanDuration, wanResolution),
+    [pricingCatalog, wanDuration, wanResolution]
+  );
   const seedanceCreditCost = useMemo(() => getSeedanceCreditCost(
+    pricingCatalog,
     seedanceVariant,
     seedanceResolution,
     seedanceDuration,
     hasSeedanceVideoReference,
     seedanceReferenceVideoDuration
-  ), [hasSeedanceVideoReference, seedanceDuration, seedanceReferenceVideoDuration, seedanceResolution, seedanceVariant]);
+  ), [hasSeedanceVideoReference, pricingCatalog, seedanceDuration, seedanceReferenceVideoDuration, seedanceResolution, seedanceVariant]);
 
   useEffect(() => {
     if (!SEEDANCE_RESOLUTIONS[seedanceVariant].includes(seedanceResolution)) {
@@ -987,7 +949,7 @@ const VideoControlsPanel: React.FC<VideoControlsPanelProps> = ({
             : 'bg-gradient-to-br from-blue-600 to-blue-500 shadow-blue-500/20 disabled:from-blue-800 disabled:to-blue-700'
         }`}
       >
-        {isLoading ? 'Generating Video...' : `Generate ${activeModelName} - ${activeCreditCost} credits`}
+        {isLoading ? 'Generating Video...' : `Generate ${activeModelName} - ${formatCreditLabel(activeCreditCost)}`}
       </button>
 
       {isLoading && (
@@ -0,0 +1,239 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Free adjustment layer over the current history entry. Sliders re-render a
+ * WebGL preview in real time; nothing is saved until "Apply to image" bakes
+ * the result into history. Hold the preview to see the image without it.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  DEFAULT_ADJUSTMENTS,
+  HSL_BANDS,
+  createAdjustmentRenderer,
+  getCurvePoints,
+  isDefaultAdjustments,
+  loadAdjustmentSource,
+  type AdjustmentRenderer,
+  type HslBand,
+  type HslShift,
+  type ImageAdjustments,
+} from '../../src/utils/imageAdjustments';
+import { SegmentedControl } from './controls';
+
+type AdjustmentSection = 'light' | 'color' | 'curves' | 'hsl';
+
+interface AdjustmentEditorProps {
+  imageUrl: string;
+  disabled?: boolean;
+  onBake: (adjustments: ImageAdjustments) => void;
+}
+
+const SECTIONS: { value: AdjustmentSection; label: string }[] = [
+  { value: 'light', label: 'Light' },
+  { value: 'color', label: 'Color' },
+  { value: 'curves', label: 'Curves' },
+  { value: 'hsl', label: 'HSL' },
+];
+
+// The preview renders at screen-friendly size; the bake uses full resolution.
+const PREVIEW_MAX_DIMENSION = 1600;
+
+interface SliderRowProps {
+  label: string;
+  value: number;
+  onChange: (value: number) => void;
+  disabled?: boolean;
+}
+
+const SliderRow: React.FC<SliderRowProps> = ({ label, value, onChange, disabled = false }) => (
+  <label className="flex items-center gap-3 text-xs text-gray-400">
+    <span className="w-20 shrink-0">{label}</span>
+    <input
+      type="range"
+      min={-100}
+      max={100}
+      value={value}
+      disabled={disabled}
+      onChange={(event) => onChange(Number(event.target.value))}
+      onDoubleClick={() => onChange(0)}
+      className="min-w-0 flex-1 accent-accent-300"
+      aria-label={label}
+    />
+    <span className="w-9 shrink-0 text-right tabular-nums text-gray-300">{value > 0 ? `+${value}` : value}</span>
+  </label>
+);
+
+const CurvePreview: React.FC<{ curves: ImageAdjustments['curves'] }> = ({ curves }) => {
+  const points = getCurvePoints(curves).map(([x, y]) => `${x * 100},${100 - y * 100}`).join(' ');
+  return (
+    <svg viewBox="0 0 100 100" className="edge-mute h-24 w-24 shrink-0 rounded-lg bg-black/30" aria-hidden="true">
+      <path d="M25 0V100M50 0V100M75 0V100M0 25H100M0 50H100M0 75H100" stroke="rgba(255,255,255,0.08)" strokeWidth="1" />
+      <line x1="0" y1="100" x2="100" y2="0" stroke="rgba(255,255,255,0.15)" strokeWidth="1" strokeDasharray="3 3" />
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="2" className="text-accent-300" />
+    </svg>
+  );
+};
+
+const AdjustmentEditor: React.FC<AdjustmentEditorProps> = ({ imageUrl, disabled = false, onBake }) => {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const rendererRef = useRef<AdjustmentRenderer | null>(null);
+  const [adjustments, setAdjustments] = useState<ImageAdjustments>(DEFAULT_ADJUSTMENTS);
+  const [section, setSection] = useState<AdjustmentSection>('light');
+  const [hslBand, setHslBand] = useState<HslBand>('red');
+  const [isHoldingOriginal, setIsHoldingOriginal] = useState(false);
+  const [unsupported, setUnsupported] = useState(false);
+  const [rendererVersion, setRendererVersion] = useState(0);
+
+  // A new history entry keeps the sliders and re-renders them over the new image.
+  useEffect(() => {
+    let cancelled = false;
+    let source: ImageBitmap | null = null;
+
+    fetch(imageUrl)
+      .then((response) => response.blob())
+      .then((blob) => loadAdjustmentSource(blob, PREVIEW_MAX_DIMENSION))
+      .then((bitmap) => {
+        source = bitmap;
+        if (cancelled || !canvasRef.current) return;
+        rendererRef.current?.dispose();
+        rendererRef.current = createAdjustmentRenderer(canvasRef.current, bitmap);
+        setUnsupported(!rendererRef.current);
+        setRendererVersion((version) => version + 1);
+      })
+      .catch((error) => {
+        console.error('Failed to prepare the adjustment preview:', error);
+        if (!cancelled) setUnsupported(true);
+      });
+
+    return () => {
+      cancelled = true;
+      source?.close();
+    };
+  }, [imageUrl]);
+
+  useEffect(() => () => {
+    rendererRef.current?.dispose();
+    rendererRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    const frame = requestAnimationFrame(() => {
+      rendererRef.current?.render(isHoldingOriginal ? DEFAULT_ADJUSTMENTS : adjustments);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [adjustments, isHoldingOriginal, rendererVersion]);
+
+  const update = (changes: Partial<ImageAdjustments>) => {
+    setAdjustments((current) => ({ ...current, ...changes }));
+  };
+
+  const updateCurve = (point: keyof ImageAdjustments['curves'], value: number) => {
+    setAdjustments((current) => ({ ...current, curves: { ...current.curves, [point]: value } }));
+  };
+
+  const updateHsl = (channel: keyof HslShift, value: number) => {
+    setAdjustments((current) => ({
+      ...current,
+      hsl: { ...current.hsl, [hslBand]: { ...current.hsl[hslBand], [channel]: value } },
+    }));
+  };
+
+  const unchanged = isDefaultAdjustments(adjustments);
+  const bandShift = adjustments.hsl[hslBand];
+
+  if (unsupported) {
+    return (
+      <p className="rounded-2xl bg-black/30 px-4 py-6 text-center text-sm text-gray-400">
+        Adjustments need WebGL, which this browser does not support.
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex w-full flex-col items-center gap-3">
+      <canvas
+        ref={canvasRef}
+        onPointerDown={() => setIsHoldingOriginal(true)}
+        onPointerUp={() => setIsHoldingOriginal(false)}
+        onPointerLeave={() => setIsHoldingOriginal(false)}
+        title="Hold to see the image without adjustments"
+        className="max-h-[48dvh] w-auto max-w-full cursor-pointer rounded-2xl object-contain"
+      />
+
+      <div className="edge glass-chip flex w-full max-w-xl flex-col gap-3 rounded-2xl p-4 animate-fade-in-fast">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <SegmentedControl value={section} options={SECTIONS} onChange={setSection} size="sm" ariaLabel="Adjustment group" />
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setAdjustments(DEFAULT_ADJUSTMENTS)}
+              disabled={disabled || unchanged}
+              className="edge glass-chip h-8 rounded-full px-3 text-[11px] font-medium text-gray-400 hover:text-white disabled:opacity-45"
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              onClick={() => onBake(adjustments)}
+              disabled={disabled || unchanged}
+              className="btn-porcelain edge-strong h-8 rounded-full px-3.5 text-[11px] font-semibold disabled:opacity-45"
+            >
+              Apply to image
+            </button>
+          </div>
+        </div>
+
+        {section === 'light' && (
+          <>
+            <SliderRow label="Exposure" value={adjustments.exposure} onChange={(exposure) => update({ exposure })} disabled={disabled} />
+            <SliderRow label="Contrast" value={adjustments.contrast} onChange={(contrast) => update({ contrast })} disabled={disabled} />
+          </>
+        )}
+
+        {section === 'color' && (
+          <>
+            <SliderRow label="Temperature" value={adjustments.temperature} onChange={(temperature) => update({ temperature })} disabled={disabled} />
+            <SliderRow label="Tint" value={adjustments.tint} onChange={(tint) => update({ tint })} disabled={disabled} />
+            <SliderRow label="Saturation" value={adjustments.saturation} onChange={(saturation) => update({ saturation })} disabled={disabled} />
+          </>
+        )}
+
+        {section === 'curves' && (
+          <div className="flex items-center gap-4">
+            <CurvePreview curves={adjustments.curves} />
+            <div className="flex min-w-0 flex-1 flex-col gap-3">
+              <SliderRow label="Shadows" value={adjustments.curves.shadows} onChange={(value) => updateCurve('shadows', value)} disabled={disabled} />
+              <SliderRow label="Midtones" value={adjustments.curves.midtones} onChange={(value) => updateCurve('midtones', value)} disabled={disabled} />
+              <SliderRow label="Highlights" value={adjustments.curves.highlights} onChange={(value) => updateCurve('highlights', value)} disabled={disabled} />
+            </div>
+          </div>
+        )}
+
+        {section === 'hsl' && (
+          <>
+            <div className="flex flex-wrap items-center gap-1.5">
+              {HSL_BANDS.map((band) => (
+                <button
+                  key={band.id}
+                  type="button"
+                  onClick={() => setHslBand(band.id)}
+                  aria-label={band.label}
+                  title={band.label}
+                  className={`h-6 w-6 rounded-full border-2 transition ${hslBand === band.id ? 'border-white' : 'border-transparent opacity-70 hover:opacity-100'}`}
+                  style={{ backgroundColor: band.color }}
+                />
+              ))}
+            </div>
+            <SliderRow label="Hue" value={bandShift.hue} onChange={(value) => updateHsl('hue', value)} disabled={disabled} />
+            <SliderRow label="Saturation" value={bandShift.saturation} onChange={(value) => updateHsl('saturation', value)} disabled={disabled} />
+            <SliderRow label="Luminance" value={bandShift.luminance} onChange={(value) => updateHsl('luminance', value)} disabled={disabled} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdjustmentEditor;
@@ -7,13 +7,20 @@
  */
 
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { formatCreditAmount } from '../../src/utils/creditFormatting';
+import { formatCreditEstimate } from '../../src/utils/creditFormatting';
 import { getSubmittedPrompt } from '../../src/utils/promptSubmission';
+import { diffPrompts } from '../../src/utils/promptDiff';
+import { getPromptLengthError, getPromptLimits, getWanVideoMode } from '../../src/utils/modelConstraints';
+import { ApiError } from '../../src/services/apiClient';
+import { useEnhancePrompt, type EnhancePromptResponse } from '../../src/hooks/usePromptEnhancement';
+import { usePricingCatalog } from '../../src/hooks/usePricingCatalog';
 import {
   getImageCreditCost,
+  getImageMaxInputImages,
   getImageModelResolutions,
   imageProviderSupportsReferences,
   normalizeImageGenerationOptions,
+  IMAGE_BATCH_COUNTS,
   IMAGE_MODEL_CONFIGS,
   type ImageGenerationOptions,
   type ImageProvider,
@@ -21,7 +28,7 @@ import {
   type SeedreamTier,
   type ImageOutputFormat,
 } from '../ImageModelControlsPanel';
-import { PhotoIcon, VideoIcon, SlidersIcon, CombineIcon } from '../icons';
+import { PhotoIcon, VideoIcon, SlidersIcon, CombineIcon, MagicWandIcon } from '../icons';
 import {
   Dropdown,
   OptionRow,
@@ -32,7 +39,9 @@ import {
   ToggleRow,
   PlusIcon,
 } from './controls';
-import { ImageSlot, ImageGrid, VideoSlot, AudioSlot } from './ReferenceInputs';
+import { ImageSlot, ImageGrid, VideoSlot, AudioSlot, CompositeReferenceList } from './ReferenceInputs';
+import PromptLibrary from './PromptLibrary';
+import type { CompositeReference } from '../../src/utils/compositePrompt';
 import {
   WAN_26_DURATIONS,
   WAN_27_DURATIONS,
@@ -47,21 +56,25 @@ import {
   getWanMaxReferenceImages,
   clampSeedanceDuration,
 } from './videoPricing';
-import type { StudioMode, VideoProvider, SeedanceVariant, SeedanceInputMode, VideoGenerateOptions } from './types';
+import type { StudioMode, VideoProvider, SeedanceVariant, SeedanceInputMode, VideoGenerateOptions, ImageCompareModel } from './types';
 
 /* ------------------------------------------------------------------ */
 
-type ImageModelId = 'nanobanana2' | 'seedream-lite' | 'seedream-pro' | 'wanimage' | 'zimage';
+type ImageModelId = 'nanobanana2' | 'nanobananapro' | 'seedream-lite' | 'seedream-pro' | 'wanimage' | 'zimage';
 type VideoModelId = 'wan' | 'seedance-regular' | 'seedance-fast' | 'seedance-mini';
 
 const IMAGE_MODELS: { id: ImageModelId; provider: ImageProvider; tier: SeedreamTier; label: string; sublabel: string }[] = [
   { id: 'nanobanana2', provider: 'nanobanana2', tier: 'lite', label: 'Nano Banana 2', sublabel: 'Gemini 3.1 Flash' },
+  { id: 'nanobananapro', provider: 'nanobananapro', tier: 'lite', label: 'Nano Banana Pro', sublabel: 'Gemini 3 Pro Image' },
   { id: 'seedream-lite', provider: 'seedream', tier: 'lite', label: 'Seedream 5 Lite', sublabel: 'ByteDance' },
   { id: 'seedream-pro', provider: 'seedream', tier: 'pro', label: 'Seedream 5 Pro', sublabel: 'ByteDance' },
   { id: 'wanimage', provider: 'wanimage', tier: 'lite', label: 'Wan 2.7 Image', sublabel: 'Alibaba' },
   { id: 'zimage', provider: 'zimage', tier: 'lite', label: 'Z-Image Turbo', sublabel: 'Tongyi-MAI · text only' },
 ];
 
+const MIN_COMPARE_MODELS = 2;
+const MAX_COMPARE_MODELS = 4;
+
 const VIDEO_MODELS: { id: VideoModelId; provider: VideoProvider; variant: SeedanceVariant; label: string; sublabel: string }[] = [
   { id: 'wan', provider: 'wan', variant: 'regular', label: 'Wan Video', sublabel: '2.6 / 2.7 · auto' },
   { id: 'seedance-regular', provider: 'seedance', variant: 'regular', label: 'Seedance 2.0', sublabel: 'ByteDance' },
@@ -69,13 +82,6 @@ const VIDEO_MODELS: { id: VideoModelId; provider: VideoProvider; variant: Seedan
   { id: 'seedance-mini', provider: 'seedance', variant: 'mini', label: 'Seedance 2.0 Mini', sublabel: 'ByteDance' },
 ];
 
-const STYLE_PRESETS = [
-  { name: 'Synthwave', prompt: 'Apply a vibrant 80s synthwave aesthetic with neon magenta and cyan glows, and subtle scan lines.' },
-  { name: 'Anime', prompt: 'Give the image a vibrant Japanese anime style, with bold outlines, cel-shading, and saturated colors.' },
-  { name: 'Lomo', prompt: 'Apply a Lomography-style cross-processing film effect with high-contrast, oversaturated colors, and dark vignetting.' },
-  { name: 'Glitch', prompt: 'Transform the image into a futuristic holographic projection with digital glitch effects and chromatic aberration.' },
-];
-
 export interface ComposerProps {
   mode: StudioMode;
   onModeChange: (mode: StudioMode) => void;
@@ -89,13 +95,19 @@ export interface ComposerProps {
   onImageOptionsChange: (options: ImageGenerationOptions) => void;
   baseImage: File | null;
   onBaseImageSelect: (file: File | null) => void;
-  styleImage: File | null;
-  onStyleImageSelect: (file: File | null) => void;
-  onOpenWebcam: (target: 'base' | 'style') => void;
+  /** Ordered images combined with the base image, each with a role woven into the prompt. */
+  compositeReferences: CompositeReference[];
+  onCompositeReferencesChange: (references: CompositeReference[]) => void;
+  onOpenWebcam: (target: 'base' | 'reference') => void;
+  /** True for point and mask edits; `hasHotspot` is then the point or a painted mask. */
   retouchActive: boolean;
+  maskActive: boolean;
+  expandActive: boolean;
   hasHotspot: boolean;
-  imageCreditCost: number;
+  imageCreditCost: number | null;
   onGenerateImage: (prompt: string) => void;
+  /** Runs the prompt (and base image, if any) through 2–4 models side by side. */
+  onCompareImage: (prompt: string, models: ImageCompareModel[]) => void;
 
   /* video workflow */
   videoProvider: VideoProvider;
@@ -159,8 +171,8 @@ const storedVideoSettings: Partial<StoredVideoSettings> = (() => {
 const Composer: React.FC<ComposerProps> = (props) => {
   const {
     mode, onModeChange, isLoading, prompt, onPromptChange, onNewSession,
-    imageOptions, onImageOptionsChange, baseImage, onBaseImageSelect, styleImage, onStyleImageSelect,
-    onOpenWebcam, retouchActive, hasHotspot, imageCreditCost, onGenerateImage,
+    imageOptions, onImageOptionsChange, baseImage, onBaseImageSelect, compositeReferences, onCompositeReferencesChange,
+    onOpenWebcam, retouchActive, maskActive, expandActive, hasHotspot, imageCreditCost, onGenerateImage, onCompareImage,
     videoProvider, onVideoProviderChange, onGenerateVideo, hasGeneratedVideo, onUseGeneratedVideoAsReference,
     wanReferenceImages, onWanReferenceImagesChange, referenceVideoFile, referenceVideoUrl, onReferenceVideoSelect,
     seedanceInputMode, onSeedanceInputModeChange,
@@ -188,6 +200,10 @@ const Composer: React.FC<ComposerProps> = (props) => {
   const [seedanceRatio, setSeedanceRatio] = useState(storedVideoSettings.seedanceRatio ?? '16:9');
   const [seedanceGenerateAudio, setSeedanceGenerateAudio] = useState(storedVideoSettings.seedanceGenerateAudio ?? false);
   const [seedanceWebSearch, setSeedanceWebSearch] = useState(storedVideoSettings.seedanceWebSearch ?? false);
+  const [compareModelIds, setCompareModelIds] = useState<ImageModelId[]>([]);
+  const enhanceMutation = useEnhancePrompt();
+  const [enhancement, setEnhancement] = useState<EnhancePromptResponse | null>(null);
+  const [enhanceMessage, setEnhanceMessage] = useState<string | null>(null);
 
   /* --------------------------- derived: image --------------------------- */
   const imageSupportsReferences = imageProviderSupportsReferences(imageOptions.provider);
@@ -198,15 +214,47 @@ const Composer: React.FC<ComposerProps> = (props) => {
   const activeImageModel = IMAGE_MODELS.find((model) =>
     model.provider === normalizedImage.provider
     && (model.provider !== 'seedream' || model.tier === normalizedImage.seedreamTier)
-  ) ?? IMAGE_MODELS[1];
-  const imageReferenceCount = imageSupportsReferences ? (baseImage ? 1 : 0) + (styleImage ? 1 : 0) : 0;
+  ) ?? IMAGE_MODELS.find((model) => model.id === 'seedream-lite') ?? IMAGE_MODELS[0];
+  const hasCompositeReferences = Boolean(baseImage) && compositeReferences.length > 0;
+  const imageReferenceCount = imageSupportsReferences ? (baseImage ? 1 : 0) + compositeReferences.length : 0;
+  // Counts the base image, which the Seedream per-input surcharge includes.
+  const compositeImageCount = hasCompositeReferences && !retouchActive && !expandActive ? 1 + compositeReferences.length : 0;
+  const maxCompositeReferences = Math.max(0, getImageMaxInputImages(normalizedImage.provider) - 1);
+  // Combining references always makes a single image.
+  const imageSupportsBatch = !(imageSupportsReferences && hasCompositeReferences && !retouchActive && !expandActive);
+  const imageBatchCount = imageSupportsBatch ? normalizedImage.count : 1;
+  // Comparisons run a plain prompt, or a plain transform of the base image;
+  // text-only models drop out while a base image is loaded.
+  const imageSupportsCompare = !retouchActive && !expandActive && !hasCompositeReferences;
+  const { data: pricingCatalog } = usePricingCatalog();
+  const compareWorkflow: ImageWorkflow = baseImage ? 'image-to-image' : 'text-to-image';
+  const canCompareModel = (model: typeof IMAGE_MODELS[number]) => !baseImage || imageProviderSupportsReferences(model.provider);
+  const getCompareOptions = (model: typeof IMAGE_MODELS[number]) => normalizeImageGenerationOptions(
+    { ...imageOptions, provider: model.provider, seedreamTier: model.tier, count: 1 },
+    compareWorkflow
+  );
+  const getCompareCreditCost = (model: typeof IMAGE_MODELS[number]) => {
+    const options = getCompareOptions(model);
+    return getImageCreditCost(pricingCatalog, options.provider, options.resolution, compareWorkflow, options.seedreamTier, 0, 1);
+  };
+  const compareModels = IMAGE_MODELS.filter((model) => compareModelIds.includes(model.id) && canCompareModel(model));
+  const compareCreditCosts = compareModels.map(getCompareCreditCost);
+  const compareCreditCost = compareCreditCosts.includes(null)
+    ? null
+    : compareCreditCosts.reduce<number>((total, cost) => total + (cost ?? 0), 0);
+  const comparePromptError = prompt.trim()
+    ? compareModels
+      .map((model) => getPromptLengthError(prompt, getPromptLimits(model.provider), `${model.label} prompts`))
+      .find(Boolean) ?? null
+    : null;
 
   /* --------------------------- derived: video --------------------------- */
   const hasWanVideoReference = Boolean(referenceVideoFile || referenceVideoUrl);
   const maxWanReferenceImages = getWanMaxReferenceImages(hasWanVideoReference);
-  const wanUsesTextToVideo = wanReferenceImages.length === 0 && !hasWanVideoReference;
-  const wanUsesReferenceToVideo = wanReferenceImages.length > 1 || hasWanVideoReference;
-  const wanUsesSingleImage = !wanUsesTextToVideo && !wanUsesReferenceToVideo;
+  const wanVideoMode = getWanVideoMode(wanReferenceImages.length, hasWanVideoReference);
+  const wanUsesTextToVideo = wanVideoMode === 'text-to-video';
+  const wanUsesReferenceToVideo = wanVideoMode === 'reference-to-video';
+  const wanUsesSingleImage = wanVideoMode === 'image-to-video';
   const wanDurationOptions = wanUsesReferenceToVideo ? WAN_27_DURATIONS : WAN_26_DURATIONS;
   const hasSeedanceVideoReference = seedanceInputMode === 'references' && Boolean(seedanceReferenceVideoFile || seedanceReferenceVideoUrl);
   const seedanceDurationLimits = SEEDANCE_DURATION_LIMITS[seedanceVariant];
@@ -230,10 +278,13 @@ const Composer: React.FC<ComposerProps> = (props) => {
   const effectiveSeedanceDuration = clampSeedanceDuration(seedanceVariant, seedanceDuration);
   const effectiveWanDuration = wanUsesReferenceToVideo && wanDuration > 10 ? 10 : wanDuration;
 
-  const wanCreditCost = useMemo(() => getWanCreditCost(effectiveWanDuration, wanResolution), [effectiveWanDuration, wanResolution]);
+  const wanCreditCost = useMemo(
+    () => getWanCreditCost(pricingCatalog, effectiveWanDuration, wanResolution),
+    [pricingCatalog, effectiveWanDuration, wanResolution]
+  );
   const seedanceCreditCost = useMemo(
-    () => getSeedanceCreditCost(seedanceVariant, effectiveSeedanceResolution, effectiveSeedanceDuration, hasSeedanceVideoReference, seedanceReferenceVideoDuration),
-    [seedanceVariant, effectiveSeedanceResolution, effectiveSeedanceDuration, hasSeedanceVideoReference, seedanceReferenceVideoDuration]
+    () => getSeedanceCreditCost(pricingCatalog, seedanceVariant, effectiveSeedanceResolution, effectiveSeedanceDuration, hasSeedanceVideoReference, seedanceReferenceVideoDuration),
+    [pricingCatalog, seedanceVariant, effectiveSeedanceResolution, effectiveSeedanceDuration, hasSeedanceVideoReference, seedanceReferenceVideoDuration]
   );
   const videoCreditCost = videoProvider === 'seedance' ? seedanceCreditCost : wanCreditCost;
 
@@ -300,27 +351,109 @@ const Composer: React.FC<ComposerProps> = (props) => {
     }
   };
 
+  // Library prompts replace the selection, or go in at the caret with a space
+  // so they never run into the surrounding words.
+  const insertPrompt = (text: string) => {
+    const input = promptInputRef.current;
+    const current = latestPromptRef.current;
+    const start = input?.selectionStart ?? current.length;
+    const end = input?.selectionEnd ?? current.length;
+    const before = current.slice(0, start);
+    const after = current.slice(end);
+    const next = `${before}${before && !/\s$/.test(before) ? ' ' : ''}${text}${after && !/^\s/.test(after) ? ' ' : ''}${after}`;
+    latestPromptRef.current = next;
+    onPromptChange(next);
+    requestAnimationFrame(() => input?.focus());
+  };
+
+  const handleEnhance = () => {
+    const trimmed = getSubmittedPrompt(promptInputRef.current?.value, latestPromptRef.current);
+    if (!trimmed) return;
+    setEnhancement(null);
+    setEnhanceMessage(null);
+    enhanceMutation.mutate({
+      prompt: trimmed,
+      target: mode === 'image' ? normalizedImage.provider : videoProvider,
+      hasImage: mode === 'image'
+        ? imageSupportsReferences && Boolean(baseImage)
+        : videoProvider === 'wan' ? wanUsesSingleImage : videoReferenceCount > 0,
+      multiShot: mode === 'video' && videoProvider === 'wan' && wanMultiShots && !wanUsesReferenceToVideo,
+    }, {
+      onSuccess: (result) => {
+        if (result.changed) setEnhancement(result);
+        else setEnhanceMessage('This prompt already covers what the model needs.');
+      },
+      onError: (error) => {
+        console.error('Prompt enhancement failed:', error);
+        setEnhanceMessage(error instanceof ApiError && error.status === 401
+          ? 'Sign in to enhance prompts.'
+          : error instanceof ApiError && error.data?.message
+            ? error.data.message
+            : 'Could not enhance the prompt. Please try again.');
+      },
+    });
+  };
+
+  const acceptEnhancement = () => {
+    if (!enhancement) return;
+    latestPromptRef.current = enhancement.enhanced;
+    onPromptChange(enhancement.enhanced);
+    setEnhancement(null);
+  };
+
+  const handleCompare = () => {
+    const trimmed = getSubmittedPrompt(promptInputRef.current?.value, latestPromptRef.current);
+    if (!trimmed || compareModels.length < MIN_COMPARE_MODELS) return;
+    onCompareImage(trimmed, compareModels.map((model) => ({ label: model.label, options: getCompareOptions(model) })));
+  };
+
+  const toggleCompareModel = (id: ImageModelId) => {
+    setCompareModelIds((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  // Limits come from the same constraints the API enforces, so a prompt the
+  // model would reject never leaves the composer.
+  const promptLimits = mode === 'image'
+    ? getPromptLimits(normalizedImage.provider)
+    : getPromptLimits(videoProvider, wanVideoMode);
+  const promptError = prompt.trim()
+    ? getPromptLengthError(prompt, promptLimits, `${mode === 'image' ? imageConfig.label : activeVideoModel.label} prompts`)
+    : null;
+
   const generateDisabled = isLoading
     || !prompt.trim()
+    || Boolean(promptError)
     || (mode === 'video' && videoProvider === 'seedance' && seedanceInputMode === 'frames' && !seedanceFirstFrame)
     || (mode === 'image' && imageSupportsReferences && retouchActive && !hasHotspot);
 
+  const retouchPlaceholder = maskActive
+    ? hasHotspot
+      ? 'Describe the edit for the painted area…'
+      : 'Paint the area to edit on the image above, then describe the edit…'
+    : hasHotspot
+      ? 'Describe the edit for the selected point…'
+      : 'Tap a point on the image above, then describe the edit…';
+
   const placeholder = mode === 'video'
     ? 'Describe the motion, camera movement, and style of your video…'
-    : imageSupportsReferences && retouchActive
-      ? hasHotspot
-        ? 'Describe the edit for the selected point…'
-        : 'Tap a point on the image above, then describe the edit…'
-      : imageSupportsReferences && baseImage && styleImage
-        ? 'Describe how to combine the two images…'
-        : imageSupportsReferences && baseImage
-          ? 'Describe how to transform this image…'
-          : 'Describe the image you want to create…';
+    : imageSupportsReferences && expandActive
+      ? 'Describe what should fill the new space…'
+      : imageSupportsReferences && retouchActive
+        ? retouchPlaceholder
+        : imageSupportsReferences && hasCompositeReferences
+          ? compositeReferences.length === 1
+            ? 'Describe how to combine the two images…'
+            : `Describe how to combine the ${compositeReferences.length + 1} images…`
+          : imageSupportsReferences && baseImage
+            ? 'Describe how to transform this image…'
+            : 'Describe the image you want to create…';
 
   const creditCost = mode === 'video' ? videoCreditCost : imageCreditCost;
+  // A suggestion only applies to the prompt it was made for.
+  const visibleEnhancement = enhancement && enhancement.original === prompt.trim() ? enhancement : null;
 
   const showWanRatio = videoProvider === 'wan' && !wanUsesSingleImage;
-  const showImageOptionsPill = normalizedImage.provider === 'seedream' || (imageSupportsReferences && Boolean(baseImage));
+  const showImageOptionsPill = normalizedImage.provider === 'seedream';
   const showWanOptionsPill = wanUsesSingleImage || !wanUsesReferenceToVideo;
 
   /* ------------------------------------------------------------------ */
@@ -338,16 +471,28 @@ const Composer: React.FC<ComposerProps> = (props) => {
             { value: 'video', label: 'Video', icon: <VideoIcon /> },
           ]}
         />
-        <button
-          type="button"
-          onClick={onNewSession}
-          disabled={isLoading}
-          title="Start over"
-          className="edge glass-chip flex h-9 items-center gap-1.5 rounded-full px-3 text-xs font-medium text-gray-400 hover:text-white disabled:opacity-45"
-        >
-          <PlusIcon className="h-3.5 w-3.5" />
-          New
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={handleEnhance}
+            disabled={isLoading || enhanceMutation.isPending || !prompt.trim()}
+            title="Expand the prompt with guidance for the selected model"
+            className="edge glass-chip flex h-9 items-center gap-1.5 rounded-full px-3 text-xs font-medium text-gray-400 hover:text-white disabled:opacity-45"
+          >
+            <MagicWandIcon className="h-3.5 w-3.5" />
+            {enhanceMutation.isPending ? 'Enhancing…' : 'Enhance'}
+          </button>
+          <button
+            type="button"
+            onClick={onNewSession}
+            disabled={isLoading}
+            title="Start over"
+            className="edge glass-chip flex h-9 items-center gap-1.5 rounded-full px-3 text-xs font-medium text-gray-400 hover:text-white disabled:opacity-45"
+          >
+            <PlusIcon className="h-3.5 w-3.5" />
+            New
+          </button>
+        </div>
       </div>
 
       {/* Prompt */}
@@ -357,6 +502,7 @@ const Composer: React.FC<ComposerProps> = (props) => {
         onChange={(event) => {
           latestPromptRef.current = event.target.value;
           onPromptChange(event.target.value);
+          setEnhanceMessage(null);
         }}
         onKeyDown={(event) => {
           if (event.key === 'Enter' && (event.metaKey || event.ctrlKey) && !generateDisabled) {
@@ -366,11 +512,47 @@ const Composer: React.FC<ComposerProps> = (props) => {
         }}
         placeholder={placeholder}
         rows={3}
-        maxLength={mode === 'image' && normalizedImage.provider === 'zimage' ? 1000 : 5000}
+        maxLength={promptLimits.max}
         disabled={isLoading}
         className="composer-prompt-input max-h-64 min-h-24 w-full resize-none bg-transparent px-1.5 py-1 text-base leading-relaxed text-gray-100 placeholder:text-gray-500 focus:outline-none disabled:cursor-not-allowed disabled:opacity-60 sm:min-h-28"
       />
 
+      {/* Enhancement suggestion, shown as a word diff against the current prompt */}
+      {visibleEnhancement && (
+        <div className="rounded-2xl border border-white/10 bg-black/25 p-3 animate-fade-in-fast">
+          <p className="whitespace-pre-wrap text-sm leading-relaxed text-gray-300">
+            {diffPrompts(visibleEnhancement.original, visibleEnhancement.enhanced).map((segment, index) => (
+              segment.type === 'added'
+                ? <ins key={index} className="rounded bg-accent-400/15 text-accent-200 no-underline">{segment.text}</ins>
+                : segment.type === 'removed'
+                  ? <del key={index} className="text-gray-500 line-through">{segment.text}</del>
+                  : <span key={index}>{segment.text}</span>
+            ))}
+          </p>
+          {visibleEnhancement.notes.length > 0 && (
+            <p className="mt-2 text-[11px] text-gray-500">{visibleEnhancement.notes.join(' · ')}</p>
+          )}
+          <div className="mt-2.5 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setEnhancement(null)}
+              className="edge glass-chip h-8 rounded-full px-3 text-xs font-medium text-gray-400 hover:text-white"
+            >
+              Dismiss
+            </button>
+            <button
+              type="button"
+              onClick={acceptEnhancement}
+              className="btn-porcelain edge-strong h-8 rounded-full px-4 text-xs font-semibold"
+            >
+              Use this prompt
+            </button>
+          </div>
+        </div>
+      )}
+      {enhanceMessage && <p className="px-1.5 text-[11px] text-gray-500">{enhanceMessage}</p>}
+      {promptError && <p className="px-1.5 text-[11px] text-amber-200/80">{promptError}.</p>}
+
       {/* Settings pills + generate */}
       <div className="flex flex-wrap items-center gap-2">
         {/* Model */}
@@ -469,7 +651,7 @@ const Composer: React.FC<ComposerProps> = (props) => {
                         key={resolution.value}
                         selected={normalizedImage.resolution === resolution.value}
                         label={resolution.label}
-                        trailing={`${formatCreditAmount(getImageCreditCost(normalizedImage.provider, resolution.value, imageWorkflow, normalizedImage.seedreamTier, styleImage && baseImage ? 2 : 0))} cr`}
+                        trailing={`${formatCreditEstimate(getImageCreditCost(pricingCatalog, normalizedImage.provider, resolution.value, imageWorkflow, normalizedImage.seedreamTier, compositeImageCount, imageBatchCount))} cr`}
                         onSelect={() => { updateImageOptions({ resolution: resolution.value }); close(); }}
                       />
                     ))
@@ -479,8 +661,8 @@ const Composer: React.FC<ComposerProps> = (props) => {
                         selected={videoProvider === 'seedance' ? effectiveSeedanceResolution === resolution : wanResolution === resolution}
                         label={resolution}
                         trailing={videoProvider === 'wan'
-                          ? `${getWanCreditCost(effectiveWanDuration, resolution)} cr`
-                          : `${getSeedanceCreditCost(seedanceVariant, resolution, effectiveSeedanceDuration, hasSeedanceVideoReference, seedanceReferenceVideoDuration)} cr`}
+                          ? `${formatCreditEstimate(getWanCreditCost(pricingCatalog, effectiveWanDuration, resolution))} cr`
+                          : `${formatCreditEstimate(getSeedanceCreditCost(pricingCatalog, seedanceVariant, resolution, effectiveSeedanceDuration, hasSeedanceVideoReference, seedanceReferenceVideoDuration))} cr`}
                         onSelect={() => {
                           if (videoProvider === 'seedance') setSeedanceResolution(resolution);
                           else setWanResolution(resolution);
@@ -493,6 +675,79 @@ const Composer: React.FC<ComposerProps> = (props) => {
           </Dropdown>
         )}
 
+        {/* Variations (image only) */}
+        {mode === 'image' && imageSupportsBatch && (
+          <Dropdown
+            label={`×${imageBatchCount}`}
+            title="Variations"
+            disabled={isLoading}
+            panelWidthClassName="sm:w-60"
+          >
+            {(close) => (
+              <div className="flex flex-col gap-0.5">
+                <PanelHeading>Variations</PanelHeading>
+                {IMAGE_BATCH_COUNTS.map((count) => (
+                  <OptionRow
+                    key={count}
+                    selected={imageBatchCount === count}
+                    label={count === 1 ? '1 image' : `${count} images`}
+                    sublabel={count === 1 ? undefined : 'Pick your favorite from a contact sheet'}
+                    trailing={`${formatCreditEstimate(getImageCreditCost(pricingCatalog, normalizedImage.provider, normalizedImage.resolution, imageWorkflow, normalizedImage.seedreamTier, compositeImageCount, count))} cr`}
+                    onSelect={() => { updateImageOptions({ count }); close(); }}
+                  />
+                ))}
+              </div>
+            )}
+          </Dropdown>
+        )}
+
+        {/* Compare models (image only) */}
+        {mode === 'image' && imageSupportsCompare && (
+          <Dropdown
+            label="Compare"
+            title="Compare models"
+            badge={compareModels.length}
+            disabled={isLoading}
+            panelWidthClassName="sm:w-72"
+          >
+            {(close) => (
+              <div className="flex flex-col gap-0.5">
+                <PanelHeading action={<span className="text-[11px] text-gray-500">{compareModels.length}/{MAX_COMPARE_MODELS}</span>}>
+                  Compare models
+                </PanelHeading>
+                {IMAGE_MODELS.map((model) => {
+                  const selected = compareModels.some((item) => item.id === model.id);
+                  return (
+                    <OptionRow
+                      key={model.id}
+                      selected={selected}
+                      label={model.label}
+                      sublabel={canCompareModel(model) ? model.sublabel : 'Text only — remove the image to compare'}
+                      trailing={canCompareModel(model) ? `${formatCreditEstimate(getCompareCreditCost(model))} cr` : undefined}
+                      disabled={!canCompareModel(model) || (!selected && compareModels.length >= MAX_COMPARE_MODELS)}
+                      onSelect={() => toggleCompareModel(model.id)}
+                    />
+                  );
+                })}
+                {comparePromptError && <p className="px-2 pt-1 text-[11px] text-amber-200/80">{comparePromptError}.</p>}
+                <button
+                  type="button"
+                  onClick={() => { handleCompare(); close(); }}
+                  disabled={isLoading || !prompt.trim() || Boolean(comparePromptError) || compareModels.length < MIN_COMPARE_MODELS}
+                  className="btn-porcelain edge-strong mx-1 mb-1 mt-1.5 flex h-10 items-center justify-center gap-2 rounded-full px-4 text-sm font-semibold disabled:opacity-45"
+                >
+                  {compareModels.length < MIN_COMPARE_MODELS
+                    ? `Pick ${MIN_COMPARE_MODELS}–${MAX_COMPARE_MODELS} models`
+                    : `Compare ${compareModels.length} models`}
+                  {compareModels.length >= MIN_COMPARE_MODELS && (
+                    <span className="text-[12px] font-medium opacity-60">{formatCreditEstimate(compareCreditCost)} cr</span>
+                  )}
+                </button>
+              </div>
+            )}
+          </Dropdown>
+        )}
+
         {/* Duration (video only) */}
         {mode === 'video' && (
           <Dropdown
@@ -515,7 +770,7 @@ const Composer: React.FC<ComposerProps> = (props) => {
                       disabled={isLoading}
                     />
                     <p className="px-3 pb-1.5 text-[11px] text-gray-500">
-                      {effectiveSeedanceDuration}s at {effectiveSeedanceResolution} · <span className="font-semibold text-gray-300">{seedanceCreditCost} cr</span>
+                      {effectiveSeedanceDuration}s at {effectiveSeedanceResolution} · <span className="font-semibold text-gray-300">{formatCreditEstimate(seedanceCreditCost)} cr</span>
                     </p>
                   </>
                 ) : (
@@ -524,7 +779,7 @@ const Composer: React.FC<ComposerProps> = (props) => {
                       key={duration}
                       selected={effectiveWanDuration === duration}
                       label={`${duration} seconds`}
-                      trailing={`${getWanCreditCost(duration, wanResolution)} cr`}
+                      trailing={`${formatCreditEstimate(getWanCreditCost(pricingCatalog, duration, wanResolution))} cr`}
                       onSelect={() => { setWanDuration(duration); close(); }}
                     />
                   ))
@@ -550,28 +805,27 @@ const Composer: React.FC<ComposerProps> = (props) => {
               </p>
             ) : mode === 'image' ? (
               <>
-                <div className="grid grid-cols-2 gap-3">
-                  <ImageSlot
-                    file={baseImage}
-                    label="Base image"
-                    helper="Photo to edit"
-                    disabled={isLoading}
-                    pastePriority={baseImage ? 2 : 0}
-                    onChange={onBaseImageSelect}
-                    onWebcamClick={() => onOpenWebcam('base')}
-                  />
-                  <ImageSlot
-                    file={styleImage}
-                    label="Style / element"
-                    helper={baseImage ? 'Blend into the base' : 'Add a base image first'}
-                    disabled={isLoading || !baseImage}
-                    pastePriority={!baseImage ? 3 : styleImage ? 2 : 1}
-                    onChange={onStyleImageSelect}
-                    onWebcamClick={() => onOpenWebcam('style')}
-                  />
-                </div>
+                <ImageSlot
+                  file={baseImage}
+                  label="Base image"
+                  helper="Photo to edit"
+                  disabled={isLoading}
+                  pastePriority={baseImage ? 2 : 0}
+                  onChange={onBaseImageSelect}
+                  onWebcamClick={() => onOpenWebcam('base')}
+                />
+                <CompositeReferenceList
+                  references={compositeReferences}
+                  maxReferences={maxCompositeReferences}
+                  label="Combine with"
+                  helper={baseImage ? 'Roles and order are added to your prompt.' : 'Add a base image first'}
+                  disabled={isLoading || !baseImage}
+                  pastePriority={!baseImage ? 3 : 1}
+                  onChange={onCompositeReferencesChange}
+                  onWebcamClick={() => onOpenWebcam('reference')}
+                />
                 <p className="px-1 text-[11px] leading-relaxed text-gray-600">
-                  No references creates from text alone. A base image is edited by your prompt. Add both to combine two photos into one.
+                  No references creates from text alone. A base image is edited by your prompt. Add more images to combine them into one.
                 </p>
               </>
             ) : videoProvider === 'wan' ? (
@@ -706,20 +960,6 @@ const Composer: React.FC<ComposerProps> = (props) => {
                         ))}
                       </>
                     )}
-                    {baseImage && (
-                      <>
-                        <PanelHeading>Style presets</PanelHeading>
-                        {STYLE_PRESETS.map((preset) => (
-                          <OptionRow
-                            key={preset.name}
-                            selected={prompt === preset.prompt}
-                            label={preset.name}
-                            sublabel="Fills the prompt - edit freely"
-                            onSelect={() => { onPromptChange(preset.prompt); close(); }}
-                          />
-                        ))}
-                      </>
-                    )}
                   </>
                 ) : videoProvider === 'wan' ? (
                   <>
@@ -767,6 +1007,16 @@ const Composer: React.FC<ComposerProps> = (props) => {
           </Dropdown>
         )}
 
+        {/* Prompt library */}
+        <Dropdown label="Prompts" title="Prompt library" disabled={isLoading} panelWidthClassName="sm:w-80">
+          {(close) => (
+            <PromptLibrary
+              currentPrompt={prompt}
+              onInsert={(text) => { insertPrompt(text); close(); }}
+            />
+          )}
+        </Dropdown>
+
         {/* Generate — same row as the pills, pinned right */}
         <button
           type="button"
@@ -782,7 +1032,7 @@ const Composer: React.FC<ComposerProps> = (props) => {
           ) : (
             <>
               Generate
-              <span className="text-[12px] font-medium opacity-60">{formatCreditAmount(creditCost)} cr</span>
+              <span className="text-[12px] font-medium opacity-60">{formatCreditEstimate(creditCost)} cr</span>
             </>
           )}
         </button>
@@ -0,0 +1,114 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Expand (outpaint) preview. Shows the image on a checkerboard canvas of the
+ * target aspect ratio at the chosen alignment; the model fills the
+ * checkerboard when the edit is generated.
+ */
+
+import React, { useState } from 'react';
+import {
+  EXPAND_ASPECT_RATIOS,
+  getExpandLayout,
+  type ExpandAlignment,
+  type ExpandOptions,
+} from '../../src/utils/canvasExpansion';
+import { RatioGlyph } from './controls';
+
+interface ExpandEditorProps {
+  imageUrl: string;
+  options: ExpandOptions;
+  onOptionsChange: (options: ExpandOptions) => void;
+  disabled?: boolean;
+}
+
+const ALIGNMENT_LABELS: Record<'horizontal' | 'vertical', Record<ExpandAlignment, string>> = {
+  horizontal: { start: 'Left', center: 'Center', end: 'Right' },
+  vertical: { start: 'Top', center: 'Center', end: 'Bottom' },
+};
+
+const ALIGNMENTS: ExpandAlignment[] = ['start', 'center', 'end'];
+
+const CHECKERBOARD_STYLE: React.CSSProperties = {
+  backgroundColor: 'rgba(255, 255, 255, 0.06)',
+  backgroundImage: 'linear-gradient(45deg, rgba(255,255,255,0.08) 25%, transparent 25%, transparent 75%, rgba(255,255,255,0.08) 75%), linear-gradient(45deg, rgba(255,255,255,0.08) 25%, transparent 25%, transparent 75%, rgba(255,255,255,0.08) 75%)',
+  backgroundSize: '20px 20px',
+  backgroundPosition: '0 0, 10px 10px',
+};
+
+const ExpandEditor: React.FC<ExpandEditorProps> = ({ imageUrl, options, onOptionsChange, disabled = false }) => {
+  const [imageSize, setImageSize] = useState<{ width: number; height: number } | null>(null);
+
+  const layout = imageSize
+    ? getExpandLayout(imageSize.width, imageSize.height, options.aspectRatio, options.alignment)
+    : null;
+  const axis = layout && layout.axis !== 'none' ? layout.axis : 'horizontal';
+
+  return (
+    <div className="flex w-full flex-col items-center gap-3">
+      <div
+        className="edge relative max-w-full overflow-hidden rounded-2xl"
+        style={{
+          ...CHECKERBOARD_STYLE,
+          aspectRatio: layout ? `${layout.canvasWidth} / ${layout.canvasHeight}` : undefined,
+          // Fit the canvas inside the stage whichever side is the limit.
+          height: layout && layout.canvasHeight >= layout.canvasWidth ? '48dvh' : undefined,
+          width: layout && layout.canvasHeight < layout.canvasWidth
+            ? `min(100%, calc(48dvh * ${layout.canvasWidth} / ${layout.canvasHeight}))`
+            : undefined,
+        }}
+      >
+        <img
+          src={imageUrl}
+          alt="Image to expand"
+          onLoad={(event) => setImageSize({
+            width: event.currentTarget.naturalWidth,
+            height: event.currentTarget.naturalHeight,
+          })}
+          className={layout ? 'absolute' : 'max-h-[48dvh] w-auto max-w-full'}
+          style={layout && imageSize ? {
+            left: `${(layout.offsetX / layout.canvasWidth) * 100}%`,
+            top: `${(layout.offsetY / layout.canvasHeight) * 100}%`,
+            width: `${(imageSize.width / layout.canvasWidth) * 100}%`,
+            height: `${(imageSize.height / layout.canvasHeight) * 100}%`,
+          } : undefined}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2 animate-fade-in-fast">
+        {EXPAND_ASPECT_RATIOS.map((ratio) => (
+          <button
+            key={ratio}
+            type="button"
+            onClick={() => onOptionsChange({ ...options, aspectRatio: ratio })}
+            disabled={disabled}
+            className={`edge glass-chip flex h-9 items-center gap-1.5 rounded-full px-3 text-xs font-medium text-gray-300 hover:text-white disabled:opacity-45 ${
+              options.aspectRatio === ratio ? 'glass-chip-active text-white' : ''
+            }`}
+          >
+            <RatioGlyph ratio={ratio} />
+            {ratio}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        {ALIGNMENTS.map((alignment) => (
+          <button
+            key={alignment}
+            type="button"
+            onClick={() => onOptionsChange({ ...options, alignment })}
+            disabled={disabled || layout?.axis === 'none'}
+            className={`edge glass-chip h-9 rounded-full px-3.5 text-xs font-medium text-gray-300 hover:text-white disabled:opacity-45 ${
+              options.alignment === alignment ? 'glass-chip-active text-white' : ''
+            }`}
+          >
+            {ALIGNMENT_LABELS[axis][alignment]}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ExpandEditor;
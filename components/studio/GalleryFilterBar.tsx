@@ -0,0 +1,173 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Search box and filters above the creations gallery: type, model, folder,
+ * tag, date and favorites. Sized for the narrow desktop rail.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { IMAGE_MODEL_CONFIGS, type ImageProvider } from '../ImageModelControlsPanel';
+import type { GalleryFilters } from '../../src/utils/workflowStorage';
+import { XIcon } from './controls';
+
+type DateRange = 'any' | 'day' | 'week' | 'month';
+
+interface GalleryFilterBarProps {
+  filters: GalleryFilters;
+  onFiltersChange: (filters: GalleryFilters) => void;
+  folders: string[];
+  tags: string[];
+}
+
+const DATE_RANGES: { value: DateRange; label: string; days: number }[] = [
+  { value: 'any', label: 'Any time', days: 0 },
+  { value: 'day', label: 'Past 24 hours', days: 1 },
+  { value: 'week', label: 'Past 7 days', days: 7 },
+  { value: 'month', label: 'Past 30 days', days: 30 },
+];
+
+const VIDEO_MODELS: { value: 'wan' | 'seedance'; label: string }[] = [
+  { value: 'wan', label: 'Wan Video' },
+  { value: 'seedance', label: 'Seedance' },
+];
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const selectClass = 'w-full rounded-lg border border-white/10 bg-black/30 px-2 py-1 text-[11px] text-gray-300 focus:outline-none focus:ring-1 focus:ring-accent-300/70';
+
+function countActiveFilters(filters: GalleryFilters): number {
+  return [filters.type, filters.provider, filters.folder, filters.tag, filters.favoritesOnly, filters.since]
+    .filter(Boolean).length;
+}
+
+const GalleryFilterBar: React.FC<GalleryFilterBarProps> = ({ filters, onFiltersChange, folders, tags }) => {
+  const [search, setSearch] = useState(filters.search ?? '');
+  const [expanded, setExpanded] = useState(false);
+  const [dateRange, setDateRange] = useState<DateRange>('any');
+  const activeCount = countActiveFilters(filters);
+
+  useEffect(() => {
+    if ((filters.search ?? '') === search) return;
+    const timer = window.setTimeout(() => onFiltersChange({ ...filters, search: search || undefined }), SEARCH_DEBOUNCE_MS);
+    return () => window.clearTimeout(timer);
+  }, [search, filters, onFiltersChange]);
+
+  const update = (changes: Partial<GalleryFilters>) => onFiltersChange({ ...filters, ...changes });
+
+  const handleDateRange = (value: DateRange) => {
+    setDateRange(value);
+    const days = DATE_RANGES.find((range) => range.value === value)?.days ?? 0;
+    update({ since: days > 0 ? Date.now() - days * 86400000 : undefined });
+  };
+
+  const clearFilters = () => {
+    setDateRange('any');
+    onFiltersChange({ search: filters.search });
+  };
+
+  return (
+    <div className="flex shrink-0 flex-col gap-1.5 px-4 pb-2 md:px-3">
+      <div className="flex items-center gap-1.5">
+        <input
+          type="search"
+          value={search}
+          onChange={(event) => setSearch(event.target.value)}
+          placeholder="Search prompts"
+          aria-label="Search creations"
+          className="min-w-0 flex-1 rounded-lg border border-white/10 bg-black/30 px-2 py-1 text-[11px] text-gray-200 placeholder:text-gray-600 focus:outline-none focus:ring-1 focus:ring-accent-300/70"
+        />
+        <button
+          type="button"
+          onClick={() => setExpanded((open) => !open)}
+          aria-expanded={expanded}
+          className={`shrink-0 rounded-lg px-2 py-1 text-[11px] font-medium transition ${
+            expanded || activeCount > 0 ? 'bg-white/10 text-gray-100' : 'text-gray-500 hover:text-gray-200'
+          }`}
+        >
+          Filter{activeCount > 0 ? ` (${activeCount})` : ''}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="flex flex-col gap-1.5 animate-fade-in-fast">
+          <select
+            value={filters.type ?? ''}
+            onChange={(event) => update({ type: (event.target.value || undefined) as GalleryFilters['type'] })}
+            aria-label="Type"
+            className={selectClass}
+          >
+            <option value="">Images and videos</option>
+            <option value="image">Images</option>
+            <option value="video">Videos</option>
+          </select>
+          <select
+            value={filters.provider ?? ''}
+            onChange={(event) => update({ provider: (event.target.value || undefined) as GalleryFilters['provider'] })}
+            aria-label="Model"
+            className={selectClass}
+          >
+            <option value="">All models</option>
+            {(Object.keys(IMAGE_MODEL_CONFIGS) as ImageProvider[]).map((provider) => (
+              <option key={provider} value={provider}>{IMAGE_MODEL_CONFIGS[provider].label}</option>
+            ))}
+            {VIDEO_MODELS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {folders.length > 0 && (
+            <select
+              value={filters.folder ?? ''}
+              onChange={(event) => update({ folder: event.target.value || undefined })}
+              aria-label="Folder"
+              className={selectClass}
+            >
+              <option value="">All folders</option>
+              {folders.map((folder) => <option key={folder} value={folder}>{folder}</option>)}
+            </select>
+          )}
+          {tags.length > 0 && (
+            <select
+              value={filters.tag ?? ''}
+              onChange={(event) => update({ tag: event.target.value || undefined })}
+              aria-label="Tag"
+              className={selectClass}
+            >
+              <option value="">All tags</option>
+              {tags.map((tag) => <option key={tag} value={tag}>#{tag}</option>)}
+            </select>
+          )}
+          <select
+            value={dateRange}
+            onChange={(event) => handleDateRange(event.target.value as DateRange)}
+            aria-label="Date"
+            className={selectClass}
+          >
+            {DATE_RANGES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <label className="flex items-center gap-2 text-[11px] text-gray-400">
+            <input
+              type="checkbox"
+              checked={Boolean(filters.favoritesOnly)}
+              onChange={(event) => update({ favoritesOnly: event.target.checked || undefined })}
+              className="accent-accent-300"
+            />
+            Favorites only
+          </label>
+          {activeCount > 0 && (
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="flex items-center gap-1 self-start text-[11px] font-medium text-gray-500 transition hover:text-gray-200"
+            >
+              <XIcon className="h-3 w-3" />
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GalleryFilterBar;
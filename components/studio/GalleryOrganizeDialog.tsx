@@ -0,0 +1,101 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Dialog for filing a gallery item: folder, free-form tags and favorite.
+ * Portaled to the body so the rail's glass ancestors cannot clip it.
+ */
+
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import type { GalleryItemChanges, GalleryThumbnail } from '../../src/utils/workflowStorage';
+
+interface GalleryOrganizeDialogProps {
+  item: GalleryThumbnail;
+  folders: string[];
+  onSave: (changes: GalleryItemChanges) => void;
+  onClose: () => void;
+}
+
+const inputClass = 'w-full rounded-lg border border-white/10 bg-black/30 px-3 py-2 text-sm text-gray-100 placeholder:text-gray-600 focus:outline-none focus:ring-1 focus:ring-accent-300/70';
+
+const GalleryOrganizeDialog: React.FC<GalleryOrganizeDialogProps> = ({ item, folders, onSave, onClose }) => {
+  const [folder, setFolder] = useState(item.folder ?? '');
+  const [tags, setTags] = useState(item.tags.join(', '));
+  const [favorite, setFavorite] = useState(item.favorite);
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    onSave({
+      folder: folder.trim() || null,
+      tags: tags.split(',').map((tag) => tag.replace(/^#/, '')),
+      favorite,
+    });
+  };
+
+  return createPortal(
+    <div className="fixed inset-0 z-[90] flex items-center justify-center bg-black/60 p-4 backdrop-blur-sm animate-fade-in-fast" onMouseDown={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onMouseDown={(event) => event.stopPropagation()}
+        className="glass-sheet edge flex w-full max-w-sm flex-col gap-4 rounded-2xl p-5"
+        aria-label="Organize creation"
+      >
+        <h3 className="text-base font-semibold text-gray-100">Organize</h3>
+
+        <label className="flex flex-col gap-1.5 text-xs text-gray-400">
+          Folder
+          <input
+            type="text"
+            value={folder}
+            onChange={(event) => setFolder(event.target.value)}
+            list="gallery-folder-options"
+            placeholder="No folder"
+            className={inputClass}
+          />
+          <datalist id="gallery-folder-options">
+            {folders.map((name) => <option key={name} value={name} />)}
+          </datalist>
+        </label>
+
+        <label className="flex flex-col gap-1.5 text-xs text-gray-400">
+          Tags
+          <input
+            type="text"
+            value={tags}
+            onChange={(event) => setTags(event.target.value)}
+            placeholder="portrait, moody, client-a"
+            className={inputClass}
+          />
+          <span className="text-[11px] text-gray-500">Separate tags with commas.</span>
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={favorite}
+            onChange={(event) => setFavorite(event.target.checked)}
+            className="accent-accent-300"
+          />
+          Favorite
+        </label>
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="edge glass-chip h-9 rounded-full px-4 text-xs font-medium text-gray-400 hover:text-white"
+          >
+            Cancel
+          </button>
+          <button type="submit" className="btn-porcelain edge-strong h-9 rounded-full px-4 text-xs font-semibold">
+            Save
+          </button>
+        </div>
+      </form>
+    </div>,
+    document.body
+  );
+};
+
+export default GalleryOrganizeDialog;
@@ -6,7 +6,7 @@
  * below the studio or Video Editor on smaller screens.
  */
 
-import React, { useCallback, useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { createPortal } from 'react-dom';
 import {
   getGalleryImages,
@@ -14,7 +14,15 @@ import {
   getGalleryVideoDetails,
   repairBlackVideoThumbnails,
   deleteGalleryImage,
+  deleteGalleryImages,
   clearGallery,
+  setGalleryItemPinned,
+  updateGalleryItem,
+  getGalleryCollections,
+  GALLERY_PAGE_SIZE,
+  type GalleryFilters,
+  type GalleryItemChanges,
+  type GalleryImageDetails,
   type GalleryThumbnail,
   type GalleryVideoDetails,
 } from '../../src/utils/workflowStorage';
@@ -24,8 +32,12 @@ import {
   VEILPIX_GALLERY_VIDEO_PREFIX,
   VEILPIX_GALLERY_VIDEO_TYPE,
 } from '../../src/utils/imageTransfer';
+import { onGalleryEviction, type GalleryEviction } from '../../src/utils/storageManager';
+import { createZip, type ZipEntry } from '../../src/utils/zipArchive';
 import { VEILSTUDIO_CONTACT_URL } from '../../src/constants/links';
 import { XIcon } from './controls';
+import GalleryFilterBar from './GalleryFilterBar';
+import GalleryOrganizeDialog from './GalleryOrganizeDialog';
 
 const CONTACT_HELP_TEXT = 'Questions, problems, or suggestions? Contact us here.';
 
@@ -42,23 +54,46 @@ function formatRelativeTime(timestamp: number): string {
   return new Date(timestamp).toLocaleDateString();
 }
 
+// Zip paths must be unique, so repeated file names get a numeric suffix.
+function uniqueArchivePath(name: string, usedPaths: Set<string>): string {
+  const dot = name.lastIndexOf('.');
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  let path = name;
+  for (let suffix = 2; usedPaths.has(path); suffix++) {
+    path = `${stem}-${suffix}${extension}`;
+  }
+  usedPaths.add(path);
+  return path;
+}
+
 /** A "send to" destination offered in the right-click menu (varies with the active model). */
 export interface GalleryReferenceTarget {
   id: string;
   label: string;
 }
 
+/** A multi-slot destination for several selected images; `maxItems` is the number of free slots. */
+export interface GallerySelectionTarget extends GalleryReferenceTarget {
+  maxItems: number;
+}
+
 export interface GalleryRailProps {
   refreshTrigger?: number;
   onSelectImage: (file: File, prompt: string) => void;
   onSelectVideo: (details: GalleryVideoDetails) => void;
   onUseImageAsReference: (file: File, prompt: string) => void;
   onUseVideoAsReference?: (details: GalleryVideoDetails) => void;
+  // Restores the prompt, model settings and source images an image was generated with.
+  onRemixImage?: (details: GalleryImageDetails) => void;
   showReferenceActions?: boolean;
   imageReferenceTargets?: GalleryReferenceTarget[];
   videoReferenceTargets?: GalleryReferenceTarget[];
   onImageReferenceAction?: (targetId: string, file: File, prompt: string) => void;
   onVideoReferenceAction?: (targetId: string, details: GalleryVideoDetails) => void;
+  imageSelectionTargets?: GallerySelectionTarget[];
+  // Receives the selected images in the order they were selected, capped at the target's maxItems.
+  onImageSelectionAction?: (targetId: string, files: File[]) => void;
 }
 
 interface ContextMenuState {
@@ -73,11 +108,14 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
   onSelectVideo,
   onUseImageAsReference,
   onUseVideoAsReference,
+  onRemixImage,
   showReferenceActions = true,
   imageReferenceTargets = [],
   videoReferenceTargets = [],
   onImageReferenceAction,
   onVideoReferenceAction,
+  imageSelectionTargets = [],
+  onImageSelectionAction,
 }) => {
   const [items, setItems] = useState<GalleryThumbnail[]>([]);
   const [loading, setLoading] = useState(true);
@@ -85,9 +123,29 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
   const [clearConfirm, setClearConfirm] = useState(false);
   const [busyId, setBusyId] = useState<number | null>(null);
   const [contextMenu, setContextMenu] = useState<ContextMenuState | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [eviction, setEviction] = useState<GalleryEviction | null>(null);
+  const [filters, setFilters] = useState<GalleryFilters>({});
+  const [collections, setCollections] = useState<{ folders: string[]; tags: string[] }>({ folders: [], tags: [] });
+  const [organizing, setOrganizing] = useState<GalleryThumbnail | null>(null);
+  // Selected item IDs in the order they were picked, which is the order they are sent in.
+  const [selectedIds, setSelectedIds] = useState<number[]>([]);
+  const [selectionBusy, setSelectionBusy] = useState(false);
+  const [deleteSelectionConfirm, setDeleteSelectionConfirm] = useState(false);
+  const [sendMenu, setSendMenu] = useState<{ x: number; y: number } | null>(null);
+  const selectionAnchorRef = useRef<number | null>(null);
+  // Pages loaded so far; a refresh reloads the same amount so the list does not shrink.
+  const loadedCountRef = useRef(GALLERY_PAGE_SIZE);
 
   const closeContextMenu = useCallback(() => setContextMenu(null), []);
 
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+    setDeleteSelectionConfirm(false);
+    setSendMenu(null);
+    selectionAnchorRef.current = null;
+  }, []);
+
   useEffect(() => {
     if (!contextMenu) return;
     const handleKeyDown = (event: KeyboardEvent) => {
@@ -97,24 +155,53 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     return () => document.removeEventListener('keydown', handleKeyDown);
   }, [contextMenu]);
 
+  useEffect(() => {
+    if (selectedIds.length === 0 || contextMenu) return;
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === 'Escape') clearSelection();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [selectedIds.length, contextMenu, clearSelection]);
+
   const loadItems = useCallback(async () => {
     setLoading(true);
-    const galleryItems = await getGalleryImages();
+    const limit = loadedCountRef.current;
+    const galleryItems = await getGalleryImages({ limit, filters });
     setItems(galleryItems);
+    setHasMore(galleryItems.length === limit);
     setLoading(false);
+    setCollections(await getGalleryCollections());
 
     // Older records may contain a canvas capture taken before the requested
     // video frame was decoded. Repair those in the background, then swap in
     // the corrected thumbnails without delaying the initial gallery render.
     void repairBlackVideoThumbnails().then(async (repairedCount) => {
-      if (repairedCount > 0) setItems(await getGalleryImages());
+      if (repairedCount > 0) setItems(await getGalleryImages({ limit: loadedCountRef.current, filters }));
     });
+  }, [filters]);
+
+  const handleFiltersChange = useCallback((next: GalleryFilters) => {
+    loadedCountRef.current = GALLERY_PAGE_SIZE;
+    setFilters(next);
   }, []);
 
+  const loadMore = async () => {
+    const page = await getGalleryImages({ after: items[items.length - 1], limit: GALLERY_PAGE_SIZE, filters });
+    loadedCountRef.current = items.length + GALLERY_PAGE_SIZE;
+    setItems((current) => [...current, ...page.filter((item) => !current.some((existing) => existing.id === item.id))]);
+    setHasMore(page.length === GALLERY_PAGE_SIZE);
+  };
+
   useEffect(() => {
     loadItems();
   }, [loadItems, refreshTrigger]);
 
+  useEffect(() => onGalleryEviction((evicted) => {
+    setEviction(evicted);
+    loadItems();
+  }), [loadItems]);
+
   useEffect(() => {
     const urls: Record<number, string> = {};
     items.forEach((item) => {
@@ -126,6 +213,14 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     };
   }, [items]);
 
+  // Drop selected items that were deleted, evicted or filtered out of view.
+  useEffect(() => {
+    setSelectedIds((current) => {
+      const visible = current.filter((id) => items.some((item) => item.id === id));
+      return visible.length === current.length ? current : visible;
+    });
+  }, [items]);
+
   const handleOpen = async (item: GalleryThumbnail) => {
     setBusyId(item.id);
     try {
@@ -161,6 +256,31 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     }
   };
 
+  const handleRemix = async (item: GalleryThumbnail) => {
+    if (!onRemixImage) return;
+    setBusyId(item.id);
+    try {
+      const details = await getGalleryImage(item.id);
+      if (details) onRemixImage(details);
+    } catch (error) {
+      console.error('Failed to remix gallery item:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTogglePin = async (item: GalleryThumbnail) => {
+    await setGalleryItemPinned(item.id, !item.pinned);
+    setItems((current) => current.map((existing) => (
+      existing.id === item.id ? { ...existing, pinned: !item.pinned } : existing
+    )));
+  };
+
+  const handleUpdate = async (item: GalleryThumbnail, changes: GalleryItemChanges) => {
+    await updateGalleryItem(item.id, changes);
+    loadItems();
+  };
+
   const handleDelete = async (id: number) => {
     if (thumbnailUrls[id]) URL.revokeObjectURL(thumbnailUrls[id]);
     await deleteGalleryImage(id);
@@ -173,6 +293,103 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     loadItems();
   };
 
+  const toggleSelected = (item: GalleryThumbnail) => {
+    selectionAnchorRef.current = item.id;
+    setDeleteSelectionConfirm(false);
+    setSelectedIds((current) => (
+      current.includes(item.id) ? current.filter((id) => id !== item.id) : [...current, item.id]
+    ));
+  };
+
+  // Shift-click adds every item between the last clicked one and this one.
+  const selectRange = (item: GalleryThumbnail) => {
+    const anchorIndex = items.findIndex((existing) => existing.id === selectionAnchorRef.current);
+    const itemIndex = items.findIndex((existing) => existing.id === item.id);
+    const start = anchorIndex === -1 ? itemIndex : Math.min(anchorIndex, itemIndex);
+    const end = anchorIndex === -1 ? itemIndex : Math.max(anchorIndex, itemIndex);
+    const rangeIds = items.slice(start, end + 1).map((existing) => existing.id);
+    if (anchorIndex === -1) selectionAnchorRef.current = item.id;
+    setDeleteSelectionConfirm(false);
+    setSelectedIds((current) => [...current, ...rangeIds.filter((id) => !current.includes(id))]);
+  };
+
+  const handleItemClick = (event: React.MouseEvent, item: GalleryThumbnail) => {
+    if (event.shiftKey) {
+      selectRange(item);
+    } else if (event.ctrlKey || event.metaKey || selectedIds.length > 0) {
+      toggleSelected(item);
+    } else {
+      handleOpen(item);
+    }
+  };
+
+  const selectedItems = selectedIds
+    .map((id) => items.find((item) => item.id === id))
+    .filter((item): item is GalleryThumbnail => Boolean(item));
+  const selectedImages = selectedItems.filter((item) => item.type === 'image');
+
+  const handleDownloadSelection = async () => {
+    setSelectionBusy(true);
+    try {
+      const usedPaths = new Set<string>();
+      const entries: ZipEntry[] = [];
+      for (const item of selectedItems) {
+        const file = item.type === 'video'
+          ? (await getGalleryVideoDetails(item.id))?.videoFile
+          : (await getGalleryImage(item.id))?.file;
+        if (!file) continue;
+        entries.push({ path: uniqueArchivePath(file.name || item.name, usedPaths), data: file, lastModified: item.createdAt });
+      }
+      if (entries.length === 0) return;
+
+      const archive = await createZip(entries);
+      const url = URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `veilpix-creations-${new Date().toISOString().slice(0, 10)}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Failed to download selected gallery items:', error);
+    } finally {
+      setSelectionBusy(false);
+    }
+  };
+
+  const handleDeleteSelection = async () => {
+    setSelectionBusy(true);
+    try {
+      selectedIds.forEach((id) => {
+        if (thumbnailUrls[id]) URL.revokeObjectURL(thumbnailUrls[id]);
+      });
+      await deleteGalleryImages(selectedIds);
+      clearSelection();
+      loadItems();
+    } finally {
+      setSelectionBusy(false);
+    }
+  };
+
+  const handleSelectionTarget = async (target: GallerySelectionTarget) => {
+    if (!onImageSelectionAction) return;
+    setSelectionBusy(true);
+    try {
+      const files: File[] = [];
+      for (const item of selectedImages.slice(0, target.maxItems)) {
+        const details = await getGalleryImage(item.id);
+        if (details) files.push(details.file);
+      }
+      if (files.length > 0) onImageSelectionAction(target.id, files);
+      clearSelection();
+    } catch (error) {
+      console.error('Failed to send selected gallery items:', error);
+    } finally {
+      setSelectionBusy(false);
+    }
+  };
+
   const handleReferenceTarget = async (targetId: string, item: GalleryThumbnail) => {
     setBusyId(item.id);
     try {
@@ -203,6 +420,8 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     event.dataTransfer.setData('text/plain', `${VEILPIX_GALLERY_IMAGE_PREFIX}${item.id}`);
   };
 
+  const hasActiveFilters = Object.values(filters).some(Boolean);
+
   const content = (
     <div className="flex min-h-0 flex-col md:h-full">
       {/* Header */}
@@ -235,10 +454,93 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
         </div>
       )}
 
+      {eviction && (
+        <div className="edge mx-3 mb-2 flex shrink-0 items-start justify-between gap-2 rounded-xl bg-amber-500/10 px-3 py-2 animate-fade-in-fast" role="status">
+          <span className="text-[11px] leading-snug text-amber-100/90">
+            Storage limit reached - removed {eviction.count} least recently used {eviction.count === 1 ? 'item' : 'items'}. Pin items to keep them.
+          </span>
+          <button type="button" onClick={() => setEviction(null)} aria-label="Dismiss" className="shrink-0 text-amber-100/70 hover:text-white">
+            <XIcon className="h-3 w-3" />
+          </button>
+        </div>
+      )}
+
+      {selectedIds.length > 0 && (
+        <div
+          className="edge mx-3 mb-2 flex shrink-0 flex-col gap-1.5 rounded-xl bg-white/[0.06] px-3 py-2 animate-fade-in-fast"
+          role="toolbar"
+          aria-label="Selected creations"
+        >
+          {deleteSelectionConfirm ? (
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-[11px] text-gray-300">Delete {selectedIds.length}?</span>
+              <span className="flex gap-2">
+                <button type="button" onClick={() => setDeleteSelectionConfirm(false)} className="text-[11px] text-gray-400 hover:text-gray-200">No</button>
+                <button type="button" onClick={handleDeleteSelection} disabled={selectionBusy} className="text-[11px] font-semibold text-red-400 hover:text-red-300">Yes</button>
+              </span>
+            </div>
+          ) : (
+            <>
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-[11px] font-semibold text-gray-200">
+                  {selectionBusy ? 'Working…' : `${selectedIds.length} selected`}
+                </span>
+                <button type="button" onClick={clearSelection} aria-label="Clear selection" className="text-gray-400 hover:text-white">
+                  <XIcon className="h-3 w-3" />
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-x-3 gap-y-1">
+                <button
+                  type="button"
+                  onClick={handleDownloadSelection}
+                  disabled={selectionBusy}
+                  title="Download the selected items as a zip"
+                  className="text-[11px] font-medium text-gray-300 transition hover:text-white disabled:opacity-50"
+                >
+                  Download
+                </button>
+                {imageSelectionTargets.length > 0 && selectedImages.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={(event) => {
+                      const rect = event.currentTarget.getBoundingClientRect();
+                      setSendMenu({ x: rect.left, y: rect.bottom + 4 });
+                    }}
+                    disabled={selectionBusy}
+                    className="text-[11px] font-medium text-gray-300 transition hover:text-white disabled:opacity-50"
+                  >
+                    Send to…
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setDeleteSelectionConfirm(true)}
+                  disabled={selectionBusy}
+                  className="text-[11px] font-medium text-red-400 transition hover:text-red-300 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <GalleryFilterBar
+        filters={filters}
+        onFiltersChange={handleFiltersChange}
+        folders={collections.folders}
+        tags={collections.tags}
+      />
+
       {/* Thumbnails: production-style grid on mobile, vertical rail on desktop. */}
-      <div className="grid grid-cols-2 gap-3 overflow-visible px-4 pb-6 pt-1 sm:grid-cols-3 md:flex md:min-h-0 md:flex-1 md:flex-col md:gap-4 md:overflow-y-auto">
+      <div className="grid select-none grid-cols-2 gap-3 overflow-visible px-4 pb-6 pt-1 sm:grid-cols-3 md:flex md:min-h-0 md:flex-1 md:flex-col md:gap-4 md:overflow-y-auto">
         {loading ? (
           <p className="col-span-full rounded-2xl border border-white/[0.05] bg-black/10 py-6 text-center text-[11px] text-gray-600">Loading…</p>
+        ) : items.length === 0 && hasActiveFilters ? (
+          <p className="col-span-full px-4 py-6 text-center text-[11px] leading-relaxed text-gray-600">
+            Nothing matches these filters
+          </p>
         ) : items.length === 0 ? (
           <p className="col-span-full rounded-2xl border border-dashed border-white/10 bg-black/10 px-4 py-6 text-center text-[11px] leading-relaxed text-gray-500 md:border-0 md:bg-transparent md:pt-4 md:text-gray-600">
             Your creations will appear here
@@ -252,16 +554,21 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
                 event.preventDefault();
                 setContextMenu({ x: event.clientX, y: event.clientY, item });
               }}
-              className="edge group relative aspect-square w-full shrink-0 overflow-hidden rounded-2xl bg-white/[0.03] transition hover:bg-white/[0.06]"
+              className={`edge group relative aspect-square w-full shrink-0 overflow-hidden rounded-2xl bg-white/[0.03] transition hover:bg-white/[0.06] ${
+                selectedIds.includes(item.id) ? 'ring-2 ring-accent-300' : ''
+              }`}
             >
               <button
                 type="button"
-                onClick={() => handleOpen(item)}
+                onClick={(event) => handleItemClick(event, item)}
                 disabled={busyId === item.id}
                 draggable={busyId !== item.id}
-                title={item.type === 'image'
-                  ? 'Open image (drag onto an image slot to reuse)'
-                  : 'Open video (drag into the Video Editor to stitch)'}
+                aria-pressed={selectedIds.length > 0 ? selectedIds.includes(item.id) : undefined}
+                title={selectedIds.length > 0
+                  ? 'Click to select or deselect'
+                  : item.type === 'image'
+                    ? 'Open image (drag onto an image slot to reuse; Ctrl or Shift-click to select)'
+                    : 'Open video (drag into the Video Editor to stitch; Ctrl or Shift-click to select)'}
                 className="h-full w-full"
               >
                 {thumbnailUrls[item.id] && (
@@ -288,8 +595,12 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
                 )}
               </button>
 
+              {selectedIds.includes(item.id) && (
+                <span className="pointer-events-none absolute inset-0 bg-accent-300/15" aria-hidden="true" />
+              )}
+
               {/* Use as reference */}
-              {showReferenceActions && (item.type === 'image' || onUseVideoAsReference) && busyId !== item.id && (
+              {showReferenceActions && selectedIds.length === 0 && (item.type === 'image' || onUseVideoAsReference) && busyId !== item.id && (
                 <button
                   type="button"
                   onClick={(event) => {
@@ -303,17 +614,40 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
               )}
 
               {/* Delete */}
-              <button
-                type="button"
-                onClick={(event) => {
-                  event.stopPropagation();
-                  handleDelete(item.id);
-                }}
-                aria-label="Delete"
-                className="edge absolute right-1.5 top-1.5 flex h-6 w-6 items-center justify-center rounded-full bg-black/55 text-gray-300 opacity-100 backdrop-blur-sm transition hover:bg-red-600/90 hover:text-white md:opacity-0 md:group-hover:opacity-100"
-              >
-                <XIcon className="h-3 w-3" />
-              </button>
+              {selectedIds.length === 0 && (
+                <button
+                  type="button"
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    handleDelete(item.id);
+                  }}
+                  aria-label="Delete"
+                  className="edge absolute right-1.5 top-1.5 flex h-6 w-6 items-center justify-center rounded-full bg-black/55 text-gray-300 opacity-100 backdrop-blur-sm transition hover:bg-red-600/90 hover:text-white md:opacity-0 md:group-hover:opacity-100"
+                >
+                  <XIcon className="h-3 w-3" />
+                </button>
+              )}
+
+              {item.pinned && (
+                <span
+                  className="edge pointer-events-none absolute left-1.5 top-1.5 flex h-6 w-6 items-center justify-center rounded-full bg-black/55 text-accent-200 backdrop-blur-sm"
+                  title="Pinned - never removed automatically"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                    <path d="M16 3a1 1 0 0 1 .7 1.7L15 6.4v4.2l2.7 2.7a1 1 0 0 1-.7 1.7h-4v6l-1 1-1-1v-6H7a1 1 0 0 1-.7-1.7L9 10.6V6.4L7.3 4.7A1 1 0 0 1 8 3h8Z" />
+                  </svg>
+                </span>
+              )}
+
+              {item.favorite && (
+                <span
+                  className="pointer-events-none absolute bottom-1.5 right-2 mb-3.5 text-[11px] text-amber-300 [text-shadow:0_1px_3px_rgba(0,0,0,0.9)]"
+                  title="Favorite"
+                  aria-label="Favorite"
+                >
+                  ★
+                </span>
+              )}
 
               {/* Time */}
               <span className="pointer-events-none absolute bottom-1.5 right-2 text-[10px] font-medium text-white/70 [text-shadow:0_1px_3px_rgba(0,0,0,0.9)]">
@@ -322,6 +656,15 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
             </div>
           ))
         )}
+        {!loading && hasMore && (
+          <button
+            type="button"
+            onClick={loadMore}
+            className="col-span-full shrink-0 rounded-2xl py-2 text-[11px] font-medium text-gray-500 transition hover:text-gray-200"
+          >
+            Load more
+          </button>
+        )}
       </div>
 
       <div className="group relative flex shrink-0 justify-center px-4 pb-3 md:px-3 md:pb-4">
@@ -350,8 +693,9 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
   let contextMenuNode: React.ReactNode = null;
   if (contextMenu) {
     const targets = contextMenu.item.type === 'video' ? videoReferenceTargets : imageReferenceTargets;
+    const canRemix = contextMenu.item.type === 'image' && Boolean(contextMenu.item.generation) && Boolean(onRemixImage);
     const MENU_WIDTH = 208;
-    const estimatedHeight = (2 + targets.length) * 34 + (targets.length > 0 ? 26 : 17);
+    const estimatedHeight = (6 + (canRemix ? 1 : 0) + targets.length) * 34 + (targets.length > 0 ? 26 : 17);
     const left = Math.max(8, Math.min(contextMenu.x, window.innerWidth - MENU_WIDTH - 8));
     const top = Math.max(8, Math.min(contextMenu.y, window.innerHeight - estimatedHeight - 8));
     const menuItemClass = 'flex w-full items-center rounded-lg px-3 py-1.5 text-left text-[12px] font-medium transition';
@@ -382,6 +726,64 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
           >
             Open
           </button>
+          <button
+            type="button"
+            role="menuitem"
+            className={`${menuItemClass} text-gray-200 hover:bg-white/10 hover:text-white`}
+            onClick={() => {
+              toggleSelected(contextMenu.item);
+              closeContextMenu();
+            }}
+          >
+            {selectedIds.includes(contextMenu.item.id) ? 'Deselect' : 'Select'}
+          </button>
+          {canRemix && (
+            <button
+              type="button"
+              role="menuitem"
+              title="Restore the prompt, model and settings this image was made with"
+              className={`${menuItemClass} text-gray-200 hover:bg-white/10 hover:text-white`}
+              onClick={() => {
+                handleRemix(contextMenu.item);
+                closeContextMenu();
+              }}
+            >
+              Remix
+            </button>
+          )}
+          <button
+            type="button"
+            role="menuitem"
+            className={`${menuItemClass} text-gray-200 hover:bg-white/10 hover:text-white`}
+            onClick={() => {
+              handleTogglePin(contextMenu.item);
+              closeContextMenu();
+            }}
+          >
+            {contextMenu.item.pinned ? 'Unpin' : 'Pin (never remove)'}
+          </button>
+          <button
+            type="button"
+            role="menuitem"
+            className={`${menuItemClass} text-gray-200 hover:bg-white/10 hover:text-white`}
+            onClick={() => {
+              handleUpdate(contextMenu.item, { favorite: !contextMenu.item.favorite });
+              closeContextMenu();
+            }}
+          >
+            {contextMenu.item.favorite ? 'Remove from favorites' : 'Add to favorites'}
+          </button>
+          <button
+            type="button"
+            role="menuitem"
+            className={`${menuItemClass} text-gray-200 hover:bg-white/10 hover:text-white`}
+            onClick={() => {
+              setOrganizing(contextMenu.item);
+              closeContextMenu();
+            }}
+          >
+            Folder and tags…
+          </button>
           {targets.length > 0 && <div className="mx-2 my-1 h-px bg-white/10" aria-hidden="true" />}
           {targets.map((target) => (
             <button
@@ -415,6 +817,50 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     );
   }
 
+  /* "Send to" menu for the current selection (portaled like the context menu) */
+  let sendMenuNode: React.ReactNode = null;
+  if (sendMenu) {
+    const MENU_WIDTH = 240;
+    const left = Math.max(8, Math.min(sendMenu.x, window.innerWidth - MENU_WIDTH - 8));
+    const top = Math.max(8, Math.min(sendMenu.y, window.innerHeight - imageSelectionTargets.length * 44 - 20));
+    const closeSendMenu = () => setSendMenu(null);
+
+    sendMenuNode = createPortal(
+      <div className="fixed inset-0 z-[90]" data-dropdown-keep-open="">
+        <div className="absolute inset-0" onMouseDown={closeSendMenu} aria-hidden="true" />
+        <div
+          className="glass-sheet edge absolute w-60 rounded-xl p-1.5 animate-fade-in-fast"
+          style={{ left, top }}
+          role="menu"
+        >
+          {imageSelectionTargets.map((target) => {
+            const sendCount = Math.min(selectedImages.length, target.maxItems);
+            return (
+              <button
+                key={target.id}
+                type="button"
+                role="menuitem"
+                className="flex w-full flex-col items-start rounded-lg px-3 py-1.5 text-left text-[12px] font-medium text-gray-200 transition hover:bg-white/10 hover:text-white"
+                onClick={() => {
+                  closeSendMenu();
+                  handleSelectionTarget(target);
+                }}
+              >
+                {target.label}
+                <span className="text-[10px] font-normal text-gray-500">
+                  {sendCount < selectedImages.length
+                    ? `First ${sendCount} of ${selectedImages.length} images`
+                    : `${sendCount} ${sendCount === 1 ? 'image' : 'images'}`}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      </div>,
+      document.body
+    );
+  }
+
   return (
     <aside
       id="creations-gallery"
@@ -424,6 +870,18 @@ const GalleryRail: React.FC<GalleryRailProps> = ({
     >
       {content}
       {contextMenuNode}
+      {sendMenuNode}
+      {organizing && (
+        <GalleryOrganizeDialog
+          item={organizing}
+          folders={collections.folders}
+          onSave={(changes) => {
+            handleUpdate(organizing, changes);
+            setOrganizing(null);
+          }}
+          onClose={() => setOrganizing(null)}
+        />
+      )}
     </aside>
   );
 };
@@ -0,0 +1,272 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Mask editor for targeted edits. Brush, lasso and eraser paint on a canvas
+ * at the image's natural size; after every stroke the mask is exported as a
+ * PNG with the painted area in white on black, the format the edit endpoints
+ * expect.
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+
+type MaskTool = 'brush' | 'lasso' | 'erase';
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+interface MaskEditorProps {
+  imageUrl: string;
+  disabled?: boolean;
+  onMaskChange: (mask: File | null) => void;
+}
+
+const MASK_TOOLS: { value: MaskTool; label: string }[] = [
+  { value: 'brush', label: 'Brush' },
+  { value: 'lasso', label: 'Lasso' },
+  { value: 'erase', label: 'Erase' },
+];
+
+// Brush sizes are in screen pixels so the cursor feels the same on any image.
+const MIN_BRUSH_SIZE = 8;
+const MAX_BRUSH_SIZE = 120;
+const MASK_TINT = 'rgba(224, 79, 103, 0.5)';
+// Thumbnail size used to check whether anything is still painted.
+const MASK_PROBE_SIZE = 64;
+
+function isMaskEmpty(mask: HTMLCanvasElement): boolean {
+  const probe = document.createElement('canvas');
+  probe.width = MASK_PROBE_SIZE;
+  probe.height = MASK_PROBE_SIZE;
+  const context = probe.getContext('2d');
+  if (!context) return true;
+  context.drawImage(mask, 0, 0, MASK_PROBE_SIZE, MASK_PROBE_SIZE);
+  const { data } = context.getImageData(0, 0, MASK_PROBE_SIZE, MASK_PROBE_SIZE);
+  for (let index = 3; index < data.length; index += 4) {
+    if (data[index] > 0) return false;
+  }
+  return true;
+}
+
+const MaskEditor: React.FC<MaskEditorProps> = ({ imageUrl, disabled = false, onMaskChange }) => {
+  const imageRef = useRef<HTMLImageElement>(null);
+  const overlayRef = useRef<HTMLCanvasElement>(null);
+  // Painted strokes in white on transparent, at the image's natural size.
+  const maskRef = useRef<HTMLCanvasElement | null>(null);
+  const strokeRef = useRef<Point[] | null>(null);
+  const [tool, setTool] = useState<MaskTool>('brush');
+  const [brushSize, setBrushSize] = useState(40);
+  const [hasMask, setHasMask] = useState(false);
+
+  const getScale = useCallback(() => {
+    const image = imageRef.current;
+    return image && image.clientWidth > 0 ? image.naturalWidth / image.clientWidth : 1;
+  }, []);
+
+  const redrawOverlay = useCallback((lassoPoints: Point[] | null = null) => {
+    const overlay = overlayRef.current;
+    const mask = maskRef.current;
+    const image = imageRef.current;
+    if (!overlay || !mask || !image) return;
+
+    overlay.width = image.clientWidth;
+    overlay.height = image.clientHeight;
+    const context = overlay.getContext('2d');
+    if (!context) return;
+
+    context.drawImage(mask, 0, 0, overlay.width, overlay.height);
+    context.globalCompositeOperation = 'source-in';
+    context.fillStyle = MASK_TINT;
+    context.fillRect(0, 0, overlay.width, overlay.height);
+    context.globalCompositeOperation = 'source-over';
+
+    if (lassoPoints && lassoPoints.length > 1) {
+      const scale = getScale();
+      context.beginPath();
+      lassoPoints.forEach((point, index) => {
+        if (index === 0) context.moveTo(point.x / scale, point.y / scale);
+        else context.lineTo(point.x / scale, point.y / scale);
+      });
+      context.setLineDash([6, 4]);
+      context.strokeStyle = '#ffffff';
+      context.lineWidth = 1.5;
+      context.stroke();
+    }
+  }, [getScale]);
+
+  const resetMask = useCallback(() => {
+    const image = imageRef.current;
+    if (!image || !image.naturalWidth) return;
+    const mask = document.createElement('canvas');
+    mask.width = image.naturalWidth;
+    mask.height = image.naturalHeight;
+    maskRef.current = mask;
+    setHasMask(false);
+    onMaskChange(null);
+    redrawOverlay();
+  }, [onMaskChange, redrawOverlay]);
+
+  const exportMask = useCallback(() => {
+    const mask = maskRef.current;
+    if (!mask) return;
+    if (isMaskEmpty(mask)) {
+      setHasMask(false);
+      onMaskChange(null);
+      return;
+    }
+
+    const output = document.createElement('canvas');
+    output.width = mask.width;
+    output.height = mask.height;
+    const context = output.getContext('2d');
+    if (!context) return;
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, output.width, output.height);
+    context.drawImage(mask, 0, 0);
+    output.toBlob((blob) => {
+      if (!blob) return;
+      setHasMask(true);
+      onMaskChange(new File([blob], 'mask.png', { type: 'image/png' }));
+    }, 'image/png');
+  }, [onMaskChange]);
+
+  // Keep the tint aligned when the stage resizes.
+  useEffect(() => {
+    const image = imageRef.current;
+    if (!image || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => redrawOverlay());
+    observer.observe(image);
+    return () => observer.disconnect();
+  }, [redrawOverlay]);
+
+  const toMaskPoint = (event: React.PointerEvent<HTMLCanvasElement>): Point => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const scale = getScale();
+    return { x: (event.clientX - rect.left) * scale, y: (event.clientY - rect.top) * scale };
+  };
+
+  const paintSegment = (from: Point, to: Point) => {
+    const context = maskRef.current?.getContext('2d');
+    if (!context) return;
+    context.globalCompositeOperation = tool === 'erase' ? 'destination-out' : 'source-over';
+    context.strokeStyle = '#ffffff';
+    context.lineWidth = brushSize * getScale();
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(from.x, from.y);
+    context.lineTo(to.x, to.y);
+    context.stroke();
+    context.globalCompositeOperation = 'source-over';
+  };
+
+  const handlePointerDown = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    if (disabled || !maskRef.current) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toMaskPoint(event);
+    strokeRef.current = [point];
+    if (tool !== 'lasso') {
+      paintSegment(point, point);
+      redrawOverlay();
+    }
+  };
+
+  const handlePointerMove = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    const point = toMaskPoint(event);
+    if (tool === 'lasso') {
+      stroke.push(point);
+      redrawOverlay(stroke);
+    } else {
+      paintSegment(stroke[stroke.length - 1], point);
+      stroke.push(point);
+      redrawOverlay();
+    }
+  };
+
+  const handlePointerUp = () => {
+    const stroke = strokeRef.current;
+    strokeRef.current = null;
+    if (!stroke) return;
+
+    const context = maskRef.current?.getContext('2d');
+    if (tool === 'lasso' && context && stroke.length > 2) {
+      context.fillStyle = '#ffffff';
+      context.beginPath();
+      stroke.forEach((point, index) => {
+        if (index === 0) context.moveTo(point.x, point.y);
+        else context.lineTo(point.x, point.y);
+      });
+      context.closePath();
+      context.fill();
+    }
+    redrawOverlay();
+    exportMask();
+  };
+
+  return (
+    <div className="flex w-full flex-col items-center gap-3">
+      <div className="relative inline-block">
+        <img
+          ref={imageRef}
+          src={imageUrl}
+          alt="Paint the area to edit"
+          onLoad={resetMask}
+          className="pointer-events-none max-h-[48dvh] w-auto max-w-full select-none rounded-2xl object-contain"
+        />
+        <canvas
+          ref={overlayRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className={`absolute left-0 top-0 h-full w-full touch-none rounded-2xl ${disabled ? 'cursor-not-allowed' : 'cursor-crosshair'}`}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2 animate-fade-in-fast">
+        {MASK_TOOLS.map(({ value, label }) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setTool(value)}
+            disabled={disabled}
+            className={`edge glass-chip h-9 rounded-full px-3.5 text-xs font-medium text-gray-300 hover:text-white disabled:opacity-45 ${
+              tool === value ? 'glass-chip-active text-white' : ''
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        {tool !== 'lasso' && (
+          <label className="edge glass-chip flex h-9 items-center gap-2 rounded-full px-3.5 text-xs font-medium text-gray-400">
+            Size
+            <input
+              type="range"
+              min={MIN_BRUSH_SIZE}
+              max={MAX_BRUSH_SIZE}
+              value={brushSize}
+              onChange={(event) => setBrushSize(Number(event.target.value))}
+              disabled={disabled}
+              className="w-24 accent-accent-300"
+              aria-label="Brush size"
+            />
+          </label>
+        )}
+        <button
+          type="button"
+          onClick={resetMask}
+          disabled={disabled || !hasMask}
+          className="edge glass-chip h-9 rounded-full px-3.5 text-xs font-medium text-gray-400 hover:text-white disabled:opacity-45"
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MaskEditor;
@@ -0,0 +1,267 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Prompt library panel for the composer: built-in and saved templates by
+ * category, a small form for `{{variable}}` values, saving the current prompt,
+ * and JSON export/import.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  DEFAULT_PROMPT_CATEGORY,
+  deletePromptTemplate,
+  exportPromptLibrary,
+  fillPromptTemplate,
+  getPromptVariables,
+  importPromptLibrary,
+  loadPromptLibrary,
+  savePromptTemplate,
+  type PromptTemplate,
+} from '../../src/utils/promptLibrary';
+import { PanelHeading, XIcon } from './controls';
+
+interface PromptLibraryProps {
+  currentPrompt: string;
+  onInsert: (text: string) => void;
+}
+
+const ALL_CATEGORIES = 'All';
+
+const inputClass = 'w-full rounded-lg border border-white/10 bg-black/30 px-2.5 py-1.5 text-xs text-gray-200 placeholder:text-gray-600 focus:outline-none focus:ring-1 focus:ring-accent-300/70';
+const footerButtonClass = 'edge glass-chip h-8 flex-1 rounded-full px-3 text-[11px] font-medium text-gray-300 hover:text-white disabled:opacity-45';
+
+const PromptLibrary: React.FC<PromptLibraryProps> = ({ currentPrompt, onInsert }) => {
+  const [templates, setTemplates] = useState<PromptTemplate[]>([]);
+  const [category, setCategory] = useState(ALL_CATEGORIES);
+  const [filling, setFilling] = useState<PromptTemplate | null>(null);
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [saving, setSaving] = useState(false);
+  const [saveTitle, setSaveTitle] = useState('');
+  const [saveCategory, setSaveCategory] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<string | null>(null);
+  const importInputRef = useRef<HTMLInputElement>(null);
+
+  const refresh = () => loadPromptLibrary()
+    .then(setTemplates)
+    .catch((error) => {
+      console.error('Failed to load the prompt library:', error);
+      setStatus('Saved prompts are unavailable right now.');
+    });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const categories = useMemo(
+    () => [ALL_CATEGORIES, ...new Set(templates.map((template) => template.category))],
+    [templates]
+  );
+  const visibleTemplates = category === ALL_CATEGORIES
+    ? templates
+    : templates.filter((template) => template.category === category);
+  const variables = filling ? getPromptVariables(filling.prompt) : [];
+
+  const handleTemplateClick = (template: PromptTemplate) => {
+    if (getPromptVariables(template.prompt).length === 0) {
+      onInsert(template.prompt);
+      return;
+    }
+    setFilling(template);
+    setValues({});
+  };
+
+  const run = async (action: () => Promise<void>) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Prompt library action failed:', error);
+      setStatus(error instanceof Error ? error.message : 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    const template = await savePromptTemplate(saveTitle, saveCategory, currentPrompt);
+    setSaving(false);
+    setSaveTitle('');
+    setSaveCategory('');
+    setCategory(template.category);
+    setStatus(`Saved "${template.title}".`);
+    await refresh();
+  });
+
+  const handleDelete = (template: PromptTemplate) => run(async () => {
+    await deletePromptTemplate(template.id);
+    await refresh();
+  });
+
+  const handleExport = () => run(async () => {
+    const blob = await exportPromptLibrary();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `veilpix-prompts-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  const handleImport = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const imported = await importPromptLibrary(file);
+      setStatus(`Imported ${imported} ${imported === 1 ? 'prompt' : 'prompts'}.`);
+      await refresh();
+    });
+  };
+
+  if (filling) {
+    return (
+      <div className="flex flex-col gap-2 p-1">
+        <PanelHeading
+          action={
+            <button type="button" onClick={() => setFilling(null)} className="text-[11px] text-gray-400 hover:text-white">
+              Back
+            </button>
+          }
+        >
+          {filling.title}
+        </PanelHeading>
+        {variables.map((name, index) => (
+          <label key={name} className="flex flex-col gap-1 px-2 text-[11px] text-gray-400">
+            {name}
+            <input
+              value={values[name] ?? ''}
+              onChange={(event) => setValues((prev) => ({ ...prev, [name]: event.target.value }))}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter') onInsert(fillPromptTemplate(filling.prompt, values));
+              }}
+              autoFocus={index === 0}
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <p className="px-2 text-[11px] leading-relaxed text-gray-500">{fillPromptTemplate(filling.prompt, values)}</p>
+        <button
+          type="button"
+          onClick={() => onInsert(fillPromptTemplate(filling.prompt, values))}
+          className="btn-porcelain edge-strong mx-1 mb-1 flex h-9 items-center justify-center rounded-full px-4 text-sm font-semibold"
+        >
+          Insert
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <PanelHeading
+        action={
+          <button
+            type="button"
+            onClick={() => setSaving((prev) => !prev)}
+            disabled={!currentPrompt.trim()}
+            className="text-[11px] font-medium text-accent-200 hover:text-white disabled:text-gray-600"
+          >
+            {saving ? 'Cancel' : 'Save current'}
+          </button>
+        }
+      >
+        Prompt library
+      </PanelHeading>
+
+      {saving && (
+        <div className="flex flex-col gap-1.5 px-2 pb-1">
+          <input
+            value={saveTitle}
+            onChange={(event) => setSaveTitle(event.target.value)}
+            placeholder="Title"
+            autoFocus
+            className={inputClass}
+          />
+          <input
+            value={saveCategory}
+            onChange={(event) => setSaveCategory(event.target.value)}
+            placeholder={`Category (${DEFAULT_PROMPT_CATEGORY})`}
+            list="prompt-library-categories"
+            className={inputClass}
+          />
+          <datalist id="prompt-library-categories">
+            {categories.slice(1).map((name) => <option key={name} value={name} />)}
+          </datalist>
+          <p className="text-[11px] text-gray-500">Write {'{{name}}'} in the prompt for parts to fill in each time.</p>
+          <button type="button" onClick={handleSave} disabled={busy} className={footerButtonClass}>
+            Save prompt
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-1 px-2 pb-1">
+        {categories.map((name) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => setCategory(name)}
+            className={`rounded-full px-2.5 py-1 text-[11px] font-medium transition-colors ${
+              category === name ? 'bg-white/15 text-white' : 'text-gray-400 hover:bg-white/[0.06] hover:text-gray-200'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {visibleTemplates.map((template) => (
+        <div key={template.id} className="group relative">
+          <button
+            type="button"
+            onClick={() => handleTemplateClick(template)}
+            className="flex w-full flex-col rounded-xl px-3 py-2 pr-8 text-left transition-colors hover:bg-white/[0.06]"
+          >
+            <span className="truncate text-sm font-medium text-gray-200">{template.title}</span>
+            <span className="line-clamp-2 text-xs text-gray-500">{template.prompt}</span>
+          </button>
+          {!template.builtIn && (
+            <button
+              type="button"
+              onClick={() => handleDelete(template)}
+              disabled={busy}
+              title="Delete prompt"
+              aria-label={`Delete ${template.title}`}
+              className="absolute right-2 top-2 rounded-full p-1 text-gray-500 opacity-0 transition-opacity hover:text-red-300 group-hover:opacity-100 focus-visible:opacity-100"
+            >
+              <XIcon className="h-3 w-3" />
+            </button>
+          )}
+        </div>
+      ))}
+
+      <div className="mt-1 flex gap-2 px-1">
+        <button type="button" onClick={handleExport} disabled={busy} className={footerButtonClass}>
+          Export JSON
+        </button>
+        <button type="button" onClick={() => importInputRef.current?.click()} disabled={busy} className={footerButtonClass}>
+          Import JSON
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      {status && <p className="px-2 pb-1 pt-1 text-[11px] text-gray-500">{status}</p>}
+    </div>
+  );
+};
+
+export default PromptLibrary;
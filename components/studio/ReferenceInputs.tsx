@@ -8,8 +8,14 @@
 
 import React, { useEffect, useState } from 'react';
 import { useImageImport } from '../../src/hooks/useImageImport';
+import {
+  COMPOSITE_IMAGE_ROLES,
+  DEFAULT_COMPOSITE_IMAGE_ROLE,
+  type CompositeImageRole,
+  type CompositeReference,
+} from '../../src/utils/compositePrompt';
 import { PhotoIcon, VideoIcon, CameraIcon } from '../icons';
-import { FilePreview, XIcon, PlusIcon } from './controls';
+import { ChevronIcon, FilePreview, XIcon, PlusIcon } from './controls';
 
 /* ------------------------------------------------------------------ */
 /* Single image slot (base image, style image, start/end frame)         */
@@ -176,6 +182,145 @@ export const ImageGrid: React.FC<ImageGridProps> = ({ files, maxFiles, label, he
   );
 };
 
+/* ------------------------------------------------------------------ */
+/* Ordered reference list with roles (multi-image composites)           */
+/* ------------------------------------------------------------------ */
+
+interface CompositeReferenceListProps {
+  references: CompositeReference[];
+  maxReferences: number;
+  label: string;
+  helper?: string;
+  disabled?: boolean;
+  pastePriority?: number;
+  onChange: (references: CompositeReference[]) => void;
+  onWebcamClick?: () => void;
+}
+
+export const CompositeReferenceList: React.FC<CompositeReferenceListProps> = ({
+  references, maxReferences, label, helper, disabled = false, pastePriority = 0, onChange, onWebcamClick,
+}) => {
+  const imageImport = useImageImport({
+    onImages: (incoming) => onChange([
+      ...references,
+      ...incoming.map((file) => ({ file, role: DEFAULT_COMPOSITE_IMAGE_ROLE })),
+    ].slice(0, maxReferences)),
+    disabled: disabled || references.length >= maxReferences,
+    multiple: true,
+    maxFiles: maxReferences - references.length,
+    pastePriority,
+  });
+
+  const move = (index: number, offset: number) => {
+    const next = [...references];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  const setRole = (index: number, role: CompositeImageRole) => {
+    onChange(references.map((reference, i) => (i === index ? { ...reference, role } : reference)));
+  };
+
+  const moveButtonClass = 'flex h-6 w-6 items-center justify-center rounded-full text-gray-400 transition hover:bg-white/10 hover:text-white disabled:opacity-30 disabled:hover:bg-transparent';
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <div className="flex items-baseline justify-between px-1">
+        <span className="text-[11px] font-semibold uppercase tracking-[0.12em] text-gray-500">{label}</span>
+        <span className="text-[11px] tabular-nums text-gray-600">{references.length}/{maxReferences}</span>
+      </div>
+      {references.map((reference, index) => (
+        <div
+          key={`${reference.file.name}-${reference.file.lastModified}-${index}`}
+          className="edge flex items-center gap-2 rounded-xl bg-white/[0.03] p-1.5"
+        >
+          <FilePreview file={reference.file} className="h-11 w-11 shrink-0 rounded-lg object-cover" />
+          <span className="w-14 shrink-0 text-[11px] font-medium text-gray-400">Image {index + 2}</span>
+          <select
+            value={reference.role}
+            onChange={(event) => setRole(index, event.target.value as CompositeImageRole)}
+            disabled={disabled}
+            aria-label={`Role of image ${index + 2}`}
+            className="min-w-0 flex-1 rounded-lg border border-white/10 bg-black/30 px-2 py-1 text-xs text-gray-200 disabled:opacity-50"
+          >
+            {COMPOSITE_IMAGE_ROLES.map((role) => (
+              <option key={role.value} value={role.value}>{role.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => move(index, -1)}
+            disabled={disabled || index === 0}
+            aria-label={`Move image ${index + 2} earlier`}
+            className={moveButtonClass}
+          >
+            <ChevronIcon className="h-3.5 w-3.5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => move(index, 1)}
+            disabled={disabled || index === references.length - 1}
+            aria-label={`Move image ${index + 2} later`}
+            className={moveButtonClass}
+          >
+            <ChevronIcon className="h-3.5 w-3.5 rotate-180" />
+          </button>
+          <button
+            type="button"
+            onClick={() => onChange(references.filter((_, i) => i !== index))}
+            disabled={disabled}
+            aria-label={`Remove image ${index + 2}`}
+            className={`${moveButtonClass} hover:text-red-300`}
+          >
+            <XIcon className="h-3 w-3" />
+          </button>
+        </div>
+      ))}
+      {references.length < maxReferences && (
+        <label
+          {...imageImport.targetProps}
+          title="Paste or drop reference images"
+          className={`edge flex h-11 items-center justify-center gap-1.5 rounded-xl px-3 text-center transition ${
+            disabled
+              ? 'cursor-not-allowed bg-white/[0.02] opacity-50'
+              : imageImport.isDraggingOver
+                ? 'cursor-copy bg-accent-400/10 ring-2 ring-accent-400/40'
+                : 'cursor-pointer bg-white/[0.03] hover:bg-white/[0.07]'
+          }`}
+        >
+          <PlusIcon className="h-4 w-4 text-gray-500" />
+          <span className="text-xs font-medium text-gray-300">
+            {imageImport.isProcessing ? 'Processing…' : 'Add reference images'}
+          </span>
+          <input
+            type="file"
+            accept="image/*,.heic,.heif"
+            multiple
+            className="hidden"
+            disabled={disabled || imageImport.isProcessing}
+            onChange={(event) => {
+              void imageImport.importFiles(Array.from(event.currentTarget.files ?? []));
+              event.currentTarget.value = '';
+            }}
+          />
+        </label>
+      )}
+      {onWebcamClick && references.length < maxReferences && (
+        <button
+          type="button"
+          onClick={onWebcamClick}
+          disabled={disabled}
+          className="edge glass-chip flex h-9 items-center justify-center gap-1.5 rounded-full text-xs font-medium text-gray-300 hover:text-white disabled:opacity-50"
+        >
+          <CameraIcon className="h-4 w-4" />
+          Use camera
+        </button>
+      )}
+      {helper && <span className="px-1 text-[11px] text-gray-600">{helper}</span>}
+    </div>
+  );
+};
+
 /* ------------------------------------------------------------------ */
 /* Video reference slot                                                 */
 /* ------------------------------------------------------------------ */
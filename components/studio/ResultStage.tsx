@@ -3,25 +3,37 @@
  * SPDX-License-Identifier: Apache-2.0
  *
  * The result stage: whatever you create appears here, directly above the
- * composer. Hosts the compare slider, retouch hotspot, crop overlay, and
- * video follow-up actions.
+ * composer. Hosts the compare slider, retouch hotspot, mask editor, expand
+ * preview, adjustment layer, crop overlay, the version graph, the contact
+ * sheet for batch variations, and video follow-up actions.
  */
 
-import React, { Suspense, lazy } from 'react';
+import React, { Suspense, lazy, useState } from 'react';
 import type { Crop, PixelCrop } from 'react-image-crop';
 import Spinner from '../Spinner';
 import {
   UndoIcon,
   RedoIcon,
+  BranchIcon,
   EyeIcon,
   SlidersIcon,
   DownloadIcon,
   BullseyeIcon,
+  BrushIcon,
   CropIcon,
+  ExpandIcon,
   ResetIcon,
   PhotoIcon,
+  SunIcon,
   VideoIcon,
 } from '../icons';
+import AdjustmentEditor from './AdjustmentEditor';
+import ExpandEditor from './ExpandEditor';
+import MaskEditor from './MaskEditor';
+import VersionGraph from './VersionGraph';
+import type { ExpandOptions } from '../../src/utils/canvasExpansion';
+import type { HistoryTree } from '../../src/utils/historyTree';
+import type { ImageAdjustments } from '../../src/utils/imageAdjustments';
 import type { StudioMode, StageTool } from './types';
 
 const BeforeAfterSlider = lazy(() => import('../BeforeAfterSlider'));
@@ -63,6 +75,8 @@ export interface ResultStageProps {
   previousImageUrl: string | null;
   canUndo: boolean;
   canRedo: boolean;
+  historyTree: HistoryTree | null;
+  onSelectVersion: (id: string) => void;
   isComparing: boolean;
   onComparingChange: (comparing: boolean) => void;
   showSlider: boolean;
@@ -74,6 +88,11 @@ export interface ResultStageProps {
   onToolChange: (tool: StageTool) => void;
   displayHotspot: { x: number; y: number } | null;
   onImageClick: (event: React.MouseEvent<HTMLImageElement>) => void;
+  hasMask: boolean;
+  onMaskChange: (mask: File | null) => void;
+  expandOptions: ExpandOptions;
+  onExpandOptionsChange: (options: ExpandOptions) => void;
+  onBakeAdjustments: (adjustments: ImageAdjustments) => void;
   imgRef: React.RefObject<HTMLImageElement | null>;
   crop: Crop | undefined;
   onCropChange: (crop: PixelCrop) => void;
@@ -87,6 +106,13 @@ export interface ResultStageProps {
   onReset: () => void;
   onDownload: () => void;
 
+  /* batch variations */
+  candidateImageUrls: string[];
+  /** Model names for a comparison run, in the same order as the images; empty for plain batches. */
+  candidateLabels: string[];
+  onPickCandidate: (index: number) => void;
+  onDismissCandidates: () => void;
+
   /* video */
   videoUrl: string | null;
   onVideoDownload: () => void;
@@ -105,19 +131,25 @@ const ResultStage: React.FC<ResultStageProps> = (props) => {
   const {
     mode, isLoading, loadingLabel,
     currentImageUrl, originalImageUrl, previousImageUrl,
-    canUndo, canRedo, isComparing, onComparingChange,
+    canUndo, canRedo, historyTree, onSelectVersion, isComparing, onComparingChange,
     showSlider, onToggleSlider, sliderCompareMode, onSliderCompareModeChange,
     activeTool, supportsImageEditing, onToolChange, displayHotspot, onImageClick, imgRef,
+    hasMask, onMaskChange, expandOptions, onExpandOptionsChange, onBakeAdjustments,
     crop, onCropChange, onCropComplete, aspect, onAspectChange, onApplyCrop, cropReady,
     onUndo, onRedo, onReset, onDownload,
+    candidateImageUrls, candidateLabels, onPickCandidate, onDismissCandidates,
     videoUrl, onVideoDownload, onContinueFromLastFrame, onOpenVideoEditor, isExtractingLastFrame,
   } = props;
+  const [showVersions, setShowVersions] = useState(false);
 
   const showVideo = mode === 'video' && Boolean(videoUrl);
-  const showImage = !showVideo && Boolean(currentImageUrl);
-  const isEmpty = !showVideo && !showImage;
+  const showCandidates = mode === 'image' && candidateImageUrls.length > 0;
+  const isModelComparison = candidateLabels.length === candidateImageUrls.length && candidateLabels.length > 0;
+  const showImage = !showVideo && !showCandidates && Boolean(currentImageUrl);
+  const isEmpty = !showVideo && !showImage && !showCandidates;
   const sliderBeforeImage = sliderCompareMode === 'original' ? originalImageUrl : previousImageUrl;
   const sliderActive = showImage && showSlider && canUndo && activeTool === 'none' && Boolean(sliderBeforeImage);
+  const hasVersions = Boolean(historyTree && historyTree.nodes.length > 1);
 
   return (
     <div className="relative flex w-full max-w-3xl flex-1 flex-col items-center justify-center gap-3 self-center py-4 min-h-[38vh]">
@@ -178,6 +210,46 @@ const ResultStage: React.FC<ResultStageProps> = (props) => {
         </div>
       )}
 
+      {/* Batch variations or a model comparison - the picked one becomes the current image */}
+      {showCandidates && (
+        <div className="flex w-full flex-col items-center gap-3 animate-fade-in">
+          <p className="text-sm text-gray-400">
+            {isModelComparison
+              ? 'Pick the result to keep editing. Every model\'s image is saved to your gallery.'
+              : 'Pick a variation to keep editing. All of them are saved to your gallery.'}
+          </p>
+          <div className="grid w-full grid-cols-2 gap-2 sm:gap-3">
+            {candidateImageUrls.map((url, index) => (
+              <button
+                key={url}
+                type="button"
+                onClick={() => onPickCandidate(index)}
+                disabled={isLoading}
+                aria-label={isModelComparison ? `Use the ${candidateLabels[index]} result` : `Use variation ${index + 1}`}
+                className="edge group relative overflow-hidden rounded-2xl bg-black/30 transition hover:ring-2 hover:ring-accent-300 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-accent-300 disabled:cursor-wait"
+              >
+                <img
+                  src={url}
+                  alt={isModelComparison ? candidateLabels[index] : `Variation ${index + 1}`}
+                  className="max-h-[24dvh] w-full object-contain"
+                />
+                <span className="glass-chip absolute left-2 top-2 max-w-[calc(100%-1rem)] truncate rounded-full px-2 py-0.5 text-[11px] font-semibold text-gray-200">
+                  {isModelComparison ? candidateLabels[index] : index + 1}
+                </span>
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={onDismissCandidates}
+            disabled={isLoading}
+            className="edge glass-chip h-9 rounded-full px-3.5 text-xs font-medium text-gray-400 hover:text-white"
+          >
+            Keep none
+          </button>
+        </div>
+      )}
+
       {/* Image result */}
       {showImage && currentImageUrl && (
         <div className="flex w-full flex-col items-center gap-3 animate-fade-in">
@@ -193,6 +265,27 @@ const ResultStage: React.FC<ResultStageProps> = (props) => {
                   aspect={aspect}
                 />
               </Suspense>
+            ) : activeTool === 'mask' ? (
+              <MaskEditor
+                key={currentImageUrl}
+                imageUrl={currentImageUrl}
+                disabled={isLoading}
+                onMaskChange={onMaskChange}
+              />
+            ) : activeTool === 'expand' ? (
+              <ExpandEditor
+                key={currentImageUrl}
+                imageUrl={currentImageUrl}
+                options={expandOptions}
+                onOptionsChange={onExpandOptionsChange}
+                disabled={isLoading}
+              />
+            ) : activeTool === 'adjust' ? (
+              <AdjustmentEditor
+                imageUrl={currentImageUrl}
+                disabled={isLoading}
+                onBake={onBakeAdjustments}
+              />
             ) : sliderActive && sliderBeforeImage ? (
               <Suspense fallback={<div className="min-h-40 w-full rounded-2xl bg-black/20" />}>
                 <div className="w-full">
@@ -277,6 +370,11 @@ const ResultStage: React.FC<ResultStageProps> = (props) => {
               <ToolButton label="Redo" disabled={!canRedo || isLoading} onClick={onRedo}>
                 <RedoIcon className="h-4.5 w-4.5" />
               </ToolButton>
+              {hasVersions && (
+                <ToolButton label="Version history" active={showVersions} onClick={() => setShowVersions(prev => !prev)}>
+                  <BranchIcon className="h-4.5 w-4.5" />
+                </ToolButton>
+              )}
               {canUndo && (
                 <ToolButton
                   label="Hold to compare with original"
@@ -320,6 +418,30 @@ const ResultStage: React.FC<ResultStageProps> = (props) => {
               >
                 <BullseyeIcon className="h-4.5 w-4.5" />
               </ToolButton>
+              <ToolButton
+                label={supportsImageEditing ? 'Mask edit - paint the area to change' : 'Mask edit is not available with this model'}
+                active={activeTool === 'mask'}
+                disabled={isLoading || !supportsImageEditing}
+                onClick={() => onToolChange(activeTool === 'mask' ? 'none' : 'mask')}
+              >
+                <BrushIcon className="h-4.5 w-4.5" />
+              </ToolButton>
+              <ToolButton
+                label={supportsImageEditing ? 'Expand - extend the canvas to a new aspect ratio' : 'Expand is not available with this model'}
+                active={activeTool === 'expand'}
+                disabled={isLoading || !supportsImageEditing}
+                onClick={() => onToolChange(activeTool === 'expand' ? 'none' : 'expand')}
+              >
+                <ExpandIcon className="h-4.5 w-4.5" />
+              </ToolButton>
+              <ToolButton
+                label="Adjust - free exposure, color, curves and HSL"
+                active={activeTool === 'adjust'}
+                disabled={isLoading}
+                onClick={() => onToolChange(activeTool === 'adjust' ? 'none' : 'adjust')}
+              >
+                <SunIcon className="h-4.5 w-4.5" />
+              </ToolButton>
               <ToolButton
                 label="Crop"
                 active={false}
@@ -337,11 +459,24 @@ const ResultStage: React.FC<ResultStageProps> = (props) => {
             </div>
           )}
 
+          {showVersions && hasVersions && historyTree && activeTool !== 'crop' && (
+            <VersionGraph tree={historyTree} disabled={isLoading} onSelect={onSelectVersion} />
+          )}
           {activeTool === 'retouch' && (
             <p className="text-xs text-gray-500 animate-fade-in-fast">
               {displayHotspot ? 'Point selected - describe the edit below.' : 'Tap a point on the image to edit precisely.'}
             </p>
           )}
+          {activeTool === 'mask' && (
+            <p className="text-xs text-gray-500 animate-fade-in-fast">
+              {hasMask ? 'Only the painted area will change - describe the edit below.' : 'Paint or lasso the area you want to change.'}
+            </p>
+          )}
+          {activeTool === 'expand' && (
+            <p className="text-xs text-gray-500 animate-fade-in-fast">
+              Pick a ratio and placement, then describe what should fill the new space.
+            </p>
+          )}
         </div>
       )}
 
@@ -0,0 +1,125 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ * Branch graph of the history tree. Each version is a thumbnail placed by
+ * its step from the original (left to right) and its branch (top to bottom);
+ * clicking one makes it the current image without discarding anything.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { IMAGE_MODEL_CONFIGS } from '../ImageModelControlsPanel';
+import {
+  getHistoryPath,
+  layoutHistoryTree,
+  type HistoryNode,
+  type HistoryOperation,
+  type HistoryTree,
+} from '../../src/utils/historyTree';
+
+interface VersionGraphProps {
+  tree: HistoryTree;
+  disabled?: boolean;
+  onSelect: (id: string) => void;
+}
+
+const OPERATION_LABELS: Record<HistoryOperation, string> = {
+  upload: 'Original',
+  'text-to-image': 'Generated',
+  edit: 'Edit',
+  expand: 'Expand',
+  composite: 'Combine',
+  adjust: 'Adjust',
+  adjustments: 'Adjustments',
+  crop: 'Crop',
+};
+
+const THUMB_SIZE = 56;
+const COLUMN_GAP = 28;
+const ROW_GAP = 14;
+const COLUMN_WIDTH = THUMB_SIZE + COLUMN_GAP;
+const ROW_HEIGHT = THUMB_SIZE + ROW_GAP;
+
+function describeVersion(node: HistoryNode): string {
+  const details = [
+    OPERATION_LABELS[node.params.operation],
+    node.provider ? IMAGE_MODEL_CONFIGS[node.provider]?.shortLabel : null,
+    node.params.resolution,
+    node.params.aspectRatio && node.params.aspectRatio !== 'auto' ? node.params.aspectRatio : null,
+  ].filter(Boolean).join(' · ');
+  return node.prompt ? `${details}\n${node.prompt}` : details;
+}
+
+const VersionGraph: React.FC<VersionGraphProps> = ({ tree, disabled = false, onSelect }) => {
+  const [thumbnailUrls, setThumbnailUrls] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    const urls = Object.fromEntries(tree.nodes.map(node => [node.id, URL.createObjectURL(node.file)]));
+    setThumbnailUrls(urls);
+    return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+  }, [tree.nodes]);
+
+  const graph = useMemo(() => layoutHistoryTree(tree), [tree]);
+  const currentLine = useMemo(
+    () => new Set(getHistoryPath(tree, tree.currentId).map(node => node.id)),
+    [tree],
+  );
+  const positions = new Map<string, { x: number; y: number }>(graph.map(({ node, depth, lane }) => [node.id, { x: depth * COLUMN_WIDTH, y: lane * ROW_HEIGHT }]));
+  const width = Math.max(...graph.map(({ depth }) => depth)) * COLUMN_WIDTH + THUMB_SIZE;
+  const height = Math.max(...graph.map(({ lane }) => lane)) * ROW_HEIGHT + THUMB_SIZE;
+
+  return (
+    <div className="edge glass-chip w-full max-w-xl overflow-auto rounded-2xl p-3 animate-fade-in-fast">
+      <div className="relative" style={{ width, height }}>
+        <svg width={width} height={height} className="pointer-events-none absolute left-0 top-0" aria-hidden="true">
+          {graph.map(({ node }) => {
+            const child = positions.get(node.id);
+            const parent = node.parentId ? positions.get(node.parentId) : null;
+            if (!child || !parent) return null;
+            const startX = parent.x + THUMB_SIZE;
+            const startY = parent.y + THUMB_SIZE / 2;
+            const midX = startX + COLUMN_GAP / 2;
+            return (
+              <path
+                key={node.id}
+                d={`M${startX} ${startY}H${midX}V${child.y + THUMB_SIZE / 2}H${child.x}`}
+                fill="none"
+                stroke={currentLine.has(node.id) ? 'rgba(255,255,255,0.55)' : 'rgba(255,255,255,0.18)'}
+                strokeWidth="1.5"
+              />
+            );
+          })}
+        </svg>
+        {graph.map(({ node }) => {
+          const position = positions.get(node.id)!;
+          const isCurrent = node.id === tree.currentId;
+          return (
+            <button
+              key={node.id}
+              type="button"
+              onClick={() => onSelect(node.id)}
+              disabled={disabled || isCurrent}
+              title={describeVersion(node)}
+              aria-label={`Version: ${describeVersion(node)}`}
+              aria-current={isCurrent ? 'true' : undefined}
+              className={`absolute overflow-hidden rounded-xl bg-black/30 transition disabled:cursor-default ${
+                isCurrent
+                  ? 'ring-2 ring-accent-300'
+                  : currentLine.has(node.id)
+                    ? 'opacity-90 hover:opacity-100'
+                    : 'opacity-55 hover:opacity-100'
+              }`}
+              style={{ left: position.x, top: position.y, width: THUMB_SIZE, height: THUMB_SIZE }}
+            >
+              {thumbnailUrls[node.id] && (
+                <img src={thumbnailUrls[node.id]} alt="" className="h-full w-full object-cover" />
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VersionGraph;
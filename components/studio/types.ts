@@ -5,13 +5,15 @@
  * Shared types for the single-page VeilPix Studio workflow.
  */
 
+import type { ImageGenerationOptions } from '../ImageModelControlsPanel';
+
 export type StudioMode = 'image' | 'video';
 
 export type VideoProvider = 'wan' | 'seedance';
 export type SeedanceVariant = 'regular' | 'fast' | 'mini';
 export type SeedanceInputMode = 'frames' | 'references';
 
-export type StageTool = 'none' | 'retouch' | 'crop';
+export type StageTool = 'none' | 'retouch' | 'mask' | 'expand' | 'adjust' | 'crop';
 
 export interface VideoGenerateOptions {
   provider: VideoProvider;
@@ -26,3 +28,9 @@ export interface VideoGenerateOptions {
   seedanceGenerateAudio?: boolean;
   seedanceWebSearch?: boolean;
 }
+
+/** One model in a side-by-side comparison run; `options` are already normalized for it. */
+export interface ImageCompareModel {
+  label: string;
+  options: ImageGenerationOptions;
+}
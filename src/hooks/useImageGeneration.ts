@@ -6,7 +6,7 @@
 import React from 'react'
 import { useAuth } from '@clerk/clerk-react'
 import { useMutation, useQuery } from '@tanstack/react-query'
-import { useApiClient } from '../services/apiClient'
+import { ApiError, useApiClient } from '../services/apiClient'
 import { queryClient } from '../queryClient'
 import { compressImageIfNeeded, compressMultipleImages } from '../utils/imageCompression'
 
@@ -19,6 +19,14 @@ export interface ImageGenerationResponse {
   success: boolean
   message?: string
   creditsRemaining?: number
+  creditsUsed?: number
+  processingTime?: number
+  jobId?: string
+  // Every successful variation of a batch, in job order; `image` is the first.
+  images?: {
+    data: string
+    mimeType: string
+  }[]
 }
 
 export interface UsageStats {
@@ -31,8 +39,11 @@ export interface UsageStats {
 export interface GenerateEditRequest {
   image: File
   prompt: string
-  x: number
-  y: number
+  // Hotspot in image pixels; not needed when a mask is sent
+  x?: number
+  y?: number
+  mask?: File  // PNG, white = area to edit
+  count?: number  // Variations to generate in parallel (1-4)
   resolution?: string  // For SeeDream API
   aspectRatio?: string  // Model-specific aspect ratio setting
   seedreamTier?: 'lite' | 'pro'
@@ -53,6 +64,7 @@ export interface GenerateFilterRequest {
 export interface GenerateAdjustRequest {
   image: File
   prompt: string
+  count?: number  // Variations to generate in parallel (1-4)
   resolution?: string  // For Kie image model APIs
   aspectRatioFile?: string  // For SeeDream aspect ratio changes (PNG filename)
   aspectRatio?: string  // For native aspect ratio support (direct string like '1:1', '16:9')
@@ -62,8 +74,7 @@ export interface GenerateAdjustRequest {
 }
 
 export interface GenerateCompositeRequest {
-  image1: File
-  image2: File
+  images: File[]  // Base image first, then references in prompt order
   prompt: string
   style?: string
   resolution?: string  // For SeeDream API
@@ -75,6 +86,7 @@ export interface GenerateCompositeRequest {
 
 export interface GenerateTextToImageRequest {
   prompt: string
+  count?: number  // Variations to generate in parallel (1-4)
   resolution?: string  // For Nano Banana 2 / Wan Image text-to-image
   aspectRatio?: string  // For Nano Banana 2 / Wan Image text-to-image
   seedreamTier?: 'lite' | 'pro'
@@ -111,6 +123,210 @@ export function useUsageStats() {
   })
 }
 
+// ============================================================================
+// Image Generation Jobs
+// /api/images answers with a job ID right away; the hooks below poll
+// /api/images/jobs/:jobId for the result. Each job is kept in localStorage
+// until it settles so a reload can recover it.
+// ============================================================================
+
+type ApiRequest = ReturnType<typeof useApiClient>['apiRequest']
+type ApiRequestOptions = NonNullable<Parameters<ApiRequest>[1]>
+
+export interface ImageGenerationJobStatus {
+  status: 'pending' | 'succeeded' | 'failed'
+  image?: {
+    data: string
+    mimeType: string
+  }
+  error?: string
+  code?: string
+  message?: string
+  creditsUsed?: number
+  processingTime?: number
+}
+
+export interface PendingImageGeneration {
+  id: string
+  prompt: string
+  createdAt: number
+}
+
+const PENDING_IMAGE_STORAGE_KEY = 'veilpix-pending-image-generations'
+const IMAGE_JOB_POLL_INTERVAL_MS = 2000
+const IMAGE_JOB_WAIT_TIMEOUT_MS = 10 * 60 * 1000
+export const IMAGE_RECOVERY_TIMEOUT_MS = 30 * 60 * 1000
+
+export function readPendingImageGenerations(): PendingImageGeneration[] {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PENDING_IMAGE_STORAGE_KEY) || '[]')
+    if (!Array.isArray(parsed)) return []
+    return parsed.filter((job): job is PendingImageGeneration => (
+      typeof job?.id === 'string' &&
+      typeof job.prompt === 'string' &&
+      typeof job.createdAt === 'number'
+    ))
+  } catch {
+    return []
+  }
+}
+
+function storePendingImageGenerations(jobs: PendingImageGeneration[]) {
+  try {
+    if (jobs.length) localStorage.setItem(PENDING_IMAGE_STORAGE_KEY, JSON.stringify(jobs))
+    else localStorage.removeItem(PENDING_IMAGE_STORAGE_KEY)
+  } catch {
+    // Polling still works during this page lifetime when storage is unavailable.
+  }
+}
+
+export function clearPendingImageGeneration(generationId: string) {
+  storePendingImageGenerations(readPendingImageGenerations().filter(job => job.id !== generationId))
+}
+
+function fetchImageGenerationJob(apiRequest: ApiRequest, generationId: string) {
+  return apiRequest<ImageGenerationJobStatus>(`/api/images/jobs/${encodeURIComponent(generationId)}`, {
+    method: 'GET',
+    cache: 'no-store',
+    requiresAuth: true,
+  })
+}
+
+// Rebuild the error the blocking endpoints used to return so callers can keep
+// checking status codes and the content-policy code.
+function imageGenerationJobError(status: ImageGenerationJobStatus) {
+  const httpStatus = status.code === 'CONTENT_POLICY_VIOLATION' ? 400 : 500
+  return new ApiError(httpStatus, status.error || 'Image generation failed', {
+    error: status.error,
+    code: status.code,
+    message: status.message,
+  })
+}
+
+async function waitForImageGenerationJob(apiRequest: ApiRequest, generationId: string): Promise<ImageGenerationResponse> {
+  const startedAt = Date.now()
+
+  while (Date.now() - startedAt < IMAGE_JOB_WAIT_TIMEOUT_MS) {
+    await new Promise(resolve => setTimeout(resolve, IMAGE_JOB_POLL_INTERVAL_MS))
+
+    let status: ImageGenerationJobStatus
+    try {
+      status = await fetchImageGenerationJob(apiRequest, generationId)
+    } catch (error) {
+      // Dropped connections and server hiccups are retried; the job keeps running.
+      if (error instanceof ApiError && (error.status === 0 || error.status >= 500)) continue
+      throw error
+    }
+
+    if (status.status === 'succeeded' && status.image) {
+      return {
+        success: true,
+        jobId: generationId,
+        image: status.image,
+        creditsUsed: status.creditsUsed,
+        processingTime: status.processingTime,
+      }
+    }
+    if (status.status === 'failed') {
+      throw imageGenerationJobError(status)
+    }
+  }
+
+  throw new ApiError(504, 'Gateway Timeout', {
+    message: 'The image is still processing. Reopen VeilPix in a few minutes to recover it.'
+  })
+}
+
+function storePendingImageGeneration(generationId: string, prompt: string) {
+  storePendingImageGenerations([
+    ...readPendingImageGenerations(),
+    { id: generationId, prompt, createdAt: Date.now() }
+  ])
+}
+
+// Keep jobs that may still finish; anything the server answered is final.
+function settlePendingImageGeneration(generationId: string, error: unknown) {
+  const mayStillFinish = error instanceof ApiError && (error.status === 0 || error.status === 504)
+  if (!mayStillFinish) clearPendingImageGeneration(generationId)
+}
+
+async function waitForPendingImageGeneration(apiRequest: ApiRequest, generationId: string) {
+  try {
+    const response = await waitForImageGenerationJob(apiRequest, generationId)
+    clearPendingImageGeneration(generationId)
+    return response
+  } catch (error) {
+    settlePendingImageGeneration(generationId, error)
+    throw error
+  }
+}
+
+/**
+ * Submit an image job and wait for its result. The job stays in localStorage
+ * until it succeeds or fails, so a reload or dropped connection can pick it up
+ * with useImageGenerationRecovery().
+ *
+ * A batch (`count` > 1) answers with one job ID per variation. They are polled
+ * in parallel and the response carries every image that succeeded in
+ * `images`; it only fails when every variation failed.
+ */
+async function runImageGenerationJob(
+  apiRequest: ApiRequest,
+  endpoint: string,
+  prompt: string,
+  options: ApiRequestOptions
+): Promise<ImageGenerationResponse> {
+  const generationId = crypto.randomUUID()
+  storePendingImageGeneration(generationId, prompt)
+
+  let jobIds: string[]
+  try {
+    const submitted = await apiRequest<{ jobId: string; jobIds?: string[] }>(endpoint, {
+      ...options,
+      headers: {
+        ...(options.headers as Record<string, string> | undefined),
+        'X-Generation-ID': generationId,
+      },
+    })
+    jobIds = submitted.jobIds?.length ? submitted.jobIds : [generationId]
+  } catch (error) {
+    settlePendingImageGeneration(generationId, error)
+    throw error
+  }
+
+  if (jobIds.length === 1) {
+    return waitForPendingImageGeneration(apiRequest, jobIds[0])
+  }
+
+  for (const jobId of jobIds) {
+    if (jobId !== generationId) storePendingImageGeneration(jobId, prompt)
+  }
+  const results = await Promise.allSettled(jobIds.map(jobId => waitForPendingImageGeneration(apiRequest, jobId)))
+  const succeeded = results.flatMap(result => result.status === 'fulfilled' && result.value.image ? [result.value] : [])
+  if (succeeded.length === 0) {
+    throw (results[0] as PromiseRejectedResult).reason
+  }
+
+  return {
+    ...succeeded[0],
+    jobId: generationId,
+    images: succeeded.map(response => response.image!),
+    creditsUsed: succeeded.reduce((total, response) => total + (response.creditsUsed ?? 0), 0),
+  }
+}
+
+export function useImageGenerationRecovery() {
+  const { apiRequest } = useApiClient()
+
+  return React.useCallback(async (generationId: string) => {
+    const status = await fetchImageGenerationJob(apiRequest, generationId)
+    if (status.status === 'succeeded') {
+      queryClient.invalidateQueries({ queryKey: ['usage-stats'] })
+    }
+    return status
+  }, [apiRequest])
+}
+
 // ============================================================================
 // Nano Banana 2 (Google Gemini 3.1 Flash) API Hooks
 // These hooks use the Nano Banana 2 API (via Kie.ai) for image generation
@@ -129,8 +345,15 @@ export function useGenerateEditNanoBanana2() {
       const formData = new FormData()
       formData.append('image', compressedImage)
       formData.append('prompt', data.prompt)
-      formData.append('x', data.x.toString())
-      formData.append('y', data.y.toString())
+      if (data.mask) {
+        formData.append('mask', data.mask)
+      } else if (data.x !== undefined && data.y !== undefined) {
+        formData.append('x', data.x.toString())
+        formData.append('y', data.y.toString())
+      }
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
       if (data.resolution) {
         formData.append('resolution', data.resolution)
       }
@@ -138,7 +361,7 @@ export function useGenerateEditNanoBanana2() {
         formData.append('aspectRatio', data.aspectRatio)
       }
 
-      return await apiRequest<ImageGenerationResponse>('/api/nanobanana2/generate-edit', {
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobanana2/generate-edit', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -171,7 +394,7 @@ export function useGenerateFilterNanoBanana2() {
         formData.append('aspectRatio', data.aspectRatio)
       }
 
-      return await apiRequest<ImageGenerationResponse>('/api/nanobanana2/generate-filter', {
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobanana2/generate-filter', data.filterType, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -197,6 +420,9 @@ export function useGenerateAdjustNanoBanana2() {
       const formData = new FormData()
       formData.append('image', compressedImage)
       formData.append('adjustment', data.prompt)
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
       if (data.resolution) {
         formData.append('resolution', data.resolution)
       }
@@ -205,7 +431,7 @@ export function useGenerateAdjustNanoBanana2() {
         formData.append('aspectRatio', data.aspectRatio)
       }
 
-      return await apiRequest<ImageGenerationResponse>('/api/nanobanana2/generate-adjust', {
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobanana2/generate-adjust', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -225,15 +451,11 @@ export function useGenerateCompositeNanoBanana2() {
 
   return useMutation({
     mutationFn: async (data: GenerateCompositeRequest): Promise<ImageGenerationResponse> => {
-      // Compress both images if needed (20MB limit per image)
-      const [compressedImage1, compressedImage2] = await compressMultipleImages(
-        [data.image1, data.image2],
-        20
-      )
+      // Compress the images if needed (20MB limit per image)
+      const compressedImages = await compressMultipleImages(data.images, 20)
 
       const formData = new FormData()
-      formData.append('images', compressedImage1)
-      formData.append('images', compressedImage2)
+      compressedImages.forEach(image => formData.append('images', image))
       formData.append('prompt', data.prompt)
       if (data.style) {
         formData.append('style', data.style)
@@ -245,7 +467,7 @@ export function useGenerateCompositeNanoBanana2() {
         formData.append('aspectRatio', data.aspectRatio)
       }
 
-      return await apiRequest<ImageGenerationResponse>('/api/nanobanana2/combine-photos', {
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobanana2/combine-photos', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -267,13 +489,14 @@ export function useGenerateTextToImage() {
     mutationFn: async (data: GenerateTextToImageRequest): Promise<ImageGenerationResponse> => {
       console.log('Starting text-to-image generation with prompt:', data.prompt)
 
-      const response = await apiRequest<ImageGenerationResponse>('/api/nanobanana2/generate-text-to-image', {
+      const response = await runImageGenerationJob(apiRequest, '/api/images/nanobanana2/generate-text-to-image', data.prompt, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           prompt: data.prompt,
+          count: data.count,
           resolution: data.resolution,
           aspectRatio: data.aspectRatio
         }),
@@ -290,6 +513,186 @@ export function useGenerateTextToImage() {
   })
 }
 
+// ============================================================================
+// Nano Banana Pro (Google Gemini 3 Pro Image) API Hooks
+// Same request shapes as Nano Banana 2 through the nanobananapro provider.
+// Accepts up to 8 input images and a fixed list of aspect ratios (no 'auto').
+// ============================================================================
+
+// Custom hook for localized editing with Nano Banana Pro
+export function useGenerateEditNanoBananaPro() {
+  const { apiRequest } = useApiClient()
+
+  return useMutation({
+    mutationFn: async (data: GenerateEditRequest): Promise<ImageGenerationResponse> => {
+      // Compress image if needed (20MB limit)
+      const compressedImage = await compressImageIfNeeded(data.image, 20)
+
+      const formData = new FormData()
+      formData.append('image', compressedImage)
+      formData.append('prompt', data.prompt)
+      if (data.mask) {
+        formData.append('mask', data.mask)
+      } else if (data.x !== undefined && data.y !== undefined) {
+        formData.append('x', data.x.toString())
+        formData.append('y', data.y.toString())
+      }
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
+      if (data.resolution) {
+        formData.append('resolution', data.resolution)
+      }
+      if (data.aspectRatio) {
+        formData.append('aspectRatio', data.aspectRatio)
+      }
+
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobananapro/generate-edit', data.prompt, {
+        method: 'POST',
+        body: formData,
+        headers: {},
+        requiresAuth: true
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['usage-stats'] })
+    },
+    retry: false,
+  })
+}
+
+// Custom hook for style filters with Nano Banana Pro
+export function useGenerateFilterNanoBananaPro() {
+  const { apiRequest } = useApiClient()
+
+  return useMutation({
+    mutationFn: async (data: GenerateFilterRequest): Promise<ImageGenerationResponse> => {
+      // Compress image if needed (20MB limit)
+      const compressedImage = await compressImageIfNeeded(data.image, 20)
+
+      const formData = new FormData()
+      formData.append('image', compressedImage)
+      formData.append('filterType', data.filterType)
+      if (data.resolution) {
+        formData.append('resolution', data.resolution)
+      }
+      if (data.aspectRatio) {
+        formData.append('aspectRatio', data.aspectRatio)
+      }
+
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobananapro/generate-filter', data.filterType, {
+        method: 'POST',
+        body: formData,
+        headers: {},
+        requiresAuth: true
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['usage-stats'] })
+    },
+    retry: false,
+  })
+}
+
+// Custom hook for photo adjustments with Nano Banana Pro
+export function useGenerateAdjustNanoBananaPro() {
+  const { apiRequest } = useApiClient()
+
+  return useMutation({
+    mutationFn: async (data: GenerateAdjustRequest): Promise<ImageGenerationResponse> => {
+      // Compress image if needed (20MB limit)
+      const compressedImage = await compressImageIfNeeded(data.image, 20)
+
+      const formData = new FormData()
+      formData.append('image', compressedImage)
+      formData.append('adjustment', data.prompt)
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
+      if (data.resolution) {
+        formData.append('resolution', data.resolution)
+      }
+      if (data.aspectRatio) {
+        formData.append('aspectRatio', data.aspectRatio)
+      }
+
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobananapro/generate-adjust', data.prompt, {
+        method: 'POST',
+        body: formData,
+        headers: {},
+        requiresAuth: true
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['usage-stats'] })
+    },
+    retry: false,
+  })
+}
+
+// Custom hook for image composition with Nano Banana Pro
+export function useGenerateCompositeNanoBananaPro() {
+  const { apiRequest } = useApiClient()
+
+  return useMutation({
+    mutationFn: async (data: GenerateCompositeRequest): Promise<ImageGenerationResponse> => {
+      // Compress the images if needed (20MB limit per image)
+      const compressedImages = await compressMultipleImages(data.images, 20)
+
+      const formData = new FormData()
+      compressedImages.forEach(image => formData.append('images', image))
+      formData.append('prompt', data.prompt)
+      if (data.style) {
+        formData.append('style', data.style)
+      }
+      if (data.resolution) {
+        formData.append('resolution', data.resolution)
+      }
+      if (data.aspectRatio) {
+        formData.append('aspectRatio', data.aspectRatio)
+      }
+
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobananapro/combine-photos', data.prompt, {
+        method: 'POST',
+        body: formData,
+        headers: {},
+        requiresAuth: true
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['usage-stats'] })
+    },
+    retry: false,
+  })
+}
+
+// Custom hook for text-to-image generation with Nano Banana Pro
+export function useGenerateTextToImageNanoBananaPro() {
+  const { apiRequest } = useApiClient()
+
+  return useMutation({
+    mutationFn: async (data: GenerateTextToImageRequest): Promise<ImageGenerationResponse> => {
+      return await runImageGenerationJob(apiRequest, '/api/images/nanobananapro/generate-text-to-image', data.prompt, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          prompt: data.prompt,
+          count: data.count,
+          resolution: data.resolution,
+          aspectRatio: data.aspectRatio
+        }),
+        requiresAuth: true
+      })
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['usage-stats'] })
+    },
+    retry: false,
+  })
+}
+
 // ============================================================================
 // Seedream 5 API Hooks
 // These hooks select the Lite or Pro Kie model for image generation.
@@ -312,8 +715,15 @@ export function useGenerateEditSeeDream() {
       const formData = new FormData()
       formData.append('image', compressedImage)
       formData.append('prompt', data.prompt)
-      formData.append('x', data.x.toString())
-      formData.append('y', data.y.toString())
+      if (data.mask) {
+        formData.append('mask', data.mask)
+      } else if (data.x !== undefined && data.y !== undefined) {
+        formData.append('x', data.x.toString())
+        formData.append('y', data.y.toString())
+      }
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
       if (data.resolution) {
         formData.append('resolution', data.resolution)
       }
@@ -323,7 +733,7 @@ export function useGenerateEditSeeDream() {
       appendSeedreamOptions(formData, data)
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled !== false).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/seedream/generate-edit', {
+      return await runImageGenerationJob(apiRequest, '/api/images/seedream/generate-edit', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {}, // Let browser set Content-Type for FormData
@@ -358,7 +768,7 @@ export function useGenerateFilterSeeDream() {
       appendSeedreamOptions(formData, data)
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled !== false).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/seedream/generate-filter', {
+      return await runImageGenerationJob(apiRequest, '/api/images/seedream/generate-filter', data.filterType, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -384,6 +794,9 @@ export function useGenerateAdjustSeeDream() {
       const formData = new FormData()
       formData.append('image', compressedImage)
       formData.append('adjustment', data.prompt)
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
       if (data.resolution) {
         formData.append('resolution', data.resolution)
       }
@@ -396,7 +809,7 @@ export function useGenerateAdjustSeeDream() {
       appendSeedreamOptions(formData, data)
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled !== false).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/seedream/generate-adjust', {
+      return await runImageGenerationJob(apiRequest, '/api/images/seedream/generate-adjust', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -416,15 +829,11 @@ export function useGenerateCompositeSeeDream() {
 
   return useMutation({
     mutationFn: async (data: GenerateCompositeRequest): Promise<ImageGenerationResponse> => {
-      // Compress both images if needed (SeeDream has 20MB limit per image)
-      const [compressedImage1, compressedImage2] = await compressMultipleImages(
-        [data.image1, data.image2],
-        20
-      )
+      // Compress the images if needed (SeeDream has 20MB limit per image)
+      const compressedImages = await compressMultipleImages(data.images, 20)
 
       const formData = new FormData()
-      formData.append('images', compressedImage1)
-      formData.append('images', compressedImage2)
+      compressedImages.forEach(image => formData.append('images', image))
       formData.append('prompt', data.prompt)
       if (data.style) {
         formData.append('style', data.style)
@@ -438,7 +847,7 @@ export function useGenerateCompositeSeeDream() {
       appendSeedreamOptions(formData, data)
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled !== false).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/seedream/combine-photos', {
+      return await runImageGenerationJob(apiRequest, '/api/images/seedream/combine-photos', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -458,13 +867,14 @@ export function useGenerateTextToImageSeeDream() {
 
   return useMutation({
     mutationFn: async (data: GenerateTextToImageRequest): Promise<ImageGenerationResponse> => {
-      return await apiRequest<ImageGenerationResponse>('/api/seedream/generate-text-to-image', {
+      return await runImageGenerationJob(apiRequest, '/api/images/seedream/generate-text-to-image', data.prompt, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           prompt: data.prompt,
+          count: data.count,
           resolution: data.resolution,
           aspectRatio: data.aspectRatio,
           seedreamTier: data.seedreamTier,
@@ -498,8 +908,15 @@ export function useGenerateEditWanImage() {
       const formData = new FormData()
       formData.append('image', compressedImage)
       formData.append('prompt', data.prompt)
-      formData.append('x', data.x.toString())
-      formData.append('y', data.y.toString())
+      if (data.mask) {
+        formData.append('mask', data.mask)
+      } else if (data.x !== undefined && data.y !== undefined) {
+        formData.append('x', data.x.toString())
+        formData.append('y', data.y.toString())
+      }
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
       if (data.resolution) {
         formData.append('resolution', data.resolution)
       }
@@ -508,7 +925,7 @@ export function useGenerateEditWanImage() {
       }
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled === true).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/wanimage/generate-edit', {
+      return await runImageGenerationJob(apiRequest, '/api/images/wanimage/generate-edit', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -541,7 +958,7 @@ export function useGenerateFilterWanImage() {
       }
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled === true).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/wanimage/generate-filter', {
+      return await runImageGenerationJob(apiRequest, '/api/images/wanimage/generate-filter', data.filterType, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -566,6 +983,9 @@ export function useGenerateAdjustWanImage() {
       const formData = new FormData()
       formData.append('image', compressedImage)
       formData.append('adjustment', data.prompt)
+      if (data.count) {
+        formData.append('count', data.count.toString())
+      }
       if (data.resolution) {
         formData.append('resolution', data.resolution)
       }
@@ -575,7 +995,7 @@ export function useGenerateAdjustWanImage() {
       }
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled === true).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/wanimage/generate-adjust', {
+      return await runImageGenerationJob(apiRequest, '/api/images/wanimage/generate-adjust', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -595,14 +1015,10 @@ export function useGenerateCompositeWanImage() {
 
   return useMutation({
     mutationFn: async (data: GenerateCompositeRequest): Promise<ImageGenerationResponse> => {
-      const [compressedImage1, compressedImage2] = await compressMultipleImages(
-        [data.image1, data.image2],
-        20
-      )
+      const compressedImages = await compressMultipleImages(data.images, 20)
 
       const formData = new FormData()
-      formData.append('images', compressedImage1)
-      formData.append('images', compressedImage2)
+      compressedImages.forEach(image => formData.append('images', image))
       formData.append('prompt', data.prompt)
       if (data.style) {
         formData.append('style', data.style)
@@ -615,7 +1031,7 @@ export function useGenerateCompositeWanImage() {
       }
       formData.append('nsfwFilterEnabled', (data.nsfwFilterEnabled === true).toString())
 
-      return await apiRequest<ImageGenerationResponse>('/api/wanimage/combine-photos', {
+      return await runImageGenerationJob(apiRequest, '/api/images/wanimage/combine-photos', data.prompt, {
         method: 'POST',
         body: formData,
         headers: {},
@@ -635,13 +1051,14 @@ export function useGenerateTextToImageWanImage() {
 
   return useMutation({
     mutationFn: async (data: GenerateTextToImageRequest): Promise<ImageGenerationResponse> => {
-      return await apiRequest<ImageGenerationResponse>('/api/wanimage/generate-text-to-image', {
+      return await runImageGenerationJob(apiRequest, '/api/images/wanimage/generate-text-to-image', data.prompt, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           prompt: data.prompt,
+          count: data.count,
           resolution: data.resolution,
           aspectRatio: data.aspectRatio,
           nsfwFilterEnabled: data.nsfwFilterEnabled === true
@@ -662,13 +1079,14 @@ export function useGenerateTextToImageZImage() {
 
   return useMutation({
     mutationFn: async (data: GenerateTextToImageRequest): Promise<ImageGenerationResponse> => {
-      return await apiRequest<ImageGenerationResponse>('/api/zimage/generate-text-to-image', {
+      return await runImageGenerationJob(apiRequest, '/api/images/zimage/generate-text-to-image', data.prompt, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           prompt: data.prompt,
+          count: data.count,
           aspectRatio: data.aspectRatio,
           nsfwFilterEnabled: data.nsfwFilterEnabled !== false
         }),
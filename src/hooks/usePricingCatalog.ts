@@ -0,0 +1,21 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+import { useQuery } from '@tanstack/react-query'
+import { useApiClient } from '../services/apiClient'
+import type { PricingCatalog } from '../utils/pricingCatalog'
+
+// Hook for the pricing catalog every credit estimate is computed from
+export function usePricingCatalog() {
+  const { apiRequest } = useApiClient()
+
+  return useQuery({
+    queryKey: ['pricing-catalog'],
+    queryFn: async (): Promise<PricingCatalog> => {
+      return await apiRequest<PricingCatalog>('/api/pricing/catalog')
+    },
+    staleTime: 1000 * 60, // The API reloads its pricing rules every minute
+  })
+}
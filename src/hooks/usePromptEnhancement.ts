@@ -0,0 +1,37 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+
+import { useMutation } from '@tanstack/react-query'
+import { useApiClient } from '../services/apiClient'
+
+export interface EnhancePromptRequest {
+  prompt: string
+  target: string  // Image provider ID, or 'seedance' / 'wan'
+  hasImage?: boolean
+  multiShot?: boolean  // Wan multi-shot clips only
+}
+
+export interface EnhancePromptResponse {
+  success: boolean
+  original: string
+  enhanced: string
+  changed: boolean
+  notes: string[]
+  enhancer: string
+}
+
+// Enhancement is free, so it leaves the usage stats alone.
+export function useEnhancePrompt() {
+  const { apiRequest } = useApiClient()
+
+  return useMutation({
+    mutationFn: (data: EnhancePromptRequest): Promise<EnhancePromptResponse> => apiRequest<EnhancePromptResponse>('/api/prompts/enhance', {
+      method: 'POST',
+      body: JSON.stringify(data),
+      requiresAuth: true,
+    }),
+    retry: false,
+  })
+}
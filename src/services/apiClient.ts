@@ -41,12 +41,12 @@ export function createApiClient(getToken?: () => Promise<string | null>, session
       ...fetchOptions.headers,
     }
 
-    // Only set Content-Type if body is not FormData (let browser set it for FormData)
-    if (!(fetchOptions.body instanceof FormData)) {
+    // Only set Content-Type for JSON bodies (the browser sets it for FormData and Blob bodies)
+    if (!(fetchOptions.body instanceof FormData) && !(fetchOptions.body instanceof Blob)) {
       headers['Content-Type'] = 'application/json';
       console.log('  - Added Content-Type: application/json')
     } else {
-      console.log('  - Skipping Content-Type for FormData')
+      console.log('  - Skipping Content-Type for FormData or Blob')
     }
 
     // Add authentication header for authenticated requests
@@ -112,7 +112,7 @@ export function createApiClient(getToken?: () => Promise<string | null>, session
       const contentType = response.headers.get('content-type')
       if (contentType?.includes('application/json')) {
         return await response.json()
-      } else if (contentType?.startsWith('image/')) {
+      } else if (contentType?.startsWith('image/') || contentType?.includes('application/octet-stream')) {
         return await response.blob() as T
       } else {
         return await response.text() as T
@@ -0,0 +1,117 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Canvas Expansion Utility
+ *
+ * Pads an image with transparent space to reach a wider or taller aspect
+ * ratio, the same trick as the transparent presets published with the
+ * aspect-ratio blog post. The padded canvas goes through the adjust endpoint
+ * with a fill prompt, and the model paints the empty space.
+ */
+
+export type ExpandAlignment = 'start' | 'center' | 'end';
+
+export interface ExpandOptions {
+  aspectRatio: string;
+  alignment: ExpandAlignment;
+}
+
+export interface ExpandLayout {
+  canvasWidth: number;
+  canvasHeight: number;
+  offsetX: number;
+  offsetY: number;
+  // Which way the canvas grows; 'none' when the image already has the ratio.
+  axis: 'horizontal' | 'vertical' | 'none';
+}
+
+// Ratios with a transparent preset under public/blog/nano-banana-aspect-ratio-trick/downloads.
+export const EXPAND_ASPECT_RATIOS = ['1:1', '16:9', '9:16', '4:3', '3:4', '3:2', '2:3', '21:9'];
+
+export const DEFAULT_EXPAND_OPTIONS: ExpandOptions = { aspectRatio: '16:9', alignment: 'center' };
+
+// Keeps the padded upload under the 4K limit the compression utility enforces.
+const MAX_CANVAS_DIMENSION = 4096;
+
+function parseAspectRatio(aspectRatio: string): number {
+  const [width, height] = aspectRatio.split(':').map(Number);
+  return width > 0 && height > 0 ? width / height : 1;
+}
+
+/**
+ * Size of the expanded canvas and where the image sits on it. The canvas only
+ * ever grows, so no pixel of the image is cropped.
+ */
+export function getExpandLayout(
+  width: number,
+  height: number,
+  aspectRatio: string,
+  alignment: ExpandAlignment,
+): ExpandLayout {
+  const targetRatio = parseAspectRatio(aspectRatio);
+  let canvasWidth = width;
+  let canvasHeight = height;
+  if (targetRatio > width / height) {
+    canvasWidth = Math.round(height * targetRatio);
+  } else {
+    canvasHeight = Math.round(width / targetRatio);
+  }
+
+  const position = alignment === 'start' ? 0 : alignment === 'end' ? 1 : 0.5;
+  return {
+    canvasWidth,
+    canvasHeight,
+    offsetX: Math.round((canvasWidth - width) * position),
+    offsetY: Math.round((canvasHeight - height) * position),
+    axis: canvasWidth > width ? 'horizontal' : canvasHeight > height ? 'vertical' : 'none',
+  };
+}
+
+/**
+ * Draw the image onto a transparent canvas of the target ratio.
+ *
+ * @returns PNG file of the padded canvas
+ */
+export async function expandImageCanvas(file: File, options: ExpandOptions): Promise<File> {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const layout = getExpandLayout(bitmap.width, bitmap.height, options.aspectRatio, options.alignment);
+    if (layout.axis === 'none') {
+      throw new Error('The image already has this aspect ratio. Pick a different one to expand.');
+    }
+
+    const scale = Math.min(1, MAX_CANVAS_DIMENSION / Math.max(layout.canvasWidth, layout.canvasHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(layout.canvasWidth * scale);
+    canvas.height = Math.round(layout.canvasHeight * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Failed to get canvas context');
+    }
+    ctx.drawImage(
+      bitmap,
+      Math.round(layout.offsetX * scale),
+      Math.round(layout.offsetY * scale),
+      Math.round(bitmap.width * scale),
+      Math.round(bitmap.height * scale),
+    );
+
+    const blob = await new Promise<Blob | null>((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error('Failed to prepare the expanded canvas');
+    }
+    return new File([blob], `expand-${Date.now()}.png`, { type: 'image/png' });
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Turn the user's description into a fill instruction for the padded canvas.
+ */
+export function buildExpandPrompt(prompt: string): string {
+  return `Fill the transparent areas of this canvas by extending the scene outward. Keep the existing image exactly as it is and continue its lighting, perspective and style seamlessly into the new space. ${prompt}`;
+}
@@ -0,0 +1,38 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Composite Prompt
+ *
+ * Multi-image composites send the base image first, followed by the reference
+ * images in the order the user arranged them. Each reference carries a role,
+ * and the roles are spelled out after the user's prompt so the model knows
+ * what to take from which image.
+ */
+
+export type CompositeImageRole = 'subject' | 'background' | 'style' | 'element';
+
+export interface CompositeReference {
+  file: File;
+  role: CompositeImageRole;
+}
+
+export const COMPOSITE_IMAGE_ROLES: { value: CompositeImageRole; label: string; description: string }[] = [
+  { value: 'subject', label: 'Subject', description: 'a subject to feature, keeping its identity and details' },
+  { value: 'background', label: 'Background', description: 'the background or setting' },
+  { value: 'style', label: 'Style', description: 'a style reference; match its look, not its content' },
+  { value: 'element', label: 'Element', description: 'an element to blend in' },
+];
+
+export const DEFAULT_COMPOSITE_IMAGE_ROLE: CompositeImageRole = 'element';
+
+export function buildCompositePrompt(prompt: string, roles: CompositeImageRole[]): string {
+  const descriptions = roles.map((role, index) => {
+    const description = COMPOSITE_IMAGE_ROLES.find(item => item.value === role)?.description
+      ?? COMPOSITE_IMAGE_ROLES[COMPOSITE_IMAGE_ROLES.length - 1].description;
+    return `Image ${index + 2} is ${description}.`;
+  });
+  return [prompt, ['Image 1 is the base image.', ...descriptions].join(' ')].join('\n\n');
+}
@@ -3,6 +3,11 @@ export function formatCreditAmount(value: number): string {
   return Number.isInteger(rounded) ? String(rounded) : rounded.toFixed(2);
 }
 
-export function formatCreditLabel(value: number): string {
-  return `${formatCreditAmount(value)} ${value === 1 ? 'credit' : 'credits'}`;
+// Estimates are null while the pricing catalog loads.
+export function formatCreditEstimate(value: number | null): string {
+  return value === null ? '…' : formatCreditAmount(value);
+}
+
+export function formatCreditLabel(value: number | null): string {
+  return `${formatCreditEstimate(value)} ${value === 1 ? 'credit' : 'credits'}`;
 }
@@ -0,0 +1,243 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Gallery Sync
+ *
+ * Optional, end-to-end encrypted sync of the local gallery through the API.
+ * A passphrase is stretched with PBKDF2 into an AES-GCM key for the content
+ * and an HMAC key for object names, so the server sees neither the media nor
+ * which items match. Each gallery entry travels as a one-entry workspace
+ * archive. The derived key only lives in memory for the current session.
+ *
+ * Sync is additive: it uploads what the cloud is missing and downloads what
+ * this browser is missing. Deleting an item locally does not delete it from
+ * the cloud.
+ */
+
+import { ApiError, type createApiClient } from '../services/apiClient';
+import { getAllGalleryEntries, type GalleryImage } from './workflowStorage';
+import { exportWorkspace, importWorkspace } from './workspaceArchive';
+
+type ApiRequest = ReturnType<typeof createApiClient>['apiRequest'];
+
+export interface SyncKeyParams {
+  salt: string;
+  iterations: number;
+  check: string;
+}
+
+export interface GallerySyncStatus {
+  enabled: boolean;
+  keyParams: SyncKeyParams | null;
+}
+
+export interface GallerySyncResult {
+  uploaded: number;
+  downloaded: number;
+  failed: number;
+  // The account's cloud storage quota is used up; uploads left are counted as failed.
+  storageFull: boolean;
+}
+
+// The API answers an upload with this status once the account's quota is used up.
+const STORAGE_FULL_STATUS = 507;
+
+interface SyncKey {
+  encryption: CryptoKey;
+  naming: CryptoKey;
+}
+
+const KEY_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const PAYLOAD_MAGIC = new TextEncoder().encode('VPS1');
+const KEY_CHECK_TEXT = 'veilpix-gallery-sync';
+
+let unlockedKey: SyncKey | null = null;
+
+function toBase64(bytes: Uint8Array): string {
+  return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+async function deriveSyncKey(passphrase: string, salt: Uint8Array, iterations: number): Promise<SyncKey> {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    512
+  ));
+  const [encryption, naming] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+  ]);
+  return { encryption, naming };
+}
+
+// Layout: magic, random IV, AES-GCM ciphertext (which includes the auth tag).
+async function encrypt(key: SyncKey, data: BufferSource): Promise<Uint8Array> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key.encryption, data));
+  const payload = new Uint8Array(PAYLOAD_MAGIC.length + IV_BYTES + ciphertext.length);
+  payload.set(PAYLOAD_MAGIC, 0);
+  payload.set(iv, PAYLOAD_MAGIC.length);
+  payload.set(ciphertext, PAYLOAD_MAGIC.length + IV_BYTES);
+  return payload;
+}
+
+async function decrypt(key: SyncKey, payload: Uint8Array): Promise<ArrayBuffer> {
+  if (!PAYLOAD_MAGIC.every((byte, index) => payload[index] === byte)) {
+    throw new Error('Not a VeilPix sync object.');
+  }
+  const iv = payload.slice(PAYLOAD_MAGIC.length, PAYLOAD_MAGIC.length + IV_BYTES);
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key.encryption, payload.slice(PAYLOAD_MAGIC.length + IV_BYTES));
+}
+
+// Object names are keyed hashes, so equal content cannot be matched across users.
+async function getObjectId(key: SyncKey, entryKey: string): Promise<string> {
+  const signature = await crypto.subtle.sign('HMAC', key.naming, new TextEncoder().encode(entryKey));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function requireUnlockedKey(): SyncKey {
+  if (!unlockedKey) {
+    throw new Error('Unlock cloud sync with your passphrase first.');
+  }
+  return unlockedKey;
+}
+
+export function isGallerySyncUnlocked(): boolean {
+  return unlockedKey !== null;
+}
+
+export function lockGallerySync(): void {
+  unlockedKey = null;
+}
+
+export function getGallerySyncStatus(apiRequest: ApiRequest): Promise<GallerySyncStatus> {
+  return apiRequest<GallerySyncStatus>('/api/sync', { requiresAuth: true });
+}
+
+/**
+ * Turn sync on for this account. The salt, iteration count and an encrypted
+ * check value are stored on the server so other devices can verify the
+ * passphrase; the passphrase itself never leaves the browser.
+ */
+export async function enableGallerySync(apiRequest: ApiRequest, passphrase: string): Promise<void> {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveSyncKey(passphrase, salt, KEY_ITERATIONS);
+  const check = await encrypt(key, new TextEncoder().encode(KEY_CHECK_TEXT));
+
+  await apiRequest('/api/sync', {
+    method: 'POST',
+    requiresAuth: true,
+    body: JSON.stringify({ salt: toBase64(salt), iterations: KEY_ITERATIONS, check: toBase64(check) }),
+  });
+  unlockedKey = key;
+}
+
+/**
+ * Derive the key on this device. Throws when the passphrase is wrong.
+ */
+export async function unlockGallerySync(passphrase: string, keyParams: SyncKeyParams): Promise<void> {
+  const key = await deriveSyncKey(passphrase, fromBase64(keyParams.salt), keyParams.iterations);
+  try {
+    const check = new TextDecoder().decode(await decrypt(key, fromBase64(keyParams.check)));
+    if (check !== KEY_CHECK_TEXT) throw new Error('Key check mismatch');
+  } catch {
+    throw new Error('That passphrase does not match.');
+  }
+  unlockedKey = key;
+}
+
+/**
+ * Turn sync off and delete everything stored in the cloud. Local items stay.
+ */
+export async function disableGallerySync(apiRequest: ApiRequest): Promise<void> {
+  await apiRequest('/api/sync', { method: 'DELETE', requiresAuth: true });
+  lockGallerySync();
+}
+
+/**
+ * Upload local items the cloud is missing, then import cloud items this
+ * browser is missing. Items are handled one at a time to bound memory use;
+ * an item that fails is counted and retried on the next sync.
+ */
+export async function syncGallery(
+  apiRequest: ApiRequest,
+  onProgress?: (done: number, total: number) => void
+): Promise<GallerySyncResult> {
+  const key = requireUnlockedKey();
+  const [{ objects }, entries] = await Promise.all([
+    apiRequest<{ objects: Array<{ id: string }> }>('/api/sync/objects', { requiresAuth: true }),
+    getAllGalleryEntries(),
+  ]);
+
+  const remoteIds = new Set(objects.map(object => object.id));
+  const localIds = new Set<string>();
+  const entryKeys = new Map<number, string>();
+  const localEntryIds = new Map<string, number>();
+  const uploads: Array<{ entry: GalleryImage; objectId: string }> = [];
+  for (const entry of entries) {
+    // getAllGalleryEntries fills in the key of every entry.
+    const entryKey = entry.contentKey!;
+    const objectId = await getObjectId(key, entryKey);
+    entryKeys.set(entry.id!, entryKey);
+    localEntryIds.set(entryKey, entry.id!);
+    localIds.add(objectId);
+    if (!remoteIds.has(objectId)) uploads.push({ entry, objectId });
+  }
+  const downloads = objects.filter(object => !localIds.has(object.id));
+
+  const result: GallerySyncResult = { uploaded: 0, downloaded: 0, failed: 0, storageFull: false };
+  const total = uploads.length + downloads.length;
+  let done = 0;
+  onProgress?.(done, total);
+
+  for (const { entry, objectId } of uploads) {
+    if (result.storageFull) {
+      result.failed++;
+      onProgress?.(++done, total);
+      continue;
+    }
+    try {
+      const archive = await exportWorkspace({ entries: [entry], includeWorkflow: false, entryKeys });
+      const payload = await encrypt(key, await archive.arrayBuffer());
+      await apiRequest(`/api/sync/objects/${objectId}`, {
+        method: 'PUT',
+        requiresAuth: true,
+        body: new Blob([payload], { type: 'application/octet-stream' }),
+      });
+      result.uploaded++;
+    } catch (error) {
+      console.error('Failed to upload gallery item for sync:', error);
+      result.failed++;
+      if (error instanceof ApiError && error.status === STORAGE_FULL_STATUS) result.storageFull = true;
+    }
+    onProgress?.(++done, total);
+  }
+
+  // Listed oldest upload first, so remix sources usually arrive before the images made from them.
+  for (const { id } of downloads) {
+    try {
+      const payload = await apiRequest<Blob>(`/api/sync/objects/${id}`, { requiresAuth: true });
+      const archive = await decrypt(key, new Uint8Array(await payload.arrayBuffer()));
+      const { imported } = await importWorkspace(new Blob([archive], { type: 'application/zip' }), {
+        localIds: localEntryIds,
+      });
+      result.downloaded += imported;
+    } catch (error) {
+      console.error('Failed to download synced gallery item:', error);
+      result.failed++;
+    }
+    onProgress?.(++done, total);
+  }
+
+  return result;
+}
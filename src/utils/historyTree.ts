@@ -0,0 +1,177 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * History Tree Utility
+ *
+ * Versions of the studio image form a tree instead of a flat undo stack.
+ * Generating from an earlier version starts a new branch next to the old
+ * one, so alternatives the user paid for are never thrown away. Every helper
+ * here is pure and returns a new tree, which keeps React state updates simple.
+ */
+
+import type {
+  ImageOutputFormat,
+  ImageProvider,
+  ImageResolution,
+  SeedreamTier,
+} from '../../components/ImageModelControlsPanel';
+import type { ExpandOptions } from './canvasExpansion';
+import type { ImageAdjustments } from './imageAdjustments';
+
+export type HistoryOperation =
+  | 'upload'
+  | 'text-to-image'
+  | 'edit'
+  | 'expand'
+  | 'composite'
+  | 'adjust'
+  | 'adjustments'
+  | 'crop';
+
+// Settings that produced a version, kept so it can be understood or redone later.
+export interface HistoryNodeParams {
+  operation: HistoryOperation;
+  resolution?: ImageResolution;
+  aspectRatio?: string;
+  seedreamTier?: SeedreamTier;
+  outputFormat?: ImageOutputFormat;
+  hotspot?: { x: number; y: number };
+  masked?: boolean;
+  expand?: ExpandOptions;
+  adjustments?: ImageAdjustments;
+}
+
+export interface HistoryNode {
+  id: string;
+  parentId: string | null;
+  file: File;
+  prompt: string;
+  provider?: ImageProvider;
+  params: HistoryNodeParams;
+  createdAt: number;
+}
+
+export interface HistoryTree {
+  // Insertion order, so the root is first and siblings are oldest first.
+  nodes: HistoryNode[];
+  currentId: string;
+  // Deepest version reached on the current line; redo walks back toward it.
+  tipId: string;
+}
+
+export interface HistoryVersionDetails {
+  prompt?: string;
+  provider?: ImageProvider;
+  params: HistoryNodeParams;
+}
+
+export interface HistoryGraphNode {
+  node: HistoryNode;
+  depth: number;
+  lane: number;
+}
+
+function createHistoryNode(file: File, parentId: string | null, details: HistoryVersionDetails): HistoryNode {
+  return {
+    id: crypto.randomUUID(),
+    parentId,
+    file,
+    prompt: details.prompt ?? '',
+    provider: details.provider,
+    params: details.params,
+    createdAt: Date.now(),
+  };
+}
+
+/**
+ * Start a new tree with the image as its only version.
+ */
+export function createHistoryTree(file: File, details: HistoryVersionDetails): HistoryTree {
+  const root = createHistoryNode(file, null, details);
+  return { nodes: [root], currentId: root.id, tipId: root.id };
+}
+
+/**
+ * Add a version as a child of the current one and make it current. Existing
+ * children stay in the tree as sibling branches.
+ */
+export function addHistoryVersion(tree: HistoryTree, file: File, details: HistoryVersionDetails): HistoryTree {
+  const node = createHistoryNode(file, tree.currentId, details);
+  return { nodes: [...tree.nodes, node], currentId: node.id, tipId: node.id };
+}
+
+export function getHistoryNode(tree: HistoryTree | null, id: string | null | undefined): HistoryNode | null {
+  if (!tree || !id) return null;
+  return tree.nodes.find(node => node.id === id) ?? null;
+}
+
+export function getHistoryChildren(tree: HistoryTree, id: string): HistoryNode[] {
+  return tree.nodes.filter(node => node.parentId === id);
+}
+
+/**
+ * Versions from the root down to the given one, inclusive.
+ */
+export function getHistoryPath(tree: HistoryTree, id: string): HistoryNode[] {
+  const path: HistoryNode[] = [];
+  let node = getHistoryNode(tree, id);
+  while (node) {
+    path.unshift(node);
+    node = getHistoryNode(tree, node.parentId);
+  }
+  return path;
+}
+
+/**
+ * Jump to any version. The redo line is kept when the target lies on it, so
+ * stepping back and forth along a branch behaves like linear undo.
+ */
+export function selectHistoryVersion(tree: HistoryTree, id: string): HistoryTree {
+  if (!getHistoryNode(tree, id)) return tree;
+  const onRedoLine = getHistoryPath(tree, tree.tipId).some(node => node.id === id);
+  return { ...tree, currentId: id, tipId: onRedoLine ? tree.tipId : id };
+}
+
+export function getUndoTarget(tree: HistoryTree | null): string | null {
+  return getHistoryNode(tree, tree?.currentId)?.parentId ?? null;
+}
+
+/**
+ * Next version along the redo line, or the newest child when the current
+ * version is the end of the line.
+ */
+export function getRedoTarget(tree: HistoryTree | null): string | null {
+  if (!tree) return null;
+  const tipPath = getHistoryPath(tree, tree.tipId);
+  const index = tipPath.findIndex(node => node.id === tree.currentId);
+  if (index >= 0 && index < tipPath.length - 1) {
+    return tipPath[index + 1].id;
+  }
+  const children = getHistoryChildren(tree, tree.currentId);
+  return children.length > 0 ? children[children.length - 1].id : null;
+}
+
+/**
+ * Place versions on a grid for the branch graph: depth is the step from the
+ * root, and each new branch gets the next free lane. A first child stays in
+ * its parent's lane so the main line reads as a straight row.
+ */
+export function layoutHistoryTree(tree: HistoryTree): HistoryGraphNode[] {
+  const graph: HistoryGraphNode[] = [];
+  let nextLane = 0;
+
+  const place = (node: HistoryNode, depth: number, lane: number) => {
+    graph.push({ node, depth, lane });
+    getHistoryChildren(tree, node.id).forEach((child, index) => {
+      place(child, depth + 1, index === 0 ? lane : ++nextLane);
+    });
+  };
+
+  tree.nodes
+    .filter(node => node.parentId === null)
+    .forEach(root => place(root, 0, graph.length === 0 ? 0 : ++nextLane));
+  return graph;
+}
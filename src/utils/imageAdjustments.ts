@@ -0,0 +1,407 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Image Adjustment Pipeline
+ *
+ * Free, real-time tonal and colour adjustments rendered with WebGL. The same
+ * shader drives the live preview and the full-resolution bake, so what the
+ * sliders show is what lands in history.
+ *
+ * Order of operations: exposure (in linear light), white balance, contrast,
+ * tone curve, per-hue HSL, then global saturation.
+ */
+
+export const HSL_BANDS = [
+  { id: 'red', label: 'Red', color: '#ef4444' },
+  { id: 'yellow', label: 'Yellow', color: '#eab308' },
+  { id: 'green', label: 'Green', color: '#22c55e' },
+  { id: 'cyan', label: 'Cyan', color: '#06b6d4' },
+  { id: 'blue', label: 'Blue', color: '#3b82f6' },
+  { id: 'magenta', label: 'Magenta', color: '#d946ef' },
+] as const;
+
+export type HslBand = typeof HSL_BANDS[number]['id'];
+
+export interface HslShift {
+  hue: number;
+  saturation: number;
+  luminance: number;
+}
+
+// Every value is a slider position from -100 to 100; 0 leaves the image alone.
+export interface ImageAdjustments {
+  exposure: number;
+  contrast: number;
+  saturation: number;
+  temperature: number;
+  tint: number;
+  curves: {
+    shadows: number;
+    midtones: number;
+    highlights: number;
+  };
+  hsl: Record<HslBand, HslShift>;
+}
+
+const NEUTRAL_HSL: HslShift = { hue: 0, saturation: 0, luminance: 0 };
+
+export const DEFAULT_ADJUSTMENTS: ImageAdjustments = {
+  exposure: 0,
+  contrast: 0,
+  saturation: 0,
+  temperature: 0,
+  tint: 0,
+  curves: { shadows: 0, midtones: 0, highlights: 0 },
+  hsl: Object.fromEntries(HSL_BANDS.map((band) => [band.id, NEUTRAL_HSL])) as Record<HslBand, HslShift>,
+};
+
+export function isDefaultAdjustments(adjustments: ImageAdjustments): boolean {
+  return JSON.stringify(adjustments) === JSON.stringify(DEFAULT_ADJUSTMENTS);
+}
+
+/* ------------------------------------------------------------------ */
+/* Tone curve                                                           */
+/* ------------------------------------------------------------------ */
+
+const CURVE_SIZE = 256;
+// Curve points move up to a quarter of the range at ±100.
+const CURVE_STRENGTH = 0.25;
+
+/**
+ * Control points of the tone curve: fixed black and white ends plus the
+ * shadow, midtone and highlight points the sliders move.
+ */
+export function getCurvePoints(curves: ImageAdjustments['curves']): [number, number][] {
+  return [
+    [0, 0],
+    [0.25, 0.25 + (curves.shadows / 100) * CURVE_STRENGTH],
+    [0.5, 0.5 + (curves.midtones / 100) * CURVE_STRENGTH],
+    [0.75, 0.75 + (curves.highlights / 100) * CURVE_STRENGTH],
+    [1, 1],
+  ];
+}
+
+/**
+ * Evaluate the curve through its control points with monotone cubic
+ * (Fritsch-Carlson) interpolation, so it never overshoots between points.
+ */
+export function buildCurveLut(curves: ImageAdjustments['curves'], size = CURVE_SIZE): Float32Array {
+  const points = getCurvePoints(curves);
+  const count = points.length;
+  const slopes: number[] = [];
+  for (let index = 0; index < count - 1; index++) {
+    slopes.push((points[index + 1][1] - points[index][1]) / (points[index + 1][0] - points[index][0]));
+  }
+
+  const tangents = points.map((_, index) => {
+    if (index === 0) return slopes[0];
+    if (index === count - 1) return slopes[count - 2];
+    const before = slopes[index - 1];
+    const after = slopes[index];
+    return before * after <= 0 ? 0 : (before + after) / 2;
+  });
+  for (let index = 0; index < count - 1; index++) {
+    if (slopes[index] === 0) {
+      tangents[index] = 0;
+      tangents[index + 1] = 0;
+      continue;
+    }
+    const alpha = tangents[index] / slopes[index];
+    const beta = tangents[index + 1] / slopes[index];
+    const magnitude = alpha * alpha + beta * beta;
+    if (magnitude > 9) {
+      const scale = 3 / Math.sqrt(magnitude);
+      tangents[index] = scale * alpha * slopes[index];
+      tangents[index + 1] = scale * beta * slopes[index];
+    }
+  }
+
+  const lut = new Float32Array(size);
+  let segment = 0;
+  for (let index = 0; index < size; index++) {
+    const x = index / (size - 1);
+    while (segment < count - 2 && x > points[segment + 1][0]) segment++;
+    const [x0, y0] = points[segment];
+    const [x1, y1] = points[segment + 1];
+    const width = x1 - x0;
+    const t = (x - x0) / width;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const value = (2 * t3 - 3 * t2 + 1) * y0
+      + (t3 - 2 * t2 + t) * width * tangents[segment]
+      + (-2 * t3 + 3 * t2) * y1
+      + (t3 - t2) * width * tangents[segment + 1];
+    lut[index] = Math.min(1, Math.max(0, value));
+  }
+  return lut;
+}
+
+/* ------------------------------------------------------------------ */
+/* WebGL renderer                                                       */
+/* ------------------------------------------------------------------ */
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+
+void main() {
+  v_uv = vec2((a_position.x + 1.0) / 2.0, (1.0 - a_position.y) / 2.0);
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+varying vec2 v_uv;
+uniform sampler2D u_image;
+uniform sampler2D u_curve;
+uniform float u_exposure;
+uniform float u_contrast;
+uniform float u_saturation;
+uniform float u_temperature;
+uniform float u_tint;
+uniform vec3 u_hsl[${HSL_BANDS.length}];
+
+vec3 rgbToHsl(vec3 color) {
+  float maxChannel = max(max(color.r, color.g), color.b);
+  float minChannel = min(min(color.r, color.g), color.b);
+  float lightness = (maxChannel + minChannel) / 2.0;
+  float delta = maxChannel - minChannel;
+  if (delta < 0.00001) {
+    return vec3(0.0, 0.0, lightness);
+  }
+
+  float saturation = lightness > 0.5 ? delta / (2.0 - maxChannel - minChannel) : delta / (maxChannel + minChannel);
+  float hue;
+  if (maxChannel == color.r) {
+    hue = (color.g - color.b) / delta + (color.g < color.b ? 6.0 : 0.0);
+  } else if (maxChannel == color.g) {
+    hue = (color.b - color.r) / delta + 2.0;
+  } else {
+    hue = (color.r - color.g) / delta + 4.0;
+  }
+  return vec3(hue / 6.0, saturation, lightness);
+}
+
+float hueToChannel(float p, float q, float t) {
+  t = fract(t);
+  if (t < 1.0 / 6.0) return p + (q - p) * 6.0 * t;
+  if (t < 0.5) return q;
+  if (t < 2.0 / 3.0) return p + (q - p) * (2.0 / 3.0 - t) * 6.0;
+  return p;
+}
+
+vec3 hslToRgb(vec3 hsl) {
+  if (hsl.y < 0.00001) {
+    return vec3(hsl.z);
+  }
+  float q = hsl.z < 0.5 ? hsl.z * (1.0 + hsl.y) : hsl.z + hsl.y - hsl.z * hsl.y;
+  float p = 2.0 * hsl.z - q;
+  return vec3(
+    hueToChannel(p, q, hsl.x + 1.0 / 3.0),
+    hueToChannel(p, q, hsl.x),
+    hueToChannel(p, q, hsl.x - 1.0 / 3.0)
+  );
+}
+
+float curve(float value) {
+  return texture2D(u_curve, vec2((value * 255.0 + 0.5) / 256.0, 0.5)).r;
+}
+
+void main() {
+  vec4 source = texture2D(u_image, v_uv);
+
+  vec3 color = pow(source.rgb, vec3(2.2)) * exp2(u_exposure);
+  color = pow(clamp(color, 0.0, 1.0), vec3(1.0 / 2.2));
+
+  color *= vec3(
+    1.0 + u_temperature + u_tint * 0.5,
+    1.0 - u_tint,
+    1.0 - u_temperature + u_tint * 0.5
+  );
+  color = clamp((color - 0.5) * (1.0 + u_contrast) + 0.5, 0.0, 1.0);
+  color = vec3(curve(color.r), curve(color.g), curve(color.b));
+
+  // Neighbouring bands overlap so every hue gets a blend that sums to one.
+  vec3 hsl = rgbToHsl(color);
+  vec3 shift = vec3(0.0);
+  for (int band = 0; band < ${HSL_BANDS.length}; band++) {
+    float bandHue = float(band) / ${HSL_BANDS.length}.0;
+    float hueDistance = abs(hsl.x - bandHue);
+    hueDistance = min(hueDistance, 1.0 - hueDistance);
+    shift += u_hsl[band] * max(0.0, 1.0 - hueDistance * ${HSL_BANDS.length}.0);
+  }
+  float chroma = hsl.y;
+  hsl.x = fract(hsl.x + shift.x);
+  hsl.y = clamp(hsl.y * (1.0 + shift.y), 0.0, 1.0);
+  // Grey pixels have no hue, so luminance shifts fade out with saturation.
+  hsl.z = clamp(hsl.z + shift.z * chroma * 0.5, 0.0, 1.0);
+  color = hslToRgb(hsl);
+
+  float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+  color = clamp(mix(vec3(luma), color, 1.0 + u_saturation), 0.0, 1.0);
+
+  gl_FragColor = vec4(color, source.a);
+}
+`;
+
+export interface AdjustmentRenderer {
+  render: (adjustments: ImageAdjustments) => void;
+  dispose: () => void;
+}
+
+function compileShader(gl: WebGLRenderingContext, type: number, source: string): WebGLShader {
+  const shader = gl.createShader(type);
+  if (!shader) throw new Error('Failed to create shader');
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Failed to compile adjustment shader: ${log}`);
+  }
+  return shader;
+}
+
+function createTexture(gl: WebGLRenderingContext, unit: number): WebGLTexture {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.activeTexture(gl.TEXTURE0 + unit);
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  return texture;
+}
+
+/**
+ * Render `source` into `canvas` with the adjustment shader. The canvas takes
+ * the source's size. Returns null when the browser has no WebGL.
+ */
+export function createAdjustmentRenderer(
+  canvas: HTMLCanvasElement,
+  source: ImageBitmap,
+  { preserveDrawingBuffer = false } = {},
+): AdjustmentRenderer | null {
+  const gl = canvas.getContext('webgl', { preserveDrawingBuffer, premultipliedAlpha: false });
+  if (!gl) return null;
+
+  canvas.width = source.width;
+  canvas.height = source.height;
+
+  const program = gl.createProgram();
+  if (!program) return null;
+  const vertexShader = compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+  const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Failed to link adjustment shader: ${gl.getProgramInfoLog(program)}`);
+  }
+  gl.useProgram(program);
+
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+  const positionLocation = gl.getAttribLocation(program, 'a_position');
+  gl.enableVertexAttribArray(positionLocation);
+  gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+
+  const imageTexture = createTexture(gl, 0);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  const curveTexture = createTexture(gl, 1);
+
+  const uniform = (name: string) => gl.getUniformLocation(program, name);
+  gl.uniform1i(uniform('u_image'), 0);
+  gl.uniform1i(uniform('u_curve'), 1);
+
+  return {
+    render(adjustments) {
+      const lut = buildCurveLut(adjustments.curves);
+      const curveBytes = new Uint8Array(CURVE_SIZE * 4);
+      lut.forEach((value, index) => {
+        curveBytes.fill(Math.round(value * 255), index * 4, index * 4 + 4);
+      });
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, curveTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, CURVE_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, curveBytes);
+
+      // Slider positions to shader units: ±2 EV, ±0.8 contrast, ±20% white balance.
+      gl.uniform1f(uniform('u_exposure'), (adjustments.exposure / 100) * 2);
+      gl.uniform1f(uniform('u_contrast'), (adjustments.contrast / 100) * 0.8);
+      gl.uniform1f(uniform('u_saturation'), adjustments.saturation / 100);
+      gl.uniform1f(uniform('u_temperature'), (adjustments.temperature / 100) * 0.2);
+      gl.uniform1f(uniform('u_tint'), (adjustments.tint / 100) * 0.2);
+      // Hue shifts of up to ±30 degrees.
+      gl.uniform3fv(uniform('u_hsl'), new Float32Array(HSL_BANDS.flatMap(({ id }) => {
+        const shift = adjustments.hsl[id];
+        return [(shift.hue / 100) / 12, shift.saturation / 100, shift.luminance / 100];
+      })));
+
+      gl.viewport(0, 0, canvas.width, canvas.height);
+      gl.drawArrays(gl.TRIANGLES, 0, 6);
+    },
+    dispose() {
+      gl.deleteTexture(imageTexture);
+      gl.deleteTexture(curveTexture);
+      gl.deleteBuffer(buffer);
+      gl.deleteProgram(program);
+      gl.deleteShader(vertexShader);
+      gl.deleteShader(fragmentShader);
+    },
+  };
+}
+
+/**
+ * Decode an image for the renderer, scaled down so its longest side is at
+ * most `maxDimension`.
+ */
+export async function loadAdjustmentSource(image: Blob, maxDimension: number): Promise<ImageBitmap> {
+  const bitmap = await createImageBitmap(image);
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  if (scale === 1) return bitmap;
+
+  const resized = await createImageBitmap(bitmap, {
+    resizeWidth: Math.round(bitmap.width * scale),
+    resizeHeight: Math.round(bitmap.height * scale),
+    resizeQuality: 'high',
+  });
+  bitmap.close();
+  return resized;
+}
+
+// Texture size practically every WebGL device supports; larger images are scaled to fit.
+const BAKE_MAX_DIMENSION = 4096;
+
+/**
+ * Render the adjustments into a new full-resolution PNG for history.
+ */
+export async function bakeAdjustments(image: File, adjustments: ImageAdjustments): Promise<File> {
+  const source = await loadAdjustmentSource(image, BAKE_MAX_DIMENSION);
+  const canvas = document.createElement('canvas');
+  try {
+    const renderer = createAdjustmentRenderer(canvas, source, { preserveDrawingBuffer: true });
+    if (!renderer) {
+      throw new Error('Adjustments need WebGL, which this browser does not support.');
+    }
+    renderer.render(adjustments);
+    const blob = await new Promise<Blob | null>((resolve) => canvas.toBlob(resolve, 'image/png'));
+    renderer.dispose();
+    if (!blob) {
+      throw new Error('Failed to save the adjusted image');
+    }
+    return new File([blob], `adjusted-${Date.now()}.png`, { type: 'image/png' });
+  } finally {
+    source.close();
+  }
+}
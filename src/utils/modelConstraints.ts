@@ -0,0 +1,89 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Model Constraints
+ *
+ * Typed access to veilpix-api/utils/modelConstraints.json, the file the API
+ * validates every request against. The composer reads the same limits to
+ * disable settings and prompts a model would reject, so the two can't drift.
+ */
+
+import MODEL_CONSTRAINTS from '../../veilpix-api/utils/modelConstraints.json';
+import type { ImageProvider, ImageResolution, ImageWorkflow, SeedreamTier } from '../../components/ImageModelControlsPanel';
+import type { SeedanceVariant, VideoProvider } from '../../components/studio/types';
+
+export interface PromptLimits {
+  min: number;
+  max: number;
+}
+
+export interface ImageModelConstraints {
+  prompt: PromptLimits;
+  aspectRatios: string[];
+  resolutions: Record<ImageWorkflow, ImageResolution[]>;
+  tierResolutions?: Record<SeedreamTier, ImageResolution[]>;
+  // Images one combine request accepts, base included.
+  maxInputImages: number;
+}
+
+export type WanVideoMode = 'image-to-video' | 'text-to-video' | 'reference-to-video';
+
+interface WanModeConstraints {
+  prompt: PromptLimits;
+  durations: number[];
+  maxReferences?: number;
+  maxReferenceVideos?: number;
+}
+
+interface WanVideoConstraints {
+  aspectRatios: string[];
+  resolutions: string[];
+  modes: Record<WanVideoMode, WanModeConstraints> & { 'reference-to-video': Required<WanModeConstraints> };
+}
+
+interface SeedanceVideoConstraints {
+  prompt: PromptLimits;
+  aspectRatios: string[];
+  variants: Record<SeedanceVariant, {
+    resolutions: string[];
+    durations: { min: number; max: number; defaultValue: number };
+  }>;
+  maxReferenceImages: number;
+  maxReferenceVideos: number;
+  maxReferenceAudios: number;
+  maxReferenceVideoSeconds: number;
+}
+
+export const IMAGE_MODEL_CONSTRAINTS = MODEL_CONSTRAINTS.image as Record<ImageProvider, ImageModelConstraints>;
+export const WAN_VIDEO_CONSTRAINTS = MODEL_CONSTRAINTS.video.wan as WanVideoConstraints;
+export const SEEDANCE_VIDEO_CONSTRAINTS = MODEL_CONSTRAINTS.video.seedance as SeedanceVideoConstraints;
+
+/**
+ * Which Wan endpoint the current references route to: none is text-to-video,
+ * one image is image-to-video, and several images or a video go to Wan 2.7
+ * reference-to-video.
+ */
+export function getWanVideoMode(imageCount: number, hasVideoReference: boolean): WanVideoMode {
+  if (imageCount > 1 || hasVideoReference) return 'reference-to-video';
+  return imageCount === 1 ? 'image-to-video' : 'text-to-video';
+}
+
+export function getPromptLimits(target: ImageProvider | VideoProvider, wanMode: WanVideoMode = 'text-to-video'): PromptLimits {
+  if (target === 'wan') return WAN_VIDEO_CONSTRAINTS.modes[wanMode].prompt;
+  if (target === 'seedance') return SEEDANCE_VIDEO_CONSTRAINTS.prompt;
+  return IMAGE_MODEL_CONSTRAINTS[target].prompt;
+}
+
+/**
+ * Why a prompt falls outside `limits`, worded like the API's own error, or
+ * null when it fits. Length is measured after trimming.
+ */
+export function getPromptLengthError(prompt: string, limits: PromptLimits, subject = 'Prompt'): string | null {
+  const length = prompt.trim().length;
+  if (length >= limits.min && length <= limits.max) return null;
+  if (limits.min > 1) return `${subject} must be between ${limits.min} and ${limits.max} characters`;
+  return length === 0 ? `${subject} is required` : `${subject} must be ${limits.max} characters or less`;
+}
@@ -0,0 +1,51 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Pricing Catalog
+ *
+ * The shape of GET /api/pricing/catalog. The web app keeps no prices of its
+ * own: credit estimates are computed from the catalog the API charges from,
+ * and are null until it has loaded.
+ */
+
+import type { ImageProvider, ImageResolution, SeedreamTier } from '../../components/ImageModelControlsPanel';
+import type { SeedanceVariant } from '../../components/studio/types';
+
+export interface SeedanceKieRate {
+  noVideo: number;
+  withVideo: number;
+}
+
+export interface PricingCatalog {
+  version: string;
+  // When the stored pricing rule behind this catalog took effect; null for the built-in defaults.
+  effectiveFrom: string | null;
+  veilpixCreditUsd: number;
+  targetMargin: number;
+  kieCreditUsd: number;
+  image: {
+    kieCredits: Record<ImageProvider, Partial<Record<ImageResolution, number>>>;
+    seedreamTiers: Record<SeedreamTier, Partial<Record<ImageResolution, number>>>;
+    seedreamExtraInputKieCredits: number;
+    minimumCredits: Partial<Record<ImageProvider, number>>;
+  };
+  video: {
+    wan: {
+      credits: Record<string, Record<string, number>>;
+      fallbackCreditsPerSecond: Record<string, number>;
+    };
+    seedance: {
+      kieCreditsPerSecond: Record<SeedanceVariant, Record<string, SeedanceKieRate>>;
+      minimumCredits: number;
+    };
+  };
+}
+
+/** Unrounded VeilPix credits for a Kie credit cost, at the billable rate. */
+export function kieCreditsToVeilpixCredits(catalog: PricingCatalog, kieCredits: number): number {
+  const billableUsdPerVeilpixCredit = catalog.veilpixCreditUsd * (1 - catalog.targetMargin);
+  return Math.max(0, (kieCredits * catalog.kieCreditUsd) / billableUsdPerVeilpixCredit);
+}
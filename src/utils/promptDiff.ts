@@ -0,0 +1,60 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Prompt Diff
+ *
+ * A word-level diff between two prompts, used to show what an enhancement
+ * changed before the user accepts it. Whitespace is kept as its own token so
+ * joining the segments of either side rebuilds that prompt exactly.
+ */
+
+export interface PromptDiffSegment {
+  type: 'same' | 'added' | 'removed';
+  text: string;
+}
+
+function tokenize(text: string): string[] {
+  return text.split(/(\s+)/).filter(Boolean);
+}
+
+function pushSegment(segments: PromptDiffSegment[], type: PromptDiffSegment['type'], text: string) {
+  const last = segments[segments.length - 1];
+  if (last?.type === type) last.text += text;
+  else segments.push({ type, text });
+}
+
+export function diffPrompts(before: string, after: string): PromptDiffSegment[] {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const width = b.length + 1;
+  // Longest common subsequence lengths of the suffixes a[i..] and b[j..].
+  const lengths = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const segments: PromptDiffSegment[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushSegment(segments, 'same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      pushSegment(segments, 'removed', a[i++]);
+    } else {
+      pushSegment(segments, 'added', b[j++]);
+    }
+  }
+  while (i < a.length) pushSegment(segments, 'removed', a[i++]);
+  while (j < b.length) pushSegment(segments, 'added', b[j++]);
+  return segments;
+}
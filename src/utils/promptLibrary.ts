@@ -0,0 +1,151 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Prompt Library
+ *
+ * Reusable prompt templates with `{{variable}}` placeholders, grouped by
+ * category. Built-in templates ship with the app; saved templates live in
+ * IndexedDB next to the gallery and can be exported to and imported from a
+ * JSON file.
+ */
+
+import { deleteSavedPrompt, getSavedPrompts, putSavedPrompts } from './workflowStorage';
+
+export interface PromptTemplate {
+  id: string;
+  title: string;
+  category: string;
+  prompt: string;
+  createdAt: number;
+  updatedAt: number;
+  builtIn?: boolean;
+}
+
+interface PromptLibraryFile {
+  format: typeof LIBRARY_FORMAT;
+  version: number;
+  exportedAt: number;
+  prompts: PromptTemplate[];
+}
+
+const LIBRARY_FORMAT = 'veilpix-prompts';
+const LIBRARY_VERSION = 1;
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export const DEFAULT_PROMPT_CATEGORY = 'General';
+
+// The filter presets from the original editor, plus a few starters that show off variables.
+export const BUILT_IN_PROMPT_TEMPLATES: PromptTemplate[] = [
+  { title: 'Synthwave', category: 'Filters', prompt: 'Apply a vibrant 80s synthwave aesthetic with neon magenta and cyan glows, and subtle scan lines.' },
+  { title: 'Anime', category: 'Filters', prompt: 'Give the image a vibrant Japanese anime style, with bold outlines, cel-shading, and saturated colors.' },
+  { title: 'Lomo', category: 'Filters', prompt: 'Apply a Lomography-style cross-processing film effect with high-contrast, oversaturated colors, and dark vignetting.' },
+  { title: 'Glitch', category: 'Filters', prompt: 'Transform the image into a futuristic holographic projection with digital glitch effects and chromatic aberration.' },
+  { title: 'Product shot', category: 'Starters', prompt: 'A studio product photo of {{product}} on {{surface}}, soft diffused lighting, shallow depth of field, clean background.' },
+  { title: 'Portrait', category: 'Starters', prompt: 'A cinematic portrait of {{subject}} in {{setting}}, golden hour light, 85mm lens, natural skin texture.' },
+  { title: 'Scene change', category: 'Starters', prompt: 'Keep the subject exactly as it is and move it to {{place}} at {{time of day}}, matching the lighting to the new scene.' },
+].map(template => ({
+  ...template,
+  id: `builtin-${template.title.toLowerCase().replace(/\s+/g, '-')}`,
+  createdAt: 0,
+  updatedAt: 0,
+  builtIn: true,
+}));
+
+/**
+ * Variable names in the order they first appear, without duplicates.
+ */
+export function getPromptVariables(prompt: string): string[] {
+  return [...new Set(Array.from(prompt.matchAll(VARIABLE_PATTERN), match => match[1]))];
+}
+
+/**
+ * Substitute variable values. Blank values keep their placeholder so the gap
+ * stays visible in the composer.
+ */
+export function fillPromptTemplate(prompt: string, values: Record<string, string>): string {
+  return prompt.replace(VARIABLE_PATTERN, (placeholder, name: string) => values[name]?.trim() || placeholder);
+}
+
+/**
+ * Built-in templates followed by saved ones, newest first.
+ */
+export async function loadPromptLibrary(): Promise<PromptTemplate[]> {
+  const saved = await getSavedPrompts();
+  return [...BUILT_IN_PROMPT_TEMPLATES, ...saved.sort((a, b) => b.updatedAt - a.updatedAt)];
+}
+
+export async function savePromptTemplate(title: string, category: string, prompt: string): Promise<PromptTemplate> {
+  const now = Date.now();
+  const template: PromptTemplate = {
+    id: crypto.randomUUID(),
+    title: title.trim() || prompt.trim().slice(0, 40),
+    category: category.trim() || DEFAULT_PROMPT_CATEGORY,
+    prompt: prompt.trim(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  await putSavedPrompts([template]);
+  return template;
+}
+
+export function deletePromptTemplate(id: string): Promise<void> {
+  return deleteSavedPrompt(id);
+}
+
+/**
+ * Saved templates as a JSON file. Built-in templates are left out.
+ */
+export async function exportPromptLibrary(): Promise<Blob> {
+  const file: PromptLibraryFile = {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: Date.now(),
+    prompts: await getSavedPrompts(),
+  };
+  return new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+}
+
+function isStoredTemplate(value: unknown): value is PromptTemplate {
+  const template = value as Partial<PromptTemplate> | null;
+  return typeof template?.id === 'string'
+    && !template.id.startsWith('builtin-')
+    && typeof template.title === 'string'
+    && typeof template.category === 'string'
+    && typeof template.prompt === 'string'
+    && template.prompt.trim().length > 0;
+}
+
+/**
+ * Merge an exported library into this browser. Templates with the same id
+ * are replaced, so importing the same file twice adds nothing. Throws when
+ * the file is not a prompt library export.
+ */
+export async function importPromptLibrary(file: Blob): Promise<number> {
+  let library: Partial<PromptLibraryFile>;
+  try {
+    library = JSON.parse(await file.text());
+  } catch {
+    throw new Error('This file is not a VeilPix prompt library.');
+  }
+  if (library.format !== LIBRARY_FORMAT || !Array.isArray(library.prompts)) {
+    throw new Error('This file is not a VeilPix prompt library.');
+  }
+  if ((library.version ?? 0) > LIBRARY_VERSION) {
+    throw new Error('This prompt library was exported by a newer version of VeilPix.');
+  }
+
+  const now = Date.now();
+  const prompts = library.prompts.filter(isStoredTemplate).map(template => ({
+    id: template.id,
+    title: template.title,
+    category: template.category || DEFAULT_PROMPT_CATEGORY,
+    prompt: template.prompt,
+    createdAt: typeof template.createdAt === 'number' ? template.createdAt : now,
+    updatedAt: typeof template.updatedAt === 'number' ? template.updatedAt : now,
+  }));
+  await putSavedPrompts(prompts);
+  return prompts.length;
+}
@@ -0,0 +1,104 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Storage Manager
+ *
+ * Decides how much local space the gallery may use. The user picks a budget
+ * in settings; the browser quota from `navigator.storage.estimate()` caps it
+ * so saving never runs into a QuotaExceededError. Persistent storage is
+ * requested once so the browser does not clear the gallery under pressure.
+ * When the gallery has to evict items, listeners are told so the UI can warn.
+ */
+
+export const GALLERY_BUDGET_OPTIONS_MB = [250, 500, 1000, 2000, 5000];
+export const DEFAULT_GALLERY_BUDGET_MB = 1000;
+
+// Leave headroom for the workflow store and anything else on the origin.
+const QUOTA_SHARE = 0.8;
+const BYTES_PER_MB = 1024 * 1024;
+
+export interface StorageEstimateSummary {
+  usage: number;
+  quota: number;
+  persisted: boolean;
+}
+
+export interface GalleryEviction {
+  count: number;
+  freedBytes: number;
+}
+
+let budgetBytes = DEFAULT_GALLERY_BUDGET_MB * BYTES_PER_MB;
+let persistPromise: Promise<boolean> | null = null;
+const evictionListeners = new Set<(eviction: GalleryEviction) => void>();
+
+export function setGalleryStorageBudget(megabytes: number): void {
+  if (Number.isFinite(megabytes) && megabytes > 0) {
+    budgetBytes = megabytes * BYTES_PER_MB;
+  }
+}
+
+/**
+ * Ask the browser to keep our data when storage runs low. Some browsers
+ * prompt the user, so the request is only made once per session.
+ */
+export function requestPersistentStorage(): Promise<boolean> {
+  if (!persistPromise) {
+    persistPromise = (async () => {
+      try {
+        if (!navigator.storage?.persist) return false;
+        if (await navigator.storage.persisted()) return true;
+        return await navigator.storage.persist();
+      } catch (error) {
+        console.warn('Could not request persistent storage:', error);
+        return false;
+      }
+    })();
+  }
+  return persistPromise;
+}
+
+export async function getStorageEstimate(): Promise<StorageEstimateSummary | null> {
+  try {
+    if (!navigator.storage?.estimate) return null;
+    const [{ usage = 0, quota = 0 }, persisted] = await Promise.all([
+      navigator.storage.estimate(),
+      navigator.storage.persisted?.() ?? Promise.resolve(false),
+    ]);
+    return { usage, quota, persisted };
+  } catch (error) {
+    console.warn('Could not estimate storage usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Bytes the gallery may occupy: the user's budget, capped by the share of
+ * the browser quota we allow ourselves.
+ */
+export async function getGalleryStorageBudget(): Promise<number> {
+  const estimate = await getStorageEstimate();
+  return estimate && estimate.quota > 0
+    ? Math.min(budgetBytes, estimate.quota * QUOTA_SHARE)
+    : budgetBytes;
+}
+
+export function onGalleryEviction(listener: (eviction: GalleryEviction) => void): () => void {
+  evictionListeners.add(listener);
+  return () => {
+    evictionListeners.delete(listener);
+  };
+}
+
+export function notifyGalleryEviction(eviction: GalleryEviction): void {
+  console.warn(`Gallery storage budget reached; removed ${eviction.count} least recently used item(s).`);
+  evictionListeners.forEach(listener => listener(eviction));
+}
+
+export function formatStorageSize(bytes: number): string {
+  if (bytes >= 1024 * BYTES_PER_MB) return `${(bytes / (1024 * BYTES_PER_MB)).toFixed(1)} GB`;
+  return `${Math.round(bytes / BYTES_PER_MB)} MB`;
+}
@@ -10,25 +10,95 @@ import {
   extractVideoThumbnailFrame,
   isImageBlobNearlyBlack,
 } from './videoFrameExtraction';
+import type { CompositeImageRole } from './compositePrompt';
+import type { HistoryNode, HistoryNodeParams, HistoryTree } from './historyTree';
+import type { PromptTemplate } from './promptLibrary';
+import {
+  getGalleryStorageBudget,
+  notifyGalleryEviction,
+  requestPersistentStorage,
+} from './storageManager';
+import {
+  IMAGE_MODEL_CONFIGS,
+  type ImageOutputFormat,
+  type ImageProvider,
+  type ImageResolution,
+  type SeedreamTier,
+} from '../../components/ImageModelControlsPanel';
 
 const DB_NAME = 'veilpix-workflow';
-const DB_VERSION = 2;
+const DB_VERSION = 6;
 const STORE_NAME = 'workflow';
 const GALLERY_STORE_NAME = 'gallery';
+const PROMPT_STORE_NAME = 'prompts';
 const WORKFLOW_KEY = 'current';
-const MAX_GALLERY_IMAGES = 20;
+// Thumbnails fetched per page of the gallery listing.
+export const GALLERY_PAGE_SIZE = 30;
+
+// v4 gallery indexes used by the folder, tag, favorite and filter queries.
+const GALLERY_INDEXES: Array<[name: string, keyPath: string, options?: IDBIndexParameters]> = [
+  ['type', 'type'],
+  ['provider', 'provider'],
+  ['imageProvider', 'generation.provider'],
+  ['folder', 'folder'],
+  ['tags', 'tags', { multiEntry: true }],
+  ['favorite', 'favorite'],
+];
+
+// v3 index for the storage budget, read with key cursors so no media is
+// loaded. Unpinned entries sort first, least recently used first, and the
+// entry's size is the last part of the key.
+const GALLERY_EVICTION_INDEX = 'eviction';
+
+const VIDEO_PROVIDER_NAMES: Record<'wan' | 'seedance', string> = {
+  wan: 'Wan Video',
+  seedance: 'Seedance',
+};
+
+interface StoredHistoryNode {
+  id: string;
+  parentId: string | null;
+  blob: Blob;
+  name: string;
+  type: string;
+  prompt: string;
+  provider?: HistoryNode['provider'];
+  params: HistoryNodeParams;
+  createdAt: number;
+}
 
 interface StoredWorkflow {
-  images: Array<{
+  nodes?: StoredHistoryNode[];
+  currentId?: string;
+  tipId?: string;
+  // Flat undo stack written before the history tree; read for migration only.
+  images?: Array<{
     blob: Blob;
     name: string;
     type: string;
     prompt?: string;
   }>;
-  historyIndex: number;
+  historyIndex?: number;
   savedAt: number;
 }
 
+/**
+ * Settings a gallery image was generated with. Enough to restore the composer
+ * and remix it; source IDs point at the gallery images that were sent along.
+ * Source roles line up with the IDs: each reference's combine role, and null
+ * for the base image.
+ */
+export interface GalleryGenerationParams {
+  provider: ImageProvider;
+  resolution: ImageResolution;
+  aspectRatio: string;
+  seedreamTier: SeedreamTier;
+  outputFormat: ImageOutputFormat;
+  sourceImageIds: number[];
+  sourceImageRoles?: Array<CompositeImageRole | null>; // Absent on older records
+  creditsSpent?: number;
+}
+
 export interface GalleryImage {
   id?: number;
   blob: Blob;
@@ -45,6 +115,14 @@ export interface GalleryImage {
   seedanceInputMode?: 'frames' | 'references';
   referenceImages?: StoredGalleryFile[];
   prompt?: string;
+  generation?: GalleryGenerationParams; // Image entries only; absent on uploads and older records
+  pinned?: number;           // 1 when pinned; pinned entries are never evicted
+  lastAccessedAt?: number;   // Last open or reuse; createdAt until then
+  size?: number;             // Bytes of every blob in the entry, for the storage budget
+  folder?: string;
+  tags?: string[];
+  favorite?: number;         // 1 when favorited; a number because booleans cannot be index keys
+  contentKey?: string;       // getGalleryEntryKey, computed when the entry is saved
 }
 
 export interface GalleryThumbnail {
@@ -58,14 +136,39 @@ export interface GalleryThumbnail {
   hasReferenceImage?: boolean;
   provider?: 'wan' | 'seedance';
   prompt?: string;
+  generation?: GalleryGenerationParams;
+  pinned?: boolean;
+  folder?: string;
+  tags: string[];
+  favorite: boolean;
 }
 
+/** Narrows the gallery listing; every filter that is set must match. */
+export interface GalleryFilters {
+  search?: string;           // Matched against the prompt and the model name
+  type?: 'image' | 'video';
+  provider?: ImageProvider | 'wan' | 'seedance';
+  folder?: string;
+  tag?: string;
+  favoritesOnly?: boolean;
+  since?: number;            // Only entries created at or after this time
+}
+
+export type GalleryItemChanges = Partial<{
+  pinned: boolean;
+  folder: string | null;
+  tags: string[];
+  favorite: boolean;
+}>;
+
 export interface GalleryImageDetails {
+  id: number;
   file: File;
   prompt: string;
+  generation?: GalleryGenerationParams;
 }
 
-interface StoredGalleryFile {
+export interface StoredGalleryFile {
   blob: Blob;
   name: string;
   type: string;
@@ -85,6 +188,17 @@ export interface GalleryVideoDetails {
 
 let dbPromise: Promise<IDBDatabase> | null = null;
 
+// Gallery IDs of image files saved or opened this session, so a generation
+// can record which gallery images it was made from.
+const galleryIdsByFile = new WeakMap<Blob, number>();
+
+/**
+ * Gallery ID of an image file that was saved to or opened from the gallery.
+ */
+export function getGalleryImageId(file: Blob): number | undefined {
+  return galleryIdsByFile.get(file);
+}
+
 /**
  * Initialize the IndexedDB database
  * Handles version upgrades by closing existing connections
@@ -143,6 +257,32 @@ function openDB(): Promise<IDBDatabase> {
         });
         galleryStore.createIndex('createdAt', 'createdAt', { unique: false });
       }
+      // v3: Pin, access time and size for the storage budget
+      const galleryStore = request.transaction!.objectStore(GALLERY_STORE_NAME);
+      if (!galleryStore.indexNames.contains(GALLERY_EVICTION_INDEX)) {
+        galleryStore.createIndex(GALLERY_EVICTION_INDEX, ['pinned', 'lastAccessedAt', 'size'], { unique: false });
+      }
+      // v4: Indexes for folders, tags, favorites and filters
+      for (const [name, keyPath, options] of GALLERY_INDEXES) {
+        if (!galleryStore.indexNames.contains(name)) {
+          galleryStore.createIndex(name, keyPath, { unique: false, ...options });
+        }
+      }
+      // v5: Saved prompt templates, keyed by their string id
+      if (!db.objectStoreNames.contains(PROMPT_STORE_NAME)) {
+        db.createObjectStore(PROMPT_STORE_NAME, { keyPath: 'id' });
+      }
+      // v6: Image records saved before v6 can leave `type` unset, and records
+      // from before v3 lack the eviction index fields; fill both in so the
+      // indexes cover them.
+      if (event.oldVersion > 0 && event.oldVersion < 6) {
+        galleryStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = (cursorEvent.target as IDBRequest<IDBCursorWithValue>).result;
+          if (!cursor) return;
+          cursor.update(toStoredGalleryEntry(cursor.value));
+          cursor.continue();
+        };
+      }
     };
 
     request.onblocked = () => {
@@ -156,10 +296,10 @@ function openDB(): Promise<IDBDatabase> {
 
 /**
  * Save workflow to IndexedDB
- * Converts File objects to storable format
+ * Stores every version of the history tree, including inactive branches
  */
-export async function saveWorkflow(history: File[], historyIndex: number, prompts: string[] = []): Promise<void> {
-  if (history.length === 0) {
+export async function saveWorkflow(tree: HistoryTree | null): Promise<void> {
+  if (!tree || tree.nodes.length === 0) {
     // Don't save empty workflows, but clear any existing one
     await clearWorkflow();
     return;
@@ -169,16 +309,22 @@ export async function saveWorkflow(history: File[], historyIndex: number, prompt
     const db = await openDB();
 
     // Convert Files to storable format (keeping blob data, name, and type)
-    const images = history.map((file, index) => ({
-      blob: file as Blob,
-      name: file.name,
-      type: file.type,
-      prompt: prompts[index] || '',
+    const nodes = tree.nodes.map((node): StoredHistoryNode => ({
+      id: node.id,
+      parentId: node.parentId,
+      blob: node.file as Blob,
+      name: node.file.name,
+      type: node.file.type,
+      prompt: node.prompt,
+      provider: node.provider,
+      params: node.params,
+      createdAt: node.createdAt,
     }));
 
     const workflow: StoredWorkflow = {
-      images,
-      historyIndex,
+      nodes,
+      currentId: tree.currentId,
+      tipId: tree.tipId,
       savedAt: Date.now(),
     };
 
@@ -202,11 +348,44 @@ export async function saveWorkflow(history: File[], historyIndex: number, prompt
   }
 }
 
+/**
+ * Rebuild a history tree from a stored workflow. Workflows saved as a flat
+ * undo stack become a single branch with the same current image.
+ */
+function toHistoryTree(workflow: StoredWorkflow): HistoryTree | null {
+  if (workflow.nodes && workflow.nodes.length > 0) {
+    const nodes = workflow.nodes.map(({ blob, name, type, ...node }): HistoryNode => ({
+      ...node,
+      file: new File([blob], name, { type }),
+    }));
+    const hasNode = (id?: string) => Boolean(id && nodes.some(node => node.id === id));
+    const currentId = hasNode(workflow.currentId) ? workflow.currentId! : nodes[nodes.length - 1].id;
+    return {
+      nodes,
+      currentId,
+      tipId: hasNode(workflow.tipId) ? workflow.tipId! : currentId,
+    };
+  }
+
+  if (!workflow.images || workflow.images.length === 0) return null;
+
+  const nodes = workflow.images.map(({ blob, name, type, prompt }, index): HistoryNode => ({
+    id: `legacy-${index}`,
+    parentId: index === 0 ? null : `legacy-${index - 1}`,
+    file: new File([blob], name, { type }),
+    prompt: prompt || '',
+    params: { operation: index === 0 ? 'upload' : 'edit' },
+    createdAt: workflow.savedAt,
+  }));
+  const index = Math.min(Math.max(workflow.historyIndex ?? 0, 0), nodes.length - 1);
+  return { nodes, currentId: nodes[index].id, tipId: nodes[nodes.length - 1].id };
+}
+
 /**
  * Load workflow from IndexedDB
- * Converts stored format back to File objects
+ * Converts stored format back to a history tree of File objects
  */
-export async function loadWorkflow(): Promise<{ history: File[]; historyIndex: number; prompts: string[] } | null> {
+export async function loadWorkflow(): Promise<HistoryTree | null> {
   try {
     const db = await openDB();
 
@@ -222,22 +401,7 @@ export async function loadWorkflow(): Promise<{ history: File[]; historyIndex: n
 
       request.onsuccess = () => {
         const workflow = request.result as StoredWorkflow | undefined;
-
-        if (!workflow || !workflow.images || workflow.images.length === 0) {
-          resolve(null);
-          return;
-        }
-
-        // Convert stored blobs back to File objects
-        const history = workflow.images.map(({ blob, name, type }) =>
-          new File([blob], name, { type })
-        );
-
-        resolve({
-          history,
-          historyIndex: workflow.historyIndex,
-          prompts: workflow.images.map(image => image.prompt || ''),
-        });
+        resolve(workflow ? toHistoryTree(workflow) : null);
       };
     });
   } catch (error) {
@@ -279,13 +443,13 @@ let saveTimeout: ReturnType<typeof setTimeout> | null = null;
  * Debounced save - waits 500ms after last call before actually saving
  * This prevents excessive writes during rapid edits
  */
-export function debouncedSaveWorkflow(history: File[], historyIndex: number, prompts: string[] = []): void {
+export function debouncedSaveWorkflow(tree: HistoryTree | null): void {
   if (saveTimeout) {
     clearTimeout(saveTimeout);
   }
 
   saveTimeout = setTimeout(() => {
-    saveWorkflow(history, historyIndex, prompts);
+    saveWorkflow(tree);
     saveTimeout = null;
   }, 500);
 }
@@ -355,12 +519,140 @@ async function createThumbnail(file: File): Promise<Blob> {
   });
 }
 
+function getGalleryEntrySize(entry: Pick<GalleryImage, 'blob' | 'thumbnail' | 'videoBlob' | 'referenceImages'>): number {
+  return (entry.blob?.size ?? 0)
+    + (entry.thumbnail?.size ?? 0)
+    + (entry.videoBlob?.size ?? 0)
+    + (entry.referenceImages ?? []).reduce((total, file) => total + (file.blob?.size ?? 0), 0);
+}
+
+/**
+ * Fill in the fields the eviction and filter indexes key on before an entry
+ * is written. Images saved without a `type` are stored as 'image' so the type
+ * index finds them. Records from before v3 store `pinned` as a boolean.
+ */
+function toStoredGalleryEntry(entry: Omit<GalleryImage, 'pinned'> & { pinned?: number | boolean }): GalleryImage {
+  return {
+    ...entry,
+    type: entry.type || 'image',
+    pinned: entry.pinned ? 1 : 0,
+    lastAccessedAt: entry.lastAccessedAt ?? entry.createdAt,
+    size: getGalleryEntrySize(entry),
+  };
+}
+
+export async function hashBlob(blob: Blob): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * What makes two gallery entries the same creation: the video for videos,
+ * the image otherwise. Workspace import and sync match entries on it, so it
+ * is stored on the entry as `contentKey` instead of hashed again each time.
+ */
+export async function getGalleryEntryKey(entry: GalleryImage): Promise<string> {
+  if (entry.contentKey) return entry.contentKey;
+  if (entry.type === 'video') {
+    return entry.videoBlob ? hashBlob(entry.videoBlob) : `url:${entry.videoUrl}`;
+  }
+  return hashBlob(entry.blob);
+}
+
+async function addGalleryEntry(db: IDBDatabase, entry: GalleryImage): Promise<number> {
+  // Hashed before the transaction opens; it would commit while waiting.
+  const stored = toStoredGalleryEntry({ ...entry, contentKey: await getGalleryEntryKey(entry) });
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(GALLERY_STORE_NAME).add(stored);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result as number);
+  });
+}
+
+/**
+ * Walk the eviction index with a key cursor, passing each entry's size and
+ * ID, until `visit` returns false.
+ */
+function walkGalleryEvictionIndex(
+  db: IDBDatabase,
+  range: IDBKeyRange | null,
+  visit: (size: number, id: number) => boolean | void
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(GALLERY_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(GALLERY_STORE_NAME).index(GALLERY_EVICTION_INDEX).openKeyCursor(range);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && visit((cursor.key as [number, number, number])[2], cursor.primaryKey as number) !== false) {
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+  });
+}
+
+/**
+ * Keep the gallery under the storage budget by deleting the least recently
+ * used entries. Pinned entries and the entry that was just saved are kept
+ * even when that leaves the gallery over budget. Sizes and the eviction
+ * order come from index keys, so no entry's media is read.
+ */
+async function enforceGalleryBudget(db: IDBDatabase, keepId: number): Promise<void> {
+  const budget = await getGalleryStorageBudget();
+  let total = 0;
+  await walkGalleryEvictionIndex(db, null, (size) => {
+    total += size;
+  });
+  if (total <= budget) return;
+
+  const evictedIds: number[] = [];
+  let freedBytes = 0;
+  // Unpinned entries only, least recently used first
+  const unpinned = IDBKeyRange.bound([0, -Infinity, -Infinity], [0, Infinity, Infinity]);
+  await walkGalleryEvictionIndex(db, unpinned, (size, id) => {
+    if (total - freedBytes <= budget) return false;
+    if (id === keepId) return;
+    evictedIds.push(id);
+    freedBytes += size;
+  });
+  if (evictedIds.length === 0) return;
+
+  await new Promise<void>((resolve, reject) => {
+    const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(GALLERY_STORE_NAME);
+    evictedIds.forEach(id => store.delete(id));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  notifyGalleryEviction({ count: evictedIds.length, freedBytes });
+}
+
+/**
+ * Record that an entry was used, so eviction treats it as recent.
+ */
+async function touchGalleryEntry(entry: GalleryImage): Promise<void> {
+  try {
+    const db = await openDB();
+    await new Promise<void>((resolve, reject) => {
+      const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
+      const request = transaction.objectStore(GALLERY_STORE_NAME).put(toStoredGalleryEntry({ ...entry, lastAccessedAt: Date.now() }));
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve();
+    });
+  } catch (error) {
+    console.warn('Failed to update gallery access time:', error);
+  }
+}
+
 /**
  * Save an image to the gallery
  * Creates a thumbnail and stores both the full image and thumbnail
- * Enforces MAX_GALLERY_IMAGES limit by removing oldest
+ * Evicts least recently used entries when the storage budget is exceeded
  */
-export async function saveToGallery(image: File, prompt = ''): Promise<void> {
+export async function saveToGallery(image: File, prompt = '', generation?: GalleryGenerationParams): Promise<void> {
   try {
     const db = await openDB();
     const thumbnail = await createThumbnail(image);
@@ -371,65 +663,108 @@ export async function saveToGallery(image: File, prompt = ''): Promise<void> {
       createdAt: Date.now(),
       name: image.name,
       prompt,
+      generation,
     };
 
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
-      const store = transaction.objectStore(GALLERY_STORE_NAME);
+    const id = await addGalleryEntry(db, galleryImage);
+    galleryIdsByFile.set(image, id);
+    void requestPersistentStorage();
+    await enforceGalleryBudget(db, id);
+  } catch (error) {
+    console.error('Failed to save to gallery:', error);
+  }
+}
 
-      // Add the new image
-      const addRequest = store.add(galleryImage);
+function toGalleryThumbnail(entry: GalleryImage): GalleryThumbnail {
+  const { id, thumbnail, createdAt, name, type, videoUrl, videoDuration, hasReferenceImage, provider, prompt, generation, pinned, folder, tags, favorite } = entry;
+  return {
+    id: id!,
+    thumbnail,
+    createdAt,
+    name,
+    type: type || 'image',
+    videoUrl,
+    videoDuration,
+    hasReferenceImage,
+    provider,
+    prompt,
+    generation,
+    pinned: pinned === 1,
+    folder,
+    tags: tags ?? [],
+    favorite: favorite === 1,
+  };
+}
 
-      addRequest.onerror = () => {
-        console.error('Failed to save to gallery:', addRequest.error);
-        reject(addRequest.error);
-      };
+function getModelName(entry: GalleryImage): string {
+  if (entry.type === 'video') return entry.provider ? VIDEO_PROVIDER_NAMES[entry.provider] : '';
+  const provider = entry.generation?.provider;
+  return provider ? IMAGE_MODEL_CONFIGS[provider]?.label ?? provider : '';
+}
 
-      addRequest.onsuccess = () => {
-        // Check count and remove oldest if over limit
-        const countRequest = store.count();
-        countRequest.onsuccess = () => {
-          const count = countRequest.result;
-          if (count > MAX_GALLERY_IMAGES) {
-            // Get oldest entries to delete
-            const deleteCount = count - MAX_GALLERY_IMAGES;
-            const index = store.index('createdAt');
-            const cursorRequest = index.openCursor();
-            let deleted = 0;
-
-            cursorRequest.onsuccess = (event) => {
-              const cursor = (event.target as IDBRequest<IDBCursorWithValue>).result;
-              if (cursor && deleted < deleteCount) {
-                store.delete(cursor.primaryKey);
-                deleted++;
-                cursor.continue();
-              }
-            };
-          }
-        };
-        resolve();
-      };
-    });
-  } catch (error) {
-    console.error('Failed to save to gallery:', error);
+function matchesGalleryFilters(entry: GalleryImage, filters: GalleryFilters): boolean {
+  const type = entry.type || 'image';
+  if (filters.type && type !== filters.type) return false;
+  if (filters.provider && (entry.provider ?? entry.generation?.provider) !== filters.provider) return false;
+  if (filters.folder && entry.folder !== filters.folder) return false;
+  if (filters.tag && !entry.tags?.includes(filters.tag)) return false;
+  if (filters.favoritesOnly && entry.favorite !== 1) return false;
+  if (filters.since && entry.createdAt < filters.since) return false;
+
+  const search = filters.search?.trim().toLowerCase();
+  if (search) {
+    const haystack = [entry.prompt, getModelName(entry), entry.provider, entry.generation?.provider]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    if (!search.split(/\s+/).every(word => haystack.includes(word))) return false;
   }
+  return true;
+}
+
+interface GalleryIndexQuery {
+  index: string;
+  range: IDBKeyRange | null;
+  key?: IDBValidKey;         // The one key every entry in range has; createdAt otherwise
 }
 
 /**
- * Get all gallery images (thumbnails only, for fast loading)
- * Returns most recent first
+ * Pick the narrowest index for the filters. Entries sharing an index key are
+ * ordered by ID, which follows creation order, so walking backwards still
+ * lists newest first.
  */
-export async function getGalleryImages(): Promise<GalleryThumbnail[]> {
+function getGalleryIndexQuery(filters: GalleryFilters): GalleryIndexQuery {
+  const only = (index: string, key: IDBValidKey): GalleryIndexQuery => ({ index, range: IDBKeyRange.only(key), key });
+  if (filters.folder) return only('folder', filters.folder);
+  if (filters.tag) return only('tags', filters.tag);
+  if (filters.favoritesOnly) return only('favorite', 1);
+  if (filters.provider) {
+    return only(filters.provider === 'wan' || filters.provider === 'seedance' ? 'provider' : 'imageProvider', filters.provider);
+  }
+  if (filters.type) return only('type', filters.type);
+  return { index: 'createdAt', range: filters.since ? IDBKeyRange.lowerBound(filters.since) : null };
+}
+
+/**
+ * Get a page of gallery images (thumbnails only, for fast loading)
+ * Returns most recent first; a page shorter than the limit is the last one.
+ * Pass the last item of the previous page as `after` for the next page: the
+ * cursor jumps straight to it instead of reading every earlier entry again.
+ */
+export async function getGalleryImages(
+  { after, limit = GALLERY_PAGE_SIZE, filters = {} }: { after?: GalleryThumbnail; limit?: number; filters?: GalleryFilters } = {}
+): Promise<GalleryThumbnail[]> {
   try {
     const db = await openDB();
+    const query = getGalleryIndexQuery(filters);
 
     return new Promise((resolve, reject) => {
       const transaction = db.transaction(GALLERY_STORE_NAME, 'readonly');
       const store = transaction.objectStore(GALLERY_STORE_NAME);
-      const index = store.index('createdAt');
-      const request = index.openCursor(null, 'prev'); // Newest first
+      const request = store.index(query.index).openCursor(query.range, 'prev');
 
       const thumbnails: GalleryThumbnail[] = [];
+      let resumed = !after;
 
       request.onerror = () => {
         console.error('Failed to get gallery images:', request.error);
@@ -438,13 +773,27 @@ export async function getGalleryImages(): Promise<GalleryThumbnail[]> {
 
       request.onsuccess = (event) => {
         const cursor = (event.target as IDBRequest<IDBCursorWithValue>).result;
-        if (cursor) {
-          const { id, thumbnail, createdAt, name, type, videoUrl, videoDuration, hasReferenceImage, provider, prompt } = cursor.value as GalleryImage;
-          thumbnails.push({ id: id!, thumbnail, createdAt, name, type: type || 'image', videoUrl, videoDuration, hasReferenceImage, provider, prompt });
-          cursor.continue();
-        } else {
+        if (!cursor || thumbnails.length >= limit) {
           resolve(thumbnails);
+          return;
+        }
+        if (!resumed) {
+          resumed = true;
+          const afterKey = query.key ?? after!.createdAt;
+          // Jump to the previous page's last item unless the cursor is already there or past it.
+          if (indexedDB.cmp([cursor.key, cursor.primaryKey], [afterKey, after!.id]) > 0) {
+            cursor.continuePrimaryKey(afterKey, after!.id);
+            return;
+          }
+        }
+        if (cursor.primaryKey === after?.id) {
+          cursor.continue();
+          return;
         }
+
+        const entry = cursor.value as GalleryImage;
+        if (matchesGalleryFilters(entry, filters)) thumbnails.push(toGalleryThumbnail(entry));
+        cursor.continue();
       };
     });
   } catch (error) {
@@ -453,6 +802,41 @@ export async function getGalleryImages(): Promise<GalleryThumbnail[]> {
   }
 }
 
+function getDistinctIndexKeys(db: IDBDatabase, indexName: string): Promise<string[]> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(GALLERY_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(GALLERY_STORE_NAME).index(indexName).openKeyCursor(null, 'nextunique');
+    const keys: string[] = [];
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        keys.push(String(cursor.key));
+        cursor.continue();
+      } else {
+        resolve(keys);
+      }
+    };
+  });
+}
+
+/**
+ * Folder names and tags currently in use, sorted alphabetically
+ */
+export async function getGalleryCollections(): Promise<{ folders: string[]; tags: string[] }> {
+  try {
+    const db = await openDB();
+    const [folders, tags] = await Promise.all([
+      getDistinctIndexKeys(db, 'folder'),
+      getDistinctIndexKeys(db, 'tags'),
+    ]);
+    return { folders, tags };
+  } catch (error) {
+    console.error('Failed to get gallery folders and tags:', error);
+    return { folders: [], tags: [] };
+  }
+}
+
 /**
  * Get a full-size gallery image by ID for re-editing
  * Returns File for images, or { videoUrl, referenceImage } for videos
@@ -475,7 +859,9 @@ export async function getGalleryImage(id: number): Promise<GalleryImageDetails |
         const image = request.result as GalleryImage | undefined;
         if (image?.blob) {
           const file = new File([image.blob], image.name, { type: image.blob.type || 'image/png' });
-          resolve({ file, prompt: image.prompt || '' });
+          galleryIdsByFile.set(file, id);
+          void touchGalleryEntry(image);
+          resolve({ id, file, prompt: image.prompt || '', generation: image.generation });
         } else {
           resolve(null);
         }
@@ -543,6 +929,7 @@ export async function getGalleryVideoDetails(id: number): Promise<GalleryVideoDe
           resolve(null);
           return;
         }
+        void touchGalleryEntry(entry);
         const referenceImages = entry.referenceImages?.length
           ? entry.referenceImages.map((file, index) => fromStoredGalleryFile(file, `video-reference-${index + 1}.png`))
           : entry.hasReferenceImage && entry.blob
@@ -626,7 +1013,7 @@ async function updateGalleryThumbnail(entry: GalleryImage, thumbnail: Blob): Pro
   const db = await openDB();
   await new Promise<void>((resolve, reject) => {
     const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
-    const request = transaction.objectStore(GALLERY_STORE_NAME).put({ ...entry, thumbnail });
+    const request = transaction.objectStore(GALLERY_STORE_NAME).put(toStoredGalleryEntry({ ...entry, thumbnail }));
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve();
   });
@@ -767,46 +1154,138 @@ export async function saveVideoToGallery(options: SaveVideoToGalleryOptions): Pr
       prompt,
     };
 
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
-      const store = transaction.objectStore(GALLERY_STORE_NAME);
+    const id = await addGalleryEntry(db, galleryEntry);
+    void requestPersistentStorage();
+    await enforceGalleryBudget(db, id);
+  } catch (error) {
+    console.error('Failed to save video to gallery:', error);
+  }
+}
+
+/**
+ * Every gallery entry with its media, oldest first, for workspace export.
+ * Entries saved before content keys were stored get theirs filled in, once.
+ */
+export async function getAllGalleryEntries(): Promise<GalleryImage[]> {
+  const db = await openDB();
+  const entries = await new Promise<GalleryImage[]>((resolve, reject) => {
+    const transaction = db.transaction(GALLERY_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(GALLERY_STORE_NAME).index('createdAt').getAll();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result as GalleryImage[]);
+  });
 
-      const addRequest = store.add(galleryEntry);
+  const missing = entries.filter(entry => !entry.contentKey);
+  if (missing.length > 0) {
+    for (const entry of missing) entry.contentKey = await getGalleryEntryKey(entry);
+    try {
+      await storeGalleryContentKeys(db, missing);
+    } catch (error) {
+      console.warn('Failed to store gallery content keys:', error);
+    }
+  }
+  return entries;
+}
 
-      addRequest.onerror = () => {
-        console.error('Failed to save video to gallery:', addRequest.error);
-        reject(addRequest.error);
+// Re-read each record in the write transaction so edits made meanwhile are kept.
+function storeGalleryContentKeys(db: IDBDatabase, entries: GalleryImage[]): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(GALLERY_STORE_NAME);
+    for (const { id, contentKey } of entries) {
+      const request = store.get(id!);
+      request.onsuccess = () => {
+        const entry = request.result as GalleryImage | undefined;
+        if (entry && !entry.contentKey) store.put({ ...entry, contentKey });
       };
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
 
-      addRequest.onsuccess = () => {
-        // Enforce max gallery size
-        const countRequest = store.count();
-        countRequest.onsuccess = () => {
-          const count = countRequest.result;
-          if (count > MAX_GALLERY_IMAGES) {
-            const deleteCount = count - MAX_GALLERY_IMAGES;
-            const index = store.index('createdAt');
-            const cursorRequest = index.openCursor();
-            let deleted = 0;
-
-            cursorRequest.onsuccess = (event) => {
-              const cursor = (event.target as IDBRequest<IDBCursorWithValue>).result;
-              if (cursor && deleted < deleteCount) {
-                store.delete(cursor.primaryKey);
-                deleted++;
-                cursor.continue();
-              }
-            };
-          }
-        };
-        resolve();
+/**
+ * Add entries from a workspace archive in order, keeping their folders, tags
+ * and pins. `idMap` maps archive IDs to local IDs (duplicates that already
+ * exist locally are passed in) and is extended as entries are added, so
+ * remix source IDs can be pointed at the local copies.
+ */
+export async function importGalleryEntries(
+  entries: GalleryImage[],
+  idMap: Map<number, number>
+): Promise<Map<number, number>> {
+  const db = await openDB();
+  let lastId: number | null = null;
+
+  for (const { id: archiveId, generation: archivedGeneration, ...entry } of entries) {
+    let generation = archivedGeneration;
+    if (generation) {
+      // Sources that did not come along are dropped together with their roles.
+      const { sourceImageIds, sourceImageRoles } = generation;
+      const kept = sourceImageIds.flatMap((sourceId, index) => {
+        const id = idMap.get(sourceId);
+        return id === undefined ? [] : [{ id, role: sourceImageRoles?.[index] ?? null }];
+      });
+      generation = {
+        ...generation,
+        sourceImageIds: kept.map(source => source.id),
+        sourceImageRoles: sourceImageRoles && kept.map(source => source.role),
       };
+    }
+    lastId = await addGalleryEntry(db, { ...entry, generation });
+    if (archiveId !== undefined) idMap.set(archiveId, lastId);
+  }
+
+  if (lastId !== null) {
+    void requestPersistentStorage();
+    await enforceGalleryBudget(db, lastId);
+  }
+  return idMap;
+}
+
+/**
+ * Update how a gallery entry is organized. A null or blank folder removes
+ * the entry from its folder; tags are trimmed and deduplicated.
+ */
+export async function updateGalleryItem(id: number, changes: GalleryItemChanges): Promise<void> {
+  try {
+    const db = await openDB();
+    await new Promise<void>((resolve, reject) => {
+      const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(GALLERY_STORE_NAME);
+      const request = store.get(id);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const entry = request.result as GalleryImage | undefined;
+        if (!entry) return;
+        const updated: GalleryImage = { ...entry };
+        if (changes.pinned !== undefined) updated.pinned = changes.pinned ? 1 : 0;
+        if (changes.favorite !== undefined) updated.favorite = changes.favorite ? 1 : 0;
+        if (changes.folder !== undefined) {
+          const folder = changes.folder?.trim();
+          if (folder) updated.folder = folder;
+          else delete updated.folder;
+        }
+        if (changes.tags !== undefined) {
+          updated.tags = [...new Set(changes.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        }
+        store.put(toStoredGalleryEntry(updated));
+      };
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
     });
   } catch (error) {
-    console.error('Failed to save video to gallery:', error);
+    console.error('Failed to update gallery item:', error);
   }
 }
 
+/**
+ * Pin or unpin a gallery entry. Pinned entries are never evicted.
+ */
+export function setGalleryItemPinned(id: number, pinned: boolean): Promise<void> {
+  return updateGalleryItem(id, { pinned });
+}
+
 /**
  * Delete a single gallery image by ID
  */
@@ -833,6 +1312,33 @@ export async function deleteGalleryImage(id: number): Promise<void> {
   }
 }
 
+/**
+ * Delete several gallery items in one transaction
+ */
+export async function deleteGalleryImages(ids: number[]): Promise<void> {
+  if (ids.length === 0) return;
+  try {
+    const db = await openDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(GALLERY_STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(GALLERY_STORE_NAME);
+      ids.forEach((id) => store.delete(id));
+
+      transaction.onerror = () => {
+        console.error('Failed to delete gallery images:', transaction.error);
+        reject(transaction.error);
+      };
+
+      transaction.oncomplete = () => {
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to delete gallery images:', error);
+  }
+}
+
 /**
  * Clear all gallery images
  */
@@ -858,3 +1364,44 @@ export async function clearGallery(): Promise<void> {
     console.error('Failed to clear gallery:', error);
   }
 }
+
+/**
+ * Every saved prompt template. Built-in templates are not stored.
+ */
+export async function getSavedPrompts(): Promise<PromptTemplate[]> {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PROMPT_STORE_NAME, 'readonly');
+    const request = transaction.objectStore(PROMPT_STORE_NAME).getAll();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result as PromptTemplate[]);
+  });
+}
+
+/**
+ * Add or replace saved prompt templates by id, in one transaction
+ */
+export async function putSavedPrompts(prompts: PromptTemplate[]): Promise<void> {
+  if (prompts.length === 0) return;
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PROMPT_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(PROMPT_STORE_NAME);
+    prompts.forEach((prompt) => store.put(prompt));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Delete a saved prompt template by id
+ */
+export async function deleteSavedPrompt(id: string): Promise<void> {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(PROMPT_STORE_NAME, 'readwrite');
+    transaction.objectStore(PROMPT_STORE_NAME).delete(id);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,301 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Workspace Archive
+ *
+ * Moves the local workspace between browsers. Export writes a zip with a
+ * `manifest.json` describing every gallery entry and the current history
+ * tree, plus each media file once under `media/<sha-256>`. Import merges an
+ * archive into this browser: gallery entries whose media is already here are
+ * skipped, so importing the same archive twice changes nothing.
+ */
+
+import type { HistoryNode, HistoryTree } from './historyTree';
+import {
+  getAllGalleryEntries,
+  getGalleryEntryKey,
+  hashBlob,
+  importGalleryEntries,
+  loadWorkflow,
+  type GalleryGenerationParams,
+  type GalleryImage,
+} from './workflowStorage';
+import { createZip, readZip, type ZipEntry } from './zipArchive';
+
+const MANIFEST_PATH = 'manifest.json';
+const MANIFEST_FORMAT = 'veilpix-workspace';
+const MANIFEST_VERSION = 1;
+
+const EXTENSIONS: Record<string, string> = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+};
+
+// A media file in the archive; `sha256` doubles as its identity when merging.
+interface ManifestFile {
+  path: string;
+  sha256: string;
+  type: string;
+  name?: string;
+  lastModified?: number;
+}
+
+// Remix sources are also recorded by content, so they can be found again when
+// they arrive in a different archive than the image made from them.
+type ManifestGenerationParams = GalleryGenerationParams & { sourceImageKeys?: Array<string | null> };
+
+type ManifestGalleryEntry = Omit<GalleryImage, 'id' | 'generation' | 'blob' | 'thumbnail' | 'videoBlob' | 'referenceImages' | 'contentKey'> & {
+  id: number;
+  generation?: ManifestGenerationParams;
+  blob: ManifestFile;
+  thumbnail: ManifestFile;
+  videoBlob?: ManifestFile;
+  referenceImages?: ManifestFile[];
+};
+
+type ManifestHistoryNode = Omit<HistoryNode, 'file'> & { file: ManifestFile };
+
+interface WorkspaceManifest {
+  format: typeof MANIFEST_FORMAT;
+  version: number;
+  exportedAt: number;
+  gallery: ManifestGalleryEntry[];
+  workflow: {
+    nodes: ManifestHistoryNode[];
+    currentId: string;
+    tipId: string;
+  } | null;
+}
+
+export interface WorkspaceExportOptions {
+  // Defaults to the whole gallery.
+  entries?: GalleryImage[];
+  includeWorkflow?: boolean;
+  // Content keys of local entries already computed by the caller.
+  entryKeys?: Map<number, string>;
+}
+
+export interface WorkspaceImportOptions {
+  // Content keys of local entries mapped to their IDs, when the caller has
+  // already computed them. Entries this import adds are written back to it.
+  localIds?: Map<string, number>;
+}
+
+export interface WorkspaceImportResult {
+  imported: number;
+  skipped: number;
+  // The archived history, for the caller to open; it is not saved automatically.
+  workflow: HistoryTree | null;
+}
+
+/**
+ * Collects media for the archive, writing each distinct file only once.
+ */
+class MediaCollector {
+  readonly entries: ZipEntry[] = [];
+  private readonly paths = new Set<string>();
+
+  // Pass `sha256` when it is already known, to skip hashing the blob again.
+  async add(blob: Blob, details: { name?: string; lastModified?: number; sha256?: string } = {}): Promise<ManifestFile> {
+    const sha256 = details.sha256 ?? await hashBlob(blob);
+    const type = blob.type || 'application/octet-stream';
+    const extension = EXTENSIONS[type] ?? details.name?.split('.').pop() ?? 'bin';
+    const path = `media/${sha256}.${extension}`;
+    if (!this.paths.has(path)) {
+      this.paths.add(path);
+      this.entries.push({ path, data: blob, lastModified: details.lastModified });
+    }
+    return { path, sha256, type, name: details.name, lastModified: details.lastModified };
+  }
+}
+
+/**
+ * Build a zip of the gallery and the current history tree.
+ */
+export async function exportWorkspace(options: WorkspaceExportOptions = {}): Promise<Blob> {
+  const { includeWorkflow = true } = options;
+  const [entries, tree] = await Promise.all([
+    options.entries ?? getAllGalleryEntries(),
+    includeWorkflow ? loadWorkflow() : null,
+  ]);
+  const media = new MediaCollector();
+
+  const entryKeys = new Map(options.entryKeys);
+  const getKey = async (entry: GalleryImage) => {
+    if (!entryKeys.has(entry.id!)) entryKeys.set(entry.id!, await getGalleryEntryKey(entry));
+    return entryKeys.get(entry.id!)!;
+  };
+  for (const entry of entries) await getKey(entry);
+
+  const gallery: ManifestGalleryEntry[] = [];
+  for (const { blob, thumbnail, videoBlob, referenceImages, generation, contentKey: _contentKey, ...entry } of entries) {
+    // The content key is the hash of the entry's image, or of its video when it has one.
+    const key = entryKeys.get(entry.id!)!;
+    gallery.push({
+      ...entry,
+      id: entry.id!,
+      generation: generation && {
+        ...generation,
+        sourceImageKeys: generation.sourceImageIds.map(id => entryKeys.get(id) ?? null),
+      },
+      blob: await media.add(blob, {
+        name: entry.name,
+        lastModified: entry.createdAt,
+        sha256: entry.type === 'video' ? undefined : key,
+      }),
+      thumbnail: await media.add(thumbnail),
+      videoBlob: videoBlob ? await media.add(videoBlob, { name: entry.name, sha256: key }) : undefined,
+      referenceImages: referenceImages
+        ? await Promise.all(referenceImages.map(file => media.add(file.blob, file)))
+        : undefined,
+    });
+  }
+
+  let workflow: WorkspaceManifest['workflow'] = null;
+  if (tree) {
+    const nodes: ManifestHistoryNode[] = [];
+    for (const { file, ...node } of tree.nodes) {
+      nodes.push({ ...node, file: await media.add(file, { name: file.name, lastModified: file.lastModified }) });
+    }
+    workflow = { nodes, currentId: tree.currentId, tipId: tree.tipId };
+  }
+
+  const manifest: WorkspaceManifest = {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    exportedAt: Date.now(),
+    gallery,
+    workflow,
+  };
+
+  return createZip([
+    { path: MANIFEST_PATH, data: JSON.stringify(manifest, null, 2) },
+    ...media.entries,
+  ]);
+}
+
+function toGenerationParams({ sourceImageKeys: _sourceImageKeys, ...params }: ManifestGenerationParams): GalleryGenerationParams {
+  return params;
+}
+
+function readManifestFile(files: Map<string, Blob>, file: ManifestFile): Blob {
+  const blob = files.get(file.path);
+  if (!blob) {
+    throw new Error(`Workspace archive is missing ${file.path}.`);
+  }
+  return new Blob([blob], { type: file.type });
+}
+
+function toFile(files: Map<string, Blob>, file: ManifestFile, fallbackName: string): File {
+  return new File([readManifestFile(files, file)], file.name || fallbackName, {
+    type: file.type,
+    lastModified: file.lastModified,
+  });
+}
+
+function getArchivedEntryKey(entry: ManifestGalleryEntry): string {
+  if (entry.type === 'video') {
+    return entry.videoBlob ? entry.videoBlob.sha256 : `url:${entry.videoUrl}`;
+  }
+  return entry.blob.sha256;
+}
+
+/**
+ * Merge an exported workspace into this browser's gallery. Throws when the
+ * file is not a workspace archive.
+ */
+export async function importWorkspace(
+  archive: Blob,
+  options: WorkspaceImportOptions = {}
+): Promise<WorkspaceImportResult> {
+  const files = await readZip(archive);
+  const manifestBlob = files.get(MANIFEST_PATH);
+  if (!manifestBlob) {
+    throw new Error('This zip is not a VeilPix workspace export.');
+  }
+  const manifest = JSON.parse(await manifestBlob.text()) as WorkspaceManifest;
+  if (manifest.format !== MANIFEST_FORMAT) {
+    throw new Error('This zip is not a VeilPix workspace export.');
+  }
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error('This workspace was exported by a newer version of VeilPix.');
+  }
+
+  let localIds = options.localIds;
+  if (!localIds) {
+    localIds = new Map<string, number>();
+    for (const entry of await getAllGalleryEntries()) {
+      localIds.set(entry.contentKey!, entry.id!);
+    }
+  }
+
+  const idMap = new Map<number, number>();
+  const archivedKeys = new Map<string, number>();
+  const newEntries: GalleryImage[] = [];
+  // Oldest first, so remix sources are imported before the images made from them.
+  for (const entry of [...manifest.gallery].sort((a, b) => a.createdAt - b.createdAt)) {
+    const key = getArchivedEntryKey(entry);
+    const existingId = localIds.get(key);
+    if (existingId !== undefined) {
+      idMap.set(entry.id, existingId);
+      continue;
+    }
+    if (archivedKeys.has(key)) continue;
+    archivedKeys.set(key, entry.id);
+    const { generation, ...details } = entry;
+    newEntries.push({
+      ...details,
+      contentKey: key,
+      generation: generation && toGenerationParams(generation),
+      blob: readManifestFile(files, entry.blob),
+      thumbnail: readManifestFile(files, entry.thumbnail),
+      videoBlob: entry.videoBlob ? readManifestFile(files, entry.videoBlob) : undefined,
+      referenceImages: entry.referenceImages?.map((file, index) => ({
+        blob: readManifestFile(files, file),
+        name: file.name || `reference-${index + 1}`,
+        type: file.type,
+        lastModified: file.lastModified,
+      })),
+    });
+  }
+
+  // Sources that are not in this archive may already be here under another ID.
+  const archivedIds = new Set(manifest.gallery.map(entry => entry.id));
+  for (const { generation } of manifest.gallery) {
+    generation?.sourceImageKeys?.forEach((sourceKey, index) => {
+      const sourceId = generation.sourceImageIds[index];
+      const localId = sourceKey ? localIds.get(sourceKey) : undefined;
+      if (localId !== undefined && !archivedIds.has(sourceId)) idMap.set(sourceId, localId);
+    });
+  }
+
+  await importGalleryEntries(newEntries, idMap);
+  for (const [key, archiveId] of archivedKeys) {
+    const localId = idMap.get(archiveId);
+    if (localId !== undefined) localIds.set(key, localId);
+  }
+
+  const workflow = manifest.workflow && manifest.workflow.nodes.length > 0
+    ? {
+        nodes: manifest.workflow.nodes.map(({ file, ...node }): HistoryNode => ({
+          ...node,
+          file: toFile(files, file, `version-${node.id}`),
+        })),
+        currentId: manifest.workflow.currentId,
+        tipId: manifest.workflow.tipId,
+      }
+    : null;
+
+  return {
+    imported: newEntries.length,
+    skipped: manifest.gallery.length - newEntries.length,
+    workflow,
+  };
+}
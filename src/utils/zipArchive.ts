@@ -0,0 +1,192 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * Zip Archive Utility
+ *
+ * Minimal zip writer and reader for workspace archives. Entries are stored
+ * without compression: images and videos are already compressed, and the
+ * stored method keeps both sides small enough to live here instead of adding
+ * a dependency. Archives are limited to 4 GB and 65,535 entries (no zip64).
+ */
+
+export interface ZipEntry {
+  path: string;
+  data: Blob | string;
+  lastModified?: number;
+}
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const UTF8_FLAG = 0x0800;
+const VERSION = 20;
+const MAX_UINT32 = 0xffffffff;
+// Blobs are checksummed a slice at a time so a large video is never held in memory whole.
+const CRC_CHUNK_SIZE = 8 * 1024 * 1024;
+
+let crcTable: Uint32Array | null = null;
+
+// Pass the previous result as `crc` to continue a checksum across chunks.
+function crc32(bytes: Uint8Array, crc = 0): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  crc = (crc ^ MAX_UINT32) >>> 0;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ MAX_UINT32) >>> 0;
+}
+
+async function blobCrc32(blob: Blob): Promise<number> {
+  let crc = 0;
+  for (let start = 0; start < blob.size; start += CRC_CHUNK_SIZE) {
+    crc = crc32(new Uint8Array(await blob.slice(start, start + CRC_CHUNK_SIZE).arrayBuffer()), crc);
+  }
+  return crc;
+}
+
+// MS-DOS date and time, the only timestamp the base zip format carries.
+function toDosDateTime(timestamp: number): { time: number; date: number } {
+  const date = new Date(timestamp);
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Build a zip file from the entries, in order. Blob entries are referenced,
+ * not copied, so the archive stays backed by the browser's storage instead of
+ * the JS heap.
+ */
+export async function createZip(entries: ZipEntry[]): Promise<Blob> {
+  if (entries.length > 0xffff) {
+    throw new Error('Too many files for a zip archive.');
+  }
+
+  const encoder = new TextEncoder();
+  const parts: BlobPart[] = [];
+  const centralDirectory: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const size = data instanceof Blob ? data.size : data.length;
+    const name = encoder.encode(entry.path);
+    const crc = data instanceof Blob ? await blobCrc32(data) : crc32(data);
+    const { time, date } = toDosDateTime(entry.lastModified ?? Date.now());
+
+    if (offset + 30 + name.length + size > MAX_UINT32) {
+      throw new Error('Workspace is larger than 4 GB and cannot be stored in one archive.');
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local.buffer, name, data);
+
+    const central = new DataView(new ArrayBuffer(46 + name.length));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, VERSION, true);
+    central.setUint16(6, VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    new Uint8Array(central.buffer).set(name, 46);
+    centralDirectory.push(new Uint8Array(central.buffer));
+
+    offset += 30 + name.length + size;
+  }
+
+  const directorySize = centralDirectory.reduce((total, header) => total + header.length, 0);
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+}
+
+async function readView(blob: Blob, start: number, end: number): Promise<DataView> {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Read the files in a zip archive. File contents are returned as slices of
+ * the archive, so nothing is loaded into memory until it is used. Only
+ * stored (uncompressed) entries are supported.
+ */
+export async function readZip(archive: Blob): Promise<Map<string, Blob>> {
+  const tailStart = Math.max(0, archive.size - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_LENGTH);
+  const tail = await readView(archive, tailStart, archive.size);
+  let endOffset = -1;
+  for (let i = tail.byteLength - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a zip archive.');
+  }
+
+  const entryCount = tail.getUint16(endOffset + 10, true);
+  const directorySize = tail.getUint32(endOffset + 12, true);
+  const directoryOffset = tail.getUint32(endOffset + 16, true);
+  const directory = await readView(archive, directoryOffset, directoryOffset + directorySize);
+  const decoder = new TextDecoder();
+  const files = new Map<string, Blob>();
+
+  let position = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Zip archive is damaged.');
+    }
+    const method = directory.getUint16(position + 10, true);
+    const size = directory.getUint32(position + 20, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const localOffset = directory.getUint32(position + 42, true);
+    const path = decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (method !== 0) {
+      throw new Error(`"${path}" is compressed; only archives exported from VeilPix can be imported.`);
+    }
+
+    const local = await readView(archive, localOffset, localOffset + 30);
+    const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+    files.set(path, archive.slice(dataStart, dataStart + size));
+  }
+
+  return files;
+}
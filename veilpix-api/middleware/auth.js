@@ -246,9 +246,28 @@ function requireAllowedEmail(req, res, next) {
     next();
 }
 
+// Middleware to restrict a route to the Clerk users listed in ADMIN_CLERK_USER_IDS
+// (comma-separated). Run after getUser and requireAuth.
+function requireAdmin(req, res, next) {
+    const adminIds = (process.env.ADMIN_CLERK_USER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+
+    if (!req.user || !adminIds.includes(req.user.userId)) {
+        return res.status(403).json({
+            error: 'Access denied',
+            message: 'This action requires an administrator account'
+        });
+    }
+
+    next();
+}
+
 module.exports = {
     getUser,
     requireAuth,
+    requireAdmin,
     requirePaymentMethod,
     requireAllowedEmail,
     isClerkUserNotFound
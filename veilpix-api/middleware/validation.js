@@ -1,4 +1,5 @@
 const { body, header, validationResult } = require('express-validator');
+const { getPromptLengthError } = require('../utils/modelConstraints');
 
 // Validation middleware to check for errors
 const handleValidationErrors = (req, res, next) => {
@@ -15,13 +16,21 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Prompt length is checked against the provider's limits in
+// utils/modelConstraints.json, the same limits the composer enforces.
+// routes/images.js resolves req.imageProvider before these rules run.
+const validatePromptLength = (field, subject) => body(field)
+    .trim()
+    .custom((value, { req }) => {
+        const message = getPromptLengthError(value, req.imageProvider.constraints.prompt, subject);
+        if (message) throw new Error(message);
+        return true;
+    });
+
 // Validation rules for image generation endpoints
 // Note: We don't use .escape() because prompts are sent to AI APIs, not rendered as HTML
 const validateImageGeneration = [
-    body('prompt')
-        .trim()
-        .isLength({ min: 1, max: 500 })
-        .withMessage('Prompt must be between 1 and 500 characters'),
+    validatePromptLength('prompt', 'Prompt'),
 
     body('x')
         .optional()
@@ -44,10 +53,7 @@ const validateImageGeneration = [
 // Validation rules for filter generation
 // Note: We don't use .escape() because prompts are sent to AI APIs, not rendered as HTML
 const validateFilterGeneration = [
-    body('filterType')
-        .trim()
-        .isLength({ min: 1, max: 500 })
-        .withMessage('Filter type must be between 1 and 500 characters'),
+    validatePromptLength('filterType', 'Filter type'),
 
     header('x-session-id')
         .optional()
@@ -60,10 +66,50 @@ const validateFilterGeneration = [
 // Validation rules for adjustment generation
 // Note: We don't use .escape() because prompts are sent to AI APIs, not rendered as HTML
 const validateAdjustmentGeneration = [
-    body('adjustment')
-        .trim()
-        .isLength({ min: 1, max: 1000 })
-        .withMessage('Adjustment must be between 1 and 1000 characters'),
+    validatePromptLength('adjustment', 'Adjustment'),
+
+    header('x-session-id')
+        .optional()
+        .isUUID(4)
+        .withMessage('Session ID must be a valid UUID v4'),
+
+    handleValidationErrors
+];
+
+// Validation rules for combining photos. The image count is checked here
+// rather than in multer because each provider accepts a different maximum.
+const validateCombineGeneration = [
+    validatePromptLength('prompt', 'Prompt'),
+
+    body()
+        .custom((value, { req }) => {
+            const count = req.files?.images?.length || 0;
+            const { maxInputImages } = req.imageProvider.constraints;
+            if (count < 2) throw new Error('At least 2 image files must be provided');
+            if (count > maxInputImages) throw new Error(`Maximum ${maxInputImages} images allowed for ${req.imageProvider.label}`);
+            return true;
+        }),
+
+    header('x-session-id')
+        .optional()
+        .isUUID(4)
+        .withMessage('Session ID must be a valid UUID v4'),
+
+    handleValidationErrors
+];
+
+// Validation rules for text-to-image generation
+// Note: We don't use .escape() because prompts are sent to AI APIs, not rendered as HTML
+const validateTextToImageGeneration = [
+    validatePromptLength('prompt', 'Prompt'),
+
+    body('aspectRatio')
+        .optional({ values: 'falsy' })
+        .custom((value, { req }) => {
+            const { aspectRatios } = req.imageProvider.constraints;
+            if (!aspectRatios.includes(value)) throw new Error(`${req.imageProvider.label} supports ${aspectRatios.join(', ')}`);
+            return true;
+        }),
 
     header('x-session-id')
         .optional()
@@ -112,6 +158,8 @@ module.exports = {
     validateImageGeneration,
     validateFilterGeneration,
     validateAdjustmentGeneration,
+    validateCombineGeneration,
+    validateTextToImageGeneration,
     validateImageFile,
     handleValidationErrors
 };
\ No newline at end of file
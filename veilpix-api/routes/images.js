@@ -0,0 +1,849 @@
+/**
+ * Unified Image Generation Routes
+ *
+ * Serves every Kie-hosted image model from the provider registry in
+ * utils/imageProviders.js:
+ *
+ *   POST /api/images/:provider/generate-edit
+ *   POST /api/images/:provider/generate-filter
+ *   POST /api/images/:provider/generate-adjust
+ *   POST /api/images/:provider/combine-photos
+ *   POST /api/images/:provider/generate-text-to-image
+ *   GET  /api/images/jobs/:jobId
+ *
+ * Edit, adjust and text-to-image accept a `count` of 1-4. Each variation is
+ * its own job with its own credit reservation, and the tasks run in parallel.
+ *
+ * Edit also accepts a PNG `mask` (white = edit) instead of an x/y hotspot.
+ * Providers that take a mask receive it; for the rest the result is
+ * composited so only the masked area changes.
+ *
+ * Generation under /api/images is asynchronous: the POST returns 202 with a
+ * job ID and the client polls the jobs endpoint for the result. The legacy
+ * per-model prefixes (/api/nanobanana2, /api/seedream, ...) are mounted from
+ * createProviderRouter() and keep the original blocking response.
+ */
+
+const { randomUUID } = require('node:crypto');
+const express = require('express');
+const multer = require('multer');
+const { db } = require('../utils/database');
+const { getUser, requireAuth, requireAllowedEmail } = require('../middleware/auth');
+const {
+    validateImageGeneration,
+    validateFilterGeneration,
+    validateAdjustmentGeneration,
+    validateCombineGeneration,
+    validateTextToImageGeneration,
+    validateImageFile
+} = require('../middleware/validation');
+const {
+    uploadTemporaryImage,
+    uploadMultipleImages,
+    deleteTemporaryImage,
+    deleteMultipleImages
+} = require('../utils/imageUpload');
+const {
+    MAX_IMAGE_BATCH_COUNT,
+    getImageCreditDetails,
+    normalizeImageBatchCount
+} = require('../utils/imageCreditPricing');
+const {
+    IMAGE_OPERATIONS,
+    IMAGE_PROVIDERS,
+    buildProviderTask,
+    getImageProvider,
+    getOperationWorkflow,
+    operationSupportsBatch,
+    providerAcceptsMask,
+    providerSupportsOperation
+} = require('../utils/imageProviders');
+const {
+    compositeMaskedResult,
+    getMaskFocusPoint,
+    readImageMask,
+    readImageSize
+} = require('../utils/imageMask');
+const { createKieTask, getKieCallbackUrl, getKieTaskResult } = require('../utils/kieTaskClient');
+const { waitForKieTask } = require('../utils/kieTaskWatcher');
+const { getKieErrorHttpResponse } = require('../utils/kieApiError');
+const { captureCredits, releaseCredits, reserveCredits } = require('../utils/creditLedger');
+const {
+    getImageGenerationId,
+    imageGenerationJobResponse,
+    normalizeImageGenerationId,
+    resubmittedImageJobResponse
+} = require('../utils/imageGenerationJob');
+const {
+    GENERATION_JOB_KINDS,
+    recordGenerationJobFailure,
+    recordGenerationJobResult,
+    recordGenerationJobStart,
+    recordGenerationJobTask
+} = require('../utils/generationJobs');
+
+const MAX_PROVIDER_INPUT_IMAGES = Math.max(
+    ...Object.values(IMAGE_PROVIDERS).map(provider => provider.constraints.maxInputImages)
+);
+
+const IMAGE_JOB_MODES = {
+    ASYNC: 'async',
+    BLOCKING: 'blocking'
+};
+
+// Jobs this process is still collecting, keyed by job ID -> Clerk user ID
+const activeImageJobs = new Map();
+
+const imageFileFilter = (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+        cb(null, true);
+    } else {
+        cb(new Error('Only image files are allowed'));
+    }
+};
+
+// Configure multer for image uploads
+const upload = multer({
+    limits: {
+        fileSize: 50 * 1024 * 1024 // 50MB limit (supports 4K images)
+    },
+    fileFilter: imageFileFilter
+});
+
+// Per-provider limits are enforced by validateCombineGeneration; multer only caps
+// the request at the largest limit any provider accepts.
+const uploadMultiple = multer({
+    limits: {
+        fileSize: 50 * 1024 * 1024
+    },
+    fileFilter: imageFileFilter
+}).fields([
+    { name: 'images', maxCount: MAX_PROVIDER_INPUT_IMAGES },
+    { name: 'prompt', maxCount: 1 },
+    { name: 'style', maxCount: 1 }
+]);
+
+// Edit takes the image plus an optional inpainting mask.
+const uploadEdit = upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'mask', maxCount: 1 }
+]);
+
+function readEditUploads(req, res, next) {
+    req.file = req.files?.image?.[0];
+    req.maskFile = req.files?.mask?.[0];
+    next();
+}
+
+const OPERATION_USAGE_TYPES = {
+    [IMAGE_OPERATIONS.EDIT]: 'retouch',
+    [IMAGE_OPERATIONS.FILTER]: 'filter',
+    [IMAGE_OPERATIONS.ADJUST]: 'adjust',
+    [IMAGE_OPERATIONS.COMBINE]: 'combine',
+    [IMAGE_OPERATIONS.TEXT_TO_IMAGE]: 'text-to-image'
+};
+
+const OPERATION_ERROR_MESSAGES = {
+    [IMAGE_OPERATIONS.EDIT]: 'Failed to generate edited image',
+    [IMAGE_OPERATIONS.FILTER]: 'Failed to generate filtered image',
+    [IMAGE_OPERATIONS.ADJUST]: 'Failed to generate adjusted image',
+    [IMAGE_OPERATIONS.COMBINE]: 'Failed to generate combined image',
+    [IMAGE_OPERATIONS.TEXT_TO_IMAGE]: 'Failed to generate image from text'
+};
+
+function parseBooleanFlag(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true';
+}
+
+function parseCoordinate(value) {
+    return value ? parseInt(value) : null;
+}
+
+function sendInvalidMask(res, message) {
+    return res.status(400).json({ error: 'Invalid mask', message });
+}
+
+// Decode the edit mask before credits are reserved. The hotspot adapters put
+// in the prompt becomes the centre of the masked area.
+async function readEditMask(req, res, next) {
+    if (!req.maskFile) {
+        return next();
+    }
+    if (req.maskFile.mimetype !== 'image/png') {
+        return sendInvalidMask(res, 'The mask must be a PNG image.');
+    }
+
+    try {
+        const mask = await readImageMask(req.maskFile.buffer);
+        if (!mask.bounds) {
+            return sendInvalidMask(res, 'Paint the area you want to edit before generating.');
+        }
+        const { width, height } = await readImageSize(req.file.buffer);
+        req.editMask = {
+            buffer: req.maskFile.buffer,
+            focus: getMaskFocusPoint(mask, width, height)
+        };
+    } catch (error) {
+        console.error('Failed to read edit mask:', error);
+        return sendInvalidMask(res, 'We could not read that mask image.');
+    }
+    next();
+}
+
+function getInputImageCount(req) {
+    return req.files?.images?.length || (req.file ? 1 : 0);
+}
+
+// Returns null when a batch operation gets a count outside 1-4. Other
+// operations always generate one image.
+function parseImageBatchCount(req, operation) {
+    const value = req.body?.count;
+    if (!operationSupportsBatch(operation) || value === undefined || value === null || value === '') {
+        return 1;
+    }
+    const count = normalizeImageBatchCount(value);
+    return count === Number(value) ? count : null;
+}
+
+function getCreditDetailsForRequest(req, operation) {
+    const details = getImageCreditDetails(
+        req.imageProvider.id,
+        req.body?.resolution,
+        getOperationWorkflow(operation),
+        req.body?.seedreamTier,
+        getInputImageCount(req),
+        req.imageBatchCount || 1
+    );
+    return { ...details, required: details.credits };
+}
+
+/**
+ * One entry per requested image. The first variant keeps the request's own
+ * job ID; the others get new ones. Each variant settles its own reservation,
+ * so extra variants get a request view with their own `creditReservation`.
+ */
+function createImageVariants(req, count) {
+    const variants = [{ id: req.generationId, req }];
+    for (let index = 1; index < count; index++) {
+        const id = randomUUID();
+        variants.push({ id, req: Object.assign(Object.create(req), { generationId: id, creditReservation: null }) });
+    }
+    return variants;
+}
+
+/**
+ * Read the options every provider shares from the request body, applying the
+ * provider's own defaults.
+ */
+function getGenerationOptions(req) {
+    const provider = req.imageProvider;
+    const body = req.body || {};
+    return {
+        resolution: body.resolution || '2K',
+        aspectRatio: body.aspectRatio || provider.defaultAspectRatio,
+        seedreamTier: body.seedreamTier || 'lite',
+        outputFormat: body.outputFormat || 'png',
+        nsfwFilter: parseBooleanFlag(body.nsfwFilterEnabled, provider.defaultNsfwFilter)
+    };
+}
+
+function sendImageError(res, error, fallbackError) {
+    const response = getKieErrorHttpResponse(error, fallbackError);
+    const body = process.env.NODE_ENV === 'development' && response.status !== 400
+        ? { ...response.body, details: error.stack }
+        : response.body;
+
+    return res.status(response.status).json(body);
+}
+
+function resolveProvider(providerId) {
+    return (req, res, next) => {
+        const provider = getImageProvider(providerId || req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                error: 'Unknown image provider',
+                message: `Image provider "${providerId || req.params.provider}" is not available.`
+            });
+        }
+        req.imageProvider = provider;
+        next();
+    };
+}
+
+function requireOperation(operation) {
+    return (req, res, next) => {
+        if (!providerSupportsOperation(req.imageProvider, operation)) {
+            return res.status(404).json({
+                error: 'Unsupported operation',
+                message: `${req.imageProvider.label} does not support ${operation}.`
+            });
+        }
+        next();
+    };
+}
+
+// Helper function to settle the credit reservation and track usage: capture
+// on success, release on failure. `recovery` carries the job ID and result URL
+// for the generation_jobs row.
+async function settleCreditsAndTrack(req, startTime, operation, success = true, errorMessage = null, recovery = {}) {
+    const { user } = req;
+    const creditDetails = req.creditsInfo || getCreditDetailsForRequest(req, operation);
+    const generationId = recovery.generationId || null;
+    // Usage is logged per image; batch totals are split evenly across variants.
+    const batchCount = creditDetails.count || 1;
+
+    if (success) {
+        const captured = await captureCredits(req);
+        await recordGenerationJobResult(generationId, {
+            resultUrls: [recovery.imageUrl],
+            creditsCharged: captured ?? creditDetails.creditsPerImage ?? creditDetails.required
+        });
+    } else {
+        await releaseCredits(req);
+    }
+
+    try {
+        await db.logUsage({
+            userId: user.id,
+            clerkUserId: user.userId,
+            requestType: OPERATION_USAGE_TYPES[operation],
+            costUsd: success ? Number((creditDetails.costUsd / batchCount).toFixed(4)) : 0,
+            chargedAmountUsd: success ? Number((creditDetails.chargedAmountUsd / batchCount).toFixed(4)) : 0,
+            geminiRequestId: generationId || `${req.imageProvider.id}-${Date.now()}`,
+            imageSize: req.file?.size > 1024 * 1024 ? 'large' : 'medium',
+            processingTimeMs: Date.now() - startTime,
+            success,
+            errorMessage
+        });
+    } catch (logError) {
+        console.error(`Failed to log ${req.imageProvider.label} usage:`, logError);
+    }
+
+    return true;
+}
+
+/**
+ * The status of the job a retried submit's X-Generation-ID already names:
+ * pending while this process collects it, the stored status once it was
+ * recorded, null when it belongs to another user, and undefined for a new ID.
+ */
+async function getExistingImageJob(req) {
+    const owner = activeImageJobs.get(req.generationId);
+    if (owner !== undefined) {
+        return owner === req.user.userId ? { status: 'pending' } : null;
+    }
+    if (!req.get('X-Generation-ID')) {
+        return undefined;
+    }
+
+    const { job, error } = await db.getImageGenerationJob(req.user.userId, req.generationId);
+    if (error) throw error;
+    return job ? imageGenerationJobResponse(job) : undefined;
+}
+
+// Check user credits and reserve them for this generation
+function checkUserCredits(operation) {
+    return async (req, res, next) => {
+        try {
+            const { user } = req;
+            req.generationId = getImageGenerationId(req);
+            const existingJob = await getExistingImageJob(req);
+            if (existingJob !== undefined) {
+                const { status, body } = resubmittedImageJobResponse(existingJob, {
+                    jobId: req.generationId,
+                    isAsync: req.imageJobMode === IMAGE_JOB_MODES.ASYNC
+                });
+                return res.status(status).json(body);
+            }
+
+            req.imageBatchCount = parseImageBatchCount(req, operation);
+            if (req.imageBatchCount === null) {
+                return res.status(400).json({
+                    error: 'Invalid count',
+                    message: `count must be a whole number from 1 to ${MAX_IMAGE_BATCH_COUNT}.`
+                });
+            }
+
+            const creditDetails = getCreditDetailsForRequest(req, operation);
+            const { credits, error } = await db.getUserCredits(user.userId);
+
+            if (error) {
+                return res.status(500).json({
+                    error: 'Failed to check credits',
+                    message: 'Please try again in a moment.'
+                });
+            }
+
+            if (credits < creditDetails.required) {
+                return res.status(402).json({
+                    error: 'Insufficient credits',
+                    message: `${creditDetails.required} credit(s) required for this image generation. You have ${credits} credit(s) remaining.`,
+                    creditsRemaining: credits,
+                    creditsRequired: creditDetails.required,
+                    requiresPayment: true
+                });
+            }
+
+            req.creditsInfo = { remaining: credits, ...creditDetails };
+            req.imageVariants = createImageVariants(req, creditDetails.count);
+            for (const variant of req.imageVariants) {
+                // Each reservation shares its job's ID so a Kie callback can settle it after a restart.
+                // An error response below releases the variants already reserved.
+                const reservation = await reserveCredits(variant.req, res, {
+                    credits: creditDetails.creditsPerImage,
+                    requestType: OPERATION_USAGE_TYPES[operation],
+                    pricingVersion: creditDetails.pricingVersion,
+                    reservationId: variant.id
+                });
+                if (reservation.error) {
+                    return res.status(500).json({
+                        error: 'Failed to check credits',
+                        message: 'Please try again in a moment.'
+                    });
+                }
+                if (!reservation.reserved) {
+                    // Another generation spent the balance between the check and the reservation.
+                    return res.status(402).json({
+                        error: 'Insufficient credits',
+                        message: `${creditDetails.required} credit(s) required for this image generation. Your credits are already reserved by another generation.`,
+                        creditsRemaining: credits,
+                        creditsRequired: creditDetails.required,
+                        requiresPayment: true
+                    });
+                }
+            }
+
+            if (req.body) {
+                req.body.resolution = creditDetails.resolution;
+                if (creditDetails.seedreamTier) {
+                    req.body.seedreamTier = creditDetails.seedreamTier;
+                }
+            }
+            next();
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to check credits',
+                message: 'Please try again in a moment.',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    };
+}
+
+async function uploadInputImages(files, userId) {
+    if (files.length === 0) {
+        return { urls: [], filenames: [] };
+    }
+
+    if (files.length === 1) {
+        const uploadResult = await uploadTemporaryImage(files[0].buffer, files[0].mimetype, userId);
+        if (!uploadResult.success) {
+            throw new Error(`Failed to upload image: ${uploadResult.error}`);
+        }
+        return { urls: [uploadResult.url], filenames: [uploadResult.filename] };
+    }
+
+    const uploadResult = await uploadMultipleImages(
+        files.map(file => ({ buffer: file.buffer, mimeType: file.mimetype })),
+        userId
+    );
+    if (!uploadResult.success) {
+        throw new Error(`Failed to upload images: ${uploadResult.errors?.join(', ')}`);
+    }
+    return { urls: uploadResult.urls, filenames: uploadResult.filenames };
+}
+
+async function deleteInputImages(filenames) {
+    if (filenames.length === 1) {
+        await deleteTemporaryImage(filenames[0]);
+    } else if (filenames.length > 1) {
+        await deleteMultipleImages(filenames);
+    }
+}
+
+async function convertImageUrl(provider, imageUrl) {
+    const conversionResult = await provider.adapter.urlToBase64(imageUrl);
+    if (!conversionResult.success) {
+        throw new Error(`Failed to convert image: ${conversionResult.error}`);
+    }
+
+    return {
+        data: conversionResult.data,
+        mimeType: conversionResult.mimeType
+    };
+}
+
+/**
+ * Create the provider's Kie task and return its task ID and model. The task
+ * reports completion to the Kie webhook when callbacks are configured.
+ */
+async function startProviderTask(provider, operation, params, generationId) {
+    const { model, input } = buildProviderTask(provider, operation, params);
+    console.log(`🌐 Creating ${provider.label} task`, {
+        model,
+        operation,
+        imageCount: params.imageUrls.length,
+        resolution: params.resolution,
+        aspectRatio: params.aspectRatio
+    });
+
+    const taskId = await createKieTask(model, input, {
+        label: provider.label,
+        callBackUrl: getKieCallbackUrl(generationId)
+    });
+    return { taskId, model };
+}
+
+/**
+ * Wait for a provider task (Kie callback or fallback sweep) and return the
+ * normalized result image URL.
+ */
+async function waitForProviderImage(provider, taskId) {
+    const taskData = await waitForKieTask(taskId, provider.pollOptions);
+    const taskResult = getKieTaskResult(taskData, provider.pollOptions?.contentPolicyPattern);
+    const normalizedResponse = provider.adapter.normalizeResponse(taskResult);
+
+    if (!normalizedResponse.success) {
+        throw new Error(normalizedResponse.error || `Failed to process ${provider.label} response`);
+    }
+    if (!normalizedResponse.imageUrl) {
+        throw new Error(`${provider.label} did not return a result URL`);
+    }
+
+    return normalizedResponse.imageUrl;
+}
+
+/**
+ * Wait for the task, then charge and log. Never rejects: failures are
+ * recorded against the job and returned so both the blocking and the
+ * asynchronous flow can report them.
+ */
+async function completeImageGeneration(req, operation, { taskId, generationId, startTime, convertImage, composite = null }) {
+    const provider = req.imageProvider;
+    let usageLogged = false;
+
+    try {
+        let imageUrl = await waitForProviderImage(provider, taskId);
+        let image = null;
+        if (composite) {
+            ({ imageUrl, image } = await compositeMaskedResult(imageUrl, composite, req.user.userId));
+        }
+        // The blocking flow converts before charging so a failed download is never billed.
+        if (convertImage && !image) {
+            image = await convertImageUrl(provider, imageUrl);
+        }
+
+        usageLogged = await settleCreditsAndTrack(req, startTime, operation, true, null, { generationId, imageUrl });
+        return { imageUrl, image };
+    } catch (error) {
+        console.error(`Error running ${operation} with ${provider.label}:`, error);
+
+        if (!usageLogged) {
+            await recordImageFailure(req, startTime, operation, generationId, error);
+        }
+        return { error };
+    } finally {
+        activeImageJobs.delete(generationId);
+    }
+}
+
+async function recordImageFailure(req, startTime, operation, generationId, error) {
+    const { body } = getKieErrorHttpResponse(error, OPERATION_ERROR_MESSAGES[operation]);
+    await recordGenerationJobFailure(generationId, { code: body.code, message: body.message });
+    try {
+        await settleCreditsAndTrack(req, startTime, operation, false, error.message, { generationId });
+    } catch (trackError) {
+        console.error('Failed to record image generation failure:', trackError);
+    }
+}
+
+/**
+ * Shared request flow for every operation. Under /api/images the tasks are
+ * started, the job IDs are returned with 202, and the results are collected in
+ * the background for GET /api/images/jobs/:jobId. The legacy per-model
+ * prefixes keep the original blocking response.
+ *
+ * A batch uploads its inputs once and starts one task per variant. Variants
+ * whose task fails to start are failed and refunded on their own; the request
+ * only fails when none of them started.
+ *
+ * An edit `mask` is uploaded alongside the inputs. Providers that take one
+ * receive it; otherwise every variant's output is composited onto the
+ * original, and the job records both URLs so a restart can still composite.
+ */
+async function handleImageOperation(req, res, operation, { prompt, files = [], x = null, y = null, aspectRatio, mask = null }) {
+    const startTime = Date.now();
+    const provider = req.imageProvider;
+    const variants = req.imageVariants;
+    const isAsync = req.imageJobMode === IMAGE_JOB_MODES.ASYNC;
+    let uploadedFilenames = [];
+    let started;
+
+    const options = {
+        ...getGenerationOptions(req),
+        ...(aspectRatio ? { aspectRatio } : {})
+    };
+    const batchParams = variants.length > 1 ? { batchId: req.generationId, batchCount: variants.length } : {};
+    const maskParams = mask ? { masked: true } : {};
+    const composite = mask && !providerAcceptsMask(provider) ? { original: files[0].buffer, mask } : null;
+    const inputParams = { ...options, prompt, x, y, inputImageCount: files.length, ...batchParams, ...maskParams };
+    const recorded = [];
+    for (const variant of variants) {
+        recorded.push(await recordGenerationJobStart(variant.req, {
+            id: variant.id,
+            kind: GENERATION_JOB_KINDS.IMAGE,
+            requestType: OPERATION_USAGE_TYPES[operation],
+            provider: provider.id,
+            inputParams,
+            creditsReserved: req.creditsInfo?.creditsPerImage
+        }));
+    }
+    if (isAsync && recorded.includes(false)) {
+        // An asynchronous result is only reachable through its job row, so
+        // nothing is started without one; the error response releases the
+        // reservations.
+        for (const [index, variant] of variants.entries()) {
+            if (recorded[index]) {
+                await recordGenerationJobFailure(variant.id, { message: 'The generation could not be started.' });
+            }
+        }
+        return res.status(500).json({
+            error: 'Failed to start generation',
+            message: 'Please try again in a moment.'
+        });
+    }
+
+    try {
+        const uploads = await uploadInputImages(files, req.user.userId);
+        uploadedFilenames = uploads.filenames;
+        const params = { ...options, imageUrls: uploads.urls, prompt, x, y };
+        let taskInputParams = null;
+        if (mask) {
+            const maskUpload = await uploadInputImages([{ buffer: mask, mimetype: 'image/png' }], req.user.userId);
+            uploadedFilenames = [...uploadedFilenames, ...maskUpload.filenames];
+            if (composite) {
+                taskInputParams = { ...inputParams, originalUrl: uploads.urls[0], maskUrl: maskUpload.urls[0] };
+            } else {
+                params.maskUrl = maskUpload.urls[0];
+            }
+        }
+
+        started = await Promise.allSettled(variants.map(async variant => {
+            const task = await startProviderTask(provider, operation, params, variant.id);
+            await recordGenerationJobTask(variant.id, {
+                kieTaskId: task.taskId,
+                model: task.model,
+                inputParams: taskInputParams
+            });
+            return task.taskId;
+        }));
+    } catch (error) {
+        console.error(`Error starting ${operation} with ${provider.label}:`, error);
+        await deleteInputImages(uploadedFilenames);
+        for (const variant of variants) {
+            await recordImageFailure(variant.req, startTime, operation, variant.id, error);
+        }
+        return sendImageError(res, error, OPERATION_ERROR_MESSAGES[operation]);
+    }
+
+    const running = [];
+    for (const [index, result] of started.entries()) {
+        const variant = variants[index];
+        if (result.status === 'fulfilled') {
+            running.push({ ...variant, taskId: result.value });
+        } else {
+            console.error(`Error starting ${operation} with ${provider.label}:`, result.reason);
+            await recordImageFailure(variant.req, startTime, operation, variant.id, result.reason);
+        }
+    }
+    if (running.length === 0) {
+        await deleteInputImages(uploadedFilenames);
+        return sendImageError(res, started[0].reason, OPERATION_ERROR_MESSAGES[operation]);
+    }
+
+    for (const variant of running) {
+        activeImageJobs.set(variant.id, req.user.userId);
+    }
+    const completion = Promise.all(running.map(variant => completeImageGeneration(variant.req, operation, {
+        taskId: variant.taskId,
+        generationId: variant.id,
+        startTime,
+        convertImage: !isAsync,
+        composite
+    }))).then(async results => {
+        await deleteInputImages(uploadedFilenames);
+        return results;
+    });
+
+    if (isAsync) {
+        return res.status(202).json({
+            success: true,
+            jobId: req.generationId,
+            jobIds: variants.map(variant => variant.id),
+            status: 'pending',
+            creditsRequired: req.creditsInfo?.required
+        });
+    }
+
+    const results = await completion;
+    const images = results.filter(result => !result.error).map(result => result.image);
+    if (images.length === 0) {
+        return sendImageError(res, results[0].error, OPERATION_ERROR_MESSAGES[operation]);
+    }
+
+    res.json({
+        success: true,
+        jobId: req.generationId,
+        image: images[0],
+        ...(variants.length > 1 ? { images } : {}),
+        processingTime: Date.now() - startTime,
+        creditsRemaining: req.creditsInfo?.remaining || 0,
+        creditsUsed: Number(((req.creditsInfo?.creditsPerImage || 1) * images.length).toFixed(2))
+    });
+}
+
+/**
+ * Build the five image endpoints. The provider is resolved by `resolveProvider`
+ * before this router runs, so every handler reads `req.imageProvider`.
+ */
+function createOperationRouter() {
+    const router = express.Router();
+
+    router.use(getUser, requireAuth, requireAllowedEmail);
+
+    // Generate edited image endpoint
+    router.post('/generate-edit', requireOperation(IMAGE_OPERATIONS.EDIT), uploadEdit, readEditUploads, validateImageFile, validateImageGeneration, readEditMask, checkUserCredits(IMAGE_OPERATIONS.EDIT), (req, res) => {
+        const { prompt, x, y } = req.body;
+        if (!prompt) {
+            return res.status(400).json({ error: 'No prompt provided' });
+        }
+
+        const focus = req.editMask?.focus;
+        return handleImageOperation(req, res, IMAGE_OPERATIONS.EDIT, {
+            prompt,
+            files: [req.file],
+            x: focus ? focus.x : parseCoordinate(x),
+            y: focus ? focus.y : parseCoordinate(y),
+            mask: req.editMask?.buffer
+        });
+    });
+
+    // Generate filtered image endpoint
+    router.post('/generate-filter', requireOperation(IMAGE_OPERATIONS.FILTER), upload.single('image'), validateImageFile, validateFilterGeneration, checkUserCredits(IMAGE_OPERATIONS.FILTER), (req, res) => {
+        const { filterType } = req.body;
+        if (!filterType) {
+            return res.status(400).json({ error: 'No filter type provided' });
+        }
+
+        return handleImageOperation(req, res, IMAGE_OPERATIONS.FILTER, {
+            prompt: filterType,
+            files: [req.file]
+        });
+    });
+
+    // Generate adjusted image endpoint
+    router.post('/generate-adjust', requireOperation(IMAGE_OPERATIONS.ADJUST), upload.single('image'), validateImageFile, validateAdjustmentGeneration, checkUserCredits(IMAGE_OPERATIONS.ADJUST), (req, res) => {
+        const { adjustment, aspectRatio, aspectRatioFile } = req.body;
+        if (!adjustment) {
+            return res.status(400).json({ error: 'No adjustment specified' });
+        }
+
+        let imageSize = aspectRatio;
+        if (aspectRatioFile && !aspectRatio && req.imageProvider.mapAspectRatioFile) {
+            imageSize = req.imageProvider.mapAspectRatioFile(aspectRatioFile);
+            console.log(`📐 Aspect ratio requested: ${aspectRatioFile} → ${imageSize}`);
+        } else if (aspectRatio) {
+            console.log(`📐 Aspect ratio requested: ${aspectRatio}`);
+        }
+
+        return handleImageOperation(req, res, IMAGE_OPERATIONS.ADJUST, {
+            prompt: adjustment,
+            files: [req.file],
+            aspectRatio: imageSize
+        });
+    });
+
+    // Generate combined image endpoint
+    router.post('/combine-photos', requireOperation(IMAGE_OPERATIONS.COMBINE), uploadMultiple, validateCombineGeneration, checkUserCredits(IMAGE_OPERATIONS.COMBINE), (req, res) => {
+        return handleImageOperation(req, res, IMAGE_OPERATIONS.COMBINE, {
+            prompt: req.body.prompt,
+            files: req.files.images
+        });
+    });
+
+    // Text-to-image generation endpoint (no reference image required)
+    router.post('/generate-text-to-image', requireOperation(IMAGE_OPERATIONS.TEXT_TO_IMAGE), express.json(), validateTextToImageGeneration, checkUserCredits(IMAGE_OPERATIONS.TEXT_TO_IMAGE), (req, res) => {
+        return handleImageOperation(req, res, IMAGE_OPERATIONS.TEXT_TO_IMAGE, { prompt: req.body.prompt });
+    });
+
+    return router;
+}
+
+const operationRouter = createOperationRouter();
+
+function setImageJobMode(mode) {
+    return (req, res, next) => {
+        req.imageJobMode = mode;
+        next();
+    };
+}
+
+/**
+ * Router for a single provider, mounted at the legacy /api/<provider> prefix.
+ */
+function createProviderRouter(providerId) {
+    const router = express.Router();
+    router.use(resolveProvider(providerId), setImageJobMode(IMAGE_JOB_MODES.BLOCKING), operationRouter);
+    return router;
+}
+
+const router = express.Router();
+
+// Image job status endpoint (registered before /:provider so "jobs" is not a provider)
+router.get('/jobs/:jobId', getUser, requireAuth, requireAllowedEmail, async (req, res) => {
+    const generationId = normalizeImageGenerationId(req.params.jobId);
+    if (!generationId) {
+        return res.status(400).json({ error: 'Invalid image job ID' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+
+    if (activeImageJobs.get(generationId) === req.user.userId) {
+        return res.json({ status: 'pending' });
+    }
+
+    try {
+        const { job, error } = await db.getImageGenerationJob(req.user.userId, generationId);
+        if (error) throw error;
+
+        const status = imageGenerationJobResponse(job);
+        if (status.status !== 'succeeded') {
+            return res.json(status);
+        }
+
+        const provider = getImageProvider(status.provider) || IMAGE_PROVIDERS.seedream;
+        const image = await convertImageUrl(provider, status.imageUrl);
+        return res.json({
+            status: 'succeeded',
+            success: true,
+            image,
+            processingTime: status.processingTime,
+            creditsUsed: status.creditsUsed
+        });
+    } catch (error) {
+        console.error('Failed to check image generation:', error);
+        return res.status(500).json({
+            error: 'Failed to check image generation',
+            message: 'We could not check that image yet. VeilPix will try again.'
+        });
+    }
+});
+
+router.use('/:provider', resolveProvider(), setImageJobMode(IMAGE_JOB_MODES.ASYNC), operationRouter);
+
+module.exports = {
+    IMAGE_JOB_MODES,
+    router,
+    createProviderRouter
+};
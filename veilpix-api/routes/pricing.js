@@ -0,0 +1,85 @@
+const express = require('express');
+const { getUser, requireAdmin, requireAuth } = require('../middleware/auth');
+const { db } = require('../utils/database');
+const { createPricingRule, getPricingCatalog } = require('../utils/pricingCatalog');
+
+const MAX_RULE_NOTE_LENGTH = 500;
+
+// Prices are public: the composer shows them before sign-in. The catalog's
+// version doubles as its ETag, so clients revalidate with If-None-Match and
+// get a 304 until a price changes.
+function createPricingRouter({ getCatalog = getPricingCatalog } = {}) {
+    const router = express.Router();
+    const requireAdminUser = [getUser, requireAuth, requireAdmin];
+
+    router.get('/catalog', (req, res) => {
+        const catalog = getCatalog();
+        res.set({
+            ETag: `"${catalog.version}"`,
+            'Cache-Control': 'public, max-age=0, must-revalidate'
+        });
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+        return res.json({ success: true, ...catalog });
+    });
+
+    // Every stored rule, latest effective date first, including scheduled ones
+    router.get('/rules', requireAdminUser, async (req, res) => {
+        const { rules, error } = await db.getPricingRules();
+        if (error) {
+            return res.status(500).json({
+                error: 'Failed to load pricing rules',
+                message: 'Please try again in a moment.'
+            });
+        }
+
+        res.set('Cache-Control', 'no-store');
+        return res.json({ success: true, activeVersion: getCatalog().version, rules });
+    });
+
+    // `pricing` holds only the values that change; the rest are carried over
+    // from the prices in effect now. Without `effectiveFrom` the rule applies
+    // immediately.
+    router.post('/rules', requireAdminUser, async (req, res) => {
+        const { pricing, effectiveFrom, note = null } = req.body || {};
+        const startsAt = effectiveFrom === undefined ? new Date() : new Date(effectiveFrom);
+
+        if (Number.isNaN(startsAt.getTime()) || (effectiveFrom !== undefined && startsAt.getTime() < Date.now())) {
+            return res.status(400).json({
+                error: 'Invalid effective date',
+                message: 'effectiveFrom must be a date in the future. Leave it out to apply the prices now.'
+            });
+        }
+        if (note !== null && (typeof note !== 'string' || note.length > MAX_RULE_NOTE_LENGTH)) {
+            return res.status(400).json({
+                error: 'Invalid note',
+                message: `note must be text of at most ${MAX_RULE_NOTE_LENGTH} characters`
+            });
+        }
+
+        const { rule, error } = await createPricingRule({
+            changes: pricing,
+            effectiveFrom: startsAt,
+            note,
+            createdBy: req.user.userId
+        });
+        if (error?.invalid) {
+            return res.status(400).json({ error: 'Invalid pricing', message: error.message });
+        }
+        if (error) {
+            console.error('Failed to create pricing rule:', error);
+            return res.status(500).json({
+                error: 'Failed to save pricing rule',
+                message: 'Please try again in a moment.'
+            });
+        }
+
+        console.log(`Pricing rule ${rule.version} created by ${req.user.userId}, effective ${rule.effective_from}`);
+        return res.status(201).json({ success: true, activeVersion: getCatalog().version, rule });
+    });
+
+    return router;
+}
+
+module.exports = { router: createPricingRouter(), createPricingRouter };
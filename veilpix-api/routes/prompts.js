@@ -0,0 +1,41 @@
+const express = require('express');
+const { getUser, requireAuth } = require('../middleware/auth');
+const {
+    enhancePrompt,
+    getPromptEnhancer,
+    normalizeEnhanceRequest
+} = require('../utils/promptEnhancer');
+
+// The enhancer is injected so a different implementation can be mounted
+// without touching the route.
+function createPromptRouter({ enhancer = getPromptEnhancer() } = {}) {
+    const router = express.Router();
+
+    router.use(getUser, requireAuth);
+
+    router.post('/enhance', async (req, res) => {
+        const request = normalizeEnhanceRequest(req.body);
+        if (!request) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'Send a prompt within the model\'s length limit and a supported target model.'
+            });
+        }
+
+        try {
+            const result = await enhancePrompt(request, enhancer);
+            res.set('Cache-Control', 'no-store');
+            return res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Prompt enhancement failed:', error);
+            return res.status(500).json({
+                error: 'Enhancement unavailable',
+                message: 'Could not enhance the prompt. Please try again.'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { router: createPromptRouter(), createPromptRouter };
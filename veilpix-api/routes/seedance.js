@@ -11,7 +11,6 @@ const {
 const {
     ASPECT_RATIOS,
     SEEDANCE_DURATION_LIMITS,
-    SEEDANCE_PRICING,
     buildSeedanceRequest,
     clampDuration,
     estimateSeedanceKieCredits,
@@ -20,25 +19,34 @@ const {
     normalizeSeedanceResponse,
     normalizeVariant,
     resolveSeedanceInputMode,
-    veilpixCreditsFromKieCredits
+    getSeedanceCaptureCredits
 } = require('../utils/seedanceAdapter');
+const { getVideoGenerationId } = require('../utils/videoGenerationJob');
+const { getPricingCatalog } = require('../utils/pricingCatalog');
+const { SEEDANCE_VIDEO_CONSTRAINTS, getPromptLengthError } = require('../utils/modelConstraints');
+const { getKieCallbackUrl } = require('../utils/kieTaskClient');
+const { waitForKieTask } = require('../utils/kieTaskWatcher');
 const {
-    getVideoGenerationId,
-    serializeVideoGenerationResult
-} = require('../utils/videoGenerationJob');
+    GENERATION_JOB_KINDS,
+    recordGenerationJobFailure,
+    recordGenerationJobResult,
+    recordGenerationJobStart,
+    recordGenerationJobTask
+} = require('../utils/generationJobs');
+const { captureCredits, releaseCredits, reserveCredits } = require('../utils/creditLedger');
 
 const router = express.Router();
 
 const SEEDANCE_API_KEY = process.env.KIE_API_KEY || process.env.SEEDREAM_API_KEY;
 const SEEDANCE_API_URL = process.env.KIE_API_BASE_URL || process.env.SEEDREAM_API_BASE_URL || 'https://api.kie.ai';
 
-const MAX_REFERENCE_IMAGES = 9;
-const MAX_REFERENCE_VIDEOS = 1;
-const MAX_REFERENCE_AUDIOS = 1;
+const MAX_REFERENCE_IMAGES = SEEDANCE_VIDEO_CONSTRAINTS.maxReferenceImages;
+const MAX_REFERENCE_VIDEOS = SEEDANCE_VIDEO_CONSTRAINTS.maxReferenceVideos;
+const MAX_REFERENCE_AUDIOS = SEEDANCE_VIDEO_CONSTRAINTS.maxReferenceAudios;
 const MAX_IMAGE_BYTES = 30 * 1024 * 1024;
 const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
 const MAX_AUDIO_BYTES = 15 * 1024 * 1024;
-const MAX_REFERENCE_VIDEO_SECONDS = 15;
+const MAX_REFERENCE_VIDEO_SECONDS = SEEDANCE_VIDEO_CONSTRAINTS.maxReferenceVideoSeconds;
 
 const upload = multer({
     limits: {
@@ -142,7 +150,7 @@ function getReferenceVideoDuration(file, fallbackSeconds) {
     return fallback;
 }
 
-async function createSeedanceTask(payload) {
+async function createSeedanceTask(payload, callBackUrl = null) {
     console.log(`Creating Seedance task (${payload.model})`);
 
     const response = await fetch(`${SEEDANCE_API_URL}/api/v1/jobs/createTask`, {
@@ -151,7 +159,7 @@ async function createSeedanceTask(payload) {
             Authorization: `Bearer ${SEEDANCE_API_KEY}`,
             'Content-Type': 'application/json'
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(callBackUrl ? { ...payload, callBackUrl } : payload)
     });
 
     if (!response.ok) {
@@ -167,54 +175,31 @@ async function createSeedanceTask(payload) {
     return result.data.taskId;
 }
 
-async function pollSeedanceJob(taskId, maxAttempts = 360, intervalMs = 2000) {
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const response = await fetch(`${SEEDANCE_API_URL}/api/v1/jobs/recordInfo?taskId=${encodeURIComponent(taskId)}`, {
-            method: 'GET',
-            headers: {
-                Authorization: `Bearer ${SEEDANCE_API_KEY}`
-            }
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Seedance task status failed: ${response.status} - ${errorText}`);
-        }
-
-        const result = await response.json();
-        if (result.code !== 200) {
-            throw new Error(`Seedance task query failed: ${result.message || result.msg || 'Unknown error'}`);
-        }
-
-        const taskData = result.data;
-        if (attempt % 15 === 0) {
-            console.log(`Seedance task status (attempt ${attempt + 1}/${maxAttempts}): ${taskData.state}`);
-        }
-
-        if (taskData.state === 'success') {
-            return {
-                resultJson: taskData.resultJson ? JSON.parse(taskData.resultJson) : {},
-                taskData
-            };
-        }
+// Wait for the task (Kie callback or fallback sweep) and return its parsed result
+async function waitForSeedanceJob(taskId) {
+    const taskData = await waitForKieTask(taskId, {
+        maxAttempts: 360,
+        intervalMs: 2000,
+        timeoutMessage: 'Seedance generation timeout - exceeded maximum wait time'
+    });
 
-        if (taskData.state === 'fail') {
-            const failMsg = taskData.failMsg || taskData.failCode || 'Unknown error';
-            if (
-                failMsg.toLowerCase().includes('review') ||
-                failMsg.toLowerCase().includes('nsfw') ||
-                failMsg.toLowerCase().includes('content') ||
-                failMsg.toLowerCase().includes('safety')
-            ) {
-                throw new Error(`NSFW content detected: ${failMsg}`);
-            }
-            throw new Error(`Seedance generation failed: ${failMsg}`);
+    if (taskData.state === 'fail') {
+        const failMsg = taskData.failMsg || taskData.failCode || 'Unknown error';
+        if (
+            failMsg.toLowerCase().includes('review') ||
+            failMsg.toLowerCase().includes('nsfw') ||
+            failMsg.toLowerCase().includes('content') ||
+            failMsg.toLowerCase().includes('safety')
+        ) {
+            throw new Error(`NSFW content detected: ${failMsg}`);
         }
-
-        await new Promise(resolve => setTimeout(resolve, intervalMs));
+        throw new Error(`Seedance generation failed: ${failMsg}`);
     }
 
-    throw new Error('Seedance generation timeout - exceeded maximum wait time');
+    return {
+        resultJson: taskData.resultJson ? JSON.parse(taskData.resultJson) : {},
+        taskData
+    };
 }
 
 function referenceUploadError(uploadResult, mediaType) {
@@ -253,7 +238,8 @@ async function uploadReferenceFile(file, userId, uploadedFilenames) {
     throw new Error('Unsupported reference file type');
 }
 
-async function deductCreditsAndTrack(
+// Settle the credit reservation (capture the actual cost or release it) and track usage
+async function settleCreditsAndTrack(
     req,
     startTime,
     requestType,
@@ -264,9 +250,14 @@ async function deductCreditsAndTrack(
 ) {
     const { user } = req;
     const generationId = recovery.generationId || null;
-    const storedResult = success && generationId && recovery.videoUrl
-        ? serializeVideoGenerationResult(recovery.videoUrl, creditsToDeduct)
-        : errorMessage;
+
+    if (success) {
+        const captured = await captureCredits(req, creditsToDeduct);
+        await recordGenerationJobResult(generationId, { resultUrls: [recovery.videoUrl], creditsCharged: captured ?? creditsToDeduct });
+    } else {
+        await releaseCredits(req);
+        await recordGenerationJobFailure(generationId, { message: errorMessage });
+    }
 
     try {
         await db.logUsage({
@@ -277,28 +268,13 @@ async function deductCreditsAndTrack(
             imageSize: 'video',
             processingTimeMs: Date.now() - startTime,
             success,
-            errorMessage: storedResult
+            errorMessage
         });
-
-        if (success) {
-            for (let i = 0; i < creditsToDeduct; i++) {
-                const deductResult = await db.deductUserCredit(user.userId);
-                if (!deductResult.success) {
-                    console.error('Failed to deduct Seedance credit:', deductResult.error);
-                    return false;
-                }
-            }
-
-            if (req.creditsInfo) {
-                req.creditsInfo.remaining = Math.max(0, req.creditsInfo.remaining - creditsToDeduct);
-            }
-        }
-
-        return true;
     } catch (error) {
-        console.error('Seedance credit deduction/tracking error:', error);
-        return false;
+        console.error('Seedance usage tracking error:', error);
     }
+
+    return true;
 }
 
 router.use(getUser, requireAuth, requireAllowedEmail);
@@ -337,8 +313,9 @@ router.post('/generate-video', upload.fields([
         if (!prompt || !prompt.trim()) {
             return res.status(400).json({ error: 'No video description provided' });
         }
-        if (prompt.length > 5000) {
-            return res.status(400).json({ error: 'Prompt must be 5000 characters or less' });
+        const promptError = getPromptLengthError(prompt, SEEDANCE_VIDEO_CONSTRAINTS.prompt);
+        if (promptError) {
+            return res.status(400).json({ error: promptError });
         }
 
         const selectedVariant = normalizeVariant(variant);
@@ -392,6 +369,8 @@ router.post('/generate-video', upload.fields([
             hasVideoReference,
             referenceVideoDuration: measuredVideoDuration
         };
+        // The final charge is settled with the prices the estimate was made under.
+        const pricingCatalog = getPricingCatalog();
         const estimatedKieCredits = estimateSeedanceKieCredits(seedancePricingContext);
         const estimatedCredits = estimateSeedanceVeilPixCredits(seedancePricingContext);
         const { credits, error } = await db.getUserCredits(req.user.userId);
@@ -410,6 +389,46 @@ router.post('/generate-video', upload.fields([
         }
 
         req.creditsInfo = { remaining: credits };
+        const reservation = await reserveCredits(req, res, {
+            credits: estimatedCredits,
+            requestType: 'seedance-video',
+            pricingVersion: pricingCatalog.version,
+            reservationId: generationId
+        });
+        if (reservation.error) {
+            return res.status(500).json({ error: 'Failed to check credits', message: 'Please try again in a moment.' });
+        }
+        if (!reservation.reserved) {
+            return res.status(402).json({
+                error: 'Insufficient credits',
+                message: `This Seedance video requires about ${estimatedCredits} credits. Your credits are already reserved by another generation.`,
+                creditsRemaining: credits,
+                creditsRequired: estimatedCredits,
+                requiresPayment: true
+            });
+        }
+
+        await recordGenerationJobStart(req, {
+            id: generationId,
+            kind: GENERATION_JOB_KINDS.VIDEO,
+            requestType: 'seedance-video',
+            provider: 'seedance',
+            inputParams: {
+                prompt: prompt.trim(),
+                variant: selectedVariant,
+                inputMode: resolvedInputMode,
+                duration: selectedDuration,
+                resolution: selectedResolution,
+                aspectRatio,
+                generateAudio,
+                webSearch,
+                nsfwFilterEnabled,
+                referenceImageCount: imageFiles.length,
+                referenceVideoSeconds: measuredVideoDuration,
+                pricingVersion: pricingCatalog.version
+            },
+            creditsReserved: estimatedCredits
+        });
 
         const referenceImages = [];
         const referenceVideos = [];
@@ -468,8 +487,9 @@ router.post('/generate-video', upload.fields([
             nsfwFilterEnabled: boolValue(nsfwFilterEnabled, true)
         });
 
-        const taskId = await createSeedanceTask(seedancePayload);
-        const completedJob = await pollSeedanceJob(taskId);
+        const taskId = await createSeedanceTask(seedancePayload, getKieCallbackUrl(generationId));
+        await recordGenerationJobTask(generationId, { kieTaskId: taskId, model: seedancePayload.model });
+        const completedJob = await waitForSeedanceJob(taskId);
         const normalizedResponse = normalizeSeedanceResponse(completedJob.resultJson);
 
         if (!normalizedResponse.success) {
@@ -481,10 +501,7 @@ router.post('/generate-video', upload.fields([
         }
 
         const providerKieCredits = Number(completedJob.taskData?.creditsConsumed);
-        const providerCredits = Number.isFinite(providerKieCredits) && providerKieCredits > 0
-            ? veilpixCreditsFromKieCredits(providerKieCredits)
-            : 0;
-        const actualCredits = Math.max(estimatedCredits, providerCredits);
+        const actualCredits = getSeedanceCaptureCredits(estimatedCredits, providerKieCredits, pricingCatalog);
 
         console.log('Seedance billing summary:', {
             variant: selectedVariant,
@@ -495,11 +512,10 @@ router.post('/generate-video', upload.fields([
             estimatedKieCredits,
             estimatedVeilPixCredits: estimatedCredits,
             providerKieCredits: Number.isFinite(providerKieCredits) ? providerKieCredits : null,
-            providerVeilPixCredits: providerCredits || null,
             chargedVeilPixCredits: actualCredits
         });
 
-        usageLogged = await deductCreditsAndTrack(req, startTime, 'seedance-video', actualCredits, true, null, {
+        usageLogged = await settleCreditsAndTrack(req, startTime, 'seedance-video', actualCredits, true, null, {
             generationId,
             videoUrl: normalizedResponse.videoUrl
         });
@@ -519,7 +535,7 @@ router.post('/generate-video', upload.fields([
         }
 
         if (!usageLogged) {
-            await deductCreditsAndTrack(req, startTime, 'seedance-video', 0, false, error.message, { generationId });
+            await settleCreditsAndTrack(req, startTime, 'seedance-video', 0, false, error.message, { generationId });
         }
 
         const isNsfwError = error.message?.toLowerCase().includes('nsfw') ||
@@ -545,7 +561,7 @@ router.post('/generate-video', upload.fields([
 router.get('/pricing', (req, res) => {
     res.json({
         success: true,
-        pricing: SEEDANCE_PRICING,
+        pricing: getPricingCatalog().video.seedance.kieCreditsPerSecond,
         aspectRatios: ASPECT_RATIOS,
         durationLimits: SEEDANCE_DURATION_LIMITS
     });
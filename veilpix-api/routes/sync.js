@@ -0,0 +1,177 @@
+const express = require('express');
+const { db } = require('../utils/database');
+const { getUser, requireAuth, requireAllowedEmail } = require('../middleware/auth');
+const {
+    getSyncBucketName,
+    normalizeSyncObjectId,
+    normalizeSyncKeyParams,
+    syncKeyParamsResponse,
+    checkSyncQuota,
+    ensureSyncBucket,
+    uploadSyncObject,
+    listSyncObjects,
+    downloadSyncObject,
+    deleteSyncObject,
+    deleteSyncBucket,
+    MAX_SYNC_OBJECT_BYTES,
+    SYNC_OBJECT_CONTENT_TYPE
+} = require('../utils/gallerySync');
+
+const router = express.Router();
+
+router.use(getUser, requireAuth, requireAllowedEmail);
+
+function syncError(res, status, error, message) {
+    return res.status(status).json({ error, message });
+}
+
+// Loads the caller's sync account, or answers 404 when sync is off.
+async function requireSyncAccount(req, res, next) {
+    const { account, error } = await db.getGallerySyncAccount(req.user.userId);
+    if (error) {
+        console.error('Failed to load gallery sync account:', error);
+        return syncError(res, 500, 'Sync unavailable', 'Cloud sync is unavailable right now. Please try again.');
+    }
+    if (!account) {
+        return syncError(res, 404, 'Sync not enabled', 'Turn on cloud sync before syncing the gallery.');
+    }
+    req.syncAccount = account;
+    next();
+}
+
+function objectIdParam(req, res, next) {
+    const objectId = normalizeSyncObjectId(req.params.objectId);
+    if (!objectId) {
+        return syncError(res, 400, 'Invalid object ID', 'Sync object IDs are 64 hexadecimal characters.');
+    }
+    req.syncObjectId = objectId;
+    next();
+}
+
+router.get('/', async (req, res) => {
+    const { account, error } = await db.getGallerySyncAccount(req.user.userId);
+    if (error) {
+        console.error('Failed to load gallery sync account:', error);
+        return syncError(res, 500, 'Sync unavailable', 'Cloud sync is unavailable right now. Please try again.');
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.json({ enabled: Boolean(account), keyParams: syncKeyParamsResponse(account) });
+});
+
+router.post('/', async (req, res) => {
+    const keyParams = normalizeSyncKeyParams(req.body);
+    if (!keyParams) {
+        return syncError(res, 400, 'Invalid key parameters', 'The sync key parameters are missing or malformed.');
+    }
+
+    const { account: existing, error: lookupError } = await db.getGallerySyncAccount(req.user.userId);
+    if (lookupError) {
+        console.error('Failed to load gallery sync account:', lookupError);
+        return syncError(res, 500, 'Sync unavailable', 'Cloud sync is unavailable right now. Please try again.');
+    }
+    if (existing) {
+        return syncError(res, 409, 'Sync already enabled', 'Cloud sync is already on. Unlock it with your passphrase.');
+    }
+
+    try {
+        const bucketName = getSyncBucketName(req.user.userId);
+        await ensureSyncBucket(bucketName);
+        const { account, error } = await db.createGallerySyncAccount({
+            clerk_user_id: req.user.userId,
+            user_id: req.user.id,
+            bucket_name: bucketName,
+            key_salt: keyParams.salt,
+            key_iterations: keyParams.iterations,
+            key_check: keyParams.check
+        });
+        if (error) throw error;
+
+        return res.status(201).json({ enabled: true, keyParams: syncKeyParamsResponse(account) });
+    } catch (error) {
+        console.error('Failed to enable gallery sync:', error);
+        return syncError(res, 500, 'Sync unavailable', 'Could not turn on cloud sync. Please try again.');
+    }
+});
+
+// Turning sync off deletes every synced object along with the key parameters.
+router.delete('/', requireSyncAccount, async (req, res) => {
+    try {
+        await deleteSyncBucket(req.syncAccount.bucket_name);
+        const { error } = await db.deleteGallerySyncAccount(req.user.userId);
+        if (error) throw error;
+
+        return res.json({ enabled: false });
+    } catch (error) {
+        console.error('Failed to disable gallery sync:', error);
+        return syncError(res, 500, 'Sync unavailable', 'Could not turn off cloud sync. Please try again.');
+    }
+});
+
+router.get('/objects', requireSyncAccount, async (req, res) => {
+    try {
+        const objects = await listSyncObjects(req.syncAccount.bucket_name);
+        res.set('Cache-Control', 'no-store');
+        return res.json({ objects });
+    } catch (error) {
+        console.error('Failed to list gallery sync objects:', error);
+        return syncError(res, 500, 'Sync unavailable', 'Could not list synced items. Please try again.');
+    }
+});
+
+// The body is only read once the caller is known to have sync turned on, and
+// is only stored while the account's objects fit in its sync quota.
+router.put(
+    '/objects/:objectId',
+    objectIdParam,
+    requireSyncAccount,
+    express.raw({ type: SYNC_OBJECT_CONTENT_TYPE, limit: MAX_SYNC_OBJECT_BYTES }),
+    async (req, res) => {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return syncError(res, 400, 'Empty object', `Send the encrypted object as ${SYNC_OBJECT_CONTENT_TYPE}.`);
+        }
+
+        try {
+            const objects = await listSyncObjects(req.syncAccount.bucket_name);
+            const { allowed, usedBytes, quotaBytes } = checkSyncQuota(objects, req.syncObjectId, req.body.length);
+            if (!allowed) {
+                return res.status(507).json({
+                    error: 'Sync storage full',
+                    message: 'Your cloud sync storage is full.',
+                    usedBytes,
+                    quotaBytes
+                });
+            }
+
+            await uploadSyncObject(req.syncAccount.bucket_name, req.syncObjectId, req.body);
+            return res.status(201).json({ id: req.syncObjectId, size: req.body.length });
+        } catch (error) {
+            console.error('Failed to upload gallery sync object:', error);
+            return syncError(res, 503, 'Sync unavailable', 'Storage is unavailable. Please try again.');
+        }
+    }
+);
+
+router.get('/objects/:objectId', objectIdParam, requireSyncAccount, async (req, res) => {
+    try {
+        const buffer = await downloadSyncObject(req.syncAccount.bucket_name, req.syncObjectId);
+        res.set('Cache-Control', 'no-store');
+        res.type(SYNC_OBJECT_CONTENT_TYPE);
+        return res.send(buffer);
+    } catch (error) {
+        console.error('Failed to download gallery sync object:', error);
+        return syncError(res, 404, 'Object not found', 'That synced item is no longer available.');
+    }
+});
+
+router.delete('/objects/:objectId', objectIdParam, requireSyncAccount, async (req, res) => {
+    try {
+        await deleteSyncObject(req.syncAccount.bucket_name, req.syncObjectId);
+        return res.json({ id: req.syncObjectId, deleted: true });
+    } catch (error) {
+        console.error('Failed to delete gallery sync object:', error);
+        return syncError(res, 500, 'Sync unavailable', 'Could not delete the synced item. Please try again.');
+    }
+});
+
+module.exports = router;
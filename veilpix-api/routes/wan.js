@@ -13,10 +13,25 @@ const {
     buildReferenceToVideoRequest,
     normalizeVideoResponse
 } = require('../utils/wanAdapter');
+const { getVideoGenerationId } = require('../utils/videoGenerationJob');
+const { getPricingCatalog } = require('../utils/pricingCatalog');
 const {
-    getVideoGenerationId,
-    serializeVideoGenerationResult
-} = require('../utils/videoGenerationJob');
+    WAN_VIDEO_CONSTRAINTS,
+    WAN_VIDEO_MODES,
+    getPromptLengthError,
+    getPromptLimits,
+    getWanModeConstraints
+} = require('../utils/modelConstraints');
+const { getKieCallbackUrl } = require('../utils/kieTaskClient');
+const { waitForKieTask } = require('../utils/kieTaskWatcher');
+const { captureCredits, releaseCredits, reserveCredits } = require('../utils/creditLedger');
+const {
+    GENERATION_JOB_KINDS,
+    recordGenerationJobFailure,
+    recordGenerationJobResult,
+    recordGenerationJobStart,
+    recordGenerationJobTask
+} = require('../utils/generationJobs');
 
 const router = express.Router();
 
@@ -37,34 +52,32 @@ const upload = multer({
 // Wan API configuration (same kie.ai key as other models)
 const WAN_API_KEY = process.env.SEEDREAM_API_KEY;
 const WAN_API_URL = process.env.SEEDREAM_API_BASE_URL || 'https://api.kie.ai';
+const WAN_MAX_REFERENCES = getWanModeConstraints(WAN_VIDEO_MODES.REFERENCE_TO_VIDEO).maxReferences;
 
 // Video credit pricing table: { duration: { resolution: credits } }
-// Targeting ~12% profit margin at mid-tier credit pricing ($0.0699/credit)
-const VIDEO_CREDIT_TABLE = {
-    5:  { '720p': 7,  '1080p': 10 },
-    10: { '720p': 13, '1080p': 19 },
-    15: { '720p': 19, '1080p': 29 },
-};
-
 function getVideoCreditCost(duration, resolution) {
     const d = parseInt(duration);
     const r = resolution || '1080p';
+    const { credits, fallbackCreditsPerSecond } = getPricingCatalog().video.wan;
     // Exact match from table
-    if (VIDEO_CREDIT_TABLE[d] && VIDEO_CREDIT_TABLE[d][r]) {
-        return VIDEO_CREDIT_TABLE[d][r];
+    if (credits[d] && credits[d][r]) {
+        return credits[d][r];
     }
     // Interpolate for non-standard durations using per-second rates
-    const perSecRate = r === '1080p' ? 2.0 : 1.4;
+    const perSecRate = fallbackCreditsPerSecond[r === '1080p' ? '1080p' : '720p'];
     return Math.ceil(d * perSecRate);
 }
 
+const WAN_IMAGE_TO_VIDEO_MODEL = 'wan/2-6-flash-image-to-video';
+
 // Helper: create Wan task
-async function createWanTask(requestBody, model = 'wan/2-6-flash-image-to-video') {
+async function createWanTask(requestBody, model = WAN_IMAGE_TO_VIDEO_MODEL, callBackUrl = null) {
     console.log(`🎬 Creating Wan task (${model})`);
 
     const payload = {
         model,
-        input: requestBody
+        input: requestBody,
+        ...(callBackUrl ? { callBackUrl } : {})
     };
 
     console.log('📤 Wan request summary:', {
@@ -99,71 +112,51 @@ async function createWanTask(requestBody, model = 'wan/2-6-flash-image-to-video'
     return result;
 }
 
-// Helper: poll Wan job status (longer timeout for video - up to 10 minutes)
-async function pollWanJob(taskId, maxAttempts = 300, intervalMs = 2000) {
-    console.log(`⏳ Polling Wan task: ${taskId}`);
-
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const response = await fetch(`${WAN_API_URL}/api/v1/jobs/recordInfo?taskId=${taskId}`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${WAN_API_KEY}`
-            }
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Task status check failed: ${response.status} - ${errorText}`);
-        }
-
-        const result = await response.json();
-
-        if (result.code !== 200) {
-            throw new Error(`Task query failed: ${result.message || 'Unknown error'}`);
-        }
-
-        const taskData = result.data;
-        const state = taskData.state;
-
-        // Log progress every 30 seconds
-        if (attempt % 15 === 0) {
-            console.log(`📊 Wan task status (attempt ${attempt + 1}/${maxAttempts}): ${state}`);
-        }
-
-        if (state === 'success') {
-            console.log('✅ Wan video task completed successfully');
-            const resultData = JSON.parse(taskData.resultJson);
-            return resultData;
-        }
+// Helper: wait for the Wan task (Kie callback or fallback sweep, up to 10 minutes)
+async function waitForWanJob(taskId) {
+    const taskData = await waitForKieTask(taskId, {
+        maxAttempts: 300,
+        intervalMs: 2000,
+        timeoutMessage: 'Video generation timeout - exceeded maximum wait time (10 minutes)'
+    });
 
-        if (state === 'fail') {
-            const failMsg = taskData.failMsg || taskData.failCode || 'Unknown error';
-            // Detect NSFW / content review failures
-            if (failMsg.toLowerCase().includes('review') || failMsg.toLowerCase().includes('nsfw') || failMsg.toLowerCase().includes('content') || failMsg.toLowerCase().includes('safety')) {
-                throw new Error(`NSFW content detected: ${failMsg}`);
-            }
-            throw new Error(`Video generation failed: ${failMsg}`);
+    if (taskData.state === 'fail') {
+        const failMsg = taskData.failMsg || taskData.failCode || 'Unknown error';
+        // Detect NSFW / content review failures
+        if (failMsg.toLowerCase().includes('review') || failMsg.toLowerCase().includes('nsfw') || failMsg.toLowerCase().includes('content') || failMsg.toLowerCase().includes('safety')) {
+            throw new Error(`NSFW content detected: ${failMsg}`);
         }
-
-        // States: waiting, queuing, generating - continue polling
-        await new Promise(resolve => setTimeout(resolve, intervalMs));
+        throw new Error(`Video generation failed: ${failMsg}`);
     }
 
-    throw new Error('Video generation timeout - exceeded maximum wait time (10 minutes)');
+    console.log('✅ Wan video task completed successfully');
+    return JSON.parse(taskData.resultJson);
 }
 
-// Helper: call Wan API with full async flow
-async function callWanAPI(requestBody) {
-    const taskResponse = await createWanTask(requestBody);
+// Helper: create the Wan task, record it on the generation job, then wait for it
+async function callWanAPI(requestBody, generationId, model = WAN_IMAGE_TO_VIDEO_MODEL) {
+    const taskResponse = await createWanTask(requestBody, model, getKieCallbackUrl(generationId));
     const taskId = taskResponse.data.taskId;
     console.log(`📋 Wan task created with ID: ${taskId}`);
+    await recordGenerationJobTask(generationId, { kieTaskId: taskId, model });
 
-    const completedJob = await pollWanJob(taskId);
+    const completedJob = await waitForWanJob(taskId);
     return completedJob;
 }
 
-// Helper: deduct credit and track usage
-async function deductCreditAndTrack(
+function startWanGenerationJob(req, generationId, requestType, inputParams) {
+    return recordGenerationJobStart(req, {
+        id: generationId,
+        kind: GENERATION_JOB_KINDS.VIDEO,
+        requestType,
+        provider: 'wan',
+        inputParams,
+        creditsReserved: req.videoCreditCost
+    });
+}
+
+// Helper: settle the credit reservation (capture on success, release on failure) and track usage
+async function settleCreditsAndTrack(
     req,
     startTime,
     requestType,
@@ -174,9 +167,14 @@ async function deductCreditAndTrack(
 ) {
     const { user } = req;
     const generationId = recovery.generationId || null;
-    const storedResult = success && generationId && recovery.videoUrl
-        ? serializeVideoGenerationResult(recovery.videoUrl, creditsToDeduct)
-        : errorMessage;
+
+    if (success) {
+        const captured = await captureCredits(req, creditsToDeduct);
+        await recordGenerationJobResult(generationId, { resultUrls: [recovery.videoUrl], creditsCharged: captured ?? creditsToDeduct });
+    } else {
+        await releaseCredits(req);
+        await recordGenerationJobFailure(generationId, { message: errorMessage });
+    }
 
     try {
         await db.logUsage({
@@ -187,37 +185,29 @@ async function deductCreditAndTrack(
             imageSize: 'video',
             processingTimeMs: Date.now() - startTime,
             success,
-            errorMessage: storedResult
+            errorMessage
         });
-
-        if (success) {
-            for (let i = 0; i < creditsToDeduct; i++) {
-                const deductResult = await db.deductUserCredit(user.userId);
-                if (!deductResult.success) {
-                    console.error('🚨 Failed to deduct credit:', deductResult.error);
-                    return false;
-                }
-            }
-
-            if (req.creditsInfo) {
-                req.creditsInfo.remaining = Math.max(0, req.creditsInfo.remaining - creditsToDeduct);
-            }
-        }
-
-        return true;
     } catch (error) {
-        console.error('🚨 Credit deduction/tracking error:', error);
-        return false;
+        console.error('🚨 Usage tracking error:', error);
     }
+
+    return true;
 }
 
-// Check user credits (uses body params to calculate required credits)
+const WAN_REQUEST_TYPES = {
+    '/generate-video': 'video',
+    '/generate-reference-to-video': 'reference-to-video',
+    '/generate-text-to-video': 'text-to-video'
+};
+
+// Check user credits and reserve them (uses body params to calculate required credits)
 async function checkUserCredits(req, res, next) {
     try {
         const { user } = req;
         const duration = parseInt(req.body?.duration || '5');
         const resolution = req.body?.resolution || '1080p';
         const requiredCredits = getVideoCreditCost(duration, resolution);
+        const pricingVersion = getPricingCatalog().version;
 
         const { credits, error } = await db.getUserCredits(user.userId);
 
@@ -239,6 +229,28 @@ async function checkUserCredits(req, res, next) {
         }
 
         req.creditsInfo = { remaining: credits };
+        const reservation = await reserveCredits(req, res, {
+            credits: requiredCredits,
+            requestType: WAN_REQUEST_TYPES[req.path] || 'video',
+            pricingVersion,
+            reservationId: getVideoGenerationId(req)
+        });
+        if (reservation.error) {
+            return res.status(500).json({
+                error: 'Failed to check credits',
+                message: 'Please try again in a moment.'
+            });
+        }
+        if (!reservation.reserved) {
+            return res.status(402).json({
+                error: 'Insufficient credits',
+                message: `This video requires ${requiredCredits} credits. Your credits are already reserved by another generation.`,
+                creditsRemaining: credits,
+                creditsRequired: requiredCredits,
+                requiresPayment: true
+            });
+        }
+
         req.videoCreditCost = requiredCredits;
         next();
     } catch (error) {
@@ -272,10 +284,13 @@ router.post('/generate-video', upload.single('image'), checkUserCredits, async (
         if (!prompt || !prompt.trim()) {
             return res.status(400).json({ error: 'No video description provided' });
         }
-        if (prompt.length > 1500) {
-            return res.status(400).json({ error: 'Prompt must be 1500 characters or less' });
+        const promptError = getPromptLengthError(prompt, getPromptLimits('wan', WAN_VIDEO_MODES.IMAGE_TO_VIDEO));
+        if (promptError) {
+            return res.status(400).json({ error: promptError });
         }
 
+        await startWanGenerationJob(req, generationId, 'video', { prompt: prompt.trim(), duration, resolution, nsfwFilterEnabled, audio, multiShots });
+
         // Upload reference image to Supabase for public URL
         const uploadResult = await uploadTemporaryImage(
             req.file.buffer,
@@ -304,7 +319,7 @@ router.post('/generate-video', upload.single('image'), checkUserCredits, async (
         );
 
         // Call Wan 2.6 Flash API (this may take several minutes)
-        const wanResponse = await callWanAPI(wanRequest);
+        const wanResponse = await callWanAPI(wanRequest, generationId);
 
         // Normalize response
         const normalizedResponse = normalizeVideoResponse(wanResponse);
@@ -319,7 +334,7 @@ router.post('/generate-video', upload.single('image'), checkUserCredits, async (
         }
 
         const creditCost = req.videoCreditCost;
-        usageLogged = await deductCreditAndTrack(req, startTime, 'video', creditCost, true, null, {
+        usageLogged = await settleCreditsAndTrack(req, startTime, 'video', creditCost, true, null, {
             generationId,
             videoUrl: normalizedResponse.videoUrl
         });
@@ -340,7 +355,7 @@ router.post('/generate-video', upload.single('image'), checkUserCredits, async (
         }
 
         if (!usageLogged) {
-            await deductCreditAndTrack(req, startTime, 'video', 0, false, error.message, { generationId });
+            await settleCreditsAndTrack(req, startTime, 'video', 0, false, error.message, { generationId });
         }
 
         const isNsfwError = error.message?.toLowerCase().includes('nsfw') || error.message?.toLowerCase().includes('review') || error.message?.toLowerCase().includes('content');
@@ -355,7 +370,7 @@ router.post('/generate-video', upload.single('image'), checkUserCredits, async (
 
 // Generate reference-to-video with optional reference image and/or reference video
 router.post('/generate-reference-to-video', upload.fields([
-    { name: 'image', maxCount: 5 },
+    { name: 'image', maxCount: WAN_MAX_REFERENCES },
     { name: 'video', maxCount: 1 }
 ]), checkUserCredits, async (req, res) => {
     const startTime = Date.now();
@@ -374,8 +389,9 @@ router.post('/generate-reference-to-video', upload.fields([
         if (!prompt || !prompt.trim()) {
             return res.status(400).json({ error: 'No video description provided' });
         }
-        if (prompt.length > 5000) {
-            return res.status(400).json({ error: 'Prompt must be 5000 characters or less' });
+        const promptError = getPromptLengthError(prompt, getPromptLimits('wan', WAN_VIDEO_MODES.REFERENCE_TO_VIDEO));
+        if (promptError) {
+            return res.status(400).json({ error: promptError });
         }
 
         const referenceImages = [];
@@ -417,12 +433,11 @@ router.post('/generate-reference-to-video', upload.fields([
             }
         }
 
-        if (referenceImages.length + referenceVideos.length > 5) {
-            return res.status(400).json({ error: 'Reference images and videos cannot exceed 5 total' });
+        if (referenceImages.length + referenceVideos.length > WAN_MAX_REFERENCES) {
+            return res.status(400).json({ error: `Reference images and videos cannot exceed ${WAN_MAX_REFERENCES} total` });
         }
 
-        const validRatios = ['16:9', '9:16', '1:1', '4:3', '3:4'];
-        const selectedRatio = validRatios.includes(ratio) ? ratio : '16:9';
+        const selectedRatio = WAN_VIDEO_CONSTRAINTS.aspectRatios.includes(ratio) ? ratio : '16:9';
 
         const wanRequest = buildReferenceToVideoRequest(prompt.trim(), {
             referenceImages,
@@ -433,11 +448,16 @@ router.post('/generate-reference-to-video', upload.fields([
             nsfwFilterEnabled: nsfwFilterEnabled === 'true' || nsfwFilterEnabled === true || nsfwFilterEnabled === undefined
         });
 
-        const taskResponse = await createWanTask(wanRequest, 'wan/2-7-r2v');
-        const taskId = taskResponse.data.taskId;
-        console.log(`📋 Reference-to-video task created with ID: ${taskId}`);
-
-        const completedJob = await pollWanJob(taskId);
+        await startWanGenerationJob(req, generationId, 'reference-to-video', {
+            prompt: prompt.trim(),
+            duration,
+            resolution,
+            ratio: selectedRatio,
+            nsfwFilterEnabled,
+            referenceImageCount: referenceImages.length,
+            referenceVideoCount: referenceVideos.length
+        });
+        const completedJob = await callWanAPI(wanRequest, generationId, 'wan/2-7-r2v');
         const normalizedResponse = normalizeVideoResponse(completedJob);
 
         if (!normalizedResponse.success) {
@@ -449,7 +469,7 @@ router.post('/generate-reference-to-video', upload.fields([
         }
 
         const creditCost = req.videoCreditCost;
-        usageLogged = await deductCreditAndTrack(req, startTime, 'reference-to-video', creditCost, true, null, {
+        usageLogged = await settleCreditsAndTrack(req, startTime, 'reference-to-video', creditCost, true, null, {
             generationId,
             videoUrl: normalizedResponse.videoUrl
         });
@@ -469,7 +489,7 @@ router.post('/generate-reference-to-video', upload.fields([
         }
 
         if (!usageLogged) {
-            await deductCreditAndTrack(req, startTime, 'reference-to-video', 0, false, error.message, { generationId });
+            await settleCreditsAndTrack(req, startTime, 'reference-to-video', 0, false, error.message, { generationId });
         }
 
         const isNsfwError = error.message?.toLowerCase().includes('nsfw') || error.message?.toLowerCase().includes('review') || error.message?.toLowerCase().includes('content');
@@ -494,12 +514,12 @@ router.post('/generate-text-to-video', express.json({ limit: '1mb' }), checkUser
         if (!prompt || !prompt.trim()) {
             return res.status(400).json({ error: 'No video description provided' });
         }
-        if (prompt.length > 5000) {
-            return res.status(400).json({ error: 'Prompt must be 5000 characters or less' });
+        const promptError = getPromptLengthError(prompt, getPromptLimits('wan', WAN_VIDEO_MODES.TEXT_TO_VIDEO));
+        if (promptError) {
+            return res.status(400).json({ error: promptError });
         }
 
-        const validRatios = ['16:9', '9:16', '1:1', '4:3', '3:4'];
-        const selectedRatio = validRatios.includes(ratio) ? ratio : '16:9';
+        const selectedRatio = WAN_VIDEO_CONSTRAINTS.aspectRatios.includes(ratio) ? ratio : '16:9';
 
         // Build Wan 2.6 text-to-video API request
         const wanRequest = buildTextToVideoRequest(
@@ -513,12 +533,17 @@ router.post('/generate-text-to-video', express.json({ limit: '1mb' }), checkUser
             }
         );
 
-        // Call Wan 2.6 API for text-to-video
-        const taskResponse = await createWanTask(wanRequest, 'wan/2-6-text-to-video');
-        const taskId = taskResponse.data.taskId;
-        console.log(`📋 Text-to-video task created with ID: ${taskId}`);
+        await startWanGenerationJob(req, generationId, 'text-to-video', {
+            prompt: prompt.trim(),
+            duration,
+            resolution,
+            ratio: selectedRatio,
+            multiShots,
+            nsfwFilterEnabled
+        });
 
-        const completedJob = await pollWanJob(taskId);
+        // Call Wan 2.6 API for text-to-video
+        const completedJob = await callWanAPI(wanRequest, generationId, 'wan/2-6-text-to-video');
 
         // Normalize response
         const normalizedResponse = normalizeVideoResponse(completedJob);
@@ -528,7 +553,7 @@ router.post('/generate-text-to-video', express.json({ limit: '1mb' }), checkUser
         }
 
         const creditCost = req.videoCreditCost;
-        usageLogged = await deductCreditAndTrack(req, startTime, 'text-to-video', creditCost, true, null, {
+        usageLogged = await settleCreditsAndTrack(req, startTime, 'text-to-video', creditCost, true, null, {
             generationId,
             videoUrl: normalizedResponse.videoUrl
         });
@@ -545,7 +570,7 @@ router.post('/generate-text-to-video', express.json({ limit: '1mb' }), checkUser
         console.error('Error generating text-to-video with Wan:', error);
 
         if (!usageLogged) {
-            await deductCreditAndTrack(req, startTime, 'text-to-video', 0, false, error.message, { generationId });
+            await settleCreditsAndTrack(req, startTime, 'text-to-video', 0, false, error.message, { generationId });
         }
 
         const isNsfwError = error.message?.toLowerCase().includes('nsfw') || error.message?.toLowerCase().includes('review') || error.message?.toLowerCase().includes('content');
@@ -562,7 +587,7 @@ router.post('/generate-text-to-video', express.json({ limit: '1mb' }), checkUser
 router.get('/pricing', (req, res) => {
     res.json({
         success: true,
-        pricing: VIDEO_CREDIT_TABLE
+        pricing: getPricingCatalog().video.wan.credits
     });
 });
 
@@ -12,6 +12,8 @@ const { createClient } = require('@supabase/supabase-js');
 const { verifyWebhook } = require('@clerk/express/webhooks');
 const { db } = require('../utils/database');
 const { handleClerkWebhookEvent } = require('../utils/clerkWebhook');
+const { verifyKieCallback } = require('../utils/kieTaskClient');
+const { handleKieCallback } = require('../utils/kieWebhook');
 const router = express.Router();
 
 // Create a single Supabase client for this module following Supabase AI recommendations
@@ -49,6 +51,32 @@ router.post('/clerk', async (req, res) => {
   }
 });
 
+// Kie.ai task callback. The callback URL is signed when the task is created;
+// the body is only used to find the task, whose record is re-read from Kie.
+router.post('/kie', async (req, res) => {
+  const { valid, jobId } = verifyKieCallback(req.query);
+  if (!valid) {
+    console.error('Kie callback signature verification failed');
+    return res.status(401).json({ error: 'Invalid callback signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.isBuffer(req.body) ? req.body.toString('utf8') : req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid callback body' });
+  }
+
+  try {
+    const result = await handleKieCallback(payload, { jobId });
+    console.log(`Kie callback for task ${result.taskId} (${result.state}); handled: ${result.handled}`);
+    return res.json({ received: true });
+  } catch (error) {
+    console.error('Error handling Kie callback:', error);
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
 // Stripe webhook endpoint
 router.post('/stripe', async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -0,0 +1,197 @@
+-- Credit ledger: generations reserve credits before the provider task starts,
+-- then capture them on success or release them on failure. Every balance
+-- change is recorded in credit_transactions, and each step is a single
+-- database function so concurrent requests cannot spend the same credits.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.credit_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    reservation_id UUID NOT NULL,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    clerk_user_id TEXT NOT NULL,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('reserve', 'capture', 'release')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+    balance_after NUMERIC(12,2),
+    request_type VARCHAR(50),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One reserve and at most one settlement (capture or release) per reservation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_transactions_reserve
+    ON public.credit_transactions(reservation_id)
+    WHERE type = 'reserve';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_transactions_settlement
+    ON public.credit_transactions(reservation_id)
+    WHERE type IN ('capture', 'release');
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_clerk_user_id
+    ON public.credit_transactions(clerk_user_id, created_at DESC);
+
+ALTER TABLE public.credit_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own credit transactions" ON public.credit_transactions;
+CREATE POLICY "Users can view own credit transactions" ON public.credit_transactions
+    FOR SELECT TO authenticated USING (clerk_user_id = auth.jwt() ->> 'sub');
+
+-- Deduct the full amount up front. Returns FALSE when the balance is too low
+-- or the reservation ID was already used.
+CREATE OR REPLACE FUNCTION public.reserve_user_credits(
+    p_clerk_user_id TEXT,
+    p_reservation_id UUID,
+    p_credits NUMERIC,
+    p_request_type TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    normalized_credits NUMERIC(12,2);
+    reserved_user public.users%ROWTYPE;
+BEGIN
+    normalized_credits := ROUND(p_credits, 2);
+
+    IF normalized_credits IS NULL OR normalized_credits <= 0 THEN
+        RETURN FALSE;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.credit_transactions
+        WHERE reservation_id = p_reservation_id AND type = 'reserve'
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE public.users
+    SET credits_remaining = ROUND(credits_remaining - normalized_credits, 2),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE clerk_user_id = p_clerk_user_id
+      AND credits_remaining >= normalized_credits
+    RETURNING * INTO reserved_user;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    INSERT INTO public.credit_transactions
+        (reservation_id, user_id, clerk_user_id, type, amount, balance_after, request_type)
+    VALUES
+        (p_reservation_id, reserved_user.id, p_clerk_user_id, 'reserve', normalized_credits,
+         reserved_user.credits_remaining, p_request_type);
+
+    RETURN TRUE;
+END;
+$$;
+
+-- Settle a reservation for the actual cost. Unused credits are refunded; a
+-- cost above the reservation takes as much of the difference as the balance
+-- allows. Returns the captured amount, or NULL if the reservation is unknown
+-- or already settled.
+CREATE OR REPLACE FUNCTION public.capture_reserved_credits(
+    p_reservation_id UUID,
+    p_credits NUMERIC
+)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    reservation public.credit_transactions%ROWTYPE;
+    requested NUMERIC(12,2);
+    available NUMERIC(12,2);
+    captured NUMERIC(12,2);
+    new_balance NUMERIC(12,2);
+BEGIN
+    SELECT * INTO reservation
+    FROM public.credit_transactions
+    WHERE reservation_id = p_reservation_id AND type = 'reserve'
+    FOR UPDATE;
+
+    IF NOT FOUND OR EXISTS (
+        SELECT 1 FROM public.credit_transactions
+        WHERE reservation_id = p_reservation_id AND type IN ('capture', 'release')
+    ) THEN
+        RETURN NULL;
+    END IF;
+
+    requested := GREATEST(ROUND(COALESCE(p_credits, reservation.amount), 2), 0);
+
+    -- What the user would hold if the reservation were refunded
+    SELECT credits_remaining + reservation.amount INTO available
+    FROM public.users
+    WHERE clerk_user_id = reservation.clerk_user_id
+    FOR UPDATE;
+
+    IF available IS NULL THEN
+        captured := LEAST(requested, reservation.amount);
+    ELSE
+        captured := LEAST(requested, available);
+        new_balance := ROUND(available - captured, 2);
+
+        UPDATE public.users
+        SET credits_remaining = new_balance,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE clerk_user_id = reservation.clerk_user_id;
+    END IF;
+
+    INSERT INTO public.credit_transactions
+        (reservation_id, user_id, clerk_user_id, type, amount, balance_after, request_type)
+    VALUES
+        (p_reservation_id, reservation.user_id, reservation.clerk_user_id, 'capture', captured,
+         new_balance, reservation.request_type);
+
+    RETURN captured;
+END;
+$$;
+
+-- Refund a reservation in full. Returns FALSE if it is unknown or already settled.
+CREATE OR REPLACE FUNCTION public.release_reserved_credits(p_reservation_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = ''
+AS $$
+DECLARE
+    reservation public.credit_transactions%ROWTYPE;
+    new_balance NUMERIC(12,2);
+BEGIN
+    SELECT * INTO reservation
+    FROM public.credit_transactions
+    WHERE reservation_id = p_reservation_id AND type = 'reserve'
+    FOR UPDATE;
+
+    IF NOT FOUND OR EXISTS (
+        SELECT 1 FROM public.credit_transactions
+        WHERE reservation_id = p_reservation_id AND type IN ('capture', 'release')
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE public.users
+    SET credits_remaining = ROUND(credits_remaining + reservation.amount, 2),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE clerk_user_id = reservation.clerk_user_id
+    RETURNING credits_remaining INTO new_balance;
+
+    INSERT INTO public.credit_transactions
+        (reservation_id, user_id, clerk_user_id, type, amount, balance_after, request_type)
+    VALUES
+        (p_reservation_id, reservation.user_id, reservation.clerk_user_id, 'release', reservation.amount,
+         new_balance, reservation.request_type);
+
+    RETURN TRUE;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.reserve_user_credits(TEXT, UUID, NUMERIC, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.capture_reserved_credits(UUID, NUMERIC) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.release_reserved_credits(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_user_credits(TEXT, UUID, NUMERIC, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.capture_reserved_credits(UUID, NUMERIC) TO service_role;
+GRANT EXECUTE ON FUNCTION public.release_reserved_credits(UUID) TO service_role;
+
+COMMIT;
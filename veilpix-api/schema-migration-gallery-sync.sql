@@ -0,0 +1,25 @@
+-- Opt-in encrypted gallery sync. Each user who turns sync on gets a private
+-- Storage bucket holding client-encrypted gallery objects. This table records
+-- the bucket and the key derivation parameters other devices need to
+-- re-derive the key from the user's passphrase; the passphrase and key are
+-- never sent to the server.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.gallery_sync_accounts (
+    clerk_user_id VARCHAR(255) PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    bucket_name VARCHAR(63) NOT NULL UNIQUE,
+    key_salt TEXT NOT NULL,
+    key_iterations INTEGER NOT NULL CHECK (key_iterations > 0),
+    key_check TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.gallery_sync_accounts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own gallery sync account" ON public.gallery_sync_accounts;
+CREATE POLICY "Users can view own gallery sync account" ON public.gallery_sync_accounts
+    FOR SELECT USING (clerk_user_id = auth.jwt() ->> 'sub');
+
+COMMIT;
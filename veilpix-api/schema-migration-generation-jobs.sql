@@ -0,0 +1,46 @@
+-- One row per image or video generation, keyed by the client's X-Generation-ID.
+-- Recovery endpoints, support investigations and analytics read from this
+-- table instead of the usage_logs.error_message column.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.generation_jobs (
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    clerk_user_id VARCHAR(255) NOT NULL,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('image', 'video')),
+    request_type VARCHAR(50) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    kie_task_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+    input_params JSONB NOT NULL DEFAULT '{}'::JSONB,
+    result_urls JSONB NOT NULL DEFAULT '[]'::JSONB,
+    error_code VARCHAR(100),
+    error_message TEXT,
+    credits_reserved NUMERIC(12,2) NOT NULL DEFAULT 0,
+    credits_charged NUMERIC(12,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_clerk_user_id
+    ON public.generation_jobs(clerk_user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_kie_task_id
+    ON public.generation_jobs(kie_task_id)
+    WHERE kie_task_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_unfinished
+    ON public.generation_jobs(created_at)
+    WHERE status IN ('pending', 'running');
+
+ALTER TABLE public.generation_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own generation jobs" ON public.generation_jobs;
+CREATE POLICY "Users can view own generation jobs" ON public.generation_jobs
+    FOR SELECT USING (clerk_user_id = auth.jwt() ->> 'sub');
+
+COMMIT;
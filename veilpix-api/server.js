@@ -4,6 +4,8 @@ const helmet = require('helmet');
 const compression = require('compression');
 const { clerkMiddleware } = require('@clerk/express');
 const { createRateLimiter } = require('./utils/rateLimiter');
+const { resumeUnfinishedGenerationJobs } = require('./utils/generationJobResume');
+const { startPricingRulesRefresh } = require('./utils/pricingCatalog');
 require('dotenv').config();
 
 const app = express();
@@ -73,7 +75,12 @@ const webhookRoutes = require('./routes/webhooks');
 app.use('/api/webhooks', express.raw({type: 'application/json'}), webhookRoutes);
 
 // Apply different rate limits (exclude webhooks from rate limiting)
+// Gallery sync moves one encrypted object per gallery item, so object uploads
+// and downloads get their own budget instead of counting against the sync and
+// per-IP limits.
+const isSyncObjectTransfer = (req) => req.originalUrl.startsWith('/api/sync/objects/');
 app.use('/api/auth', createRateLimiter(15 * 60 * 1000, 20, 'Too many authentication requests'));
+app.use('/api/images', createRateLimiter(15 * 60 * 1000, 50, 'Too many image generation requests'));
 app.use('/api/nanobanana2', createRateLimiter(15 * 60 * 1000, 50, 'Too many image generation requests'));
 app.use('/api/seedream', createRateLimiter(15 * 60 * 1000, 50, 'Too many image generation requests'));
 app.use('/api/nanobananapro', createRateLimiter(15 * 60 * 1000, 50, 'Too many image generation requests'));
@@ -81,11 +88,14 @@ app.use('/api/wan', createRateLimiter(15 * 60 * 1000, 20, 'Too many video genera
 app.use('/api/seedance', createRateLimiter(15 * 60 * 1000, 20, 'Too many video generation requests'));
 app.use('/api/wanimage', createRateLimiter(15 * 60 * 1000, 50, 'Too many image generation requests'));
 app.use('/api/zimage', createRateLimiter(15 * 60 * 1000, 50, 'Too many image generation requests'));
-app.use('/api/', createRateLimiter(15 * 60 * 1000, 100, 'Too many requests from this IP'));
+app.use('/api/sync/objects', createRateLimiter(15 * 60 * 1000, 2000, 'Too many sync transfers'));
+app.use('/api/sync', createRateLimiter(15 * 60 * 1000, 50, 'Too many sync requests', { skip: isSyncObjectTransfer }));
+app.use('/api/prompts', createRateLimiter(15 * 60 * 1000, 60, 'Too many prompt enhancement requests'));
+app.use('/api/', createRateLimiter(15 * 60 * 1000, 100, 'Too many requests from this IP', { skip: isSyncObjectTransfer }));
 
 // Body parsing middleware with enhanced security (exclude image generation routes for file uploads)
 app.use((req, res, next) => {
-    if (req.path.startsWith('/api/nanobanana2') || req.path.startsWith('/api/seedream') || req.path.startsWith('/api/nanobananapro') || req.path.startsWith('/api/wan') || req.path.startsWith('/api/seedance') || req.path.startsWith('/api/wanimage') || req.path.startsWith('/api/zimage')) {
+    if (req.path.startsWith('/api/images') || req.path.startsWith('/api/nanobanana2') || req.path.startsWith('/api/seedream') || req.path.startsWith('/api/nanobananapro') || req.path.startsWith('/api/wan') || req.path.startsWith('/api/seedance') || req.path.startsWith('/api/wanimage') || req.path.startsWith('/api/zimage')) {
         return next(); // Skip JSON parsing for image generation routes (they handle multipart data)
     }
     express.json({
@@ -96,7 +106,7 @@ app.use((req, res, next) => {
 });
 
 app.use((req, res, next) => {
-    if (req.path.startsWith('/api/nanobanana2') || req.path.startsWith('/api/seedream') || req.path.startsWith('/api/nanobananapro') || req.path.startsWith('/api/wan') || req.path.startsWith('/api/seedance') || req.path.startsWith('/api/wanimage') || req.path.startsWith('/api/zimage')) {
+    if (req.path.startsWith('/api/images') || req.path.startsWith('/api/nanobanana2') || req.path.startsWith('/api/seedream') || req.path.startsWith('/api/nanobananapro') || req.path.startsWith('/api/wan') || req.path.startsWith('/api/seedance') || req.path.startsWith('/api/wanimage') || req.path.startsWith('/api/zimage')) {
         return next(); // Skip URL encoding for image generation routes
     }
     express.urlencoded({
@@ -128,31 +138,35 @@ app.use((req, res, next) => {
 
 // Import routes
 const authRoutes = require('./routes/auth');
-const nanoBanana2Routes = require('./routes/nanobanana2');
-const seedreamRoutes = require('./routes/seedream');
-const nanoBananaProRoutes = require('./routes/nanobananapro');
+const { router: imageRoutes, createProviderRouter } = require('./routes/images');
 const wanRoutes = require('./routes/wan');
 const seedanceRoutes = require('./routes/seedance');
-const wanImageRoutes = require('./routes/wanimage');
-const zImageRoutes = require('./routes/zimage');
 const videoJobRoutes = require('./routes/videoJobs');
 const usageRoutes = require('./routes/usage');
 const stripeRoutes = require('./routes/stripe');
 const checkoutRoutes = require('./routes/checkout');
+const syncRoutes = require('./routes/sync');
+const { router: promptRoutes } = require('./routes/prompts');
+const { router: pricingRoutes } = require('./routes/pricing');
 
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/nanobanana2', nanoBanana2Routes);
-app.use('/api/seedream', seedreamRoutes);
-app.use('/api/nanobananapro', nanoBananaProRoutes);
+app.use('/api/images', imageRoutes);
+// Legacy per-model image prefixes, served by the same provider registry
+app.use('/api/nanobanana2', createProviderRouter('nanobanana2'));
+app.use('/api/seedream', createProviderRouter('seedream'));
+app.use('/api/nanobananapro', createProviderRouter('nanobananapro'));
+app.use('/api/wanimage', createProviderRouter('wanimage'));
+app.use('/api/zimage', createProviderRouter('zimage'));
 app.use('/api/wan', wanRoutes);
 app.use('/api/seedance', seedanceRoutes);
-app.use('/api/wanimage', wanImageRoutes);
-app.use('/api/zimage', zImageRoutes);
 app.use('/api/video-jobs', videoJobRoutes);
 app.use('/api/usage', usageRoutes);
 app.use('/api/stripe', stripeRoutes);
 app.use('/api/checkout', checkoutRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/pricing', pricingRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -259,6 +273,12 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`📊 Environment: ${process.env.NODE_ENV}`);
     console.log(`🔒 CORS enabled for: ${process.env.NODE_ENV === 'development' ? 'localhost:5173' : 'veilstudio.io'}`);
     console.log(`🌐 Server listening on all interfaces (0.0.0.0:${PORT})`);
+
+    // Pick up generations that were still running when the previous process stopped
+    resumeUnfinishedGenerationJobs().catch(error => console.error('Failed to resume generation jobs:', error));
+
+    // Load the stored pricing rules and keep reloading them so edits reach this process
+    startPricingRulesRefresh();
 });
 
 module.exports = app;
@@ -0,0 +1,95 @@
+/**
+ * Credit reservations
+ *
+ * Routes reserve a generation's credits before the provider task starts and
+ * settle the reservation exactly once: capture on success, release on failure.
+ * The database functions record each step in credit_transactions. Any error
+ * response releases a reservation that is still open, so validation failures
+ * after the credit check never keep credits.
+ */
+
+const { randomUUID } = require('node:crypto');
+const { db } = require('./database');
+
+function roundCredits(credits) {
+    return Math.round(Number(credits) * 100) / 100;
+}
+
+/**
+ * Reserve `credits` for this request and attach the reservation to
+ * `req.creditReservation`. `pricingVersion` is the pricing catalog version the
+ * amount was computed under; the ledger keeps it on every entry for the
+ * reservation.
+ *
+ * @returns {Promise<{ reserved: boolean, error: Error|null }>} `reserved` is
+ *   false with no error when the balance is too low.
+ */
+async function reserveCredits(req, res, { credits, requestType, pricingVersion, reservationId = null }) {
+    const id = reservationId || randomUUID();
+    const { success, error } = await db.reserveUserCredits(req.user.userId, id, credits, requestType, pricingVersion);
+    if (error || !success) {
+        return { reserved: false, error: error || null };
+    }
+
+    req.creditReservation = { id, credits: roundCredits(credits), settled: false };
+    if (req.creditsInfo) {
+        req.creditsInfo.remaining = Math.max(0, roundCredits(req.creditsInfo.remaining - credits));
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            releaseCredits(req).catch(error => console.error('Failed to release credits after error response:', error));
+        }
+    });
+
+    return { reserved: true, error: null };
+}
+
+/**
+ * Capture the reservation for the actual cost (defaults to the reserved
+ * amount). Returns the captured credits, or null if there was nothing to
+ * capture or the capture failed; a failed capture leaves the credits reserved.
+ */
+async function captureCredits(req, credits = undefined) {
+    const reservation = req.creditReservation;
+    if (!reservation || reservation.settled) return null;
+    reservation.settled = true;
+
+    const { captured, error } = await db.captureReservedCredits(reservation.id, credits ?? reservation.credits);
+    if (error || captured === null) {
+        console.error(`Failed to capture credit reservation ${reservation.id}:`, error || 'reservation already settled');
+        return null;
+    }
+
+    if (req.creditsInfo) {
+        req.creditsInfo.remaining = Math.max(0, roundCredits(req.creditsInfo.remaining + reservation.credits - captured));
+    }
+    return captured;
+}
+
+/**
+ * Refund the reservation in full. Safe to call more than once.
+ */
+async function releaseCredits(req) {
+    const reservation = req.creditReservation;
+    if (!reservation || reservation.settled) return false;
+    reservation.settled = true;
+
+    const { success, error } = await db.releaseReservedCredits(reservation.id);
+    if (error) {
+        console.error(`Failed to release credit reservation ${reservation.id}:`, error);
+        reservation.settled = false;
+        return false;
+    }
+
+    if (success && req.creditsInfo) {
+        req.creditsInfo.remaining = roundCredits(req.creditsInfo.remaining + reservation.credits);
+    }
+    return success;
+}
+
+module.exports = {
+    captureCredits,
+    releaseCredits,
+    reserveCredits
+};
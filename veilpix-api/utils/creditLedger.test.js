@@ -0,0 +1,123 @@
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const { db } = require('./database');
+const { captureCredits, releaseCredits, reserveCredits } = require('./creditLedger');
+
+function createRequest() {
+    return {
+        user: { id: 'user-row-1', userId: 'user_clerk_1' },
+        creditsInfo: { remaining: 10 }
+    };
+}
+
+function createResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    return res;
+}
+
+function mockLedger(t, { reserved = true, captured = 2 } = {}) {
+    t.mock.method(console, 'log', () => {});
+    return {
+        reserve: t.mock.method(db, 'reserveUserCredits', async () => ({ success: reserved, error: null })),
+        capture: t.mock.method(db, 'captureReservedCredits', async () => ({ captured, error: null })),
+        release: t.mock.method(db, 'releaseReservedCredits', async () => ({ success: true, error: null }))
+    };
+}
+
+test('reserves credits up front and captures them once', async (t) => {
+    const ledger = mockLedger(t);
+    const req = createRequest();
+
+    const result = await reserveCredits(req, createResponse(), { credits: 2, requestType: 'retouch' });
+
+    assert.deepEqual(result, { reserved: true, error: null });
+    assert.equal(req.creditsInfo.remaining, 8);
+    assert.equal(await captureCredits(req), 2);
+    assert.equal(await captureCredits(req), null);
+    assert.equal(await releaseCredits(req), false);
+    assert.equal(ledger.capture.mock.callCount(), 1);
+    assert.equal(ledger.release.mock.callCount(), 0);
+});
+
+test('reservations record the pricing version their amount came from', async (t) => {
+    const ledger = mockLedger(t);
+    const req = createRequest();
+
+    await reserveCredits(req, createResponse(), { credits: 2, requestType: 'video', pricingVersion: '03db8eab6d844caa' });
+
+    assert.deepEqual(ledger.reserve.mock.calls[0].arguments.slice(2), [2, 'video', '03db8eab6d844caa']);
+});
+
+test('refunds the unused part of a reservation captured for less', async (t) => {
+    mockLedger(t, { captured: 1.5 });
+    const req = createRequest();
+
+    await reserveCredits(req, createResponse(), { credits: 2, requestType: 'seedance-video' });
+    await captureCredits(req, 1.5);
+
+    assert.equal(req.creditsInfo.remaining, 8.5);
+});
+
+test('reports an insufficient balance without attaching a reservation', async (t) => {
+    mockLedger(t, { reserved: false });
+    const req = createRequest();
+
+    const result = await reserveCredits(req, createResponse(), { credits: 20, requestType: 'video' });
+
+    assert.deepEqual(result, { reserved: false, error: null });
+    assert.equal(req.creditReservation, undefined);
+});
+
+test('error responses release an open reservation', async (t) => {
+    const ledger = mockLedger(t);
+    const req = createRequest();
+    const res = createResponse();
+
+    await reserveCredits(req, res, { credits: 2, requestType: 'filter' });
+    res.statusCode = 400;
+    res.emit('finish');
+    await new Promise(setImmediate);
+
+    assert.equal(ledger.release.mock.callCount(), 1);
+    assert.equal(ledger.release.mock.calls[0].arguments[0], req.creditReservation.id);
+    assert.equal(req.creditsInfo.remaining, 10);
+});
+
+test('accepted asynchronous jobs keep their reservation', async (t) => {
+    const ledger = mockLedger(t);
+    const req = createRequest();
+    const res = createResponse();
+
+    await reserveCredits(req, res, { credits: 2, requestType: 'text-to-image' });
+    res.statusCode = 202;
+    res.emit('finish');
+    await new Promise(setImmediate);
+
+    assert.equal(ledger.release.mock.callCount(), 0);
+    assert.equal(req.creditReservation.settled, false);
+});
+
+test('ledger migration reserves atomically and settles each reservation once', () => {
+    const migration = fs.readFileSync(
+        path.join(__dirname, '..', 'schema-migration-credit-ledger.sql'),
+        'utf8'
+    );
+    assert.match(migration, /credits_remaining >= normalized_credits/);
+    assert.match(migration, /WHERE type IN \('capture', 'release'\)/);
+    assert.match(migration, /CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_transactions_settlement/);
+});
+
+test('pricing rules migration carries the pricing version to every ledger entry', () => {
+    const migration = fs.readFileSync(
+        path.join(__dirname, '..', 'schema-migration-pricing-rules.sql'),
+        'utf8'
+    );
+    assert.match(migration, /CREATE TABLE IF NOT EXISTS public\.pricing_rules/);
+    assert.match(migration, /p_pricing_version TEXT DEFAULT NULL/);
+    assert.equal(migration.match(/reservation\.pricing_version\);/g).length, 2);
+});
@@ -347,22 +347,98 @@ const db = {
         }
     },
 
-    async getVideoGenerationJob(clerkUserId, generationId) {
+    // Generation jobs (one row per client generation ID)
+    async createGenerationJob(job) {
         try {
             const supabase = getSupabaseClient();
-            const { VIDEO_GENERATION_REQUEST_TYPES } = require('./videoGenerationJob');
             const { data, error } = await supabase
-                .from('usage_logs')
-                .select('success, error_message, processing_time_ms, request_type, created_at')
+                .from('generation_jobs')
+                .insert(job)
+                .select()
+                .single();
+
+            return { job: data || null, error };
+        } catch (error) {
+            console.error('Error creating generation job:', error);
+            return { job: null, error };
+        }
+    },
+
+    async updateGenerationJob(generationId, updates) {
+        try {
+            const supabase = getSupabaseClient();
+            const { error } = await supabase
+                .from('generation_jobs')
+                .update({
+                    ...updates,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', generationId);
+
+            return { error };
+        } catch (error) {
+            console.error('Error updating generation job:', error);
+            return { error };
+        }
+    },
+
+    async getGenerationJob(clerkUserId, generationId, kind) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('generation_jobs')
+                .select('*')
+                .eq('id', generationId)
                 .eq('clerk_user_id', clerkUserId)
-                .eq('gemini_request_id', generationId)
-                .in('request_type', VIDEO_GENERATION_REQUEST_TYPES)
-                .order('created_at', { ascending: false })
+                .eq('kind', kind)
+                .limit(1);
+
+            return { job: data?.[0] || null, error };
+        } catch (error) {
+            console.error(`Error getting ${kind} generation job:`, error);
+            return { job: null, error };
+        }
+    },
+
+    async getVideoGenerationJob(clerkUserId, generationId) {
+        return this.getGenerationJob(clerkUserId, generationId, 'video');
+    },
+
+    async getImageGenerationJob(clerkUserId, generationId) {
+        return this.getGenerationJob(clerkUserId, generationId, 'image');
+    },
+
+    // Jobs left pending or running, e.g. by a restart (oldest first)
+    async getUnfinishedGenerationJobs(limit = 500) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('generation_jobs')
+                .select('*')
+                .in('status', ['pending', 'running'])
+                .order('created_at', { ascending: true })
+                .limit(limit);
+
+            return { jobs: data || [], error };
+        } catch (error) {
+            console.error('Error getting unfinished generation jobs:', error);
+            return { jobs: [], error };
+        }
+    },
+
+    // Look up the job for a Kie task (used by the Kie callback, which has no user context)
+    async getGenerationJobByTaskId(kieTaskId) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('generation_jobs')
+                .select('*')
+                .eq('kie_task_id', kieTaskId)
                 .limit(1);
 
             return { job: data?.[0] || null, error };
         } catch (error) {
-            console.error('Error getting video generation job:', error);
+            console.error('Error getting generation job by Kie task:', error);
             return { job: null, error };
         }
     },
@@ -421,34 +497,73 @@ const db = {
         }
     },
 
-    async deductUserCredits(clerkUserId, credits) {
+    // Credit ledger: reserve before a generation, then capture or release
+    async reserveUserCredits(clerkUserId, reservationId, credits, requestType, pricingVersion = null) {
         try {
             const amount = normalizeCreditAmount(credits);
-            console.log('DB: deductUserCredits called with:', { clerkUserId, amount });
+            console.log('DB: reserveUserCredits called with:', { clerkUserId, reservationId, amount, pricingVersion });
             const supabase = getSupabaseClient();
-            
+
             const { data, error } = await supabase
-                .rpc('deduct_user_credits', {
+                .rpc('reserve_user_credits', {
                     p_clerk_user_id: clerkUserId,
-                    p_credits: amount
+                    p_reservation_id: reservationId,
+                    p_credits: amount,
+                    p_request_type: requestType,
+                    p_pricing_version: pricingVersion
                 });
 
             if (error) {
-                console.error('DB: Error deducting user credits:', error);
+                console.error('DB: Error reserving user credits:', error);
                 return { success: false, error };
             }
 
             const success = data === true;
-            console.log(success ? `DB: Successfully deducted ${amount} credits` : 'DB: Insufficient credits');
+            console.log(success ? `DB: Reserved ${amount} credits` : 'DB: Insufficient credits to reserve');
             return { success, error: null };
         } catch (error) {
-            console.error('DB: Exception deducting user credits:', error);
+            console.error('DB: Exception reserving user credits:', error);
             return { success: false, error };
         }
     },
 
-    async deductUserCredit(clerkUserId) {
-        return this.deductUserCredits(clerkUserId, 1);
+    async captureReservedCredits(reservationId, credits) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .rpc('capture_reserved_credits', {
+                    p_reservation_id: reservationId,
+                    p_credits: Math.round(Number(credits) * 100) / 100
+                });
+
+            if (error) {
+                console.error('DB: Error capturing reserved credits:', error);
+                return { captured: null, error };
+            }
+
+            return { captured: data === null ? null : Number(data), error: null };
+        } catch (error) {
+            console.error('DB: Exception capturing reserved credits:', error);
+            return { captured: null, error };
+        }
+    },
+
+    async releaseReservedCredits(reservationId) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .rpc('release_reserved_credits', { p_reservation_id: reservationId });
+
+            if (error) {
+                console.error('DB: Error releasing reserved credits:', error);
+                return { success: false, error };
+            }
+
+            return { success: data === true, error: null };
+        } catch (error) {
+            console.error('DB: Exception releasing reserved credits:', error);
+            return { success: false, error };
+        }
     },
 
     async addUserCredits(clerkUserId, credits) {
@@ -585,6 +700,88 @@ const db = {
             console.error('Error updating Stripe customer ID:', error);
             throw error;
         }
+    },
+
+    // Pricing rules (the newest one in effect sets every price)
+    async getPricingRules(limit = 500) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('pricing_rules')
+                .select('*')
+                .order('effective_from', { ascending: false })
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            return { rules: data || [], error };
+        } catch (error) {
+            console.error('Error getting pricing rules:', error);
+            return { rules: [], error };
+        }
+    },
+
+    async createPricingRule(rule) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('pricing_rules')
+                .insert(rule)
+                .select()
+                .single();
+
+            return { rule: data || null, error };
+        } catch (error) {
+            console.error('Error creating pricing rule:', error);
+            return { rule: null, error };
+        }
+    },
+
+    // Encrypted gallery sync (one row per user who turned it on)
+    async getGallerySyncAccount(clerkUserId) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('gallery_sync_accounts')
+                .select('*')
+                .eq('clerk_user_id', clerkUserId)
+                .limit(1);
+
+            return { account: data?.[0] || null, error };
+        } catch (error) {
+            console.error('Error getting gallery sync account:', error);
+            return { account: null, error };
+        }
+    },
+
+    async createGallerySyncAccount(account) {
+        try {
+            const supabase = getSupabaseClient();
+            const { data, error } = await supabase
+                .from('gallery_sync_accounts')
+                .insert(account)
+                .select()
+                .single();
+
+            return { account: data || null, error };
+        } catch (error) {
+            console.error('Error creating gallery sync account:', error);
+            return { account: null, error };
+        }
+    },
+
+    async deleteGallerySyncAccount(clerkUserId) {
+        try {
+            const supabase = getSupabaseClient();
+            const { error } = await supabase
+                .from('gallery_sync_accounts')
+                .delete()
+                .eq('clerk_user_id', clerkUserId);
+
+            return { error };
+        } catch (error) {
+            console.error('Error deleting gallery sync account:', error);
+            return { error };
+        }
     }
 };
 
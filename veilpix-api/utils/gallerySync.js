@@ -0,0 +1,181 @@
+/**
+ * Encrypted gallery sync storage
+ *
+ * Signed-in users can mirror their local gallery to a private Supabase Storage
+ * bucket of their own. The browser encrypts every object with a key derived
+ * from a passphrase the server never receives, so this module only moves
+ * opaque ciphertext. Object names are keyed hashes chosen by the client, and
+ * the stored key parameters (salt, iteration count and an encrypted check
+ * value) let another device re-derive the same key from the passphrase.
+ */
+
+const crypto = require('crypto');
+const { getSupabaseClient } = require('./database');
+const { uploadStorageObject } = require('./imageUpload');
+
+const SYNC_BUCKET_PREFIX = 'gallery-sync-';
+const SYNC_OBJECT_CONTENT_TYPE = 'application/octet-stream';
+const MAX_SYNC_OBJECT_BYTES = 100 * 1024 * 1024;
+const DEFAULT_SYNC_QUOTA_BYTES = 5 * 1024 * 1024 * 1024;
+const SYNC_LIST_PAGE_SIZE = 1000;
+const SYNC_OBJECT_ID_PATTERN = /^[a-f0-9]{64}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const MIN_KEY_ITERATIONS = 100000;
+const MAX_KEY_ITERATIONS = 10000000;
+
+// Bucket names are derived from the Clerk ID so they carry no personal data.
+function getSyncBucketName(clerkUserId) {
+    const digest = crypto.createHash('sha256').update(String(clerkUserId)).digest('hex');
+    return `${SYNC_BUCKET_PREFIX}${digest.slice(0, 32)}`;
+}
+
+function normalizeSyncObjectId(objectId) {
+    const value = String(objectId || '').toLowerCase();
+    return SYNC_OBJECT_ID_PATTERN.test(value) ? value : null;
+}
+
+function isBase64(value, minBytes, maxBytes) {
+    if (typeof value !== 'string' || !BASE64_PATTERN.test(value)) return false;
+    const bytes = Buffer.from(value, 'base64').length;
+    return bytes >= minBytes && bytes <= maxBytes;
+}
+
+/**
+ * Validate the key parameters a client registers when it turns sync on.
+ *
+ * @returns {{salt: string, iterations: number, check: string} | null}
+ */
+function normalizeSyncKeyParams(params = {}) {
+    const iterations = Number(params.iterations);
+    if (
+        !isBase64(params.salt, 16, 64) ||
+        !Number.isInteger(iterations) ||
+        iterations < MIN_KEY_ITERATIONS ||
+        iterations > MAX_KEY_ITERATIONS ||
+        !isBase64(params.check, 16, 1024)
+    ) {
+        return null;
+    }
+    return { salt: params.salt, iterations, check: params.check };
+}
+
+function syncKeyParamsResponse(account) {
+    return account
+        ? { salt: account.key_salt, iterations: account.key_iterations, check: account.key_check }
+        : null;
+}
+
+// Total bytes each account may keep in its sync bucket.
+function getSyncQuotaBytes() {
+    const quota = Number(process.env.GALLERY_SYNC_QUOTA_BYTES);
+    return Number.isFinite(quota) && quota > 0 ? quota : DEFAULT_SYNC_QUOTA_BYTES;
+}
+
+/**
+ * Whether storing `size` bytes as `objectId` keeps a bucket holding `objects`
+ * (as listed by listSyncObjects) within the quota. Replacing an object frees
+ * the space of its previous version.
+ *
+ * @returns {{ allowed: boolean, usedBytes: number, quotaBytes: number }}
+ */
+function checkSyncQuota(objects, objectId, size, quotaBytes = getSyncQuotaBytes()) {
+    const usedBytes = objects
+        .filter(object => object.id !== objectId)
+        .reduce((total, object) => total + object.size, 0);
+    return { allowed: usedBytes + size <= quotaBytes, usedBytes, quotaBytes };
+}
+
+async function ensureSyncBucket(bucketName) {
+    const supabase = getSupabaseClient();
+    const { data } = await supabase.storage.getBucket(bucketName);
+    if (data) return;
+
+    const { error } = await supabase.storage.createBucket(bucketName, {
+        public: false,
+        fileSizeLimit: MAX_SYNC_OBJECT_BYTES
+    });
+    if (error && !/already exists/i.test(error.message || '')) {
+        throw error;
+    }
+}
+
+/**
+ * Upload one encrypted object through the resumable TUS path.
+ */
+async function uploadSyncObject(bucketName, objectId, buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw new Error('Sync object is empty');
+    }
+    await uploadStorageObject(buffer, SYNC_OBJECT_CONTENT_TYPE, objectId, { ...options, bucketName });
+}
+
+/**
+ * List the objects in a sync bucket, oldest upload first.
+ *
+ * @returns {Promise<Array<{id: string, size: number, updatedAt: string | null}>>}
+ */
+async function listSyncObjects(bucketName) {
+    const supabase = getSupabaseClient();
+    const objects = [];
+
+    for (let offset = 0; ; offset += SYNC_LIST_PAGE_SIZE) {
+        const { data, error } = await supabase.storage.from(bucketName).list('', {
+            limit: SYNC_LIST_PAGE_SIZE,
+            offset,
+            sortBy: { column: 'created_at', order: 'asc' }
+        });
+        if (error) throw error;
+
+        for (const file of data || []) {
+            const id = normalizeSyncObjectId(file.name);
+            if (id) {
+                objects.push({
+                    id,
+                    size: Number(file.metadata?.size) || 0,
+                    updatedAt: file.updated_at || file.created_at || null
+                });
+            }
+        }
+        if (!data || data.length < SYNC_LIST_PAGE_SIZE) return objects;
+    }
+}
+
+async function downloadSyncObject(bucketName, objectId) {
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase.storage.from(bucketName).download(objectId);
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+}
+
+async function deleteSyncObject(bucketName, objectId) {
+    const supabase = getSupabaseClient();
+    const { error } = await supabase.storage.from(bucketName).remove([objectId]);
+    if (error) throw error;
+}
+
+async function deleteSyncBucket(bucketName) {
+    const supabase = getSupabaseClient();
+    const { data } = await supabase.storage.getBucket(bucketName);
+    if (!data) return;
+
+    const { error: emptyError } = await supabase.storage.emptyBucket(bucketName);
+    if (emptyError) throw emptyError;
+    const { error } = await supabase.storage.deleteBucket(bucketName);
+    if (error) throw error;
+}
+
+module.exports = {
+    getSyncBucketName,
+    normalizeSyncObjectId,
+    normalizeSyncKeyParams,
+    syncKeyParamsResponse,
+    checkSyncQuota,
+    ensureSyncBucket,
+    uploadSyncObject,
+    listSyncObjects,
+    downloadSyncObject,
+    deleteSyncObject,
+    deleteSyncBucket,
+    MAX_SYNC_OBJECT_BYTES,
+    SYNC_OBJECT_CONTENT_TYPE
+};
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    checkSyncQuota,
+    getSyncBucketName,
+    normalizeSyncObjectId,
+    normalizeSyncKeyParams,
+    syncKeyParamsResponse,
+    uploadSyncObject
+} = require('./gallerySync');
+
+class RecordingUpload {
+    static instances = [];
+
+    constructor(file, options) {
+        this.file = file;
+        this.options = options;
+        RecordingUpload.instances.push(this);
+    }
+
+    start() {
+        setImmediate(() => this.options.onSuccess({}));
+    }
+}
+
+const storageOptions = {
+    supabaseUrl: 'https://project-ref.supabase.co',
+    serviceRoleKey: 'test-service-role-key',
+    UploadClass: RecordingUpload,
+    httpStack: { getName: () => 'test-stack' },
+    retryDelays: [0]
+};
+
+const validKeyParams = {
+    salt: Buffer.alloc(16, 1).toString('base64'),
+    iterations: 600000,
+    check: Buffer.alloc(48, 2).toString('base64')
+};
+
+test.beforeEach(() => {
+    RecordingUpload.instances = [];
+});
+
+test('derives a stable per-user bucket name without the Clerk ID in it', () => {
+    const bucket = getSyncBucketName('user_2AbCdEf');
+
+    assert.match(bucket, /^gallery-sync-[a-f0-9]{32}$/);
+    assert.equal(getSyncBucketName('user_2AbCdEf'), bucket);
+    assert.notEqual(getSyncBucketName('user_other'), bucket);
+    assert.equal(bucket.includes('user_2AbCdEf'), false);
+});
+
+test('accepts only 64-character hex object IDs', () => {
+    const id = 'A'.repeat(64);
+
+    assert.equal(normalizeSyncObjectId(id), 'a'.repeat(64));
+    assert.equal(normalizeSyncObjectId('../' + 'a'.repeat(61)), null);
+    assert.equal(normalizeSyncObjectId('a'.repeat(63)), null);
+    assert.equal(normalizeSyncObjectId(undefined), null);
+});
+
+test('validates the key derivation parameters a client registers', () => {
+    assert.deepEqual(normalizeSyncKeyParams(validKeyParams), validKeyParams);
+    assert.deepEqual(normalizeSyncKeyParams({ ...validKeyParams, iterations: '600000' }), validKeyParams);
+    assert.equal(normalizeSyncKeyParams({ ...validKeyParams, iterations: 1000 }), null);
+    assert.equal(normalizeSyncKeyParams({ ...validKeyParams, salt: Buffer.alloc(8).toString('base64') }), null);
+    assert.equal(normalizeSyncKeyParams({ ...validKeyParams, check: 'not base64!' }), null);
+    assert.equal(normalizeSyncKeyParams(), null);
+});
+
+test('returns key parameters from an account row', () => {
+    assert.deepEqual(
+        syncKeyParamsResponse({ key_salt: validKeyParams.salt, key_iterations: 600000, key_check: validKeyParams.check }),
+        validKeyParams
+    );
+    assert.equal(syncKeyParamsResponse(null), null);
+});
+
+test('uploads encrypted objects to the user bucket through the resumable endpoint', async () => {
+    const ciphertext = Buffer.from('opaque-ciphertext');
+    await uploadSyncObject('gallery-sync-abc', 'b'.repeat(64), ciphertext, storageOptions);
+    const upload = RecordingUpload.instances[0];
+
+    assert.equal(upload.file, ciphertext);
+    assert.equal(upload.options.endpoint, 'https://project-ref.storage.supabase.co/storage/v1/upload/resumable');
+    assert.deepEqual(upload.options.metadata, {
+        bucketName: 'gallery-sync-abc',
+        objectName: 'b'.repeat(64),
+        contentType: 'application/octet-stream',
+        cacheControl: '3600'
+    });
+});
+
+test('rejects empty sync objects before uploading', async () => {
+    await assert.rejects(
+        uploadSyncObject('gallery-sync-abc', 'b'.repeat(64), Buffer.alloc(0), storageOptions),
+        /empty/
+    );
+    assert.equal(RecordingUpload.instances.length, 0);
+});
+
+test('accounts are held to their sync quota, counting a replaced object once', () => {
+    const objects = [
+        { id: 'a'.repeat(64), size: 600, updatedAt: null },
+        { id: 'b'.repeat(64), size: 300, updatedAt: null }
+    ];
+
+    assert.deepEqual(checkSyncQuota(objects, 'c'.repeat(64), 100, 1000), { allowed: true, usedBytes: 900, quotaBytes: 1000 });
+    assert.equal(checkSyncQuota(objects, 'c'.repeat(64), 101, 1000).allowed, false);
+    assert.equal(checkSyncQuota(objects, 'a'.repeat(64), 700, 1000).allowed, true);
+});
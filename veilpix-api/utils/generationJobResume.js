@@ -0,0 +1,89 @@
+/**
+ * Generation job resumption
+ *
+ * A restart drops every request that was waiting on a Kie task, and their jobs
+ * would stay pending forever. On boot the server loads the unfinished jobs and
+ * resumes each one through the Kie task watcher, so the webhook or the
+ * fallback sweep finishes it and settles its credit reservation. Jobs that
+ * never reached Kie, or that are older than RESUME_MAX_AGE_MS and still not
+ * finished, are failed and their credits released.
+ */
+
+const { db } = require('./database');
+const { getKieTaskRecord, isKieTaskFinished } = require('./kieTaskClient');
+const { waitForKieTask } = require('./kieTaskWatcher');
+const { finishGenerationJobFromTask, releaseGenerationJobCredits } = require('./kieWebhook');
+const { GENERATION_JOB_STATUSES, recordGenerationJobFailure } = require('./generationJobs');
+
+// Matches the client's recovery window for dropped image jobs.
+const RESUME_MAX_AGE_MS = 30 * 60 * 1000;
+const RESUME_POLL_INTERVAL_MS = 2000;
+
+async function failGenerationJob(job, message) {
+    await recordGenerationJobFailure(job.id, { message });
+    await releaseGenerationJobCredits(job);
+    return GENERATION_JOB_STATUSES.FAILED;
+}
+
+/**
+ * Resume one unfinished job. Resolves with its final status.
+ */
+async function resumeGenerationJob(job, now = Date.now()) {
+    if (!job.kie_task_id) {
+        return failGenerationJob(job, 'The generation was interrupted before it started. Your credits were refunded.');
+    }
+
+    try {
+        // Tasks that finished while the server was down settle straight away.
+        const taskData = await getKieTaskRecord(job.kie_task_id);
+        if (isKieTaskFinished(taskData)) {
+            return finishGenerationJobFromTask(job, taskData);
+        }
+    } catch (error) {
+        console.error(`Failed to check Kie task ${job.kie_task_id} for job ${job.id}:`, error.message);
+    }
+
+    const remainingMs = Date.parse(job.created_at) + RESUME_MAX_AGE_MS - now;
+    if (!(remainingMs > 0)) {
+        return failGenerationJob(job, 'The generation timed out. Your credits were refunded.');
+    }
+
+    try {
+        const taskData = await waitForKieTask(job.kie_task_id, {
+            maxAttempts: Math.ceil(remainingMs / RESUME_POLL_INTERVAL_MS),
+            intervalMs: RESUME_POLL_INTERVAL_MS
+        });
+        return finishGenerationJobFromTask(job, taskData);
+    } catch (error) {
+        return failGenerationJob(job, 'The generation timed out. Your credits were refunded.');
+    }
+}
+
+/**
+ * Resume every unfinished job in the background. Resolves with the number of
+ * jobs picked up; each one finishes on its own.
+ */
+async function resumeUnfinishedGenerationJobs() {
+    const { jobs, error } = await db.getUnfinishedGenerationJobs();
+    if (error) {
+        console.error('Failed to load unfinished generation jobs:', error);
+        return 0;
+    }
+
+    for (const job of jobs) {
+        resumeGenerationJob(job)
+            .then(status => console.log(`🔁 Resumed generation job ${job.id}: ${status}`))
+            .catch(resumeError => console.error(`Failed to resume generation job ${job.id}:`, resumeError));
+    }
+
+    if (jobs.length > 0) {
+        console.log(`🔁 Resuming ${jobs.length} unfinished generation job(s)`);
+    }
+    return jobs.length;
+}
+
+module.exports = {
+    RESUME_MAX_AGE_MS,
+    resumeGenerationJob,
+    resumeUnfinishedGenerationJobs
+};
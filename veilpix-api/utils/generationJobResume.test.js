@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { once } = require('node:events');
+
+const { RESUME_MAX_AGE_MS, resumeGenerationJob, resumeUnfinishedGenerationJobs } = require('./generationJobResume');
+const { isKieTaskWatched } = require('./kieTaskWatcher');
+const imageUpload = require('./imageUpload');
+const { handleKieCallback } = require('./kieWebhook');
+const { mockJobStore, startStubKieServer } = require('./testKieServer');
+const { pixelAt, rectangleMask, solidImage } = require('./testImages');
+
+const successRecord = { state: 'success', resultJson: JSON.stringify({ resultUrls: ['https://example.com/video.mp4'] }) };
+
+function createJob(overrides = {}) {
+    return {
+        id: '0b6f3c1e-2d4a-4e8b-9c7d-5a1f2e3d4c5b',
+        kind: 'video',
+        provider: 'seedance',
+        status: 'running',
+        kie_task_id: 'task-video',
+        credits_reserved: '12.00',
+        created_at: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+// Serves the original, the provider's result and the mask of a masked edit.
+async function startImageServer(t) {
+    const images = {
+        'original.png': await solidImage(4, 4, '#ff0000'),
+        'edited.png': await solidImage(4, 4, '#0000ff'),
+        // White (edit) on the left half only
+        'mask.png': await rectangleMask(4, 4, { left: 0, top: 0, width: 2, height: 4 })
+    };
+
+    const app = express();
+    app.get('/:name', (req, res) => res.type('png').send(images[req.params.name]));
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function createMaskedJob(baseUrl, inputParams = {}) {
+    return createJob({
+        kind: 'image',
+        provider: 'nanobanana2',
+        kie_task_id: 'task-masked',
+        credits_reserved: '2.00',
+        input_params: {
+            prompt: 'make it blue',
+            masked: true,
+            originalUrl: `${baseUrl}/original.png`,
+            maskUrl: `${baseUrl}/mask.png`,
+            ...inputParams
+        }
+    });
+}
+
+test('jobs interrupted before their Kie task was created are failed and refunded', async (t) => {
+    const store = mockJobStore(t);
+    const job = createJob({ status: 'pending', kie_task_id: null });
+
+    assert.equal(await resumeGenerationJob(job), 'failed');
+    assert.equal(store.update.mock.calls[0].arguments[1].status, 'failed');
+    assert.deepEqual(store.release.mock.calls[0].arguments, [job.id]);
+});
+
+test('tasks that finished during the restart settle immediately', async (t) => {
+    await startStubKieServer(t, { 'task-video': [successRecord] });
+    const store = mockJobStore(t);
+
+    assert.equal(await resumeGenerationJob(createJob()), 'succeeded');
+    assert.deepEqual(store.update.mock.calls[0].arguments[1].result_urls, ['https://example.com/video.mp4']);
+    assert.equal(store.capture.mock.callCount(), 1);
+    assert.equal(store.release.mock.callCount(), 0);
+});
+
+test('running tasks are watched again until their callback arrives', async (t) => {
+    await startStubKieServer(t, { 'task-resumed': [{ state: 'generating' }, successRecord] });
+    const store = mockJobStore(t);
+
+    const resumed = resumeGenerationJob(createJob({ kie_task_id: 'task-resumed' }));
+    while (!isKieTaskWatched('task-resumed')) {
+        await new Promise(setImmediate);
+    }
+    const callback = await handleKieCallback({ data: { taskId: 'task-resumed' } });
+
+    assert.equal(callback.handled, true);
+    assert.equal(await resumed, 'succeeded');
+    assert.equal(store.capture.mock.callCount(), 1);
+    assert.equal(store.lookup.mock.callCount(), 0);
+});
+
+test('jobs past the recovery window are failed instead of watched', async (t) => {
+    await startStubKieServer(t, { 'task-old': [{ state: 'generating' }] });
+    const store = mockJobStore(t);
+    const createdAt = Date.now() - RESUME_MAX_AGE_MS - 1000;
+
+    const status = await resumeGenerationJob(createJob({
+        kie_task_id: 'task-old',
+        created_at: new Date(createdAt).toISOString()
+    }));
+
+    assert.equal(status, 'failed');
+    assert.match(store.update.mock.calls[0].arguments[1].error_message, /timed out/);
+    assert.equal(store.release.mock.callCount(), 1);
+    assert.equal(isKieTaskWatched('task-old'), false);
+});
+
+test('boot resumes every unfinished job in the background', async (t) => {
+    await startStubKieServer(t, { 'task-video': [successRecord] });
+    const store = mockJobStore(t, {
+        unfinished: [createJob(), createJob({ id: 'e2b1c0d9-8f7a-4b6c-9d5e-4f3a2b1c0d9e', kie_task_id: null })]
+    });
+
+    assert.equal(await resumeUnfinishedGenerationJobs(), 2);
+    while (store.update.mock.callCount() < 2) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const statuses = store.update.mock.calls.map(call => call.arguments[1].status).sort();
+    assert.deepEqual(statuses, ['failed', 'succeeded']);
+});
+
+test('masked edits finished during the restart are composited onto the original', async (t) => {
+    const baseUrl = await startImageServer(t);
+    await startStubKieServer(t, {
+        'task-masked': [{ state: 'success', resultJson: JSON.stringify({ resultUrls: [`${baseUrl}/edited.png`] }) }]
+    });
+    const store = mockJobStore(t);
+    const upload = t.mock.method(imageUpload, 'uploadTemporaryImage', async () => ({
+        success: true,
+        url: 'https://example.com/composite.png'
+    }));
+
+    assert.equal(await resumeGenerationJob(createMaskedJob(baseUrl)), 'succeeded');
+
+    assert.deepEqual(store.update.mock.calls[0].arguments[1].result_urls, ['https://example.com/composite.png']);
+    assert.equal(store.capture.mock.callCount(), 1);
+    const composite = upload.mock.calls[0].arguments[0];
+    assert.deepEqual(await pixelAt(composite, 0, 2), [0, 0, 255]);
+    assert.deepEqual(await pixelAt(composite, 3, 2), [255, 0, 0]);
+});
+
+test('masked edits without their original are failed and refunded', async (t) => {
+    const baseUrl = await startImageServer(t);
+    await startStubKieServer(t, {
+        'task-masked': [{ state: 'success', resultJson: JSON.stringify({ resultUrls: [`${baseUrl}/edited.png`] }) }]
+    });
+    const store = mockJobStore(t);
+
+    assert.equal(await resumeGenerationJob(createMaskedJob(baseUrl, { originalUrl: undefined })), 'failed');
+
+    assert.equal(store.update.mock.calls[0].arguments[1].status, 'failed');
+    assert.match(store.update.mock.calls[0].arguments[1].error_message, /masked area/);
+    assert.equal(store.capture.mock.callCount(), 0);
+    assert.equal(store.release.mock.callCount(), 1);
+});
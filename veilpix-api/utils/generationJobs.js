@@ -0,0 +1,125 @@
+/**
+ * Generation job records
+ *
+ * Routes record every image and video generation in generation_jobs, keyed by
+ * the client's X-Generation-ID: the provider and Kie task, the input
+ * parameters, the result URLs and the credits reserved and charged. Writes are
+ * best effort so a tracking failure never fails the generation itself.
+ */
+
+const { db } = require('./database');
+
+const GENERATION_JOB_KINDS = {
+    IMAGE: 'image',
+    VIDEO: 'video'
+};
+
+const GENERATION_JOB_STATUSES = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+function roundCredits(credits) {
+    const amount = Number(credits);
+    return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : 0;
+}
+
+// Drop file buffers, empty values and anything that is not plain JSON data.
+function sanitizeInputParams(params = {}) {
+    return Object.fromEntries(
+        Object.entries(params).filter(([, value]) => (
+            value !== undefined &&
+            value !== null &&
+            value !== '' &&
+            ['string', 'number', 'boolean'].includes(typeof value)
+        ))
+    );
+}
+
+function buildGenerationJob(req, { id, kind, requestType, provider, model = null, inputParams, creditsReserved }) {
+    return {
+        id,
+        user_id: req.user.id,
+        clerk_user_id: req.user.userId,
+        kind,
+        request_type: requestType,
+        provider,
+        model,
+        status: GENERATION_JOB_STATUSES.PENDING,
+        input_params: sanitizeInputParams(inputParams),
+        credits_reserved: roundCredits(creditsReserved)
+    };
+}
+
+async function writeGenerationJob(action, generationId, write) {
+    if (!generationId) return false;
+
+    const { error } = await write();
+    if (error) {
+        console.error(`Failed to ${action} generation job ${generationId}:`, error);
+        return false;
+    }
+    return true;
+}
+
+function recordGenerationJobStart(req, job) {
+    return writeGenerationJob('create', job.id, () => db.createGenerationJob(buildGenerationJob(req, job)));
+}
+
+// `inputParams`, when given, replaces the parameters recorded at the start,
+// e.g. to add the URLs of inputs uploaded since.
+function recordGenerationJobTask(generationId, { kieTaskId, model, inputParams = null }) {
+    return writeGenerationJob('start', generationId, () => db.updateGenerationJob(generationId, {
+        status: GENERATION_JOB_STATUSES.RUNNING,
+        kie_task_id: kieTaskId,
+        ...(model ? { model } : {}),
+        ...(inputParams ? { input_params: sanitizeInputParams(inputParams) } : {})
+    }));
+}
+
+function recordGenerationJobResult(generationId, { resultUrls, creditsCharged }) {
+    return writeGenerationJob('complete', generationId, () => db.updateGenerationJob(generationId, {
+        status: GENERATION_JOB_STATUSES.SUCCEEDED,
+        result_urls: resultUrls.filter(Boolean),
+        credits_charged: roundCredits(creditsCharged),
+        completed_at: new Date().toISOString()
+    }));
+}
+
+function recordGenerationJobFailure(generationId, { code = null, message }) {
+    return writeGenerationJob('fail', generationId, () => db.updateGenerationJob(generationId, {
+        status: GENERATION_JOB_STATUSES.FAILED,
+        error_code: code,
+        error_message: message,
+        completed_at: new Date().toISOString()
+    }));
+}
+
+function isUnfinishedGenerationJob(job) {
+    return !job || job.status === GENERATION_JOB_STATUSES.PENDING || job.status === GENERATION_JOB_STATUSES.RUNNING;
+}
+
+function getGenerationJobProcessingTime(job) {
+    const elapsed = Date.parse(job?.completed_at) - Date.parse(job?.created_at);
+    return Number.isFinite(elapsed) && elapsed >= 0 ? elapsed : undefined;
+}
+
+function getGenerationJobCredits(job) {
+    const credits = Number(job?.credits_charged);
+    return Number.isFinite(credits) && credits > 0 ? credits : undefined;
+}
+
+module.exports = {
+    GENERATION_JOB_KINDS,
+    GENERATION_JOB_STATUSES,
+    buildGenerationJob,
+    getGenerationJobCredits,
+    getGenerationJobProcessingTime,
+    isUnfinishedGenerationJob,
+    recordGenerationJobFailure,
+    recordGenerationJobResult,
+    recordGenerationJobStart,
+    recordGenerationJobTask
+};
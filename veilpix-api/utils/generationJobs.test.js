@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db } = require('./database');
+const {
+    buildGenerationJob,
+    recordGenerationJobResult,
+    recordGenerationJobTask
+} = require('./generationJobs');
+
+const req = { user: { id: 'user-row-1', userId: 'user_clerk_1' } };
+
+test('builds a pending job with JSON-safe input parameters', () => {
+    const job = buildGenerationJob(req, {
+        id: '550e8400-e29b-41d4-a716-446655440000',
+        kind: 'image',
+        requestType: 'retouch',
+        provider: 'seedream',
+        inputParams: { prompt: 'edit', x: 10, y: null, image: Buffer.from('png'), nsfwFilter: false },
+        creditsReserved: 0.455
+    });
+
+    assert.equal(job.status, 'pending');
+    assert.equal(job.clerk_user_id, 'user_clerk_1');
+    assert.deepEqual(job.input_params, { prompt: 'edit', x: 10, nsfwFilter: false });
+    assert.equal(job.credits_reserved, 0.46);
+});
+
+test('skips job writes for requests without a generation ID', async (t) => {
+    const update = t.mock.method(db, 'updateGenerationJob', async () => ({ error: null }));
+
+    assert.equal(await recordGenerationJobTask(null, { kieTaskId: 'task-1' }), false);
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test('records the result URLs and charged credits on success', async (t) => {
+    const update = t.mock.method(db, 'updateGenerationJob', async () => ({ error: null }));
+
+    await recordGenerationJobResult('job-1', { resultUrls: ['https://example.com/out.png', null], creditsCharged: 2 });
+
+    const [generationId, updates] = update.mock.calls[0].arguments;
+    assert.equal(generationId, 'job-1');
+    assert.equal(updates.status, 'succeeded');
+    assert.deepEqual(updates.result_urls, ['https://example.com/out.png']);
+    assert.equal(updates.credits_charged, 2);
+    assert.ok(updates.completed_at);
+});
@@ -1,93 +1,48 @@
-const VEILPIX_CREDIT_USD = 6.99 / 100;
-const TARGET_MARGIN = 0.12;
-const BILLABLE_USD_PER_VEILPIX_CREDIT = VEILPIX_CREDIT_USD * (1 - TARGET_MARGIN);
-const KIE_CREDIT_USD = 0.005;
-const IMAGE_MINIMUM_VEILPIX_CREDITS = {
-    zimage: 0.1
-};
+const { IMAGE_MODEL_CONSTRAINTS } = require('./modelConstraints');
+const { getBillableUsdPerVeilpixCredit, getPricingCatalog } = require('./pricingCatalog');
+
+const MAX_IMAGE_BATCH_COUNT = 4;
 
 const IMAGE_WORKFLOWS = {
     TEXT_TO_IMAGE: 'text-to-image',
     IMAGE_TO_IMAGE: 'image-to-image'
 };
 
-const IMAGE_ALLOWED_RESOLUTIONS = {
-    nanobanana2: {
-        'text-to-image': ['1K', '2K', '4K'],
-        'image-to-image': ['1K', '2K', '4K']
-    },
-    seedream: {
-        'text-to-image': ['1K', '2K', '4K'],
-        'image-to-image': ['1K', '2K', '4K']
-    },
-    wanimage: {
-        'text-to-image': ['1K', '2K', '4K'],
-        'image-to-image': ['1K', '2K']
-    },
-    zimage: {
-        'text-to-image': ['1K'],
-        'image-to-image': []
-    }
-};
+const IMAGE_ALLOWED_RESOLUTIONS = Object.fromEntries(
+    Object.entries(IMAGE_MODEL_CONSTRAINTS).map(([provider, { resolutions }]) => [provider, resolutions])
+);
 
 const DEFAULT_RESOLUTIONS = {
     nanobanana2: '2K',
+    nanobananapro: '2K',
     seedream: '2K',
     wanimage: '2K',
     zimage: '1K'
 };
 
-const IMAGE_KIE_CREDIT_PRICING = {
-    nanobanana2: {
-        '1K': 8,
-        '2K': 12,
-        '4K': 18
-    },
-    seedream: {
-        '1K': 7,
-        '2K': 5.5,
-        '4K': 5.5
-    },
-    wanimage: {
-        '1K': 4.8,
-        '2K': 4.8,
-        '4K': 12
-    },
-    zimage: {
-        '1K': 0.8
-    }
-};
-
-const SEEDREAM_KIE_CREDIT_PRICING = {
-    lite: {
-        '2K': 5.5,
-        '4K': 5.5
-    },
-    pro: {
-        '1K': 7,
-        '2K': 14
-    }
-};
-
 function normalizeSeedreamTier(tier) {
     return tier === 'pro' ? 'pro' : 'lite';
 }
 
 function normalizeImageProvider(provider) {
-    return Object.prototype.hasOwnProperty.call(IMAGE_KIE_CREDIT_PRICING, provider) ? provider : 'seedream';
+    return Object.prototype.hasOwnProperty.call(IMAGE_MODEL_CONSTRAINTS, provider) ? provider : 'seedream';
 }
 
 function normalizeImageWorkflow(workflow) {
     return workflow === IMAGE_WORKFLOWS.IMAGE_TO_IMAGE ? IMAGE_WORKFLOWS.IMAGE_TO_IMAGE : IMAGE_WORKFLOWS.TEXT_TO_IMAGE;
 }
 
+function normalizeImageBatchCount(count) {
+    const parsed = Number(count);
+    return Number.isInteger(parsed) && parsed >= 1 && parsed <= MAX_IMAGE_BATCH_COUNT ? parsed : 1;
+}
+
 function getAllowedImageResolutions(provider, workflow, seedreamTier = 'lite') {
     const selectedProvider = normalizeImageProvider(provider);
     const selectedWorkflow = normalizeImageWorkflow(workflow);
-    if (selectedProvider === 'seedream') {
-        return normalizeSeedreamTier(seedreamTier) === 'pro' ? ['1K', '2K'] : ['2K', '4K'];
-    }
-    return IMAGE_ALLOWED_RESOLUTIONS[selectedProvider][selectedWorkflow];
+    const allowed = IMAGE_ALLOWED_RESOLUTIONS[selectedProvider][selectedWorkflow];
+    const tierResolutions = IMAGE_MODEL_CONSTRAINTS[selectedProvider].tierResolutions?.[normalizeSeedreamTier(seedreamTier)];
+    return tierResolutions ? allowed.filter(resolution => tierResolutions.includes(resolution)) : allowed;
 }
 
 function normalizeImageResolution(provider, resolution, workflow, seedreamTier = 'lite') {
@@ -97,28 +52,29 @@ function normalizeImageResolution(provider, resolution, workflow, seedreamTier =
 }
 
 function veilpixCreditsFromUsd(usdCost) {
-    const rawCredits = Math.max(0, (Number(usdCost) || 0) / BILLABLE_USD_PER_VEILPIX_CREDIT);
+    const rawCredits = Math.max(0, (Number(usdCost) || 0) / getBillableUsdPerVeilpixCredit());
     if (rawCredits <= 0) return 0;
     if (rawCredits < 1) return Math.ceil(rawCredits * 100) / 100;
     return Math.ceil(rawCredits);
 }
 
 function veilpixCreditsFromKieCredits(kieCredits) {
-    return veilpixCreditsFromUsd((Number(kieCredits) || 0) * KIE_CREDIT_USD);
+    return veilpixCreditsFromUsd((Number(kieCredits) || 0) * getPricingCatalog().kieCreditUsd);
 }
 
 function getImageKieCreditCost(provider, resolution, workflow = IMAGE_WORKFLOWS.TEXT_TO_IMAGE, seedreamTier = 'lite', imageCount = 0) {
     const selectedProvider = normalizeImageProvider(provider);
     const selectedTier = normalizeSeedreamTier(seedreamTier);
     const selectedResolution = normalizeImageResolution(selectedProvider, resolution, workflow, selectedTier);
+    const { image } = getPricingCatalog();
     if (selectedProvider === 'seedream') {
-        const baseCost = SEEDREAM_KIE_CREDIT_PRICING[selectedTier][selectedResolution];
+        const baseCost = image.seedreamTiers[selectedTier][selectedResolution];
         const extraInputCost = normalizeImageWorkflow(workflow) === IMAGE_WORKFLOWS.IMAGE_TO_IMAGE
-            ? Math.max(0, Number(imageCount) - 1) * 0.5
+            ? Math.max(0, Number(imageCount) - 1) * image.seedreamExtraInputKieCredits
             : 0;
         return baseCost + extraInputCost;
     }
-    return IMAGE_KIE_CREDIT_PRICING[selectedProvider][selectedResolution];
+    return image.kieCredits[selectedProvider][selectedResolution];
 }
 
 function getImageCreditCost(provider, resolution, workflow = IMAGE_WORKFLOWS.TEXT_TO_IMAGE, seedreamTier = 'lite', imageCount = 0) {
@@ -126,32 +82,40 @@ function getImageCreditCost(provider, resolution, workflow = IMAGE_WORKFLOWS.TEX
     const calculatedCredits = veilpixCreditsFromKieCredits(
         getImageKieCreditCost(selectedProvider, resolution, workflow, seedreamTier, imageCount)
     );
-    return Math.max(calculatedCredits, IMAGE_MINIMUM_VEILPIX_CREDITS[selectedProvider] || 0);
+    return Math.max(calculatedCredits, getPricingCatalog().image.minimumCredits[selectedProvider] || 0);
 }
 
-function getImageCreditDetails(provider, resolution, workflow = IMAGE_WORKFLOWS.TEXT_TO_IMAGE, seedreamTier = 'lite', imageCount = 0) {
+function getImageCreditDetails(provider, resolution, workflow = IMAGE_WORKFLOWS.TEXT_TO_IMAGE, seedreamTier = 'lite', imageCount = 0, count = 1) {
     const selectedProvider = normalizeImageProvider(provider);
     const selectedWorkflow = normalizeImageWorkflow(workflow);
     const selectedTier = normalizeSeedreamTier(seedreamTier);
     const selectedResolution = normalizeImageResolution(selectedProvider, resolution, selectedWorkflow, selectedTier);
-    const kieCredits = getImageKieCreditCost(selectedProvider, selectedResolution, selectedWorkflow, selectedTier, imageCount);
-    const credits = getImageCreditCost(
+    const selectedCount = normalizeImageBatchCount(count);
+    const catalog = getPricingCatalog();
+    const kieCreditsPerImage = getImageKieCreditCost(selectedProvider, selectedResolution, selectedWorkflow, selectedTier, imageCount);
+    const creditsPerImage = getImageCreditCost(
         selectedProvider,
         selectedResolution,
         selectedWorkflow,
         selectedTier,
         imageCount
     );
+    // Batches are N independent generations, so every total scales with N.
+    const kieCredits = Number((kieCreditsPerImage * selectedCount).toFixed(4));
+    const credits = Number((creditsPerImage * selectedCount).toFixed(2));
 
     return {
         provider: selectedProvider,
         workflow: selectedWorkflow,
         resolution: selectedResolution,
         seedreamTier: selectedProvider === 'seedream' ? selectedTier : undefined,
+        count: selectedCount,
         kieCredits,
+        creditsPerImage,
         credits,
-        costUsd: Number((kieCredits * KIE_CREDIT_USD).toFixed(4)),
-        chargedAmountUsd: Number((credits * VEILPIX_CREDIT_USD).toFixed(4))
+        costUsd: Number((kieCredits * catalog.kieCreditUsd).toFixed(4)),
+        chargedAmountUsd: Number((credits * catalog.veilpixCreditUsd).toFixed(4)),
+        pricingVersion: catalog.version
     };
 }
 
@@ -164,20 +128,16 @@ function getWanImageModel(resolution, workflow = IMAGE_WORKFLOWS.TEXT_TO_IMAGE)
 }
 
 module.exports = {
-    BILLABLE_USD_PER_VEILPIX_CREDIT,
     DEFAULT_RESOLUTIONS,
     IMAGE_ALLOWED_RESOLUTIONS,
-    IMAGE_KIE_CREDIT_PRICING,
-    SEEDREAM_KIE_CREDIT_PRICING,
     IMAGE_WORKFLOWS,
-    KIE_CREDIT_USD,
-    TARGET_MARGIN,
-    VEILPIX_CREDIT_USD,
+    MAX_IMAGE_BATCH_COUNT,
     getAllowedImageResolutions,
     getImageCreditCost,
     getImageCreditDetails,
     getImageKieCreditCost,
     getWanImageModel,
+    normalizeImageBatchCount,
     normalizeImageProvider,
     normalizeImageResolution,
     normalizeImageWorkflow,
@@ -4,18 +4,23 @@ const path = require('node:path');
 const test = require('node:test');
 
 const {
-    BILLABLE_USD_PER_VEILPIX_CREDIT,
     IMAGE_WORKFLOWS,
-    TARGET_MARGIN,
-    VEILPIX_CREDIT_USD,
     getImageCreditDetails,
+    normalizeImageBatchCount,
     veilpixCreditsFromUsd
 } = require('./imageCreditPricing');
+const { DEFAULT_PRICING, getBillableUsdPerVeilpixCredit } = require('./pricingCatalog');
+
+const BILLABLE_USD_PER_VEILPIX_CREDIT = getBillableUsdPerVeilpixCredit(DEFAULT_PRICING);
+const { targetMargin: TARGET_MARGIN, veilpixCreditUsd: VEILPIX_CREDIT_USD } = DEFAULT_PRICING;
 
 const CASES = [
     ['Nano Banana 2 1K', 'nanobanana2', '1K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 0.66],
     ['Nano Banana 2 2K', 'nanobanana2', '2K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 0.98],
     ['Nano Banana 2 4K', 'nanobanana2', '4K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 2],
+    ['Nano Banana Pro 1K', 'nanobananapro', '1K', IMAGE_WORKFLOWS.IMAGE_TO_IMAGE, 'lite', 3, 2],
+    ['Nano Banana Pro 2K', 'nanobananapro', '2K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 2],
+    ['Nano Banana Pro 4K', 'nanobananapro', '4K', IMAGE_WORKFLOWS.IMAGE_TO_IMAGE, 'lite', 0, 2],
     ['Seedream 5 Lite 2K', 'seedream', '2K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 0.45],
     ['Seedream 5 Lite combine', 'seedream', '4K', IMAGE_WORKFLOWS.IMAGE_TO_IMAGE, 'lite', 2, 0.49],
     ['Seedream 5 Pro 1K', 'seedream', '1K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'pro', 0, 0.57],
@@ -41,6 +46,27 @@ for (const [name, provider, resolution, workflow, tier, imageCount, expectedCred
     });
 }
 
+test('batches multiply every total by the image count', () => {
+    const single = getImageCreditDetails('nanobanana2', '2K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE);
+    const batch = getImageCreditDetails('nanobanana2', '2K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 4);
+
+    assert.equal(single.count, 1);
+    assert.equal(batch.count, 4);
+    assert.equal(batch.creditsPerImage, single.credits);
+    assert.equal(batch.credits, 3.92);
+    assert.equal(batch.kieCredits, single.kieCredits * 4);
+    assert.equal(batch.costUsd, 0.24);
+    assert.equal(getImageCreditDetails('zimage', '1K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE, 'lite', 0, 3).credits, 0.3);
+});
+
+test('batch counts outside 1-4 fall back to a single image', () => {
+    assert.equal(normalizeImageBatchCount('3'), 3);
+    assert.equal(normalizeImageBatchCount(undefined), 1);
+    assert.equal(normalizeImageBatchCount(0), 1);
+    assert.equal(normalizeImageBatchCount(5), 1);
+    assert.equal(normalizeImageBatchCount(2.5), 1);
+});
+
 test('the customer credit value remains tied to the 100-credit package', () => {
     assert.equal(VEILPIX_CREDIT_USD, 0.0699);
 });
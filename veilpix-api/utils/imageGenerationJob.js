@@ -0,0 +1,80 @@
+const { randomUUID } = require('node:crypto');
+const { normalizeVideoGenerationId } = require('./videoGenerationJob');
+const { CONTENT_POLICY_ERROR_CODE } = require('./kieApiError');
+const {
+    GENERATION_JOB_STATUSES,
+    getGenerationJobCredits,
+    getGenerationJobProcessingTime,
+    isUnfinishedGenerationJob
+} = require('./generationJobs');
+
+// Image and video jobs share the client-supplied UUID format.
+const normalizeImageGenerationId = normalizeVideoGenerationId;
+
+/**
+ * Use the client's X-Generation-ID when it sent one so a dropped response can
+ * still be recovered; otherwise mint a server-side job ID.
+ */
+function getImageGenerationId(req) {
+    return normalizeImageGenerationId(req.get('X-Generation-ID')) || randomUUID();
+}
+
+function imageGenerationJobResponse(job) {
+    if (isUnfinishedGenerationJob(job)) return { status: 'pending' };
+
+    if (job.status !== GENERATION_JOB_STATUSES.SUCCEEDED) {
+        return {
+            status: 'failed',
+            error: job.error_code === CONTENT_POLICY_ERROR_CODE ? 'Content policy violation' : 'Image generation failed',
+            code: job.error_code || undefined,
+            message: job.error_message || 'The image generation did not complete.'
+        };
+    }
+
+    const imageUrl = job.result_urls?.[0];
+    if (typeof imageUrl !== 'string' || !/^https?:\/\//i.test(imageUrl)) {
+        return {
+            status: 'failed',
+            error: 'Image generation failed',
+            message: 'The image finished, but its recovery information was unavailable.'
+        };
+    }
+
+    return {
+        status: 'succeeded',
+        imageUrl,
+        provider: job.provider,
+        creditsUsed: getGenerationJobCredits(job),
+        processingTime: getGenerationJobProcessingTime(job)
+    };
+}
+
+/**
+ * The response to a submit whose X-Generation-ID names an existing job.
+ * `jobStatus` is that job's imageGenerationJobResponse(), or null when the job
+ * belongs to another user. Asynchronous callers get the job back to poll;
+ * blocking callers expect an image and have no way to poll, so they get 409.
+ */
+function resubmittedImageJobResponse(jobStatus, { jobId, isAsync }) {
+    if (!jobStatus || !isAsync) {
+        return {
+            status: 409,
+            body: {
+                error: 'Generation already submitted',
+                message: 'This generation ID was already used. Start a new generation to try again.'
+            }
+        };
+    }
+
+    return {
+        status: jobStatus.status === 'pending' ? 202 : 200,
+        body: { success: true, jobId, status: jobStatus.status }
+    };
+}
+
+module.exports = {
+    getImageGenerationId,
+    imageGenerationJobResponse,
+    normalizeImageGenerationId,
+    resubmittedImageJobResponse
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    getImageGenerationId,
+    imageGenerationJobResponse,
+    resubmittedImageJobResponse
+} = require('./imageGenerationJob');
+
+function requestWithHeader(value) {
+    return { get: name => (name === 'X-Generation-ID' ? value : undefined) };
+}
+
+test('keeps a valid client generation ID and mints one otherwise', () => {
+    assert.equal(
+        getImageGenerationId(requestWithHeader('550E8400-E29B-41D4-A716-446655440000')),
+        '550e8400-e29b-41d4-a716-446655440000'
+    );
+
+    const minted = getImageGenerationId(requestWithHeader('not-a-job-id'));
+    assert.match(minted, /^[0-9a-f-]{36}$/);
+});
+
+test('returns a recoverable successful image result', () => {
+    const job = {
+        status: 'succeeded',
+        provider: 'seedream',
+        result_urls: ['https://example.com/image.png'],
+        credits_charged: 0.45,
+        created_at: '2026-01-01T00:00:00.000Z',
+        completed_at: '2026-01-01T00:00:21.000Z'
+    };
+
+    assert.deepEqual(imageGenerationJobResponse(job), {
+        status: 'succeeded',
+        imageUrl: 'https://example.com/image.png',
+        provider: 'seedream',
+        creditsUsed: 0.45,
+        processingTime: 21000
+    });
+});
+
+test('keeps the content-policy code on failed image jobs', () => {
+    const job = {
+        status: 'failed',
+        error_code: 'CONTENT_POLICY_VIOLATION',
+        error_message: 'This request was flagged by the content moderation provider.'
+    };
+
+    assert.deepEqual(imageGenerationJobResponse(job), {
+        status: 'failed',
+        error: 'Content policy violation',
+        code: 'CONTENT_POLICY_VIOLATION',
+        message: 'This request was flagged by the content moderation provider.'
+    });
+});
+
+test('treats unknown and running jobs as pending', () => {
+    assert.deepEqual(imageGenerationJobResponse(null), { status: 'pending' });
+    assert.deepEqual(imageGenerationJobResponse({ status: 'running' }), { status: 'pending' });
+});
+
+test('fails a finished job whose result URL is missing', () => {
+    assert.equal(imageGenerationJobResponse({ status: 'succeeded', result_urls: [] }).status, 'failed');
+});
+
+test('a resubmitted job ID returns the job only to its owner in asynchronous mode', () => {
+    const jobId = '550e8400-e29b-41d4-a716-446655440000';
+
+    assert.deepEqual(resubmittedImageJobResponse({ status: 'pending' }, { jobId, isAsync: true }), {
+        status: 202,
+        body: { success: true, jobId, status: 'pending' }
+    });
+    assert.equal(resubmittedImageJobResponse({ status: 'succeeded' }, { jobId, isAsync: true }).status, 200);
+    assert.equal(resubmittedImageJobResponse({ status: 'failed' }, { jobId, isAsync: true }).body.status, 'failed');
+
+    // Blocking callers expect an image, and other users' jobs are never revealed.
+    assert.equal(resubmittedImageJobResponse({ status: 'pending' }, { jobId, isAsync: false }).status, 409);
+    assert.equal(resubmittedImageJobResponse({ status: 'succeeded' }, { jobId, isAsync: false }).status, 409);
+    assert.equal(resubmittedImageJobResponse(null, { jobId, isAsync: true }).status, 409);
+});
@@ -0,0 +1,158 @@
+/**
+ * Inpainting masks
+ *
+ * The studio's mask editor sends a PNG where white marks the area to change.
+ * Providers whose Kie model takes a mask get it as an input URL. For the rest
+ * the model edits the whole image with a prompt hint pointing at the masked
+ * area, and the masked region of its output is composited back onto the
+ * original here so nothing outside the mask changes. Every path that finishes
+ * a job composites through compositeMaskedResult: the request that started it
+ * and, after a restart, the Kie webhook and the boot resume.
+ */
+
+const sharp = require('sharp');
+const imageUpload = require('./imageUpload');
+
+// Mask pixels at or above this grey level are edited.
+const MASK_THRESHOLD = 128;
+
+// Flatten transparency to black and reduce the mask to one grey channel.
+function maskToGrey(maskBuffer) {
+    return sharp(maskBuffer)
+        .flatten({ background: '#000000' })
+        .greyscale()
+        .extractChannel(0);
+}
+
+/**
+ * Read a mask upload and find the bounding box of its edited area.
+ *
+ * @param {Buffer} maskBuffer - PNG mask, white = edit
+ * @returns {Promise<{ width: number, height: number, bounds: { left: number, top: number, right: number, bottom: number }|null }>}
+ *   `bounds` is null when nothing is masked
+ */
+async function readImageMask(maskBuffer) {
+    const { data, info } = await maskToGrey(maskBuffer).raw().toBuffer({ resolveWithObject: true });
+    let bounds = null;
+
+    for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+            if (data[y * info.width + x] < MASK_THRESHOLD) continue;
+            if (!bounds) {
+                bounds = { left: x, top: y, right: x, bottom: y };
+            } else {
+                bounds.left = Math.min(bounds.left, x);
+                bounds.right = Math.max(bounds.right, x);
+                bounds.top = Math.min(bounds.top, y);
+                bounds.bottom = Math.max(bounds.bottom, y);
+            }
+        }
+    }
+
+    return { width: info.width, height: info.height, bounds };
+}
+
+/**
+ * Size of an uploaded image as the browser displays it, after EXIF orientation.
+ */
+async function readImageSize(imageBuffer) {
+    const { autoOrient } = await sharp(imageBuffer).metadata();
+    return { width: autoOrient.width, height: autoOrient.height };
+}
+
+/**
+ * Centre of the masked area in the source image's pixel coordinates, the same
+ * space as the retouch hotspot. Adapters turn it into their prompt hint.
+ */
+function getMaskFocusPoint(mask, imageWidth, imageHeight) {
+    if (!mask.bounds) return null;
+    const scaleX = imageWidth / mask.width;
+    const scaleY = imageHeight / mask.height;
+    return {
+        x: Math.round(((mask.bounds.left + mask.bounds.right + 1) / 2) * scaleX),
+        y: Math.round(((mask.bounds.top + mask.bounds.bottom + 1) / 2) * scaleY)
+    };
+}
+
+/**
+ * Keep the original outside the mask and the edited image inside it. The
+ * edited image and the mask are stretched to the original's size first, and
+ * grey mask pixels blend the two so brush edges stay soft.
+ *
+ * @returns {Promise<Buffer>} PNG
+ */
+async function compositeMaskedEdit(originalBuffer, editedBuffer, maskBuffer) {
+    // rotate() applies EXIF orientation so the mask lines up with what the editor showed.
+    const original = await sharp(originalBuffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height, channels } = original.info;
+
+    const [edited, mask] = await Promise.all([
+        sharp(editedBuffer)
+            .flatten({ background: '#ffffff' })
+            .toColourspace('srgb')
+            .resize(width, height, { fit: 'fill' })
+            .raw()
+            .toBuffer(),
+        maskToGrey(maskBuffer)
+            .resize(width, height, { fit: 'fill' })
+            .raw()
+            .toBuffer()
+    ]);
+
+    const output = Buffer.alloc(original.data.length);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+        const weight = mask[pixel] / 255;
+        for (let channel = 0; channel < channels; channel++) {
+            const index = pixel * channels + channel;
+            output[index] = Math.round(original.data[index] * (1 - weight) + edited[index] * weight);
+        }
+    }
+
+    return sharp(output, { raw: { width, height, channels } }).png().toBuffer();
+}
+
+async function fetchImageBuffer(imageUrl) {
+    const response = await fetch(imageUrl);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Keep only the masked area of a provider's result. The composite is uploaded
+ * to temporary storage because the job's result URL points at it.
+ *
+ * @param {string} resultUrl - The provider's full-image result
+ * @param {{ original: Buffer|string, mask: Buffer|string }} sources - Uploaded
+ *   buffers, or the temporary URLs recorded on the job
+ * @returns {Promise<{ imageUrl: string, image: { data: string, mimeType: string } }>}
+ */
+async function compositeMaskedResult(resultUrl, { original, mask }, userId) {
+    const [originalBuffer, editedBuffer, maskBuffer] = await Promise.all(
+        [original, resultUrl, mask].map(source => (Buffer.isBuffer(source) ? source : fetchImageBuffer(source)))
+    );
+    const output = await compositeMaskedEdit(originalBuffer, editedBuffer, maskBuffer);
+
+    const uploadResult = await imageUpload.uploadTemporaryImage(output, 'image/png', userId);
+    if (!uploadResult.success) {
+        throw new Error(`Failed to upload composited image: ${uploadResult.error}`);
+    }
+    return {
+        imageUrl: uploadResult.url,
+        image: { data: output.toString('base64'), mimeType: 'image/png' }
+    };
+}
+
+module.exports = {
+    compositeMaskedEdit,
+    compositeMaskedResult,
+    getMaskFocusPoint,
+    readImageMask,
+    readImageSize
+};
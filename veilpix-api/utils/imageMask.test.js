@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { compositeMaskedEdit, getMaskFocusPoint, readImageMask, readImageSize } = require('./imageMask');
+const { pixelAt, rectangleMask, solidImage } = require('./testImages');
+
+test('masks report the bounds of their white area', async () => {
+    const mask = await readImageMask(await rectangleMask(10, 8, { left: 2, top: 3, width: 4, height: 2 }));
+
+    assert.deepEqual(mask, { width: 10, height: 8, bounds: { left: 2, top: 3, right: 5, bottom: 4 } });
+    assert.equal((await readImageMask(await solidImage(4, 4, '#000000'))).bounds, null);
+});
+
+test('the focus point is the mask centre in source image pixels', async () => {
+    const mask = await readImageMask(await rectangleMask(10, 10, { left: 0, top: 0, width: 4, height: 2 }));
+
+    assert.deepEqual(getMaskFocusPoint(mask, 100, 50), { x: 20, y: 5 });
+    assert.equal(getMaskFocusPoint({ width: 10, height: 10, bounds: null }, 100, 50), null);
+    assert.deepEqual(await readImageSize(await solidImage(12, 6, '#ffffff')), { width: 12, height: 6 });
+});
+
+test('composites keep the original outside the mask at its own size', async () => {
+    const original = await solidImage(8, 8, '#ff0000');
+    // Models may return a different size; the edit is stretched to the original.
+    const edited = await solidImage(16, 16, '#0000ff');
+    const mask = await rectangleMask(4, 4, { left: 0, top: 0, width: 2, height: 4 });
+
+    const output = await compositeMaskedEdit(original, edited, mask);
+
+    const { width, height } = await sharp(output).metadata();
+    assert.deepEqual([width, height], [8, 8]);
+    assert.deepEqual(await pixelAt(output, 1, 4), [0, 0, 255]);
+    assert.deepEqual(await pixelAt(output, 6, 4), [255, 0, 0]);
+});
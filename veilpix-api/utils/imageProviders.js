@@ -0,0 +1,216 @@
+/**
+ * Image Provider Registry
+ *
+ * Each Kie-hosted image model is described once here: its adapter, Kie model
+ * resolver, input limits and defaults. The shared router in routes/images.js
+ * serves every provider from these entries, and pricing comes from the
+ * matching entry in imageCreditPricing.js. Prompt length, aspect ratios and
+ * input image counts are the provider's entry in modelConstraints.json, which
+ * the web app validates against too.
+ *
+ * A provider whose Kie model takes an inpainting mask declares `maskField`,
+ * the input field the mask URL goes in. None of the current models do, so
+ * masked edits on every provider are composited in utils/imageMask.js.
+ */
+
+const nanoBanana2Adapter = require('./nanobanana2Adapter');
+const nanoBananaProAdapter = require('./nanobananaproAdapter');
+const seedreamAdapter = require('./seedreamAdapter');
+const wanImageAdapter = require('./wanImageAdapter');
+const zImageAdapter = require('./zImageAdapter');
+const { IMAGE_MODEL_CONSTRAINTS } = require('./modelConstraints');
+const {
+    IMAGE_WORKFLOWS,
+    getWanImageModel,
+    normalizeSeedreamTier
+} = require('./imageCreditPricing');
+
+const IMAGE_OPERATIONS = {
+    EDIT: 'edit',
+    FILTER: 'filter',
+    ADJUST: 'adjust',
+    COMBINE: 'combine',
+    TEXT_TO_IMAGE: 'text-to-image'
+};
+
+const IMAGE_INPUT_OPERATIONS = [
+    IMAGE_OPERATIONS.EDIT,
+    IMAGE_OPERATIONS.FILTER,
+    IMAGE_OPERATIONS.ADJUST,
+    IMAGE_OPERATIONS.COMBINE
+];
+
+const ALL_OPERATIONS = [...IMAGE_INPUT_OPERATIONS, IMAGE_OPERATIONS.TEXT_TO_IMAGE];
+
+// Operations that accept a `count` and run that many variations in parallel.
+const BATCH_OPERATIONS = [
+    IMAGE_OPERATIONS.EDIT,
+    IMAGE_OPERATIONS.ADJUST,
+    IMAGE_OPERATIONS.TEXT_TO_IMAGE
+];
+
+function getOperationWorkflow(operation) {
+    return operation === IMAGE_OPERATIONS.TEXT_TO_IMAGE
+        ? IMAGE_WORKFLOWS.TEXT_TO_IMAGE
+        : IMAGE_WORKFLOWS.IMAGE_TO_IMAGE;
+}
+
+/**
+ * Call the adapter builder for an operation using the shared adapter
+ * signatures. `extraArgs` are appended for adapters that accept
+ * provider-specific options (NSFW checker, Seedream tier, output format).
+ */
+function buildAdapterRequest(adapter, operation, params, extraArgs = []) {
+    const { imageUrls, prompt, resolution, aspectRatio, x = null, y = null } = params;
+
+    switch (operation) {
+        case IMAGE_OPERATIONS.EDIT:
+            return adapter.buildEditRequest(imageUrls, prompt, resolution, x, y, aspectRatio, ...extraArgs);
+        case IMAGE_OPERATIONS.FILTER:
+            return adapter.buildFilterRequest(imageUrls, prompt, resolution, aspectRatio, ...extraArgs);
+        case IMAGE_OPERATIONS.ADJUST:
+            return adapter.buildAdjustRequest(imageUrls, prompt, resolution, aspectRatio, ...extraArgs);
+        case IMAGE_OPERATIONS.COMBINE:
+            return adapter.buildCombineRequest(imageUrls, prompt, resolution, aspectRatio, ...extraArgs);
+        case IMAGE_OPERATIONS.TEXT_TO_IMAGE:
+            return adapter.buildTextToImageRequest(prompt, resolution, aspectRatio, ...extraArgs);
+        default:
+            throw new Error(`Unsupported image operation: ${operation}`);
+    }
+}
+
+const IMAGE_PROVIDERS = {
+    nanobanana2: {
+        id: 'nanobanana2',
+        label: 'Nano Banana 2',
+        adapter: nanoBanana2Adapter,
+        operations: ALL_OPERATIONS,
+        constraints: IMAGE_MODEL_CONSTRAINTS.nanobanana2,
+        defaultAspectRatio: 'auto',
+        defaultNsfwFilter: false,
+        getModel: () => 'nano-banana-2',
+        buildRequest: (operation, params) => buildAdapterRequest(nanoBanana2Adapter, operation, params)
+    },
+    nanobananapro: {
+        id: 'nanobananapro',
+        label: 'Nano Banana Pro',
+        adapter: nanoBananaProAdapter,
+        operations: ALL_OPERATIONS,
+        constraints: IMAGE_MODEL_CONSTRAINTS.nanobananapro,
+        defaultAspectRatio: '1:1',
+        defaultNsfwFilter: false,
+        getModel: () => 'nano-banana-pro',
+        buildRequest: (operation, params) => buildAdapterRequest(nanoBananaProAdapter, operation, params)
+    },
+    seedream: {
+        id: 'seedream',
+        label: 'SeeDream',
+        adapter: seedreamAdapter,
+        operations: ALL_OPERATIONS,
+        constraints: IMAGE_MODEL_CONSTRAINTS.seedream,
+        defaultAspectRatio: '1:1',
+        defaultNsfwFilter: true,
+        // Older clients send a template filename instead of a Seedream ratio.
+        mapAspectRatioFile: seedreamAdapter.mapAspectRatioFileToSeedreamSize,
+        getModel: ({ seedreamTier }, workflow) => {
+            const tier = normalizeSeedreamTier(seedreamTier);
+            const mode = workflow === IMAGE_WORKFLOWS.TEXT_TO_IMAGE ? 'text-to-image' : 'image-to-image';
+            return `seedream/5-${tier}-${mode}`;
+        },
+        buildRequest: (operation, params) => buildAdapterRequest(seedreamAdapter, operation, params, [
+            params.nsfwFilter,
+            params.seedreamTier,
+            params.outputFormat
+        ])
+    },
+    wanimage: {
+        id: 'wanimage',
+        label: 'Wan 2.7 Image',
+        adapter: wanImageAdapter,
+        operations: ALL_OPERATIONS,
+        constraints: IMAGE_MODEL_CONSTRAINTS.wanimage,
+        defaultAspectRatio: 'auto',
+        defaultNsfwFilter: false,
+        pollOptions: {
+            maxAttempts: 150,
+            intervalMs: 2000,
+            // Wan reports moderation rejections only through failMsg.
+            contentPolicyPattern: /nsfw|content|safety/i
+        },
+        getModel: ({ resolution }, workflow) => getWanImageModel(resolution, workflow),
+        buildRequest: (operation, params) => buildAdapterRequest(wanImageAdapter, operation, params, [
+            params.nsfwFilter
+        ])
+    },
+    zimage: {
+        id: 'zimage',
+        label: 'Z-Image',
+        adapter: zImageAdapter,
+        operations: [IMAGE_OPERATIONS.TEXT_TO_IMAGE],
+        constraints: IMAGE_MODEL_CONSTRAINTS.zimage,
+        defaultAspectRatio: '1:1',
+        defaultNsfwFilter: true,
+        getModel: () => 'z-image',
+        buildRequest: (operation, params) => {
+            if (operation !== IMAGE_OPERATIONS.TEXT_TO_IMAGE) {
+                throw new Error(`Unsupported image operation: ${operation}`);
+            }
+            return zImageAdapter.buildTextToImageRequest(params.prompt, params.aspectRatio, params.nsfwFilter);
+        }
+    }
+};
+
+function getImageProvider(providerId) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_PROVIDERS, providerId)
+        ? IMAGE_PROVIDERS[providerId]
+        : null;
+}
+
+function providerSupportsOperation(provider, operation) {
+    return Boolean(provider?.operations.includes(operation));
+}
+
+function operationSupportsBatch(operation) {
+    return BATCH_OPERATIONS.includes(operation);
+}
+
+function providerAcceptsMask(provider) {
+    return Boolean(provider?.maskField);
+}
+
+/**
+ * Resolve the Kie model and request body for a provider operation.
+ *
+ * @param {object} provider - Registry entry from IMAGE_PROVIDERS
+ * @param {string} operation - One of IMAGE_OPERATIONS
+ * @param {object} params - { imageUrls, prompt, resolution, aspectRatio, x, y, maskUrl, nsfwFilter, seedreamTier, outputFormat }
+ * @returns {{ model: string, input: object, workflow: string }}
+ */
+function buildProviderTask(provider, operation, params) {
+    if (!providerSupportsOperation(provider, operation)) {
+        throw new Error(`${provider?.label || 'Provider'} does not support ${operation}`);
+    }
+
+    const workflow = getOperationWorkflow(operation);
+    const input = provider.buildRequest(operation, params);
+    if (params.maskUrl && providerAcceptsMask(provider)) {
+        input[provider.maskField] = params.maskUrl;
+    }
+
+    return {
+        model: provider.getModel(params, workflow),
+        input,
+        workflow
+    };
+}
+
+module.exports = {
+    IMAGE_OPERATIONS,
+    IMAGE_PROVIDERS,
+    buildProviderTask,
+    getImageProvider,
+    getOperationWorkflow,
+    operationSupportsBatch,
+    providerAcceptsMask,
+    providerSupportsOperation
+};
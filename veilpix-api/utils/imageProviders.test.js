@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { once } = require('node:events');
+
+const {
+    IMAGE_OPERATIONS,
+    IMAGE_PROVIDERS,
+    buildProviderTask,
+    getImageProvider,
+    operationSupportsBatch,
+    providerAcceptsMask
+} = require('./imageProviders');
+const { getImageCreditDetails, IMAGE_WORKFLOWS } = require('./imageCreditPricing');
+const { pollKieTask, runKieTask } = require('./kieTaskClient');
+const { CONTENT_POLICY_ERROR_CODE, getKieErrorHttpResponse } = require('./kieApiError');
+const { startStubKieServer } = require('./testKieServer');
+const { validateCombineGeneration, validateTextToImageGeneration } = require('../middleware/validation');
+
+const imageUrls = ['https://example.com/original.png'];
+
+test('every registered provider has a pricing entry', () => {
+    for (const provider of Object.values(IMAGE_PROVIDERS)) {
+        const details = getImageCreditDetails(provider.id, undefined, IMAGE_WORKFLOWS.TEXT_TO_IMAGE);
+        assert.equal(details.provider, provider.id);
+        assert.ok(details.credits > 0);
+    }
+});
+
+test('unknown providers are not resolved', () => {
+    assert.equal(getImageProvider('dall-e'), null);
+    assert.equal(getImageProvider('constructor'), null);
+});
+
+test('image router rejects unknown providers before authentication', async (t) => {
+    const { router } = require('../routes/images');
+    const app = express();
+    app.use('/api/images', router);
+
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    await once(server, 'listening');
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/images/dall-e/generate-text-to-image`, {
+        method: 'POST'
+    });
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, 'Unknown image provider');
+});
+
+test('combine and text-to-image requests are validated before credits are checked', async (t) => {
+    const reached = [];
+    const app = express();
+    app.use((req, res, next) => {
+        req.imageProvider = req.path === '/combine' ? IMAGE_PROVIDERS.nanobanana2 : IMAGE_PROVIDERS.zimage;
+        req.files = { images: Array.from({ length: Number(req.query.images) || 0 }, () => ({})) };
+        next();
+    });
+    app.post('/combine', express.json(), validateCombineGeneration, (req, res) => {
+        reached.push('combine');
+        res.json({ ok: true });
+    });
+    app.post('/text-to-image', express.json(), validateTextToImageGeneration, (req, res) => {
+        reached.push(req.body);
+        res.json({ ok: true });
+    });
+
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    await once(server, 'listening');
+    const post = (path, body) => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    assert.equal((await post('/combine?images=1', { prompt: 'merge these' })).status, 400);
+    assert.equal((await post('/combine?images=2', { prompt: '' })).status, 400);
+    assert.equal((await post('/text-to-image', { prompt: 'a lighthouse at dusk', aspectRatio: '7:3' })).status, 400);
+    assert.equal((await post('/text-to-image', { prompt: ' ' })).status, 400);
+    assert.deepEqual(reached, []);
+
+    assert.equal((await post('/combine?images=2', { prompt: 'merge these' })).status, 200);
+    assert.equal((await post('/text-to-image', { prompt: '  a lighthouse at dusk  ', aspectRatio: '16:9' })).status, 200);
+    assert.deepEqual(reached, ['combine', { prompt: 'a lighthouse at dusk', aspectRatio: '16:9' }]);
+});
+
+test('batches are limited to edit, adjust and text-to-image', () => {
+    assert.equal(operationSupportsBatch(IMAGE_OPERATIONS.EDIT), true);
+    assert.equal(operationSupportsBatch(IMAGE_OPERATIONS.ADJUST), true);
+    assert.equal(operationSupportsBatch(IMAGE_OPERATIONS.TEXT_TO_IMAGE), true);
+    assert.equal(operationSupportsBatch(IMAGE_OPERATIONS.FILTER), false);
+    assert.equal(operationSupportsBatch(IMAGE_OPERATIONS.COMBINE), false);
+});
+
+test('Seedream tasks resolve the tiered model and pass adapter options through', () => {
+    const task = buildProviderTask(IMAGE_PROVIDERS.seedream, IMAGE_OPERATIONS.EDIT, {
+        imageUrls,
+        prompt: 'edit',
+        resolution: '2K',
+        aspectRatio: '1:1',
+        nsfwFilter: false,
+        seedreamTier: 'pro',
+        outputFormat: 'jpeg'
+    });
+
+    assert.equal(task.model, 'seedream/5-pro-image-to-image');
+    assert.equal(task.input.nsfw_checker, false);
+    assert.deepEqual(task.input.image_urls, imageUrls);
+});
+
+test('Wan text-to-image switches to the pro model at 4K', () => {
+    const task = buildProviderTask(IMAGE_PROVIDERS.wanimage, IMAGE_OPERATIONS.TEXT_TO_IMAGE, {
+        imageUrls: [],
+        prompt: 'generate',
+        resolution: '4K',
+        aspectRatio: 'auto'
+    });
+
+    assert.equal(task.model, 'wan/2-7-image-pro');
+});
+
+test('masks reach the model only for providers that declare a mask field', () => {
+    const params = { imageUrls, prompt: 'edit', resolution: '1K', aspectRatio: 'auto', maskUrl: 'https://example.com/mask.png' };
+
+    assert.equal(Object.values(IMAGE_PROVIDERS).some(providerAcceptsMask), false);
+    const composited = buildProviderTask(IMAGE_PROVIDERS.nanobanana2, IMAGE_OPERATIONS.EDIT, params);
+    assert.equal(Object.values(composited.input).includes(params.maskUrl), false);
+
+    const inpainting = { ...IMAGE_PROVIDERS.nanobanana2, maskField: 'mask_url' };
+    assert.equal(providerAcceptsMask(inpainting), true);
+    assert.equal(buildProviderTask(inpainting, IMAGE_OPERATIONS.EDIT, params).input.mask_url, params.maskUrl);
+});
+
+test('Z-Image only supports text-to-image', () => {
+    assert.throws(
+        () => buildProviderTask(IMAGE_PROVIDERS.zimage, IMAGE_OPERATIONS.EDIT, { imageUrls, prompt: 'edit' }),
+        /does not support edit/
+    );
+    const task = buildProviderTask(IMAGE_PROVIDERS.zimage, IMAGE_OPERATIONS.TEXT_TO_IMAGE, {
+        imageUrls: [],
+        prompt: 'generate',
+        aspectRatio: '16:9',
+        nsfwFilter: true
+    });
+    assert.equal(task.model, 'z-image');
+    assert.equal(task.input.aspect_ratio, '16:9');
+});
+
+test('runKieTask creates a task and returns the parsed result', async (t) => {
+    const created = await startStubKieServer(t, {
+        'task-1': [
+            { state: 'generating' },
+            { state: 'success', resultJson: JSON.stringify({ resultUrls: ['https://example.com/out.png'] }) }
+        ]
+    });
+
+    const result = await runKieTask('nano-banana-2', { prompt: 'hi' }, { intervalMs: 1 });
+
+    assert.deepEqual(result.resultUrls, ['https://example.com/out.png']);
+    assert.deepEqual(created, [{ model: 'nano-banana-2', input: { prompt: 'hi' } }]);
+});
+
+test('Wan moderation failures map to the content-policy response', async (t) => {
+    await startStubKieServer(t, {
+        'task-wan': [{ state: 'fail', failCode: 500, failMsg: 'NSFW content detected' }]
+    });
+
+    await assert.rejects(
+        pollKieTask('task-wan', { intervalMs: 1, ...IMAGE_PROVIDERS.wanimage.pollOptions }),
+        (error) => {
+            const response = getKieErrorHttpResponse(error, 'Failed to generate image');
+            assert.equal(response.status, 400);
+            assert.equal(response.body.code, CONTENT_POLICY_ERROR_CODE);
+            return true;
+        }
+    );
+});
+
+test('technical task failures stay technical errors', async (t) => {
+    await startStubKieServer(t, {
+        'task-down': [{ state: 'fail', failCode: 503, failMsg: 'Upstream unavailable' }]
+    });
+
+    await assert.rejects(pollKieTask('task-down', { intervalMs: 1 }), (error) => {
+        assert.equal(getKieErrorHttpResponse(error, 'Failed').status, 500);
+        return true;
+    });
+});
@@ -118,7 +118,8 @@ function storageSettings(options = {}) {
         httpStack: options.httpStack || new TimedHttpStack(timeoutMs, {
             agent: false
         }),
-        retryDelays: options.retryDelays || DEFAULT_RETRY_DELAYS_MS
+        retryDelays: options.retryDelays || DEFAULT_RETRY_DELAYS_MS,
+        bucketName: options.bucketName || TEMP_IMAGE_BUCKET
     };
 }
 
@@ -129,7 +130,8 @@ function uploadStorageObject(fileBuffer, mimeType, filename, options = {}) {
         endpoint,
         UploadClass,
         httpStack,
-        retryDelays
+        retryDelays,
+        bucketName
     } = storageSettings(options);
 
     return new Promise((resolve, reject) => {
@@ -142,7 +144,7 @@ function uploadStorageObject(fileBuffer, mimeType, filename, options = {}) {
                 'x-upsert': 'true'
             },
             metadata: {
-                bucketName: TEMP_IMAGE_BUCKET,
+                bucketName,
                 objectName: filename,
                 contentType: mimeType,
                 cacheControl: '3600'
@@ -155,7 +157,7 @@ function uploadStorageObject(fileBuffer, mimeType, filename, options = {}) {
             httpStack,
             onError: reject,
             onSuccess: () => resolve({
-                url: `${supabaseUrl}/storage/v1/object/public/${TEMP_IMAGE_BUCKET}/${encodeURIComponent(filename)}`,
+                url: `${supabaseUrl}/storage/v1/object/public/${bucketName}/${encodeURIComponent(filename)}`,
                 elapsedMs: Date.now() - startedAt
             })
         });
@@ -0,0 +1,261 @@
+/**
+ * Kie.ai jobs API client
+ *
+ * Every Kie-hosted image model shares the same task lifecycle:
+ * POST /api/v1/jobs/createTask, then GET /api/v1/jobs/recordInfo until the
+ * task reaches `success` or `fail`. Failures are raised as KieApiError so the
+ * routes can map moderation rejections to the content-policy response.
+ *
+ * When KIE_CALLBACK_BASE_URL and KIE_WEBHOOK_SECRET are set, tasks are created
+ * with a signed callBackUrl so Kie.ai reports completion to /api/webhooks/kie.
+ */
+
+const { createHmac, timingSafeEqual } = require('node:crypto');
+const { createKieApiError } = require('./kieApiError');
+
+const DEFAULT_MAX_POLL_ATTEMPTS = 300;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const KIE_CALLBACK_PATH = '/api/webhooks/kie';
+const KIE_CALLBACK_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Read lazily so tests and scripts can point the client at a local stub server.
+function getKieApiConfig() {
+    return {
+        // Seedance deployments may only set the KIE_* names.
+        apiKey: process.env.SEEDREAM_API_KEY || process.env.KIE_API_KEY,
+        baseUrl: process.env.SEEDREAM_API_BASE_URL || process.env.KIE_API_BASE_URL || 'https://api.kie.ai',
+        callbackBaseUrl: process.env.KIE_CALLBACK_BASE_URL || null,
+        webhookSecret: process.env.KIE_WEBHOOK_SECRET || null
+    };
+}
+
+function isKieCallbackEnabled() {
+    const { callbackBaseUrl, webhookSecret } = getKieApiConfig();
+    return Boolean(callbackBaseUrl && webhookSecret);
+}
+
+function signKieCallback(secret, jobId, expires) {
+    return createHmac('sha256', secret).update(`${jobId}:${expires}`).digest('hex');
+}
+
+/**
+ * Build the signed callback URL for a new task, or null when callbacks are not
+ * configured. The signature covers the optional generation job ID and an
+ * expiry so a leaked URL cannot be reused indefinitely.
+ *
+ * @param {string|null} [jobId] - generation_jobs ID the task belongs to
+ * @returns {string|null}
+ */
+function getKieCallbackUrl(jobId = null, now = Date.now()) {
+    const { callbackBaseUrl, webhookSecret } = getKieApiConfig();
+    if (!callbackBaseUrl || !webhookSecret) return null;
+
+    const expires = String(now + KIE_CALLBACK_TTL_MS);
+    const params = new URLSearchParams();
+    if (jobId) params.set('job', jobId);
+    params.set('expires', expires);
+    params.set('signature', signKieCallback(webhookSecret, jobId || '', expires));
+
+    return `${callbackBaseUrl.replace(/\/+$/, '')}${KIE_CALLBACK_PATH}?${params}`;
+}
+
+/**
+ * Check the query string of an incoming callback.
+ *
+ * @returns {{ valid: boolean, jobId: string|null }}
+ */
+function verifyKieCallback(query = {}, now = Date.now()) {
+    const { webhookSecret } = getKieApiConfig();
+    const jobId = typeof query.job === 'string' && query.job ? query.job : null;
+    const { expires, signature } = query;
+
+    if (!webhookSecret || typeof expires !== 'string' || typeof signature !== 'string') {
+        return { valid: false, jobId };
+    }
+    if (!(Number(expires) > now)) {
+        return { valid: false, jobId };
+    }
+
+    const expected = Buffer.from(signKieCallback(webhookSecret, jobId || '', expires));
+    const received = Buffer.from(signature);
+    const valid = expected.length === received.length && timingSafeEqual(expected, received);
+    return { valid, jobId };
+}
+
+function parseResultJson(resultJson) {
+    if (!resultJson) return {};
+    if (typeof resultJson === 'object') return resultJson;
+    return JSON.parse(resultJson);
+}
+
+/**
+ * Create a Kie.ai task and return its task ID.
+ *
+ * @param {string} model - Kie model identifier (e.g. 'nano-banana-2')
+ * @param {object} input - Model-specific request body built by an adapter
+ * @param {object} [options]
+ * @param {string} [options.label] - Human-readable model name for errors and logs
+ * @param {string|null} [options.callBackUrl] - Signed URL from getKieCallbackUrl
+ * @returns {Promise<string>} Kie task ID
+ */
+async function createKieTask(model, input, { label = model, callBackUrl = null } = {}) {
+    const { apiKey, baseUrl } = getKieApiConfig();
+
+    const response = await fetch(`${baseUrl}/api/v1/jobs/createTask`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        // Kie.ai expects parameters nested inside "input" object
+        body: JSON.stringify({ model, input, ...(callBackUrl ? { callBackUrl } : {}) })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw createKieApiError(
+            `${label} API error: ${response.status} ${response.statusText}`,
+            response.status,
+            errorText
+        );
+    }
+
+    const result = await response.json();
+
+    // Kie.ai response format: { code: 200, message: "success", data: { taskId: "..." } }
+    if (result.code !== 200 || !result.data?.taskId) {
+        throw createKieApiError(
+            'Task creation failed',
+            result.code,
+            result.message || result.msg || 'Unknown error'
+        );
+    }
+
+    console.log(`✅ ${label} task created: ${result.data.taskId}`);
+    return result.data.taskId;
+}
+
+/**
+ * Fetch the current record for a Kie.ai task.
+ *
+ * @param {string} taskId
+ * @returns {Promise<object>} Task data ({ state, resultJson, failCode, failMsg, ... })
+ */
+async function getKieTaskRecord(taskId) {
+    const { apiKey, baseUrl } = getKieApiConfig();
+
+    const response = await fetch(`${baseUrl}/api/v1/jobs/recordInfo?taskId=${encodeURIComponent(taskId)}`, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${apiKey}`
+        }
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw createKieApiError(
+            `Task status check failed: ${response.status}`,
+            response.status,
+            errorText
+        );
+    }
+
+    const result = await response.json();
+
+    if (result.code !== 200 || !result.data) {
+        throw createKieApiError(
+            'Task query failed',
+            result.code,
+            result.message || result.msg || 'Unknown error'
+        );
+    }
+
+    return result.data;
+}
+
+/**
+ * Build the error for a task that Kie.ai reported as failed. Some models only
+ * describe moderation rejections in failMsg, so callers can supply a pattern
+ * that promotes those failures to the content-policy status.
+ */
+function createKieTaskFailure(taskData, contentPolicyPattern = null) {
+    const failMsg = taskData.failMsg || taskData.failCode || 'Unknown error';
+    const upstreamStatus = contentPolicyPattern && contentPolicyPattern.test(String(failMsg))
+        ? 400
+        : taskData.failCode;
+
+    return createKieApiError('Task failed', upstreamStatus, failMsg);
+}
+
+function isKieTaskFinished(taskData) {
+    return taskData?.state === 'success' || taskData?.state === 'fail';
+}
+
+/**
+ * Return the parsed result of a successful task, or throw its failure.
+ */
+function getKieTaskResult(taskData, contentPolicyPattern = null) {
+    if (taskData.state === 'fail') {
+        throw createKieTaskFailure(taskData, contentPolicyPattern);
+    }
+    return parseResultJson(taskData.resultJson);
+}
+
+/**
+ * Poll a Kie.ai task until it succeeds or fails.
+ *
+ * @param {string} taskId
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.intervalMs]
+ * @param {RegExp} [options.contentPolicyPattern] - failMsg pattern treated as a moderation rejection
+ * @returns {Promise<object>} Parsed resultJson ({ resultUrls: [...] })
+ */
+async function pollKieTask(taskId, {
+    maxAttempts = DEFAULT_MAX_POLL_ATTEMPTS,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    contentPolicyPattern = null
+} = {}) {
+    console.log(`⏳ Polling Kie task: ${taskId}`);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const taskData = await getKieTaskRecord(taskId);
+        const state = taskData.state;
+
+        console.log(`📊 Task status (attempt ${attempt + 1}/${maxAttempts}): ${state}`);
+
+        if (isKieTaskFinished(taskData)) {
+            return getKieTaskResult(taskData, contentPolicyPattern);
+        }
+
+        // States: waiting, queuing, generating - continue polling
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+
+    throw new Error('Task polling timeout - exceeded maximum attempts');
+}
+
+/**
+ * Create a task and wait for its result.
+ */
+async function runKieTask(model, input, options = {}) {
+    const taskId = await createKieTask(model, input, options);
+    return pollKieTask(taskId, options);
+}
+
+module.exports = {
+    DEFAULT_MAX_POLL_ATTEMPTS,
+    DEFAULT_POLL_INTERVAL_MS,
+    createKieTask,
+    createKieTaskFailure,
+    getKieApiConfig,
+    getKieCallbackUrl,
+    getKieTaskRecord,
+    getKieTaskResult,
+    isKieCallbackEnabled,
+    isKieTaskFinished,
+    parseResultJson,
+    pollKieTask,
+    runKieTask,
+    verifyKieCallback
+};
@@ -0,0 +1,150 @@
+/**
+ * Kie.ai task watcher
+ *
+ * Requests that need a task's result wait on it here instead of polling
+ * recordInfo in their own loop. The Kie webhook settles a watched task as soon
+ * as the callback arrives. One sweeper timer re-reads the records of watched
+ * tasks as a fallback for callbacks that never arrive: every
+ * KIE_FALLBACK_POLL_INTERVAL_MS when callbacks are configured, otherwise at
+ * the caller's poll interval.
+ */
+
+const {
+    DEFAULT_MAX_POLL_ATTEMPTS,
+    DEFAULT_POLL_INTERVAL_MS,
+    getKieTaskRecord,
+    isKieCallbackEnabled,
+    isKieTaskFinished
+} = require('./kieTaskClient');
+
+const DEFAULT_FALLBACK_POLL_INTERVAL_MS = 30000;
+const DEFAULT_TIMEOUT_MESSAGE = 'Task polling timeout - exceeded maximum attempts';
+
+// taskId -> { promise, resolve, reject, deadline, intervalMs, nextCheckAt, timeoutMessage }
+const watchedTasks = new Map();
+let sweepTimer = null;
+let sweeping = false;
+
+function getFallbackPollInterval() {
+    const interval = Number(process.env.KIE_FALLBACK_POLL_INTERVAL_MS);
+    return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_FALLBACK_POLL_INTERVAL_MS;
+}
+
+function finishWatchedTask(taskId, settle) {
+    const task = watchedTasks.get(taskId);
+    if (!task) return false;
+
+    watchedTasks.delete(taskId);
+    settle(task);
+    scheduleSweep();
+    return true;
+}
+
+function scheduleSweep() {
+    if (sweeping) return;
+
+    clearTimeout(sweepTimer);
+    sweepTimer = null;
+    if (watchedTasks.size === 0) return;
+
+    let nextCheckAt = Infinity;
+    for (const task of watchedTasks.values()) {
+        nextCheckAt = Math.min(nextCheckAt, task.nextCheckAt, task.deadline);
+    }
+
+    sweepTimer = setTimeout(() => {
+        sweepTimer = null;
+        sweepKieTasks().catch(error => console.error('Kie task sweep failed:', error));
+    }, Math.max(0, nextCheckAt - Date.now()));
+    // Watched tasks alone should not keep the process alive.
+    sweepTimer.unref();
+}
+
+/**
+ * Wait for a Kie.ai task to reach `success` or `fail`.
+ *
+ * @param {string} taskId
+ * @param {object} [options] - Accepts a provider's pollOptions
+ * @param {number} [options.maxAttempts] - With intervalMs, sets how long to wait
+ * @param {number} [options.intervalMs] - Poll interval when callbacks are off
+ * @param {string} [options.timeoutMessage] - Error message when the wait runs out
+ * @returns {Promise<object>} The finished task record
+ */
+function waitForKieTask(taskId, {
+    maxAttempts = DEFAULT_MAX_POLL_ATTEMPTS,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    timeoutMessage = DEFAULT_TIMEOUT_MESSAGE
+} = {}) {
+    const existing = watchedTasks.get(taskId);
+    if (existing) return existing.promise;
+
+    const now = Date.now();
+    const task = {
+        deadline: now + maxAttempts * intervalMs,
+        timeoutMessage,
+        intervalMs: isKieCallbackEnabled() ? getFallbackPollInterval() : intervalMs
+    };
+    task.nextCheckAt = now + task.intervalMs;
+    task.promise = new Promise((resolve, reject) => {
+        task.resolve = resolve;
+        task.reject = reject;
+    });
+
+    watchedTasks.set(taskId, task);
+    console.log(`⏳ Watching Kie task: ${taskId}`);
+    scheduleSweep();
+    return task.promise;
+}
+
+/**
+ * Settle the request waiting on a finished task. Returns false when no request
+ * in this process is watching it.
+ */
+function settleKieTask(taskId, taskData) {
+    if (!isKieTaskFinished(taskData)) return false;
+    return finishWatchedTask(taskId, task => task.resolve(taskData));
+}
+
+function isKieTaskWatched(taskId) {
+    return watchedTasks.has(taskId);
+}
+
+/**
+ * Fallback sweep: re-read every watched task that is due and settle the ones
+ * that finished. Record lookups that fail are retried on the next sweep until
+ * the task's deadline passes.
+ */
+async function sweepKieTasks(now = Date.now()) {
+    if (sweeping) return;
+    sweeping = true;
+    clearTimeout(sweepTimer);
+    sweepTimer = null;
+
+    try {
+        for (const [taskId, task] of [...watchedTasks]) {
+            if (now >= task.deadline) {
+                finishWatchedTask(taskId, watched => watched.reject(new Error(watched.timeoutMessage)));
+                continue;
+            }
+            if (now < task.nextCheckAt) continue;
+
+            task.nextCheckAt = now + task.intervalMs;
+            try {
+                const taskData = await getKieTaskRecord(taskId);
+                settleKieTask(taskId, taskData);
+            } catch (error) {
+                console.error(`Failed to check Kie task ${taskId}:`, error.message);
+            }
+        }
+    } finally {
+        sweeping = false;
+        scheduleSweep();
+    }
+}
+
+module.exports = {
+    isKieTaskWatched,
+    settleKieTask,
+    sweepKieTasks,
+    waitForKieTask
+};
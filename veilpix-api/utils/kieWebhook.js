@@ -0,0 +1,177 @@
+/**
+ * Kie.ai task callbacks
+ *
+ * Kie.ai posts to /api/webhooks/kie when a task finishes. The callback body
+ * only identifies the task: its record is re-read from Kie before anything is
+ * settled. A request in this process that is waiting on the task receives the
+ * record and finishes the generation itself. Otherwise (the process restarted
+ * after starting the task) the generation job is finished here, and its credit
+ * reservation, which shares the job's ID, is captured or released. Masked
+ * edits are composited onto their original first, as the request would have.
+ */
+
+const { db } = require('./database');
+const { getKieErrorHttpResponse } = require('./kieApiError');
+const { getImageProvider, providerAcceptsMask } = require('./imageProviders');
+const { compositeMaskedResult } = require('./imageMask');
+const { getPricingCatalogForVersion } = require('./pricingCatalog');
+const { getSeedanceCaptureCredits } = require('./seedanceAdapter');
+const {
+    createKieTaskFailure,
+    getKieTaskRecord,
+    isKieTaskFinished,
+    parseResultJson
+} = require('./kieTaskClient');
+const { settleKieTask } = require('./kieTaskWatcher');
+const {
+    GENERATION_JOB_KINDS,
+    GENERATION_JOB_STATUSES,
+    isUnfinishedGenerationJob,
+    recordGenerationJobFailure,
+    recordGenerationJobResult
+} = require('./generationJobs');
+
+// The video routes treat failMsg text with these words as a moderation rejection.
+const VIDEO_CONTENT_POLICY_PATTERN = /review|nsfw|content|safety/i;
+
+function getCallbackTaskId(payload) {
+    const taskId = payload?.data?.taskId ?? payload?.taskId;
+    return typeof taskId === 'string' && taskId ? taskId : null;
+}
+
+// Image and Wan results use resultUrls; some Seedance results use videoUrl or url.
+function getResultUrls(result) {
+    if (Array.isArray(result.resultUrls)) return result.resultUrls;
+    return [result.videoUrl || result.url].filter(Boolean);
+}
+
+function getContentPolicyPattern(job) {
+    if (job.kind === GENERATION_JOB_KINDS.VIDEO) return VIDEO_CONTENT_POLICY_PATTERN;
+    return getImageProvider(job.provider)?.pollOptions?.contentPolicyPattern || null;
+}
+
+// Masked edits on providers without a mask input come back as a full-image edit.
+function needsMaskComposite(job) {
+    const provider = getImageProvider(job.provider);
+    return job.kind === GENERATION_JOB_KINDS.IMAGE && job.input_params?.masked === true && !providerAcceptsMask(provider);
+}
+
+/**
+ * Composite a masked job's result onto the original and mask the request
+ * recorded. Resolves with the composite's URL, or null when it could not be
+ * made, e.g. for a job recorded without them.
+ */
+async function compositeJobResult(job, resultUrl) {
+    const { originalUrl, maskUrl } = job.input_params;
+    if (!originalUrl || !maskUrl) {
+        console.error(`Generation job ${job.id} has no original image or mask to composite onto`);
+        return null;
+    }
+
+    try {
+        const { imageUrl } = await compositeMaskedResult(resultUrl, { original: originalUrl, mask: maskUrl }, job.clerk_user_id);
+        return imageUrl;
+    } catch (error) {
+        console.error(`Failed to composite the masked edit for generation job ${job.id}:`, error);
+        return null;
+    }
+}
+
+// Seedance charges what Kie reports the task consumed, at the prices the
+// job's estimate was made under; other jobs charge what they reserved.
+function getJobCaptureCredits(job, taskData) {
+    if (job.request_type !== 'seedance-video') return job.credits_reserved;
+    const pricing = getPricingCatalogForVersion(job.input_params?.pricingVersion);
+    return getSeedanceCaptureCredits(Number(job.credits_reserved), taskData.creditsConsumed, pricing);
+}
+
+/**
+ * Record a finished task against a job that no request is waiting on, then
+ * capture or release its reservation. A success without a result URL, or a
+ * masked edit that cannot be composited, is recorded as a failure. Returns
+ * the job's new status.
+ */
+async function finishGenerationJobFromTask(job, taskData) {
+    let resultUrls = taskData.state === 'success' ? getResultUrls(parseResultJson(taskData.resultJson)) : [];
+    if (resultUrls.length > 0 && needsMaskComposite(job)) {
+        const imageUrl = await compositeJobResult(job, resultUrls[0]);
+        if (!imageUrl) {
+            await recordGenerationJobFailure(job.id, {
+                message: 'The edit could not be limited to the masked area. Your credits were refunded.'
+            });
+            await releaseGenerationJobCredits(job);
+            return GENERATION_JOB_STATUSES.FAILED;
+        }
+        resultUrls = [imageUrl];
+    }
+
+    if (resultUrls.length > 0) {
+        const credits = getJobCaptureCredits(job, taskData);
+        const { captured, error } = await db.captureReservedCredits(job.id, credits);
+        if (error) {
+            console.error(`Failed to capture credits for generation job ${job.id}:`, error);
+        }
+        await recordGenerationJobResult(job.id, {
+            resultUrls,
+            creditsCharged: captured ?? credits
+        });
+        return GENERATION_JOB_STATUSES.SUCCEEDED;
+    }
+
+    if (taskData.state === 'success') {
+        await recordGenerationJobFailure(job.id, { message: 'The generation finished without a result.' });
+    } else {
+        const failure = createKieTaskFailure(taskData, getContentPolicyPattern(job));
+        const { body } = getKieErrorHttpResponse(failure, 'Generation failed');
+        await recordGenerationJobFailure(job.id, { code: body.code, message: body.message });
+    }
+    await releaseGenerationJobCredits(job);
+    return GENERATION_JOB_STATUSES.FAILED;
+}
+
+async function releaseGenerationJobCredits(job) {
+    const { error } = await db.releaseReservedCredits(job.id);
+    if (error) {
+        console.error(`Failed to release credits for generation job ${job.id}:`, error);
+    }
+}
+
+/**
+ * Handle a verified callback body.
+ *
+ * @param {object} payload - Parsed callback body ({ code, msg, data: { taskId, ... } })
+ * @param {object} [options]
+ * @param {string|null} [options.jobId] - Job ID from the signed callback URL
+ * @returns {Promise<{ handled: boolean, taskId: string|null, state?: string, jobId?: string }>}
+ */
+async function handleKieCallback(payload, { jobId = null } = {}) {
+    const taskId = getCallbackTaskId(payload);
+    if (!taskId) {
+        return { handled: false, taskId: null };
+    }
+
+    const taskData = await getKieTaskRecord(taskId);
+    const state = taskData.state;
+    if (!isKieTaskFinished(taskData)) {
+        return { handled: false, taskId, state };
+    }
+
+    if (settleKieTask(taskId, taskData)) {
+        return { handled: true, taskId, state };
+    }
+
+    const { job, error } = await db.getGenerationJobByTaskId(taskId);
+    if (error) throw error;
+    if (!job || (jobId && job.id !== jobId) || !isUnfinishedGenerationJob(job)) {
+        return { handled: false, taskId, state };
+    }
+
+    await finishGenerationJobFromTask(job, taskData);
+    return { handled: true, taskId, state, jobId: job.id };
+}
+
+module.exports = {
+    finishGenerationJobFromTask,
+    handleKieCallback,
+    releaseGenerationJobCredits
+};
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONTENT_POLICY_ERROR_CODE } = require('./kieApiError');
+const { createKieTask, getKieCallbackUrl, verifyKieCallback } = require('./kieTaskClient');
+const { isKieTaskWatched, waitForKieTask } = require('./kieTaskWatcher');
+const { handleKieCallback } = require('./kieWebhook');
+const { DEFAULT_PRICING, applyPricingRules, getPricingVersion, mergePricing } = require('./pricingCatalog');
+const { veilpixCreditsFromKieCredits } = require('./seedanceAdapter');
+const { mockJobStore, setEnv, startStubKieServer } = require('./testKieServer');
+
+const JOB_ID = '4f0c2a56-8f3e-4b7a-9d1c-2e5f6a7b8c9d';
+const successRecord = { state: 'success', resultJson: JSON.stringify({ resultUrls: ['https://example.com/out.png'] }) };
+
+function enableCallbacks(t) {
+    setEnv(t, {
+        KIE_CALLBACK_BASE_URL: 'https://api.veilpix.test/',
+        KIE_WEBHOOK_SECRET: 'test-secret'
+    });
+}
+
+function callbackQuery(callbackUrl) {
+    return Object.fromEntries(new URL(callbackUrl).searchParams);
+}
+
+test('tasks are created without a callback URL unless callbacks are configured', async (t) => {
+    setEnv(t, { KIE_CALLBACK_BASE_URL: undefined, KIE_WEBHOOK_SECRET: undefined });
+    assert.equal(getKieCallbackUrl(JOB_ID), null);
+
+    const created = await startStubKieServer(t, {});
+    await createKieTask('nano-banana-2', { prompt: 'hi' }, { callBackUrl: getKieCallbackUrl(JOB_ID) });
+
+    assert.deepEqual(created, [{ model: 'nano-banana-2', input: { prompt: 'hi' } }]);
+});
+
+test('signed callback URLs verify and reject tampering or expiry', (t) => {
+    enableCallbacks(t);
+    const now = Date.now();
+    const callbackUrl = getKieCallbackUrl(JOB_ID, now);
+    const query = callbackQuery(callbackUrl);
+
+    assert.ok(callbackUrl.startsWith('https://api.veilpix.test/api/webhooks/kie?'));
+    assert.deepEqual(verifyKieCallback(query, now), { valid: true, jobId: JOB_ID });
+    assert.equal(verifyKieCallback({ ...query, job: 'another-job' }, now).valid, false);
+    assert.equal(verifyKieCallback({ ...query, signature: 'bad' }, now).valid, false);
+    assert.equal(verifyKieCallback(query, Number(query.expires)).valid, false);
+});
+
+test('a callback settles the request waiting on its task', async (t) => {
+    enableCallbacks(t);
+    const created = await startStubKieServer(t, { 'task-1': [successRecord] });
+
+    const taskId = await createKieTask('nano-banana-2', { prompt: 'hi' }, { callBackUrl: getKieCallbackUrl(JOB_ID) });
+    // Callbacks are on, so the fallback sweep would not run for 30 seconds.
+    const waiting = waitForKieTask(taskId, { intervalMs: 1 });
+
+    const query = callbackQuery(created[0].callBackUrl);
+    const { valid, jobId } = verifyKieCallback(query);
+    assert.equal(valid, true);
+
+    const result = await handleKieCallback({ code: 200, data: { taskId, state: 'success' } }, { jobId });
+
+    assert.deepEqual(result, { handled: true, taskId, state: 'success' });
+    assert.deepEqual(await waiting, successRecord);
+    assert.equal(isKieTaskWatched(taskId), false);
+});
+
+test('the fallback sweep settles tasks whose callback never arrives', async (t) => {
+    setEnv(t, { KIE_CALLBACK_BASE_URL: undefined, KIE_WEBHOOK_SECRET: undefined });
+    await startStubKieServer(t, {
+        'task-sweep': [{ state: 'generating' }, { state: 'queuing' }, successRecord]
+    });
+
+    const taskData = await waitForKieTask('task-sweep', { intervalMs: 1 });
+
+    assert.deepEqual(taskData, successRecord);
+});
+
+test('the fallback sweep gives up at the task deadline', async (t) => {
+    setEnv(t, { KIE_CALLBACK_BASE_URL: undefined, KIE_WEBHOOK_SECRET: undefined });
+    await startStubKieServer(t, { 'task-stuck': [{ state: 'generating' }] });
+
+    await assert.rejects(
+        waitForKieTask('task-stuck', { maxAttempts: 3, intervalMs: 1, timeoutMessage: 'Too slow' }),
+        /Too slow/
+    );
+    assert.equal(isKieTaskWatched('task-stuck'), false);
+});
+
+test('callbacks for unfinished tasks change nothing', async (t) => {
+    await startStubKieServer(t, { 'task-running': [{ state: 'generating' }] });
+    const store = mockJobStore(t);
+
+    const result = await handleKieCallback({ data: { taskId: 'task-running' } });
+
+    assert.deepEqual(result, { handled: false, taskId: 'task-running', state: 'generating' });
+    assert.equal(store.lookup.mock.callCount(), 0);
+});
+
+test('a callback after a restart completes the job and captures its reservation', async (t) => {
+    await startStubKieServer(t, { 'task-orphan': [successRecord] });
+    const store = mockJobStore(t, {
+        job: {
+            id: JOB_ID,
+            kind: 'image',
+            provider: 'nanobanana2',
+            status: 'running',
+            credits_reserved: '2.00'
+        }
+    });
+
+    const result = await handleKieCallback({ data: { taskId: 'task-orphan' } }, { jobId: JOB_ID });
+
+    assert.deepEqual(result, { handled: true, taskId: 'task-orphan', state: 'success', jobId: JOB_ID });
+    assert.deepEqual(store.capture.mock.calls[0].arguments, [JOB_ID, '2.00']);
+    const [id, updates] = store.update.mock.calls[0].arguments;
+    assert.equal(id, JOB_ID);
+    assert.equal(updates.status, 'succeeded');
+    assert.deepEqual(updates.result_urls, ['https://example.com/out.png']);
+    assert.equal(updates.credits_charged, 2);
+    assert.equal(store.release.mock.callCount(), 0);
+});
+
+test('an orphaned Seedance job is charged what Kie consumed at the prices it was estimated under', async (t) => {
+    // A rule that doubled the Kie credit price took effect after the job started.
+    const raised = mergePricing(DEFAULT_PRICING, { kieCreditUsd: DEFAULT_PRICING.kieCreditUsd * 2 });
+    t.after(() => applyPricingRules([]));
+    applyPricingRules([{ id: 'rule-raised', pricing: raised, effective_from: '2026-01-01T00:00:00Z', created_at: '2026-01-01T00:00:00Z' }]);
+
+    await startStubKieServer(t, {
+        'task-seedance': [{ state: 'success', creditsConsumed: 2000, resultJson: JSON.stringify({ videoUrl: 'https://example.com/out.mp4' }) }]
+    });
+    const store = mockJobStore(t, {
+        job: {
+            id: JOB_ID,
+            kind: 'video',
+            request_type: 'seedance-video',
+            provider: 'seedance',
+            status: 'running',
+            input_params: { pricingVersion: getPricingVersion(DEFAULT_PRICING) },
+            credits_reserved: '5.00'
+        }
+    });
+
+    await handleKieCallback({ data: { taskId: 'task-seedance' } }, { jobId: JOB_ID });
+
+    const charged = veilpixCreditsFromKieCredits(2000, DEFAULT_PRICING);
+    assert.ok(charged > 5);
+    assert.deepEqual(store.capture.mock.calls[0].arguments, [JOB_ID, charged]);
+    assert.equal(store.update.mock.calls[0].arguments[1].credits_charged, charged);
+});
+
+test('a failed orphaned video job records the moderation code and releases its credits', async (t) => {
+    await startStubKieServer(t, {
+        'task-video': [{ state: 'fail', failCode: 500, failMsg: 'Content review rejected' }]
+    });
+    const store = mockJobStore(t, {
+        job: {
+            id: JOB_ID,
+            kind: 'video',
+            provider: 'wan',
+            status: 'running',
+            credits_reserved: '10.00'
+        }
+    });
+
+    await handleKieCallback({ data: { taskId: 'task-video' } });
+
+    assert.equal(store.update.mock.calls[0].arguments[1].status, 'failed');
+    assert.equal(store.update.mock.calls[0].arguments[1].error_code, CONTENT_POLICY_ERROR_CODE);
+    assert.deepEqual(store.release.mock.calls[0].arguments, [JOB_ID]);
+    assert.equal(store.capture.mock.callCount(), 0);
+});
+
+test('settled jobs and jobs from another callback URL are left alone', async (t) => {
+    await startStubKieServer(t, { 'task-done': [successRecord] });
+    const store = mockJobStore(t, { job: { id: JOB_ID, kind: 'image', provider: 'nanobanana2', status: 'succeeded' } });
+
+    assert.equal((await handleKieCallback({ data: { taskId: 'task-done' } })).handled, false);
+
+    store.lookup.mock.mockImplementation(async () => ({
+        job: { id: JOB_ID, kind: 'image', provider: 'nanobanana2', status: 'running' },
+        error: null
+    }));
+    const mismatched = await handleKieCallback({ data: { taskId: 'task-done' } }, { jobId: 'another-job' });
+
+    assert.equal(mismatched.handled, false);
+    assert.equal(store.update.mock.callCount(), 0);
+    assert.equal(store.capture.mock.callCount(), 0);
+});
@@ -0,0 +1,64 @@
+/**
+ * Model Constraints
+ *
+ * What each model accepts — prompt length, aspect ratios, resolutions,
+ * reference counts and durations — is declared once in modelConstraints.json.
+ * The API validates requests against it through the helpers below, and the
+ * web app imports the same file (src/utils/modelConstraints.ts) so the
+ * composer can rule out invalid combinations before a request is sent.
+ */
+
+const MODEL_CONSTRAINTS = require('./modelConstraints.json');
+
+const IMAGE_MODEL_CONSTRAINTS = MODEL_CONSTRAINTS.image;
+const WAN_VIDEO_CONSTRAINTS = MODEL_CONSTRAINTS.video.wan;
+const SEEDANCE_VIDEO_CONSTRAINTS = MODEL_CONSTRAINTS.video.seedance;
+
+const WAN_VIDEO_MODES = {
+    IMAGE_TO_VIDEO: 'image-to-video',
+    TEXT_TO_VIDEO: 'text-to-video',
+    REFERENCE_TO_VIDEO: 'reference-to-video'
+};
+
+function getImageConstraints(providerId) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_MODEL_CONSTRAINTS, providerId)
+        ? IMAGE_MODEL_CONSTRAINTS[providerId]
+        : null;
+}
+
+function getWanModeConstraints(mode) {
+    return WAN_VIDEO_CONSTRAINTS.modes[mode] || WAN_VIDEO_CONSTRAINTS.modes[WAN_VIDEO_MODES.TEXT_TO_VIDEO];
+}
+
+/**
+ * Prompt limits for an image provider id, 'seedance', or 'wan' in one of
+ * WAN_VIDEO_MODES. Returns null for an unknown target.
+ */
+function getPromptLimits(target, wanMode = WAN_VIDEO_MODES.TEXT_TO_VIDEO) {
+    if (target === 'wan') return getWanModeConstraints(wanMode).prompt;
+    if (target === 'seedance') return SEEDANCE_VIDEO_CONSTRAINTS.prompt;
+    return getImageConstraints(target)?.prompt || null;
+}
+
+/**
+ * Describe why a prompt falls outside `limits`, or return null when it fits.
+ * Length is measured after trimming, the same way the routes submit prompts.
+ */
+function getPromptLengthError(prompt, limits, subject = 'Prompt') {
+    const length = typeof prompt === 'string' ? prompt.trim().length : 0;
+    if (length >= limits.min && length <= limits.max) return null;
+    if (limits.min > 1) return `${subject} must be between ${limits.min} and ${limits.max} characters`;
+    return length === 0 ? `${subject} is required` : `${subject} must be ${limits.max} characters or less`;
+}
+
+module.exports = {
+    IMAGE_MODEL_CONSTRAINTS,
+    MODEL_CONSTRAINTS,
+    SEEDANCE_VIDEO_CONSTRAINTS,
+    WAN_VIDEO_CONSTRAINTS,
+    WAN_VIDEO_MODES,
+    getImageConstraints,
+    getPromptLengthError,
+    getPromptLimits,
+    getWanModeConstraints
+};
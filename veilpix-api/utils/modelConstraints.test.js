@@ -0,0 +1,49 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+    IMAGE_MODEL_CONSTRAINTS,
+    WAN_VIDEO_MODES,
+    getImageConstraints,
+    getPromptLengthError,
+    getPromptLimits
+} = require('./modelConstraints');
+const { IMAGE_PROVIDERS } = require('./imageProviders');
+const { ASPECT_RATIOS, SEEDANCE_DURATION_LIMITS } = require('./seedanceAdapter');
+
+test('every image provider is described by the constraints file', () => {
+    assert.deepEqual(Object.keys(IMAGE_MODEL_CONSTRAINTS).sort(), Object.keys(IMAGE_PROVIDERS).sort());
+    for (const provider of Object.values(IMAGE_PROVIDERS)) {
+        assert.equal(provider.constraints, getImageConstraints(provider.id));
+        assert.ok(provider.constraints.aspectRatios.includes(provider.defaultAspectRatio), provider.id);
+    }
+    assert.equal(getImageConstraints('constructor'), null);
+});
+
+test('prompt limits resolve per image provider and Wan mode', () => {
+    assert.deepEqual(getPromptLimits('zimage'), { min: 3, max: 1000 });
+    assert.equal(getPromptLimits('seedream').max, 2000);
+    assert.equal(getPromptLimits('seedance').max, 5000);
+    assert.equal(getPromptLimits('wan', WAN_VIDEO_MODES.IMAGE_TO_VIDEO).max, 1500);
+    assert.equal(getPromptLimits('wan', WAN_VIDEO_MODES.REFERENCE_TO_VIDEO).max, 5000);
+    assert.equal(getPromptLimits('wan').max, 5000);
+    assert.equal(getPromptLimits('midjourney'), null);
+});
+
+test('prompt length errors measure the trimmed prompt', () => {
+    const zimage = getPromptLimits('zimage');
+    assert.equal(getPromptLengthError('  a fox  ', zimage), null);
+    assert.equal(getPromptLengthError(' ab ', zimage, 'Z-Image prompts'), 'Z-Image prompts must be between 3 and 1000 characters');
+
+    const wan = getPromptLimits('wan', WAN_VIDEO_MODES.IMAGE_TO_VIDEO);
+    assert.equal(getPromptLengthError('x'.repeat(1500), wan), null);
+    assert.equal(getPromptLengthError('x'.repeat(1501), wan), 'Prompt must be 1500 characters or less');
+    assert.equal(getPromptLengthError('   ', wan, 'Adjustment'), 'Adjustment is required');
+    assert.equal(getPromptLengthError(undefined, wan), 'Prompt is required');
+});
+
+test('Seedance adapter limits come from the constraints file', () => {
+    assert.deepEqual(ASPECT_RATIOS, ['16:9', '4:3', '1:1', '3:4', '9:16', '21:9', 'adaptive']);
+    assert.deepEqual(SEEDANCE_DURATION_LIMITS.fast, { min: 4, max: 15, defaultValue: 5 });
+    assert.deepEqual(Object.keys(SEEDANCE_DURATION_LIMITS), ['regular', 'fast', 'mini']);
+});
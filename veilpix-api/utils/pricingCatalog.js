@@ -0,0 +1,266 @@
+/**
+ * Pricing Catalog
+ *
+ * Every credit price VeilPix charges, in one place. imageCreditPricing.js,
+ * seedanceAdapter.js and routes/wan.js compute charges from the active
+ * catalog, and GET /api/pricing/catalog serves it to the web app, which
+ * computes its estimates with the same formulas.
+ *
+ * Prices are stored as rules in the pricing_rules table, each with an
+ * effective-from date, and the newest rule in effect is the active catalog.
+ * DEFAULT_PRICING applies until the first rule exists. The server reloads the
+ * rules every minute, so an edit made through the admin endpoint or a
+ * scheduled rule reaches every instance without a deploy.
+ *
+ * Kie-hosted models are priced in Kie credits and converted to VeilPix credits
+ * at the billable rate (the credit price less the target margin). Wan video
+ * is priced in VeilPix credits directly.
+ */
+
+const { createHash } = require('node:crypto');
+const { db } = require('./database');
+
+const PRICING_REFRESH_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_PRICING = {
+    veilpixCreditUsd: 6.99 / 100,
+    targetMargin: 0.12,
+    kieCreditUsd: 0.005,
+    image: {
+        // Kie credits per image, by provider and resolution
+        kieCredits: {
+            nanobanana2: { '1K': 8, '2K': 12, '4K': 18 },
+            nanobananapro: { '1K': 18, '2K': 18, '4K': 24 },
+            seedream: { '1K': 7, '2K': 5.5, '4K': 5.5 },
+            wanimage: { '1K': 4.8, '2K': 4.8, '4K': 12 },
+            zimage: { '1K': 0.8 }
+        },
+        // Seedream is priced by tier rather than by the provider table above
+        seedreamTiers: {
+            lite: { '2K': 5.5, '4K': 5.5 },
+            pro: { '1K': 7, '2K': 14 }
+        },
+        // Kie credits per Seedream input image beyond the first
+        seedreamExtraInputKieCredits: 0.5,
+        minimumCredits: {
+            zimage: 0.1
+        }
+    },
+    video: {
+        wan: {
+            // VeilPix credits by duration and resolution, ~12% margin
+            credits: {
+                5: { '720p': 7, '1080p': 10 },
+                10: { '720p': 13, '1080p': 19 },
+                15: { '720p': 19, '1080p': 29 }
+            },
+            // Per-second fallback for durations missing from the table
+            fallbackCreditsPerSecond: { '720p': 1.4, '1080p': 2.0 }
+        },
+        seedance: {
+            // Kie credits per second of output plus reference video
+            kieCreditsPerSecond: {
+                fast: {
+                    '480p': { noVideo: 15.5, withVideo: 9 },
+                    '720p': { noVideo: 33, withVideo: 20 }
+                },
+                mini: {
+                    '480p': { noVideo: 9.5, withVideo: 6 },
+                    '720p': { noVideo: 20.5, withVideo: 12.5 }
+                },
+                regular: {
+                    '480p': { noVideo: 19, withVideo: 11.5 },
+                    '720p': { noVideo: 41, withVideo: 25 },
+                    '1080p': { noVideo: 102, withVideo: 62 }
+                }
+            },
+            minimumCredits: 1
+        }
+    }
+};
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSONB does not keep key order, so hash the tables with their keys sorted.
+function canonicalJson(value) {
+    if (!isPlainObject(value)) return JSON.stringify(value);
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+}
+
+// The version is a hash of the tables, so it changes exactly when a price does.
+function getPricingVersion(pricing) {
+    return createHash('sha256').update(canonicalJson(pricing)).digest('hex').slice(0, 16);
+}
+
+function createCatalog(pricing, effectiveFrom = null) {
+    return {
+        version: getPricingVersion(pricing),
+        effectiveFrom,
+        ...pricing
+    };
+}
+
+const DEFAULT_CATALOG = createCatalog(DEFAULT_PRICING);
+
+let activeCatalog = DEFAULT_CATALOG;
+let loadedRules = [];
+
+/**
+ * The catalog charges are computed from: `{ version, effectiveFrom, ...tables }`.
+ * It only changes between requests, when the rules are reloaded, so a route
+ * that reads a price and its version in the same tick always gets a matching
+ * pair.
+ */
+function getPricingCatalog() {
+    return activeCatalog;
+}
+
+/**
+ * The catalog with `version`: the active one, one from a loaded rule or the
+ * defaults. Falls back to the active catalog for a version that is no longer
+ * known, e.g. a job recorded before pricing versions were.
+ */
+function getPricingCatalogForVersion(version) {
+    if (!version || version === activeCatalog.version) return activeCatalog;
+    if (version === DEFAULT_CATALOG.version) return DEFAULT_CATALOG;
+
+    const rule = loadedRules.find(candidate => !getPricingError(candidate.pricing) && getPricingVersion(candidate.pricing) === version);
+    return rule ? createCatalog(rule.pricing, new Date(rule.effective_from).toISOString()) : activeCatalog;
+}
+
+function getBillableUsdPerVeilpixCredit(pricing = activeCatalog) {
+    return pricing.veilpixCreditUsd * (1 - pricing.targetMargin);
+}
+
+/**
+ * Describe why `pricing` does not have exactly the shape of DEFAULT_PRICING
+ * with non-negative numbers in it, or return null when it does.
+ */
+function getPricingError(pricing, shape = DEFAULT_PRICING, path = 'pricing') {
+    if (!isPlainObject(pricing)) return `${path} must be an object`;
+
+    const unknownKey = Object.keys(pricing).find(key => !Object.prototype.hasOwnProperty.call(shape, key));
+    if (unknownKey) return `${path}.${unknownKey} is not a known price`;
+
+    for (const [key, expected] of Object.entries(shape)) {
+        const value = pricing[key];
+        const error = isPlainObject(expected)
+            ? getPricingError(value, expected, `${path}.${key}`)
+            : typeof value === 'number' && Number.isFinite(value) && value >= 0
+                ? null
+                : `${path}.${key} must be a non-negative number`;
+        if (error) return error;
+    }
+
+    if (shape === DEFAULT_PRICING) {
+        if (pricing.targetMargin >= 1) return 'pricing.targetMargin must be less than 1';
+        if (pricing.veilpixCreditUsd === 0 || pricing.kieCreditUsd === 0) {
+            return 'pricing.veilpixCreditUsd and pricing.kieCreditUsd must be greater than 0';
+        }
+    }
+    return null;
+}
+
+/**
+ * Apply a partial update such as `{ targetMargin: 0.15 }` or
+ * `{ video: { seedance: { minimumCredits: 2 } } }` to `base`.
+ */
+function mergePricing(base, changes) {
+    if (!isPlainObject(base) || !isPlainObject(changes)) return changes;
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(changes)) {
+        merged[key] = mergePricing(base[key], value);
+    }
+    return merged;
+}
+
+function stripCatalogFields({ version, effectiveFrom, ...pricing }) {
+    return pricing;
+}
+
+/**
+ * Make the newest valid rule whose effective_from has passed the active
+ * catalog, or the defaults when there is none. `rules` are pricing_rules rows.
+ */
+function applyPricingRules(rules, now = new Date()) {
+    loadedRules = rules;
+    const current = rules
+        .filter(rule => new Date(rule.effective_from) <= now)
+        .filter(rule => {
+            const error = getPricingError(rule.pricing);
+            if (error) console.error(`Ignoring pricing rule ${rule.id}: ${error}`);
+            return !error;
+        })
+        .sort((a, b) => (
+            new Date(b.effective_from) - new Date(a.effective_from)
+            || new Date(b.created_at) - new Date(a.created_at)
+        ))[0];
+
+    activeCatalog = current
+        ? createCatalog(current.pricing, new Date(current.effective_from).toISOString())
+        : DEFAULT_CATALOG;
+    return activeCatalog;
+}
+
+/**
+ * Reload the rules from the database. When that fails the last rules loaded
+ * stay in use, and a scheduled rule among them still takes effect on time.
+ */
+async function refreshPricingRules() {
+    const { rules, error } = await db.getPricingRules();
+    if (error) {
+        console.error('Failed to load pricing rules:', error);
+        return applyPricingRules(loadedRules);
+    }
+    return applyPricingRules(rules);
+}
+
+function startPricingRulesRefresh(intervalMs = PRICING_REFRESH_INTERVAL_MS) {
+    const refresh = () => refreshPricingRules().catch(error => console.error('Failed to refresh pricing rules:', error));
+    refresh();
+    const timer = setInterval(refresh, intervalMs);
+    timer.unref();
+    return timer;
+}
+
+/**
+ * Store a rule that applies `changes` to the prices in effect now from
+ * `effectiveFrom` on. Returns `{ rule, error }`; a validation problem comes
+ * back as `error.message` with `error.invalid` set.
+ */
+async function createPricingRule({ changes, effectiveFrom = new Date(), note = null, createdBy }) {
+    const pricing = mergePricing(stripCatalogFields(activeCatalog), changes);
+    const pricingError = getPricingError(pricing);
+    if (pricingError) {
+        return { rule: null, error: Object.assign(new Error(pricingError), { invalid: true }) };
+    }
+
+    const { rule, error } = await db.createPricingRule({
+        version: getPricingVersion(pricing),
+        pricing,
+        effective_from: effectiveFrom.toISOString(),
+        note,
+        created_by: createdBy
+    });
+    if (error) return { rule: null, error };
+
+    await refreshPricingRules();
+    return { rule, error: null };
+}
+
+module.exports = {
+    DEFAULT_PRICING,
+    applyPricingRules,
+    createPricingRule,
+    getBillableUsdPerVeilpixCredit,
+    getPricingCatalog,
+    getPricingCatalogForVersion,
+    getPricingError,
+    getPricingVersion,
+    mergePricing,
+    refreshPricingRules,
+    startPricingRulesRefresh
+};
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const http = require('node:http');
+const { once } = require('node:events');
+
+const { db } = require('./database');
+const {
+    DEFAULT_PRICING,
+    applyPricingRules,
+    createPricingRule,
+    getPricingCatalog,
+    getPricingError,
+    getPricingVersion,
+    mergePricing
+} = require('./pricingCatalog');
+const { IMAGE_WORKFLOWS, getImageCreditDetails } = require('./imageCreditPricing');
+const { estimateSeedanceKieCredits } = require('./seedanceAdapter');
+const { createPricingRouter } = require('../routes/pricing');
+
+function createRule(pricing, effectiveFrom, overrides = {}) {
+    return {
+        id: `rule-${effectiveFrom}`,
+        version: getPricingVersion(pricing),
+        pricing,
+        effective_from: effectiveFrom,
+        created_at: effectiveFrom,
+        ...overrides
+    };
+}
+
+test('the default catalog carries a version derived from its prices', (t) => {
+    t.after(() => applyPricingRules([]));
+    const catalog = applyPricingRules([]);
+
+    assert.match(catalog.version, /^[0-9a-f]{16}$/);
+    assert.equal(catalog.version, getPricingVersion(DEFAULT_PRICING));
+    assert.equal(catalog.effectiveFrom, null);
+    assert.deepEqual(catalog.image, DEFAULT_PRICING.image);
+
+    // Rules come back from JSONB with their keys reordered
+    const { image, video, ...rates } = DEFAULT_PRICING;
+    assert.equal(getPricingVersion({ video, image, ...rates }), catalog.version);
+});
+
+test('charges are computed from the active catalog and report its version', (t) => {
+    t.after(() => applyPricingRules([]));
+    const details = getImageCreditDetails('nanobanana2', '4K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE);
+    assert.equal(details.kieCredits, DEFAULT_PRICING.image.kieCredits.nanobanana2['4K']);
+    assert.equal(details.pricingVersion, getPricingCatalog().version);
+
+    const pricing = mergePricing(DEFAULT_PRICING, {
+        image: { kieCredits: { nanobanana2: { '4K': 36 } } },
+        video: { seedance: { kieCreditsPerSecond: { fast: { '480p': { noVideo: 20 } } } } }
+    });
+    const catalog = applyPricingRules([createRule(pricing, '2026-01-01T00:00:00Z')]);
+
+    const repriced = getImageCreditDetails('nanobanana2', '4K', IMAGE_WORKFLOWS.TEXT_TO_IMAGE);
+    assert.equal(repriced.kieCredits, 36);
+    assert.equal(repriced.credits, 3);
+    assert.equal(repriced.pricingVersion, catalog.version);
+    assert.notEqual(catalog.version, details.pricingVersion);
+    assert.equal(estimateSeedanceKieCredits({ variant: 'fast', resolution: '480p', duration: 5 }), 100);
+});
+
+test('the newest rule in effect wins and scheduled rules wait for their date', (t) => {
+    t.after(() => applyPricingRules([]));
+    t.mock.method(console, 'error', () => {});
+    const lowMargin = mergePricing(DEFAULT_PRICING, { targetMargin: 0.1 });
+    const highMargin = mergePricing(DEFAULT_PRICING, { targetMargin: 0.2 });
+    const rules = [
+        createRule(lowMargin, '2026-01-01T00:00:00Z'),
+        createRule(highMargin, '2026-03-01T00:00:00Z'),
+        createRule({ targetMargin: 0.3 }, '2026-02-01T00:00:00Z')
+    ];
+
+    assert.equal(applyPricingRules(rules, new Date('2025-12-01T00:00:00Z')).version, getPricingVersion(DEFAULT_PRICING));
+    assert.equal(applyPricingRules(rules, new Date('2026-02-15T00:00:00Z')).targetMargin, 0.1);
+    const catalog = applyPricingRules(rules, new Date('2026-03-01T00:00:00Z'));
+    assert.equal(catalog.targetMargin, 0.2);
+    assert.equal(catalog.effectiveFrom, '2026-03-01T00:00:00.000Z');
+});
+
+test('pricing updates must keep the shape of the default tables', () => {
+    assert.equal(getPricingError(DEFAULT_PRICING), null);
+    assert.equal(getPricingError(mergePricing(DEFAULT_PRICING, { targetMargin: 0.15 })), null);
+    assert.equal(
+        getPricingError(mergePricing(DEFAULT_PRICING, { image: { kieCredits: { midjourney: { '1K': 4 } } } })),
+        'pricing.image.kieCredits.midjourney is not a known price'
+    );
+    assert.equal(
+        getPricingError(mergePricing(DEFAULT_PRICING, { video: { wan: { credits: { 5: { '720p': -1 } } } } })),
+        'pricing.video.wan.credits.5.720p must be a non-negative number'
+    );
+    assert.equal(getPricingError(mergePricing(DEFAULT_PRICING, { targetMargin: 1 })), 'pricing.targetMargin must be less than 1');
+    assert.equal(getPricingError(mergePricing(DEFAULT_PRICING, undefined)), 'pricing must be an object');
+});
+
+test('new rules are merged onto the prices in effect and stored with their version', async (t) => {
+    t.after(() => applyPricingRules([]));
+    const stored = [];
+    const create = t.mock.method(db, 'createPricingRule', async (rule) => {
+        const row = { id: 'rule-1', created_at: rule.effective_from, ...rule };
+        stored.push(row);
+        return { rule: row, error: null };
+    });
+    t.mock.method(db, 'getPricingRules', async () => ({ rules: stored, error: null }));
+
+    const invalid = await createPricingRule({ changes: { targetMargin: 'high' }, createdBy: 'user_admin' });
+    assert.equal(invalid.error.invalid, true);
+    assert.equal(create.mock.callCount(), 0);
+
+    const { rule, error } = await createPricingRule({
+        changes: { kieCreditUsd: 0.006 },
+        effectiveFrom: new Date(Date.now() - 1000),
+        note: 'Kie price change',
+        createdBy: 'user_admin'
+    });
+
+    assert.equal(error, null);
+    assert.equal(rule.pricing.kieCreditUsd, 0.006);
+    assert.deepEqual(rule.pricing.video, DEFAULT_PRICING.video);
+    assert.equal(rule.version, getPricingVersion(rule.pricing));
+    assert.equal(rule.created_by, 'user_admin');
+    assert.equal(getPricingCatalog().version, rule.version);
+});
+
+// fetch() turns an If-None-Match request into a no-cache one, which Express
+// never treats as fresh, so conditional requests go through node:http.
+function getStatus(url, headers) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers }, (res) => {
+            res.resume();
+            resolve({ status: res.statusCode, etag: res.headers.etag });
+        }).on('error', reject);
+    });
+}
+
+test('the catalog endpoint answers 304 until the version changes', async (t) => {
+    let version = 'v1';
+    const app = express();
+    app.use('/api/pricing', createPricingRouter({ getCatalog: () => ({ version, image: {}, video: {} }) }));
+
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    await once(server, 'listening');
+    const url = `http://127.0.0.1:${server.address().port}/api/pricing/catalog`;
+
+    const first = await fetch(url);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('etag'), '"v1"');
+    assert.equal((await first.json()).version, 'v1');
+
+    assert.equal((await getStatus(url, { 'If-None-Match': '"v1"' })).status, 304);
+
+    version = 'v2';
+    assert.deepEqual(await getStatus(url, { 'If-None-Match': '"v1"' }), { status: 200, etag: '"v2"' });
+});
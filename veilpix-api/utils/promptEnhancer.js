@@ -0,0 +1,203 @@
+/**
+ * Prompt Enhancer
+ *
+ * Expands terse prompts with guidance for the model they are going to:
+ * camera language for Seedance, shot structure for Wan multi-shot clips and
+ * instruction phrasing for Nano Banana edits. An enhancer is any object with
+ * a `name` and an async `enhance({ prompt, target, hasImage, multiShot })`
+ * that resolves to `{ prompt, notes }`. routes/prompts.js only talks to that
+ * interface, so the rule-based implementation below can be swapped for a
+ * model-backed one by registering it in PROMPT_ENHANCERS.
+ */
+
+const { WAN_VIDEO_MODES, getPromptLimits } = require('./modelConstraints');
+
+const NANO_BANANA_TARGETS = ['nanobanana2', 'nanobananapro'];
+
+const STYLE_EXPANSIONS = [
+    { pattern: /\bcinematic\b/i, detail: 'cinematic composition, shallow depth of field and a filmic color grade' },
+    { pattern: /\b(moody|dramatic)\b/i, detail: 'low-key lighting with deep shadows and strong contrast' },
+    { pattern: /\b(vintage|retro)\b/i, detail: 'faded film colors and soft grain' },
+    { pattern: /\b(dreamy|ethereal)\b/i, detail: 'soft diffused light, gentle bloom and pastel tones' },
+    { pattern: /\b(realistic|photorealistic)\b/i, detail: 'photorealistic detail with natural skin and material textures' }
+];
+
+const CAMERA_PATTERN = /\b(camera|shot|dolly|pan|pans|panning|tilt|zoom|tracking|crane|handheld|close-up|closeup|wide|aerial|orbit|push-in|pull-back|static)\b/i;
+const LIGHTING_PATTERN = /\b(light|lighting|lit|sunlight|shadows?|glow|golden hour|backlit|neon)\b/i;
+const PRESERVE_PATTERN = /\b(keep|unchanged|preserve|leave|same)\b/i;
+const SHOT_LABEL_PATTERN = /\bshot\s*\d/i;
+const WAN_SHOT_FRAMINGS = ['wide establishing shot', 'medium shot', 'close-up', 'medium shot'];
+
+// For Wan, `hasImage` means a single start image, which has the shortest limit.
+function getTargetMaxPromptLength(target, hasImage = false) {
+    const wanMode = hasImage ? WAN_VIDEO_MODES.IMAGE_TO_VIDEO : WAN_VIDEO_MODES.TEXT_TO_VIDEO;
+    return getPromptLimits(target, wanMode).max;
+}
+
+/**
+ * Validate an enhance request body. Returns null when the target is unknown
+ * or the prompt is empty or already over the target's limit.
+ */
+function normalizeEnhanceRequest(body = {}) {
+    const target = typeof body.target === 'string' ? body.target.trim().toLowerCase() : '';
+    if (!getPromptLimits(target)) return null;
+
+    const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+    const hasImage = body.hasImage === true || body.hasImage === 'true';
+    if (!prompt || prompt.length > getTargetMaxPromptLength(target, hasImage)) return null;
+
+    return {
+        prompt,
+        target,
+        hasImage,
+        multiShot: target === 'wan' && (body.multiShot === true || body.multiShot === 'true')
+    };
+}
+
+function splitSentences(text) {
+    return text
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.trim().replace(/[.!?]+$/, ''))
+        .filter(Boolean);
+}
+
+function lowerFirst(text) {
+    return /^[A-Z][a-z]/.test(text) ? text.charAt(0).toLowerCase() + text.slice(1) : text;
+}
+
+function upperFirst(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function addStyleDetail(prompt, notes) {
+    const details = STYLE_EXPANSIONS
+        .filter(({ pattern }) => pattern.test(prompt))
+        .map(({ detail }) => detail);
+    if (details.length === 0) return prompt;
+    notes.push('Spelled out the style words');
+    return `${prompt}: ${details.join('; ')}`;
+}
+
+function enhanceNanoBananaEdit(prompt, notes) {
+    let enhanced = prompt;
+    if (!/^using the (provided|attached|uploaded) image\b/i.test(enhanced)) {
+        enhanced = `Using the provided image, ${lowerFirst(enhanced)}`;
+        notes.push('Phrased as an instruction about the provided image');
+    }
+    enhanced = addStyleDetail(enhanced, notes);
+    if (!PRESERVE_PATTERN.test(prompt)) {
+        enhanced = `${enhanced}. Keep everything else unchanged, including the composition, lighting and the subject's identity`;
+        notes.push('Asked to preserve what the edit does not mention');
+    }
+    return enhanced;
+}
+
+function enhanceStill(prompt, notes) {
+    let enhanced = addStyleDetail(prompt, notes);
+    if (!LIGHTING_PATTERN.test(prompt)) {
+        enhanced = `${enhanced}. Natural, well-balanced lighting and sharp detail`;
+        notes.push('Added lighting and detail');
+    }
+    return enhanced;
+}
+
+function addCameraDirection(prompt, notes) {
+    if (CAMERA_PATTERN.test(prompt)) return prompt;
+    notes.push('Added camera direction');
+    return `${prompt}. Camera: slow push-in on a medium shot, smooth stabilized movement`;
+}
+
+function enhanceSeedance(prompt, hasImage, notes) {
+    let enhanced = prompt;
+    if (hasImage && !/\b(image|frame|reference)\b/i.test(enhanced)) {
+        enhanced = `Starting from the provided image, ${lowerFirst(enhanced)}`;
+        notes.push('Anchored the motion to the provided image');
+    }
+    enhanced = addStyleDetail(enhanced, notes);
+    enhanced = addCameraDirection(enhanced, notes);
+    if (!/\b(motion|moves?|moving|walks?|turns?|runs?|flows?|drifts?)\b/i.test(prompt)) {
+        enhanced = `${enhanced}. Natural, continuous motion`;
+        notes.push('Described the motion');
+    }
+    return enhanced;
+}
+
+// Wan multi-shot clips follow "Shot 1: … Shot 2: …" with a framing per shot.
+function enhanceWanMultiShot(prompt, notes) {
+    if (SHOT_LABEL_PATTERN.test(prompt)) return addStyleDetail(prompt, notes);
+    const sentences = splitSentences(addStyleDetail(prompt, notes));
+    const shots = sentences.length > 1
+        ? sentences
+        : [sentences[0], 'continue the same action, closer on the subject'];
+    notes.push('Split into numbered shots with a framing for each');
+    return shots
+        .map((shot, index) => `Shot ${index + 1} (${WAN_SHOT_FRAMINGS[index % WAN_SHOT_FRAMINGS.length]}): ${upperFirst(shot)}.`)
+        .join('\n');
+}
+
+function finishSentence(text) {
+    return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+/**
+ * Deterministic enhancer built from the per-model guidance above. It needs no
+ * network access, which also makes it the implementation tests run against.
+ */
+function createRuleBasedEnhancer() {
+    return {
+        name: 'rules',
+        async enhance({ prompt, target, hasImage = false, multiShot = false }) {
+            const notes = [];
+            const base = prompt.trim().replace(/[.!?]+$/, '');
+            let enhanced;
+
+            if (target === 'seedance') {
+                enhanced = enhanceSeedance(base, hasImage, notes);
+            } else if (target === 'wan') {
+                enhanced = multiShot ? enhanceWanMultiShot(base, notes) : addCameraDirection(addStyleDetail(base, notes), notes);
+            } else if (NANO_BANANA_TARGETS.includes(target) && hasImage) {
+                enhanced = enhanceNanoBananaEdit(base, notes);
+            } else {
+                enhanced = enhanceStill(base, notes);
+            }
+
+            return { prompt: finishSentence(enhanced), notes };
+        }
+    };
+}
+
+const PROMPT_ENHANCERS = {
+    rules: createRuleBasedEnhancer
+};
+
+function getPromptEnhancer(name = process.env.PROMPT_ENHANCER) {
+    const createEnhancer = PROMPT_ENHANCERS[name] || PROMPT_ENHANCERS.rules;
+    return createEnhancer();
+}
+
+/**
+ * Run an enhancer and shape the response. Output that is empty or longer
+ * than the target accepts is discarded in favour of the original prompt.
+ */
+async function enhancePrompt(request, enhancer) {
+    const result = await enhancer.enhance(request);
+    const enhanced = typeof result?.prompt === 'string' ? result.prompt.trim() : '';
+    const usable = enhanced.length > 0 && enhanced.length <= getTargetMaxPromptLength(request.target, request.hasImage);
+
+    return {
+        original: request.prompt,
+        enhanced: usable ? enhanced : request.prompt,
+        changed: usable && enhanced !== request.prompt,
+        notes: usable && Array.isArray(result.notes) ? result.notes : [],
+        enhancer: enhancer.name
+    };
+}
+
+module.exports = {
+    PROMPT_ENHANCERS,
+    createRuleBasedEnhancer,
+    enhancePrompt,
+    getPromptEnhancer,
+    getTargetMaxPromptLength,
+    normalizeEnhanceRequest
+};
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createRuleBasedEnhancer,
+    enhancePrompt,
+    getPromptEnhancer,
+    normalizeEnhanceRequest
+} = require('./promptEnhancer');
+
+const enhancer = createRuleBasedEnhancer();
+
+test('validates the target and the prompt length per model', () => {
+    assert.deepEqual(normalizeEnhanceRequest({ prompt: '  a fox  ', target: 'Seedance' }), {
+        prompt: 'a fox',
+        target: 'seedance',
+        hasImage: false,
+        multiShot: false
+    });
+    assert.equal(normalizeEnhanceRequest({ prompt: 'a fox', target: 'midjourney' }), null);
+    assert.equal(normalizeEnhanceRequest({ prompt: '   ', target: 'seedream' }), null);
+    assert.equal(normalizeEnhanceRequest({ prompt: 'x'.repeat(1001), target: 'zimage' }), null);
+    assert.equal(normalizeEnhanceRequest({ prompt: 'x'.repeat(1600), target: 'wan', hasImage: true }), null);
+    assert.equal(normalizeEnhanceRequest({ prompt: 'a fox', target: 'seedance', multiShot: true }).multiShot, false);
+});
+
+test('phrases Nano Banana edits as instructions that preserve the rest of the image', async () => {
+    const result = await enhancePrompt(
+        normalizeEnhanceRequest({ prompt: 'Make it cinematic', target: 'nanobanana2', hasImage: true }),
+        enhancer
+    );
+
+    assert.equal(result.changed, true);
+    assert.match(result.enhanced, /^Using the provided image, make it cinematic: cinematic composition/);
+    assert.match(result.enhanced, /Keep everything else unchanged/);
+    assert.equal(result.original, 'Make it cinematic');
+    assert.equal(result.enhancer, 'rules');
+});
+
+test('adds camera language to Seedance prompts that have none', async () => {
+    const bare = await enhancer.enhance({ prompt: 'a fox in the snow', target: 'seedance' });
+    const directed = await enhancer.enhance({ prompt: 'a fox runs, tracking shot', target: 'seedance' });
+
+    assert.match(bare.prompt, /Camera: slow push-in/);
+    assert.ok(bare.notes.includes('Added camera direction'));
+    assert.doesNotMatch(directed.prompt, /Camera:/);
+});
+
+test('structures Wan multi-shot prompts as numbered shots', async () => {
+    const { prompt } = await enhancer.enhance({
+        prompt: 'A chef plates a dish. Steam rises from the plate.',
+        target: 'wan',
+        multiShot: true
+    });
+
+    assert.equal(
+        prompt,
+        'Shot 1 (wide establishing shot): A chef plates a dish.\nShot 2 (medium shot): Steam rises from the plate.'
+    );
+});
+
+test('keeps the original when an enhancer returns nothing usable', async () => {
+    const request = normalizeEnhanceRequest({ prompt: 'a quiet lake', target: 'zimage' });
+    const tooLong = { name: 'stub', enhance: async () => ({ prompt: 'x'.repeat(1001), notes: ['padded'] }) };
+    const empty = { name: 'stub', enhance: async () => ({ prompt: '  ' }) };
+
+    for (const stub of [tooLong, empty]) {
+        const result = await enhancePrompt(request, stub);
+        assert.equal(result.enhanced, 'a quiet lake');
+        assert.equal(result.changed, false);
+        assert.deepEqual(result.notes, []);
+    }
+});
+
+test('falls back to the rule-based enhancer for unknown names', () => {
+    assert.equal(getPromptEnhancer('does-not-exist').name, 'rules');
+});
@@ -1,6 +1,7 @@
 const rateLimit = require('express-rate-limit');
 
-function buildRateLimiterOptions(windowMs, max, message) {
+// `overrides` adds express-rate-limit options such as `skip`.
+function buildRateLimiterOptions(windowMs, max, message, overrides = {}) {
     return {
         windowMs,
         max,
@@ -12,12 +13,13 @@ function buildRateLimiterOptions(windowMs, max, message) {
         legacyHeaders: false,
         // Count failed requests, then remove successful responses from the quota.
         // `skip` runs before the handler, when every response still has a 200 status.
-        skipSuccessfulRequests: true
+        skipSuccessfulRequests: true,
+        ...overrides
     };
 }
 
-function createRateLimiter(windowMs, max, message) {
-    return rateLimit(buildRateLimiterOptions(windowMs, max, message));
+function createRateLimiter(windowMs, max, message, overrides = {}) {
+    return rateLimit(buildRateLimiterOptions(windowMs, max, message, overrides));
 }
 
 module.exports = {
@@ -7,7 +7,7 @@ const {
     createRateLimiter
 } = require('./rateLimiter');
 const { handleClerkWebhookEvent } = require('./clerkWebhook');
-const { isClerkUserNotFound } = require('../middleware/auth');
+const { isClerkUserNotFound, requireAdmin } = require('../middleware/auth');
 
 test('rate limiter counts failed responses instead of skipping every request', () => {
     const options = buildRateLimiterOptions(15 * 60 * 1000, 20, 'Too many requests');
@@ -43,6 +43,24 @@ test('rate limiter preserves successful traffic and blocks repeated failures', a
     assert.equal((await fetch(`${baseUrl}/failure`)).status, 429);
 });
 
+test('rate limiter overrides exempt matching requests from the budget', async (t) => {
+    const app = express();
+    const isTransfer = (req) => req.originalUrl.startsWith('/api/sync/objects/');
+    app.use('/api/', createRateLimiter(60_000, 1, 'Too many requests', { skip: isTransfer }));
+    app.use((req, res) => res.status(503).json({ ok: false }));
+
+    const server = app.listen(0, '127.0.0.1');
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        assert.equal((await fetch(`${baseUrl}/api/sync/objects/${'a'.repeat(64)}`)).status, 503);
+    }
+    assert.equal((await fetch(`${baseUrl}/api/sync/objects`)).status, 503);
+    assert.equal((await fetch(`${baseUrl}/api/sync/objects`)).status, 429);
+});
+
 test('Clerk user deletion events soft-delete the matching application user', async () => {
     const calls = [];
     const result = await handleClerkWebhookEvent({
@@ -93,3 +111,26 @@ test('Stripe router no longer exposes the billing meter setup endpoint', () => {
 
     assert.equal(routePaths.includes('/create-meter'), false);
 });
+
+test('admin routes only admit the Clerk users listed in ADMIN_CLERK_USER_IDS', (t) => {
+    const previous = process.env.ADMIN_CLERK_USER_IDS;
+    t.after(() => {
+        if (previous === undefined) delete process.env.ADMIN_CLERK_USER_IDS;
+        else process.env.ADMIN_CLERK_USER_IDS = previous;
+    });
+    const check = (userId) => {
+        let status = null;
+        let passed = false;
+        const res = { status(code) { status = code; return this; }, json() { return this; } };
+        requireAdmin({ user: userId ? { userId } : undefined }, res, () => { passed = true; });
+        return passed || status;
+    };
+
+    delete process.env.ADMIN_CLERK_USER_IDS;
+    assert.equal(check('user_admin'), 403);
+
+    process.env.ADMIN_CLERK_USER_IDS = 'user_other, user_admin';
+    assert.equal(check('user_admin'), true);
+    assert.equal(check('user_regular'), 403);
+    assert.equal(check(null), 403);
+});
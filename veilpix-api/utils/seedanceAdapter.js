@@ -2,13 +2,11 @@
  * Seedance 2.0 Video API Adapter
  *
  * Transforms VeilPix video generation requests into Kie.ai Seedance 2.0
- * requests and centralizes Seedance pricing.
+ * requests and computes Seedance charges from the pricing catalog.
  */
 
-const VEILPIX_CREDIT_USD = 6.99 / 100;
-const TARGET_MARGIN = 0.12;
-const BILLABLE_USD_PER_VEILPIX_CREDIT = VEILPIX_CREDIT_USD * (1 - TARGET_MARGIN);
-const KIE_CREDIT_USD = 0.005;
+const { SEEDANCE_VIDEO_CONSTRAINTS } = require('./modelConstraints');
+const { getBillableUsdPerVeilpixCredit, getPricingCatalog } = require('./pricingCatalog');
 
 const SEEDANCE_MODELS = {
     regular: 'bytedance/seedance-2',
@@ -16,29 +14,11 @@ const SEEDANCE_MODELS = {
     mini: 'bytedance/seedance-2-mini'
 };
 
-const SEEDANCE_PRICING = {
-    fast: {
-        '480p': { noVideo: 15.5, withVideo: 9 },
-        '720p': { noVideo: 33, withVideo: 20 }
-    },
-    mini: {
-        '480p': { noVideo: 9.5, withVideo: 6 },
-        '720p': { noVideo: 20.5, withVideo: 12.5 }
-    },
-    regular: {
-        '480p': { noVideo: 19, withVideo: 11.5 },
-        '720p': { noVideo: 41, withVideo: 25 },
-        '1080p': { noVideo: 102, withVideo: 62 }
-    }
-};
+const ASPECT_RATIOS = SEEDANCE_VIDEO_CONSTRAINTS.aspectRatios;
 
-const ASPECT_RATIOS = ['16:9', '4:3', '1:1', '3:4', '9:16', '21:9', 'adaptive'];
-
-const SEEDANCE_DURATION_LIMITS = {
-    regular: { min: 4, max: 15, defaultValue: 5 },
-    fast: { min: 4, max: 15, defaultValue: 5 },
-    mini: { min: 4, max: 15, defaultValue: 5 }
-};
+const SEEDANCE_DURATION_LIMITS = Object.fromEntries(
+    Object.entries(SEEDANCE_VIDEO_CONSTRAINTS.variants).map(([variant, { durations }]) => [variant, durations])
+);
 
 function normalizeVariant(variant) {
     return ['regular', 'fast', 'mini'].includes(variant) ? variant : 'regular';
@@ -46,7 +26,7 @@ function normalizeVariant(variant) {
 
 function normalizeResolution(variant, resolution) {
     const selectedVariant = normalizeVariant(variant);
-    const allowed = Object.keys(SEEDANCE_PRICING[selectedVariant]);
+    const allowed = SEEDANCE_VIDEO_CONSTRAINTS.variants[selectedVariant].resolutions;
     return allowed.includes(resolution) ? resolution : allowed[allowed.length - 1];
 }
 
@@ -62,12 +42,24 @@ function normalizeAspectRatio(aspectRatio) {
     return ASPECT_RATIOS.includes(aspectRatio) ? aspectRatio : '16:9';
 }
 
-function veilpixCreditsFromUsd(usdCost) {
-    return Math.max(1, Math.ceil(usdCost / BILLABLE_USD_PER_VEILPIX_CREDIT));
+function veilpixCreditsFromUsd(usdCost, pricing = getPricingCatalog()) {
+    return Math.max(pricing.video.seedance.minimumCredits, Math.ceil(usdCost / getBillableUsdPerVeilpixCredit(pricing)));
 }
 
-function veilpixCreditsFromKieCredits(kieCredits) {
-    return veilpixCreditsFromUsd(Number(kieCredits || 0) * KIE_CREDIT_USD);
+function veilpixCreditsFromKieCredits(kieCredits, pricing = getPricingCatalog()) {
+    return veilpixCreditsFromUsd(Number(kieCredits || 0) * pricing.kieCreditUsd, pricing);
+}
+
+/**
+ * Credits to capture for a finished Seedance task: what Kie reports it
+ * consumed, at `pricing`, but never less than the estimate the user was shown.
+ */
+function getSeedanceCaptureCredits(estimatedCredits, kieCreditsConsumed, pricing = getPricingCatalog()) {
+    const kieCredits = Number(kieCreditsConsumed);
+    const providerCredits = Number.isFinite(kieCredits) && kieCredits > 0
+        ? veilpixCreditsFromKieCredits(kieCredits, pricing)
+        : 0;
+    return Math.max(estimatedCredits, providerCredits);
 }
 
 function estimateSeedanceKieCredits({
@@ -80,7 +72,7 @@ function estimateSeedanceKieCredits({
     const selectedVariant = normalizeVariant(variant);
     const selectedResolution = normalizeResolution(selectedVariant, resolution);
     const selectedDuration = clampDuration(duration, selectedVariant);
-    const pricing = SEEDANCE_PRICING[selectedVariant][selectedResolution];
+    const pricing = getPricingCatalog().video.seedance.kieCreditsPerSecond[selectedVariant][selectedResolution];
     const inputDurationLimit = SEEDANCE_DURATION_LIMITS[selectedVariant].max;
     const billableSeconds = hasVideoReference
         ? selectedDuration + Math.max(0, Math.min(inputDurationLimit, Number(referenceVideoDuration) || 0))
@@ -205,15 +197,13 @@ function normalizeSeedanceResponse(resultJson) {
 
 module.exports = {
     ASPECT_RATIOS,
-    BILLABLE_USD_PER_VEILPIX_CREDIT,
-    KIE_CREDIT_USD,
     SEEDANCE_MODELS,
-    SEEDANCE_PRICING,
     SEEDANCE_DURATION_LIMITS,
     buildSeedanceRequest,
     clampDuration,
     estimateSeedanceKieCredits,
     estimateSeedanceVeilPixCredits,
+    getSeedanceCaptureCredits,
     normalizeAspectRatio,
     normalizeResolution,
     normalizeSeedanceResponse,
@@ -67,7 +67,10 @@ function mapAspectRatioFileToSeedreamSize(aspectRatioFile) {
         'transparent-16-9.png': '16:9',   // 16:9 Widescreen
         'transparent-9-16.png': '9:16',   // 9:16 Vertical
         'transparent-4-3.png': '4:3',     // 4:3 Standard
-        'transparent-3-4.png': '3:4'      // 3:4 Portrait
+        'transparent-3-4.png': '3:4',     // 3:4 Portrait
+        'transparent-3-2.png': '3:2',     // 3:2 Photography
+        'transparent-2-3.png': '2:3',     // 2:3 Classic portrait
+        'transparent-21-9.png': '21:9'    // 21:9 Ultrawide
     };
 
     return aspectRatioMap[aspectRatioFile] || '1:1'; // Default to square
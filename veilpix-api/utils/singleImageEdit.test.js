@@ -19,6 +19,12 @@ test('Seedream combine builder keeps every supplied reference image', () => {
     assert.deepEqual(seedream.buildCombineRequest(imageUrls, 'combine', '2K').image_urls, imageUrls);
 });
 
+test('Seedream maps every published transparent preset to its ratio', () => {
+    assert.equal(seedream.mapAspectRatioFileToSeedreamSize('transparent-21-9.png'), '21:9');
+    assert.equal(seedream.mapAspectRatioFileToSeedreamSize('transparent-2-3.png'), '2:3');
+    assert.equal(seedream.mapAspectRatioFileToSeedreamSize('unknown.png'), '1:1');
+});
+
 test('Wan single-photo builders keep only the latest image URL', () => {
     assert.deepEqual(wan.buildEditRequest(imageUrls, 'edit', '2K').input_urls, [imageUrls[1]]);
     assert.deepEqual(wan.buildFilterRequest(imageUrls, 'filter', '2K').input_urls, [imageUrls[1]]);
@@ -0,0 +1,35 @@
+/**
+ * Test helpers for image fixtures
+ *
+ * Small generated PNGs for mask and compositing tests, and a way to read a
+ * pixel back. Not a test file itself: `npm test` only runs utils/*.test.js.
+ */
+
+const sharp = require('sharp');
+
+/** A PNG filled with one colour. */
+function solidImage(width, height, background) {
+    return sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+}
+
+/** A black mask PNG with one white rectangle. */
+async function rectangleMask(width, height, rect) {
+    const white = await solidImage(rect.width, rect.height, '#ffffff');
+    return sharp({ create: { width, height, channels: 3, background: '#000000' } })
+        .composite([{ input: white, left: rect.left, top: rect.top }])
+        .png()
+        .toBuffer();
+}
+
+/** The RGB values of one pixel. */
+async function pixelAt(buffer, x, y) {
+    const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+    const index = (y * info.width + x) * info.channels;
+    return [...data.subarray(index, index + 3)];
+}
+
+module.exports = {
+    pixelAt,
+    rectangleMask,
+    solidImage
+};
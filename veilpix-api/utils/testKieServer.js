@@ -0,0 +1,90 @@
+/**
+ * Test helpers for code that talks to Kie.ai
+ *
+ * A stub Kie server on a random local port, environment overrides that are
+ * undone when the test ends, and a generation job store backed by mocks.
+ * Not a test file itself: `npm test` only runs utils/*.test.js.
+ */
+
+const express = require('express');
+const { once } = require('node:events');
+
+const { db } = require('./database');
+
+/** Set (or, with undefined, unset) environment variables for one test. */
+function setEnv(t, values) {
+    for (const [name, value] of Object.entries(values)) {
+        const previous = process.env[name];
+        if (value === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = value;
+        }
+        t.after(() => {
+            if (previous === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = previous;
+            }
+        });
+    }
+}
+
+/**
+ * Start a Kie server that creates tasks named task-1, task-2, ... and serves
+ * recordInfo from a queue of records per task ID (the last record repeats).
+ * Returns the createTask request bodies it has received.
+ */
+async function startStubKieServer(t, records) {
+    // Keep the task client's progress logs out of the test reporter stream.
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const app = express();
+    app.use(express.json());
+    const created = [];
+
+    app.post('/api/v1/jobs/createTask', (req, res) => {
+        created.push(req.body);
+        res.json({ code: 200, data: { taskId: `task-${created.length}` } });
+    });
+    app.get('/api/v1/jobs/recordInfo', (req, res) => {
+        const queue = records[req.query.taskId] || [];
+        res.json({ code: 200, data: queue.length > 1 ? queue.shift() : queue[0] });
+    });
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    setEnv(t, { SEEDREAM_API_BASE_URL: `http://127.0.0.1:${server.address().port}` });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return created;
+}
+
+/**
+ * Mock the generation job and credit ledger calls that finish a job.
+ * Captures charge the full reservation.
+ *
+ * @param {object} [options]
+ * @param {object|null} [options.job] - Returned when a job is looked up by task ID
+ * @param {object[]} [options.unfinished] - Returned as the unfinished jobs
+ */
+function mockJobStore(t, { job = null, unfinished = [] } = {}) {
+    return {
+        update: t.mock.method(db, 'updateGenerationJob', async () => ({ error: null })),
+        capture: t.mock.method(db, 'captureReservedCredits', async (id, credits) => ({
+            captured: Number(credits),
+            error: null
+        })),
+        release: t.mock.method(db, 'releaseReservedCredits', async () => ({ success: true, error: null })),
+        lookup: t.mock.method(db, 'getGenerationJobByTaskId', async () => ({ job, error: null })),
+        unfinished: t.mock.method(db, 'getUnfinishedGenerationJobs', async () => ({ jobs: unfinished, error: null }))
+    };
+}
+
+module.exports = {
+    mockJobStore,
+    setEnv,
+    startStubKieServer
+};
@@ -1,9 +1,9 @@
-const VIDEO_GENERATION_REQUEST_TYPES = [
-    'video',
-    'reference-to-video',
-    'text-to-video',
-    'seedance-video'
-];
+const {
+    GENERATION_JOB_STATUSES,
+    getGenerationJobCredits,
+    getGenerationJobProcessingTime,
+    isUnfinishedGenerationJob
+} = require('./generationJobs');
 
 const GENERATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
@@ -17,48 +17,34 @@ function getVideoGenerationId(req) {
     return normalizeVideoGenerationId(req.get('X-Generation-ID'));
 }
 
-function serializeVideoGenerationResult(videoUrl, creditsUsed) {
-    return JSON.stringify({
-        videoUrl,
-        creditsUsed: Number.isFinite(Number(creditsUsed)) ? Number(creditsUsed) : undefined
-    });
-}
+function videoGenerationJobResponse(job) {
+    if (isUnfinishedGenerationJob(job)) return { status: 'pending' };
 
-function videoGenerationJobResponse(record) {
-    if (!record) return { status: 'pending' };
-
-    if (!record.success) {
+    if (job.status !== GENERATION_JOB_STATUSES.SUCCEEDED) {
         return {
             status: 'failed',
-            message: record.error_message && record.error_message !== 'pending'
-                ? record.error_message
-                : 'The video generation did not complete.'
+            message: job.error_message || 'The video generation did not complete.'
         };
     }
 
-    try {
-        const result = JSON.parse(record.error_message || '{}');
-        if (typeof result.videoUrl !== 'string' || !/^https?:\/\//i.test(result.videoUrl)) {
-            throw new Error('Missing video URL');
-        }
-        return {
-            status: 'succeeded',
-            videoUrl: result.videoUrl,
-            creditsUsed: Number.isFinite(Number(result.creditsUsed)) ? Number(result.creditsUsed) : undefined,
-            processingTime: record.processing_time_ms || undefined
-        };
-    } catch {
+    const videoUrl = job.result_urls?.[0];
+    if (typeof videoUrl !== 'string' || !/^https?:\/\//i.test(videoUrl)) {
         return {
             status: 'failed',
             message: 'The video finished, but its recovery information was unavailable.'
         };
     }
+
+    return {
+        status: 'succeeded',
+        videoUrl,
+        creditsUsed: getGenerationJobCredits(job),
+        processingTime: getGenerationJobProcessingTime(job)
+    };
 }
 
 module.exports = {
-    VIDEO_GENERATION_REQUEST_TYPES,
     normalizeVideoGenerationId,
     getVideoGenerationId,
-    serializeVideoGenerationResult,
     videoGenerationJobResponse
 };
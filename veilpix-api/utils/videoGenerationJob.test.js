@@ -2,7 +2,6 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const {
     normalizeVideoGenerationId,
-    serializeVideoGenerationResult,
     videoGenerationJobResponse
 } = require('./videoGenerationJob');
 
@@ -15,13 +14,15 @@ test('normalizes valid client generation IDs and rejects arbitrary values', () =
 });
 
 test('returns a recoverable successful video result', () => {
-    const record = {
-        success: true,
-        error_message: serializeVideoGenerationResult('https://example.com/video.mp4', 14),
-        processing_time_ms: 162000
+    const job = {
+        status: 'succeeded',
+        result_urls: ['https://example.com/video.mp4'],
+        credits_charged: '14.00',
+        created_at: '2026-01-01T00:00:00.000Z',
+        completed_at: '2026-01-01T00:02:42.000Z'
     };
 
-    assert.deepEqual(videoGenerationJobResponse(record), {
+    assert.deepEqual(videoGenerationJobResponse(job), {
         status: 'succeeded',
         videoUrl: 'https://example.com/video.mp4',
         creditsUsed: 14,
@@ -31,7 +32,8 @@ test('returns a recoverable successful video result', () => {
 
 test('distinguishes pending and failed video jobs', () => {
     assert.deepEqual(videoGenerationJobResponse(null), { status: 'pending' });
-    assert.deepEqual(videoGenerationJobResponse({ success: false, error_message: 'Provider rejected the video' }), {
+    assert.deepEqual(videoGenerationJobResponse({ status: 'running', kie_task_id: 'task-1' }), { status: 'pending' });
+    assert.deepEqual(videoGenerationJobResponse({ status: 'failed', error_message: 'Provider rejected the video' }), {
         status: 'failed',
         message: 'Provider rejected the video'
     });
@@ -1,4 +1,6 @@
-const ZIMAGE_ASPECT_RATIOS = ['1:1', '4:3', '3:4', '16:9', '9:16'];
+const { IMAGE_MODEL_CONSTRAINTS } = require('./modelConstraints');
+
+const ZIMAGE_ASPECT_RATIOS = IMAGE_MODEL_CONSTRAINTS.zimage.aspectRatios;
 
 function isSupportedZImageAspectRatio(value) {
     return ZIMAGE_ASPECT_RATIOS.includes(value);